@@ -4,9 +4,14 @@
  */
 
 import { chunkingService } from "./core/chunking.js";
+import { chunkingSchedulerHelpers } from "./core/chunkingScheduler.js";
 import { InputPanel } from "./ui/inputPanel.js";
 import { ChunkListView } from "./ui/chunkListView.js";
 import { FormControls } from "./ui/formControls.js";
+import { DictionaryPanel } from "./ui/dictionaryPanel.js";
+import { dictionaryHelpers } from "./core/dictionary.js";
+import { enumerationHelpers } from "./core/enumeration.js";
+import { threadDecorationHelpers } from "./core/threadDecorations.js";
 import { ThreaderController } from "./ui/controller.js";
 import { TransformationToolbar } from "./ui/transformationToolbar.js";
 import { TransformationPreview } from "./ui/transformationPreview.js";
@@ -100,6 +105,22 @@ function createProfiledTransformationGateway() {
     });
 }
 
+/**
+ * Starts the chunking worker when the browser supports module workers.
+ * @returns {Worker | null}
+ */
+function createChunkingWorker() {
+    if (typeof window.Worker !== "function") {
+        return null;
+    }
+    try {
+        return new Worker(new URL("./workers/chunkingWorker.js", import.meta.url), { type: "module" });
+    } catch (workerError) {
+        loggingHelpers.reportChunkingWorkerFailure(workerError);
+        return null;
+    }
+}
+
 /** @type {boolean} */
 let bootstrapHasInitialized = false;
 
@@ -117,6 +138,22 @@ function bootstrap() {
     );
     const statsElement = assertElement(document.getElementById("inputStats"), "inputStats");
     const errorElement = assertElement(document.getElementById("inputError"), "inputError");
+    const postBreakButtonElement = /** @type {HTMLButtonElement} */ (
+        assertElement(document.getElementById("insertPostBreakButton"), "insertPostBreakButton")
+    );
+    const boundaryOverlayElement = assertElement(
+        document.getElementById("postBoundaryOverlay"),
+        "postBoundaryOverlay"
+    );
+    const openDraftButtonElement = /** @type {HTMLButtonElement} */ (
+        assertElement(document.getElementById("openDraftButton"), "openDraftButton")
+    );
+    const draftFileInputElement = /** @type {HTMLInputElement} */ (
+        assertElement(document.getElementById("draftFileInput"), "draftFileInput")
+    );
+    const imageAltTextListElement = /** @type {HTMLUListElement} */ (
+        assertElement(document.getElementById("imageAltTextList"), "imageAltTextList")
+    );
     const resultsElement = assertElement(document.getElementById("results"), "results");
     const transformationToolbarElement = assertElement(
         document.getElementById("transformationToolbar"),
@@ -138,18 +175,101 @@ function bootstrap() {
     const toggleInputs = {
         [TOGGLE_IDENTIFIERS.PARAGRAPH]: assertElement(document.getElementById("paragraphToggle"), "paragraphToggle"),
         [TOGGLE_IDENTIFIERS.SENTENCE]: assertElement(document.getElementById("sentenceToggle"), "sentenceToggle"),
-        [TOGGLE_IDENTIFIERS.ENUMERATION]: assertElement(document.getElementById("enumerationToggle"), "enumerationToggle")
+        [TOGGLE_IDENTIFIERS.ENUMERATION]: assertElement(document.getElementById("enumerationToggle"), "enumerationToggle"),
+        [TOGGLE_IDENTIFIERS.BALANCED]: assertElement(document.getElementById("balancedToggle"), "balancedToggle"),
+        [TOGGLE_IDENTIFIERS.LINE_BREAKS]: assertElement(document.getElementById("lineBreaksToggle"), "lineBreaksToggle"),
+        [TOGGLE_IDENTIFIERS.MARKDOWN]: assertElement(document.getElementById("markdownToggle"), "markdownToggle"),
+        [TOGGLE_IDENTIFIERS.MARKDOWN_RENDER]: assertElement(
+            document.getElementById("markdownRenderToggle"),
+            "markdownRenderToggle"
+        )
     };
 
     const toggleLabels = {
         [TOGGLE_IDENTIFIERS.PARAGRAPH]: assertElement(document.getElementById("paragraphToggleLabel"), "paragraphToggleLabel"),
         [TOGGLE_IDENTIFIERS.SENTENCE]: assertElement(document.getElementById("sentenceToggleLabel"), "sentenceToggleLabel"),
-        [TOGGLE_IDENTIFIERS.ENUMERATION]: assertElement(document.getElementById("enumerationToggleLabel"), "enumerationToggleLabel")
+        [TOGGLE_IDENTIFIERS.ENUMERATION]: assertElement(document.getElementById("enumerationToggleLabel"), "enumerationToggleLabel"),
+        [TOGGLE_IDENTIFIERS.BALANCED]: assertElement(document.getElementById("balancedToggleLabel"), "balancedToggleLabel"),
+        [TOGGLE_IDENTIFIERS.LINE_BREAKS]: assertElement(document.getElementById("lineBreaksToggleLabel"), "lineBreaksToggleLabel"),
+        [TOGGLE_IDENTIFIERS.MARKDOWN]: assertElement(document.getElementById("markdownToggleLabel"), "markdownToggleLabel"),
+        [TOGGLE_IDENTIFIERS.MARKDOWN_RENDER]: assertElement(
+            document.getElementById("markdownRenderToggleLabel"),
+            "markdownRenderToggleLabel"
+        )
     };
 
-    const inputPanel = new InputPanel(editorElement, statsElement, errorElement);
+    const inputPanel = new InputPanel(
+        editorElement,
+        statsElement,
+        errorElement,
+        postBreakButtonElement,
+        boundaryOverlayElement,
+        openDraftButtonElement,
+        draftFileInputElement,
+        imageAltTextListElement
+    );
     const chunkListView = new ChunkListView(resultsElement, chunkingService);
-    const formControls = new FormControls(presetButtons, customButtonElement, customInputElement, toggleInputs, toggleLabels);
+    const sentenceLocaleSelect = assertElement(document.getElementById("sentenceLocale"), "sentenceLocale");
+    const sentenceLocaleLabel = assertElement(document.getElementById("sentenceLocaleLabel"), "sentenceLocaleLabel");
+
+    const formControls = new FormControls(
+        presetButtons,
+        customButtonElement,
+        customInputElement,
+        toggleInputs,
+        toggleLabels,
+        /** @type {HTMLSelectElement} */ (sentenceLocaleSelect),
+        /** @type {HTMLLabelElement} */ (sentenceLocaleLabel),
+        {
+            styleSelect: /** @type {HTMLSelectElement} */ (
+                assertElement(document.getElementById("enumerationStyle"), "enumerationStyle")
+            ),
+            styleLabel: /** @type {HTMLLabelElement} */ (
+                assertElement(document.getElementById("enumerationStyleLabel"), "enumerationStyleLabel")
+            ),
+            positionSelect: /** @type {HTMLSelectElement} */ (
+                assertElement(document.getElementById("enumerationPosition"), "enumerationPosition")
+            ),
+            positionLabel: /** @type {HTMLLabelElement} */ (
+                assertElement(document.getElementById("enumerationPositionLabel"), "enumerationPositionLabel")
+            ),
+            skipFirstInput: /** @type {HTMLInputElement} */ (
+                assertElement(document.getElementById("enumerationSkipFirst"), "enumerationSkipFirst")
+            ),
+            skipFirstLabel: /** @type {HTMLLabelElement} */ (
+                assertElement(document.getElementById("enumerationSkipFirstLabel"), "enumerationSkipFirstLabel")
+            ),
+            customTemplateInput: /** @type {HTMLInputElement} */ (
+                assertElement(document.getElementById("enumerationTemplate"), "enumerationTemplate")
+            ),
+            customTemplateLabel: /** @type {HTMLLabelElement} */ (
+                assertElement(document.getElementById("enumerationTemplateLabel"), "enumerationTemplateLabel")
+            )
+        },
+        {
+            openerPrefixInput: /** @type {HTMLInputElement} */ (
+                assertElement(document.getElementById("openerPrefix"), "openerPrefix")
+            ),
+            openerPrefixLabel: /** @type {HTMLLabelElement} */ (
+                assertElement(document.getElementById("openerPrefixLabel"), "openerPrefixLabel")
+            ),
+            continuationSuffixInput: /** @type {HTMLInputElement} */ (
+                assertElement(document.getElementById("continuationSuffix"), "continuationSuffix")
+            ),
+            continuationSuffixLabel: /** @type {HTMLLabelElement} */ (
+                assertElement(document.getElementById("continuationSuffixLabel"), "continuationSuffixLabel")
+            ),
+            footerInput: /** @type {HTMLTextAreaElement} */ (
+                assertElement(document.getElementById("threadFooter"), "threadFooter")
+            ),
+            footerLabel: /** @type {HTMLLabelElement} */ (
+                assertElement(document.getElementById("threadFooterLabel"), "threadFooterLabel")
+            )
+        }
+    );
+    const dictionaryPanel = new DictionaryPanel(
+        /** @type {HTMLDetailsElement} */ (assertElement(document.getElementById("dictionaryPanel"), "dictionaryPanel"))
+    );
     const transformationToolbar = new TransformationToolbar(transformationToolbarElement);
     const transformationPreview = new TransformationPreview(transformationPreviewElement);
 
@@ -157,8 +277,13 @@ function bootstrap() {
         inputPanel,
         chunkListView,
         formControls,
+        dictionaryPanel,
+        dictionaryStore: dictionaryHelpers.createDictionaryStore(window.localStorage),
+        enumerationFormatStore: enumerationHelpers.createEnumerationFormatStore(window.localStorage),
+        threadDecorationStore: threadDecorationHelpers.createThreadDecorationStore(window.localStorage),
         chunkingService,
-        loggingHelpers
+        loggingHelpers,
+        chunkingScheduler: chunkingSchedulerHelpers.createChunkingScheduler({ worker: createChunkingWorker() })
     });
 
     const transformationCoordinator = new TransformationCoordinator({
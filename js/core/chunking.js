@@ -3,7 +3,19 @@
  * @fileoverview Pure text processing utilities that compute chunk boundaries and statistics.
  */
 
-import { TEXT_CONTENT } from "../constants.js";
+import {
+    DEFAULT_LENGTH_COUNTER,
+    DEFAULT_MARKDOWN_RENDER_RULES,
+    EMPTY_CHUNKING_DICTIONARY,
+    INPUT_MODE_IDENTIFIERS,
+    PLACEHOLDER_TOKENS,
+    SENTENCE_LOCALE_IDENTIFIERS
+} from "../constants.js";
+import { lengthCounterHelpers } from "./lengthCounters.js";
+import { markdownSyntaxHelpers } from "./markdownSyntax.js";
+import { sentenceLocaleHelpers } from "./sentenceLocales.js";
+import { textEntityHelpers } from "./textEntities.js";
+import { threadDecorationHelpers } from "./threadDecorations.js";
 
 /** @type {RegExp} */
 const EMBEDDED_WHITESPACE_BETWEEN_BREAKS = /\n[^\S\n]+\n/g;
@@ -12,13 +24,28 @@ const LINE_SEPARATOR_PATTERN = /\r\n|\r|\n|\u2028|\u2029|\u0085|\u000b|\u000c/g;
 /** @type {RegExp} */
 const MULTIPLE_WHITESPACE_PATTERN = /\s+/g;
 /** @type {RegExp} */
+const HORIZONTAL_WHITESPACE_PATTERN = /[^\S\n]+/g;
+/** @type {RegExp} */
+const PADDED_LINE_BREAK_PATTERN = / ?\n ?/g;
+/** @type {RegExp} */
+const REPEATED_BLANK_LINES_PATTERN = /\n{3,}/g;
+/** @type {RegExp} */
 const TAB_CHARACTER_PATTERN = /\t+/g;
 /** @type {string} */
-const TRAILING_WRAPPING_CHARACTERS = '"\')]}';
+const TRAILING_WRAPPING_CHARACTERS = '"\')]}”’»」』）';
 /** @type {string} */
-const LEADING_PUNCTUATION_TO_IGNORE = "\"'([{“”‘’`";
+const LEADING_PUNCTUATION_TO_IGNORE = "\"'([{“”‘’`¿¡«「『（";
+/** @type {RegExp} */
+const SENTENCE_TERMINATOR_PATTERN = /[.!?。！？｡؟।॥]+$/u;
+/**
+ * Matches sentences of scripts that do not separate sentences with spaces, including their closing quotes.
+ * @type {RegExp}
+ */
+const UNSPACED_SENTENCE_PATTERN = /[^。！？｡]*[。！？｡]+[」』）"'”’]*|[^。！？｡]+$/gu;
 /** @type {RegExp} */
-const SENTENCE_TERMINATOR_PATTERN = /[.!?]+$/;
+const UNSPACED_TERMINATOR_PATTERN = /[。！？｡]/u;
+/** @type {RegExp} */
+const UNSPACED_SENTENCE_END_PATTERN = /[。！？｡][」』）"'”’]*$/u;
 /** @type {RegExp} */
 const LIST_MARKER_PATTERN = /^(?:[-*+•‣◦]|\d+[.)]|[a-zA-Z][.)])\s+/;
 /** @type {RegExp} */
@@ -31,57 +58,19 @@ const ORDINAL_NUMBER_PATTERN = /^\d+(?:st|nd|rd|th)?\.$/i;
 const ELLIPSIS_PATTERN = /\u2026|\.\.\.$/;
 /** @type {RegExp} */
 const DECIMAL_LIKE_PATTERN = /^\d+\.\d+$/;
-
-const STRICT_NON_TERMINATING_ABBREVIATIONS = Object.freeze(
-    new Set([
-        "capt.",
-        "dr.",
-        "gov.",
-        "hon.",
-        "jr.",
-        "lt.",
-        "mr.",
-        "mrs.",
-        "ms.",
-        "prof.",
-        "sr.",
-        "st."
-    ])
-);
-
-const FLEXIBLE_ABBREVIATIONS = Object.freeze(
-    new Set([
-        "a.m.",
-        "approx.",
-        "appt.",
-        "apr.",
-        "aug.",
-        "ave.",
-        "corp.",
-        "dec.",
-        "e.g.",
-        "etc.",
-        "fig.",
-        "feb.",
-        "jan.",
-        "inc.",
-        "i.e.",
-        "mar.",
-        "jul.",
-        "jun.",
-        "no.",
-        "nov.",
-        "oct.",
-        "p.m.",
-        "sep.",
-        "sept.",
-        "u.k.",
-        "u.s.",
-        "vol.",
-        "vs."
-    ])
+/**
+ * Matches one source character that chunking may drop or replace, including the separators that become line breaks.
+ * @type {RegExp}
+ */
+const SOURCE_WHITESPACE_PATTERN = /[\s\u0085]/;
+/**
+ * Matches a line that holds only the post break marker, so the marker never matches inside ordinary text.
+ * @type {RegExp}
+ */
+const POST_BREAK_LINE_PATTERN = new RegExp(
+    `^[^\\S\\n]*${escapePattern(PLACEHOLDER_TOKENS.POST_BREAK)}[^\\S\\n]*$`,
+    "m"
 );
-
 /**
  * Normalizes whitespace-only lines to ensure consistent line separator handling.
  * @param {string} rawText Raw text provided by the user.
@@ -120,15 +109,16 @@ function stripTrailingWrappingCharacters(token) {
 /**
  * Determines the classification of an abbreviation if applicable.
  * @param {string} token Candidate token potentially representing an abbreviation.
+ * @param {import("../types.d.js").SentenceLocaleRules} localeRules Abbreviation tables of the active locale.
  * @returns {"strict" | "flexible" | null} Classification result or null when not an abbreviation.
  */
-function classifyAbbreviation(token) {
+function classifyAbbreviation(token, localeRules) {
     const normalizedToken = stripTrailingWrappingCharacters(token).toLowerCase();
     if (normalizedToken.length === 0) {
         return null;
     }
 
-    if (STRICT_NON_TERMINATING_ABBREVIATIONS.has(normalizedToken)) {
+    if (localeRules.strictAbbreviations.has(normalizedToken)) {
         return "strict";
     }
 
@@ -140,7 +130,7 @@ function classifyAbbreviation(token) {
         return "strict";
     }
 
-    if (FLEXIBLE_ABBREVIATIONS.has(normalizedToken)) {
+    if (localeRules.flexibleAbbreviations.has(normalizedToken)) {
         return "flexible";
     }
 
@@ -173,23 +163,31 @@ function getFirstSignificantCharacter(value) {
     return "";
 }
 
+/**
+ * Determines whether a character is a lowercase letter of a cased script.
+ * @param {string} character Character to inspect.
+ * @returns {boolean} False for uppercase letters, caseless scripts, digits, and punctuation.
+ */
+function isLowercaseLetter(character) {
+    return character.toLowerCase() === character && character.toUpperCase() !== character;
+}
+
 /**
  * Determines whether the next non-empty line should start a new paragraph based on punctuation heuristics.
  * @param {string} previousLine Previously accumulated line content.
  * @param {string} currentLine Current line content under consideration.
+ * @param {import("../types.d.js").SentenceLocaleRules} localeRules Sentence rules of the active locale.
  * @returns {boolean} True when the current line should begin a new paragraph.
  */
-function shouldStartNewParagraph(previousLine, currentLine) {
+function shouldStartNewParagraph(previousLine, currentLine, localeRules) {
     if (LIST_MARKER_PATTERN.test(currentLine)) {
         return true;
     }
 
-    const strippedPrevious = stripTrailingWrappingCharacters(previousLine);
-    if (strippedPrevious.length === 0) {
-        return false;
-    }
-
-    if (!SENTENCE_TERMINATOR_PATTERN.test(strippedPrevious)) {
+    const previousWords = previousLine.split(" ");
+    const lastPreviousWord = previousWords[previousWords.length - 1];
+    const firstCurrentWord = currentLine.split(" ")[0];
+    if (!isSentenceEnd(lastPreviousWord, firstCurrentWord, previousWords.length, localeRules)) {
         return false;
     }
 
@@ -198,19 +196,21 @@ function shouldStartNewParagraph(previousLine, currentLine) {
         return false;
     }
 
-    if (!/[a-z0-9]/i.test(firstCharacter)) {
+    if (!/[\p{L}\p{N}]/u.test(firstCharacter)) {
         return false;
     }
 
-    return firstCharacter.toUpperCase() === firstCharacter;
+    return !isLowercaseLetter(firstCharacter);
 }
 
 /**
  * Normalizes paragraph breaks in the provided text.
  * @param {string} rawText Raw text provided by the user.
+ * @param {import("../types.d.js").SentenceLocaleRules} localeRules Sentence rules of the active locale.
+ * @param {boolean} [preserveLineBreaks] Keeps single line breaks inside paragraphs; only blank lines separate paragraphs.
  * @returns {string[]} Trimmed paragraphs extracted from the text.
  */
-function extractParagraphs(rawText) {
+function extractParagraphs(rawText, localeRules, preserveLineBreaks = false) {
     const trimmedInput = rawText.trim();
     if (trimmedInput.length === 0) {
         return [];
@@ -218,6 +218,7 @@ function extractParagraphs(rawText) {
 
     const normalizedSeparators = normalizeLineSeparators(rawText.replace(/\u00a0/g, " "));
     const lines = normalizedSeparators.split("\n");
+    const lineSeparator = preserveLineBreaks ? "\n" : " ";
 
     /** @type {string[]} */
     const paragraphs = [];
@@ -231,7 +232,7 @@ function extractParagraphs(rawText) {
 
         if (isBlankLine) {
             if (currentParagraphLines.length > 0) {
-                paragraphs.push(currentParagraphLines.join(" ").trim());
+                paragraphs.push(currentParagraphLines.join(lineSeparator).trim());
                 currentParagraphLines = [];
             }
             previousLineBlank = true;
@@ -246,9 +247,10 @@ function extractParagraphs(rawText) {
 
         if (
             previousLineBlank ||
-            shouldStartNewParagraph(currentParagraphLines[currentParagraphLines.length - 1], normalizedLine)
+            (!preserveLineBreaks &&
+                shouldStartNewParagraph(currentParagraphLines[currentParagraphLines.length - 1], normalizedLine, localeRules))
         ) {
-            paragraphs.push(currentParagraphLines.join(" ").trim());
+            paragraphs.push(currentParagraphLines.join(lineSeparator).trim());
             currentParagraphLines = [normalizedLine];
             previousLineBlank = false;
             continue;
@@ -259,41 +261,151 @@ function extractParagraphs(rawText) {
     }
 
     if (currentParagraphLines.length > 0) {
-        paragraphs.push(currentParagraphLines.join(" ").trim());
+        paragraphs.push(currentParagraphLines.join(lineSeparator).trim());
     }
 
     return paragraphs;
 }
 
+/**
+ * Escapes regular expression metacharacters in a literal phrase.
+ * @param {string} phrase Literal phrase.
+ * @returns {string} Pattern source that matches the phrase literally.
+ */
+function escapePattern(phrase) {
+    return phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Locates every case-insensitive occurrence of the protected phrases in the text.
+ * @param {string} text Text to scan.
+ * @param {ReadonlyArray<string>} protectedPhrases Phrases that must stay in one chunk.
+ * @returns {Array<[number, number]>} Start and end offsets of each occurrence.
+ */
+function findProtectedRanges(text, protectedPhrases) {
+    /** @type {Array<[number, number]>} */
+    const protectedRanges = [];
+    for (const phrase of protectedPhrases) {
+        const phrasePattern = new RegExp(phrase.split(" ").map(escapePattern).join("\\s+"), "giu");
+        for (const phraseMatch of text.matchAll(phrasePattern)) {
+            const matchIndex = phraseMatch.index ?? 0;
+            protectedRanges.push([matchIndex, matchIndex + phraseMatch[0].length]);
+        }
+    }
+    return protectedRanges;
+}
+
+/**
+ * Locates the syntax of the input mode that must stay in one chunk: code, links, and emphasis in Markdown.
+ * @param {string} text Text to scan.
+ * @param {import("../types.d.js").InputModeIdentifier} inputMode Syntax of the draft.
+ * @returns {Array<[number, number]>} Start and end offsets of each syntax range.
+ */
+function findSyntaxRanges(text, inputMode) {
+    return inputMode === INPUT_MODE_IDENTIFIERS.MARKDOWN ? markdownSyntaxHelpers.findMarkdownRanges(text) : [];
+}
+
+/**
+ * Determines whether splitting at the offset would cut through a protected phrase.
+ * @param {ReadonlyArray<[number, number]>} protectedRanges Offsets of protected phrase occurrences.
+ * @param {number} offset Candidate split offset.
+ * @returns {boolean}
+ */
+function isInsideProtectedRange(protectedRanges, offset) {
+    return protectedRanges.some(([rangeStart, rangeEnd]) => offset > rangeStart && offset < rangeEnd);
+}
+
+/**
+ * Collapses whitespace to single spaces. When line breaks are preserved, keeps each line break and at most one
+ * blank line, and drops the spaces around them.
+ * @param {string} text Text to normalize.
+ * @param {boolean} preserveLineBreaks Whether line breaks survive normalization.
+ * @returns {string} Trimmed text.
+ */
+function collapseWhitespace(text, preserveLineBreaks) {
+    if (!preserveLineBreaks) {
+        return text.replace(LINE_SEPARATOR_PATTERN, " ").replace(MULTIPLE_WHITESPACE_PATTERN, " ").trim();
+    }
+    return text
+        .replace(LINE_SEPARATOR_PATTERN, "\n")
+        .replace(HORIZONTAL_WHITESPACE_PATTERN, " ")
+        .replace(PADDED_LINE_BREAK_PATTERN, "\n")
+        .replace(REPEATED_BLANK_LINES_PATTERN, "\n\n")
+        .trim();
+}
+
+/**
+ * Finds the space after each list marker that starts a line, so the marker stays with the first word of its item.
+ * @param {string} text Normalized text with preserved line breaks.
+ * @returns {Set<number>} Offsets of the spaces that follow list markers.
+ */
+function findListMarkerSpaceOffsets(text) {
+    /** @type {Set<number>} */
+    const spaceOffsets = new Set();
+    let lineStartOffset = 0;
+    for (const line of text.split("\n")) {
+        const markerMatch = line.match(LIST_MARKER_PATTERN);
+        if (markerMatch !== null) {
+            spaceOffsets.add(lineStartOffset + markerMatch[0].length - 1);
+        }
+        lineStartOffset += line.length + 1;
+    }
+    return spaceOffsets;
+}
+
 /**
  * Splits a block of text into words while preserving punctuation alongside the word that precedes it.
+ * A word that follows a preserved line break starts with that line break, and a list marker joins the word
+ * after it.
  * @param {string} textString Raw text provided by the user.
+ * @param {ReadonlyArray<string>} [protectedPhrases] Phrases kept as a single word even when they contain spaces.
+ * @param {boolean} [preserveLineBreaks] Keeps line breaks instead of treating them as spaces.
+ * @param {import("../types.d.js").InputModeIdentifier} [inputMode] Syntax of the draft. Markdown code, links, and
+ *   emphasis are kept as a single word.
  * @returns {string[]} Ordered array of words with trailing punctuation retained.
  */
-function splitIntoWordsPreservingPunctuation(textString) {
-    const normalizedText = textString
-        .replace(LINE_SEPARATOR_PATTERN, " ")
-        .replace(/\u00a0/g, " ")
-        .replace(MULTIPLE_WHITESPACE_PATTERN, " ")
-        .trim();
+function splitIntoWordsPreservingPunctuation(
+    textString,
+    protectedPhrases = EMPTY_CHUNKING_DICTIONARY.protectedPhrases,
+    preserveLineBreaks = false,
+    inputMode = INPUT_MODE_IDENTIFIERS.PLAIN_TEXT
+) {
+    const normalizedText = collapseWhitespace(textString, preserveLineBreaks);
     if (normalizedText.length === 0) {
         return [];
     }
 
+    const protectedRanges = [
+        ...findProtectedRanges(normalizedText, protectedPhrases),
+        ...findSyntaxRanges(normalizedText, inputMode)
+    ];
+    const listMarkerSpaceOffsets = preserveLineBreaks ? findListMarkerSpaceOffsets(normalizedText) : new Set();
     /** @type {string[]} */
     const wordsArray = [];
     let currentWord = "";
+    let pendingLineBreaks = "";
 
     for (let index = 0; index < normalizedText.length; index += 1) {
         const character = normalizedText[index];
-        if (character === " ") {
+        if (
+            (character === " " || character === "\n") &&
+            !isInsideProtectedRange(protectedRanges, index) &&
+            !listMarkerSpaceOffsets.has(index)
+        ) {
             if (currentWord.length > 0) {
                 wordsArray.push(currentWord);
                 currentWord = "";
             }
+            if (character === "\n") {
+                pendingLineBreaks += character;
+            }
             continue;
         }
 
+        if (currentWord.length === 0) {
+            currentWord = pendingLineBreaks;
+            pendingLineBreaks = "";
+        }
         currentWord += character;
     }
 
@@ -307,9 +419,12 @@ function splitIntoWordsPreservingPunctuation(textString) {
 /**
  * Determines whether the provided word terminates a sentence.
  * @param {string} word Candidate word including punctuation.
+ * @param {string | undefined} nextWord Word that follows the candidate, if any.
+ * @param {number} currentSentenceLength Number of words accumulated in the current sentence.
+ * @param {import("../types.d.js").SentenceLocaleRules} localeRules Sentence rules of the active locale.
  * @returns {boolean} True when the word signals the end of a sentence.
  */
-function isSentenceEnd(word, nextWord, currentSentenceLength) {
+function isSentenceEnd(word, nextWord, currentSentenceLength, localeRules) {
     const strippedWord = stripTrailingWrappingCharacters(word);
     if (strippedWord.length === 0) {
         return false;
@@ -326,7 +441,7 @@ function isSentenceEnd(word, nextWord, currentSentenceLength) {
         if (nextLead.length === 0) {
             return true;
         }
-        if (/[a-z]/i.test(nextLead) && nextLead.toLowerCase() === nextLead) {
+        if (isLowercaseLetter(nextLead)) {
             return false;
         }
         return true;
@@ -340,7 +455,7 @@ function isSentenceEnd(word, nextWord, currentSentenceLength) {
         return false;
     }
 
-    const abbreviationType = classifyAbbreviation(strippedWord);
+    const abbreviationType = classifyAbbreviation(strippedWord, localeRules);
     if (abbreviationType === "strict") {
         return false;
     }
@@ -352,11 +467,8 @@ function isSentenceEnd(word, nextWord, currentSentenceLength) {
         if (/\d/.test(nextLead)) {
             return false;
         }
-        if (/[a-z]/i.test(nextLead)) {
-            if (nextLead.toLowerCase() === nextLead) {
-                return false;
-            }
-            return true;
+        if (isLowercaseLetter(nextLead)) {
+            return false;
         }
         return true;
     }
@@ -368,157 +480,506 @@ function isSentenceEnd(word, nextWord, currentSentenceLength) {
     return true;
 }
 
+/**
+ * Splits tokens that contain several sentences of scripts written without spaces between sentences.
+ * @param {string[]} wordsArray Whitespace-delimited words.
+ * @returns {string[]} Words where each unspaced sentence is its own token.
+ */
+function separateUnspacedSentences(wordsArray) {
+    return wordsArray.flatMap((word) => {
+        if (!UNSPACED_TERMINATOR_PATTERN.test(word)) {
+            return [word];
+        }
+        return word.match(UNSPACED_SENTENCE_PATTERN) || [word];
+    });
+}
+
+/**
+ * Joins two pieces of text, omitting the space after sentences of scripts that do not use one and before a
+ * preserved line break.
+ * @param {string} leadingText Text that comes first.
+ * @param {string} trailingText Text that follows.
+ * @returns {string} Joined text.
+ */
+function joinSentences(leadingText, trailingText) {
+    return UNSPACED_SENTENCE_END_PATTERN.test(leadingText) || trailingText.startsWith("\n")
+        ? `${leadingText}${trailingText}`
+        : `${leadingText} ${trailingText}`;
+}
+
 /**
  * Aggregates words into sentences when the user opts into sentence awareness.
  * @param {string[]} wordsArray Array of words with punctuation attached.
  * @param {boolean} useSentenceBreak Flag specifying whether to enforce sentence boundaries.
+ * @param {import("../types.d.js").SentenceLocaleIdentifier} [sentenceLocale] Language whose sentence rules apply; detected from the words by default.
+ * @param {ReadonlyArray<string>} [customAbbreviations] User abbreviations that never end a sentence.
  * @returns {string[]} Sentences derived from the provided words.
  */
-function buildSentences(wordsArray, useSentenceBreak) {
+function buildSentences(
+    wordsArray,
+    useSentenceBreak,
+    sentenceLocale = SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+    customAbbreviations = EMPTY_CHUNKING_DICTIONARY.abbreviations
+) {
     if (!useSentenceBreak) {
-        return [wordsArray.join(" ")];
+        return [wordsArray.length === 0 ? "" : wordsArray.reduce(joinWords)];
     }
 
+    const localeRules = sentenceLocaleHelpers.extendSentenceLocaleRules(
+        sentenceLocaleHelpers.getSentenceLocaleRules(
+            sentenceLocaleHelpers.resolveSentenceLocale(sentenceLocale, wordsArray.join(" "))
+        ),
+        customAbbreviations
+    );
+    const sentenceWords = separateUnspacedSentences(wordsArray);
     /** @type {string[]} */
     const sentencesArray = [];
-    /** @type {string[]} */
-    let currentSentence = [];
-
-    for (let index = 0; index < wordsArray.length; index += 1) {
-        const word = wordsArray[index];
-        currentSentence.push(word);
-        const nextWord = index + 1 < wordsArray.length ? wordsArray[index + 1] : undefined;
-        if (isSentenceEnd(word, nextWord, currentSentence.length)) {
-            sentencesArray.push(currentSentence.join(" "));
-            currentSentence = [];
+    let currentSentence = "";
+    let currentSentenceLength = 0;
+
+    for (let index = 0; index < sentenceWords.length; index += 1) {
+        const word = sentenceWords[index];
+        currentSentence = currentSentence.length > 0 ? joinSentences(currentSentence, word) : word;
+        currentSentenceLength += 1;
+        const nextWord = index + 1 < sentenceWords.length ? sentenceWords[index + 1] : undefined;
+        if (isSentenceEnd(word.trimStart(), nextWord, currentSentenceLength, localeRules)) {
+            sentencesArray.push(currentSentence);
+            currentSentence = "";
+            currentSentenceLength = 0;
         }
     }
 
     if (currentSentence.length > 0) {
-        sentencesArray.push(currentSentence.join(" "));
+        sentencesArray.push(currentSentence);
     }
 
     return sentencesArray;
 }
 
 /**
- * Breaks a sentence into chunks constrained by the supplied maximum length.
+ * Computes the UTF-16 offsets of every extended grapheme cluster boundary in the text.
+ * @param {string} text Text to segment.
+ * @returns {number[]} Ascending boundary offsets, starting at zero and ending at the text length.
+ */
+function findGraphemeBoundaries(text) {
+    const boundaryOffsets = [0];
+    for (const grapheme of lengthCounterHelpers.segmentGraphemes(text)) {
+        boundaryOffsets.push(boundaryOffsets[boundaryOffsets.length - 1] + grapheme.length);
+    }
+    return boundaryOffsets;
+}
+
+/**
+ * Finds the longest whole-grapheme prefix of the text whose measured length fits within the limit.
+ * @param {number[]} boundaryOffsets Grapheme boundary offsets of the text.
+ * @param {string} text Text that exceeds the limit.
+ * @param {number} maximumLength Limit expressed in the counter's units.
+ * @param {import("../types.d.js").LengthCounterIdentifier} lengthCounter Counter used to measure prefixes.
+ * @returns {number} Index into the boundary offsets; at least one grapheme so splitting always progresses.
+ */
+function findFittingBoundaryIndex(boundaryOffsets, text, maximumLength, lengthCounter) {
+    let lowerBound = 0;
+    let upperBound = boundaryOffsets.length - 1;
+    while (lowerBound < upperBound) {
+        const candidateIndex = Math.ceil((lowerBound + upperBound) / 2);
+        const candidatePrefix = text.slice(0, boundaryOffsets[candidateIndex]);
+        if (lengthCounterHelpers.measureLength(candidatePrefix, lengthCounter) <= maximumLength) {
+            lowerBound = candidateIndex;
+        } else {
+            upperBound = candidateIndex - 1;
+        }
+    }
+    return Math.max(1, lowerBound);
+}
+
+/**
+ * Chooses where to cut text that has no allowed break. A protected phrase moves whole to the next chunk unless
+ * it starts the text, in which case it alone exceeds the limit and splits at its own spaces or punctuation.
+ * Breaks inside other protected ranges stay disallowed.
+ * @param {number[]} boundaryOffsets Grapheme boundary offsets of the text.
+ * @param {string} text Text being split.
+ * @param {number} fittingIndex Index of the last boundary that keeps the prefix within the limit.
+ * @param {ReadonlyArray<[number, number]>} protectedRanges Offsets of protected phrase occurrences.
+ * @returns {number} Split offset greater than zero.
+ */
+function findHardSplitOffset(boundaryOffsets, text, fittingIndex, protectedRanges) {
+    const hardSplitOffset = boundaryOffsets[fittingIndex];
+    const containingRange = protectedRanges.find(
+        ([rangeStart, rangeEnd]) => hardSplitOffset > rangeStart && hardSplitOffset < rangeEnd
+    );
+    if (containingRange === undefined) {
+        return hardSplitOffset;
+    }
+    if (containingRange[0] > 0) {
+        return containingRange[0];
+    }
+    const otherRanges = protectedRanges.filter((range) => range !== containingRange);
+    const unprotectedBreakOffset = findBreakOffset(boundaryOffsets, text, fittingIndex, otherRanges);
+    return unprotectedBreakOffset > 0 ? unprotectedBreakOffset : hardSplitOffset;
+}
+
+/**
+ * Finds the last line break within the fitting prefix, or else the last space or punctuation offset, that is not
+ * inside a protected phrase.
+ * @param {number[]} boundaryOffsets Grapheme boundary offsets of the text.
+ * @param {string} text Text being split.
+ * @param {number} fittingIndex Index of the last boundary that keeps the prefix within the limit.
+ * @param {ReadonlyArray<[number, number]>} protectedRanges Offsets of protected phrase occurrences.
+ * @returns {number} Break offset, or -1 when the prefix has no allowed break.
+ */
+function findBreakOffset(boundaryOffsets, text, fittingIndex, protectedRanges) {
+    for (const breakPattern of [/\n/, /[ .,!?;]/]) {
+        for (let index = fittingIndex; index > 0; index -= 1) {
+            const candidateOffset = boundaryOffsets[index];
+            if (
+                breakPattern.test(text.charAt(candidateOffset)) &&
+                !isInsideProtectedRange(protectedRanges, candidateOffset)
+            ) {
+                return candidateOffset;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Breaks a sentence into chunks constrained by the supplied maximum length without splitting grapheme clusters.
  * @param {string} sentenceText Text containing a single sentence.
  * @param {number} maximumLength Character limit for each chunk.
+ * @param {import("../types.d.js").LengthCounterIdentifier} [lengthCounter] Counter used to measure chunk length.
+ * @param {ReadonlyArray<string>} [protectedPhrases] Phrases that are never split unless they alone exceed the limit.
+ *   Links, emails, mentions, hashtags, and cashtags follow the same rule.
+ * @param {boolean} [preserveLineBreaks] Keeps line breaks and prefers them as split points.
+ * @param {import("../types.d.js").InputModeIdentifier} [inputMode] Syntax of the draft. Markdown code, links, and
+ *   emphasis follow the rule of protected phrases.
  * @returns {string[]} Chunks extracted from the sentence.
  */
-function chunkByLength(sentenceText, maximumLength) {
+function chunkByLength(
+    sentenceText,
+    maximumLength,
+    lengthCounter = DEFAULT_LENGTH_COUNTER,
+    protectedPhrases = EMPTY_CHUNKING_DICTIONARY.protectedPhrases,
+    preserveLineBreaks = false,
+    inputMode = INPUT_MODE_IDENTIFIERS.PLAIN_TEXT
+) {
     /** @type {string[]} */
     const resultChunks = [];
-    let remainingText = sentenceText.replace(/\s+/g, " ").trim();
+    let remainingText = collapseWhitespace(sentenceText, preserveLineBreaks);
 
     while (remainingText.length > 0) {
-        if (remainingText.length <= maximumLength) {
+        if (lengthCounterHelpers.measureLength(remainingText, lengthCounter) <= maximumLength) {
             resultChunks.push(remainingText);
             break;
         }
 
-        let breakIndex = -1;
-        for (let index = maximumLength; index >= 0; index -= 1) {
-            if (index > remainingText.length) {
-                continue;
-            }
-            const candidateCharacter = remainingText.charAt(index);
-            if (candidateCharacter === " " || /[.,!?;]/.test(candidateCharacter)) {
-                breakIndex = index;
-                break;
-            }
+        const boundaryOffsets = findGraphemeBoundaries(remainingText);
+        const fittingIndex = findFittingBoundaryIndex(boundaryOffsets, remainingText, maximumLength, lengthCounter);
+        const protectedRanges = [
+            ...findProtectedRanges(remainingText, protectedPhrases),
+            ...textEntityHelpers.findTextEntityRanges(remainingText),
+            ...findSyntaxRanges(remainingText, inputMode)
+        ];
+        const breakOffset = findBreakOffset(boundaryOffsets, remainingText, fittingIndex, protectedRanges);
+        const splitOffset = breakOffset > 0
+            ? breakOffset
+            : findHardSplitOffset(boundaryOffsets, remainingText, fittingIndex, protectedRanges);
+        resultChunks.push(remainingText.slice(0, splitOffset).trim());
+        remainingText = remainingText.slice(splitOffset).trim();
+    }
+
+    return resultChunks;
+}
+
+/**
+ * Partitions units into the fewest chunks that a greedy fill would produce, then spreads the units across that
+ * many chunks so that chunk lengths are as even as possible. Minimizes the sum of squared chunk lengths.
+ * The line break that leads a unit counts as its separator and is dropped when the unit starts a chunk.
+ * @param {string[]} units Sentences or words that each fit within the limit.
+ * @param {number} maximumLength Maximum length of every chunk.
+ * @param {(text: string) => number} measure Length measurement of the active counter.
+ * @param {(leadingText: string, trailingText: string) => string} joinUnits Joins two adjacent units.
+ * @returns {string[]} Balanced chunks in source order.
+ */
+function distributeEvenly(units, maximumLength, measure, joinUnits) {
+    if (units.length === 0) {
+        return [];
+    }
+
+    const unitLengths = units.map((unit) => measure(unit.trimStart()));
+    const separatorLengths = units.map((unit, index) => (
+        index === 0
+            ? 0
+            : measure(joinUnits(units[index - 1].trimStart(), unit)) - unitLengths[index - 1] - unitLengths[index]
+    ));
+    /** @type {number[]} */
+    const prefixLengths = [0];
+    units.forEach((_unit, index) => {
+        prefixLengths.push(prefixLengths[index] + separatorLengths[index] + unitLengths[index]);
+    });
+    /**
+     * @param {number} firstIndex Index of the first unit in the chunk.
+     * @param {number} endIndex Index after the last unit in the chunk.
+     * @returns {number}
+     */
+    const measureRange = (firstIndex, endIndex) => (
+        prefixLengths[endIndex] - prefixLengths[firstIndex] - separatorLengths[firstIndex]
+    );
+
+    let chunkCount = 1;
+    let chunkStartIndex = 0;
+    for (let index = 1; index < units.length; index += 1) {
+        if (measureRange(chunkStartIndex, index + 1) > maximumLength) {
+            chunkCount += 1;
+            chunkStartIndex = index;
         }
+    }
 
-        if (breakIndex > 0) {
-            resultChunks.push(remainingText.slice(0, breakIndex).trim());
-            remainingText = remainingText.slice(breakIndex).trim();
-        } else {
-            resultChunks.push(remainingText.slice(0, maximumLength));
-            remainingText = remainingText.slice(maximumLength).trim();
+    /** @type {number[][]} */
+    const costs = Array.from({ length: chunkCount + 1 }, () => new Array(units.length + 1).fill(Infinity));
+    /** @type {number[][]} */
+    const chunkStarts = Array.from({ length: chunkCount + 1 }, () => new Array(units.length + 1).fill(0));
+    costs[0][0] = 0;
+    for (let chunkIndex = 1; chunkIndex <= chunkCount; chunkIndex += 1) {
+        for (let endIndex = chunkIndex; endIndex <= units.length; endIndex += 1) {
+            for (let firstIndex = endIndex - 1; firstIndex >= chunkIndex - 1; firstIndex -= 1) {
+                const rangeLength = measureRange(firstIndex, endIndex);
+                if (rangeLength > maximumLength) {
+                    break;
+                }
+                const candidateCost = costs[chunkIndex - 1][firstIndex] + rangeLength * rangeLength;
+                if (candidateCost < costs[chunkIndex][endIndex]) {
+                    costs[chunkIndex][endIndex] = candidateCost;
+                    chunkStarts[chunkIndex][endIndex] = firstIndex;
+                }
+            }
         }
     }
 
-    return resultChunks;
+    /** @type {string[]} */
+    const balancedChunks = [];
+    let endIndex = units.length;
+    for (let chunkIndex = chunkCount; chunkIndex > 0; chunkIndex -= 1) {
+        const firstIndex = chunkStarts[chunkIndex][endIndex];
+        balancedChunks.unshift(units.slice(firstIndex, endIndex).reduce(joinUnits).trimStart());
+        endIndex = firstIndex;
+    }
+    return balancedChunks;
+}
+
+/**
+ * Builds balanced chunks from units, cutting units that exceed the limit on their own into standalone chunks.
+ * @param {string[]} units Sentences or words in source order.
+ * @param {number} maximumLength Maximum length of every chunk.
+ * @param {import("../types.d.js").LengthCounterIdentifier} lengthCounter Counter used to measure chunk length.
+ * @param {ReadonlyArray<string>} protectedPhrases Phrases that are never split unless they alone exceed the limit.
+ * @param {(leadingText: string, trailingText: string) => string} joinUnits Joins two adjacent units.
+ * @param {boolean} preserveLineBreaks Keeps line breaks inside chunks that are cut to the limit.
+ * @param {import("../types.d.js").InputModeIdentifier} inputMode Syntax of the draft.
+ * @returns {string[]} Balanced chunks in source order.
+ */
+function buildBalancedChunks(
+    units,
+    maximumLength,
+    lengthCounter,
+    protectedPhrases,
+    joinUnits,
+    preserveLineBreaks,
+    inputMode
+) {
+    /**
+     * @param {string} text Candidate chunk text.
+     * @returns {number}
+     */
+    const measure = (text) => lengthCounterHelpers.measureLength(text, lengthCounter);
+    /** @type {string[]} */
+    const balancedChunks = [];
+    /** @type {string[]} */
+    let fittingUnits = [];
+
+    for (const unit of units) {
+        if (measure(unit.trimStart()) > maximumLength) {
+            balancedChunks.push(...distributeEvenly(fittingUnits, maximumLength, measure, joinUnits));
+            fittingUnits = [];
+            balancedChunks.push(
+                ...chunkByLength(unit, maximumLength, lengthCounter, protectedPhrases, preserveLineBreaks, inputMode)
+            );
+            continue;
+        }
+        fittingUnits.push(unit);
+    }
+    balancedChunks.push(...distributeEvenly(fittingUnits, maximumLength, measure, joinUnits));
+    return balancedChunks;
 }
 
 /**
- * Computes a formatted enumeration label.
- * @param {string} chunkText Text contained in the chunk.
- * @param {number} chunkIndex Zero-based chunk index.
- * @param {number} totalChunks Total number of chunks produced.
- * @returns {string} Enumerated chunk text.
+ * Joins two words with the single space or the preserved line break that separated them in the normalized source.
+ * @param {string} leadingWord Preceding word.
+ * @param {string} trailingWord Following word.
+ * @returns {string}
  */
-function enumerateChunk(chunkText, chunkIndex, totalChunks) {
-    return TEXT_CONTENT.ENUMERATION_TEMPLATE
-        .replace("{text}", chunkText)
-        .replace("{current}", String(chunkIndex + 1))
-        .replace("{total}", String(totalChunks));
+function joinWords(leadingWord, trailingWord) {
+    return trailingWord.startsWith("\n") ? `${leadingWord}${trailingWord}` : `${leadingWord} ${trailingWord}`;
 }
 
 /**
- * Determines the maximum number of characters consumed by enumeration metadata.
- * @param {number} totalChunks Total number of chunks produced for the text.
- * @returns {number} Maximum overhead added by enumeration.
+ * Joins each paragraph that opens a fenced code block with the paragraphs up to the end of the block, so blank lines
+ * inside the block do not end a paragraph.
+ * @param {string[]} paragraphs Paragraphs in source order.
+ * @param {boolean} preserveLineBreaks Keeps the blank lines inside the block.
+ * @returns {string[]} Paragraphs where each fenced code block is inside one paragraph.
  */
-function getMaximumEnumerationOverhead(totalChunks) {
-    if (totalChunks <= 0) {
-        return 0;
+function joinFencedParagraphs(paragraphs, preserveLineBreaks) {
+    /** @type {string[]} */
+    const joinedParagraphs = [];
+    for (const paragraphText of paragraphs) {
+        const lastIndex = joinedParagraphs.length - 1;
+        if (lastIndex >= 0 && markdownSyntaxHelpers.hasOpenFence(joinedParagraphs[lastIndex])) {
+            joinedParagraphs[lastIndex] += `${preserveLineBreaks ? "\n\n" : " "}${paragraphText}`;
+        } else {
+            joinedParagraphs.push(paragraphText);
+        }
     }
-    return enumerateChunk("", totalChunks - 1, totalChunks).length;
+    return joinedParagraphs;
+}
+
+/**
+ * Returns the cached chunks of a text unit, or builds and caches them. Entries of the previous run that this run
+ * uses move to the current run; the others are dropped with the previous run.
+ * @param {import("../types.d.js").ChunkCache} chunkCache Chunks of the previous and the current run.
+ * @param {string} unitText Section, paragraph, or text between pinned posts.
+ * @param {import("../types.d.js").ThreadingOptions} options Options that the chunks depend on.
+ * @param {() => string[]} buildChunks Builds the chunks when no entry exists.
+ * @returns {string[]}
+ */
+function readCachedChunks(chunkCache, unitText, options, buildChunks) {
+    const cacheKey = JSON.stringify([
+        unitText,
+        options.maximumLength,
+        options.breakOnSentences,
+        options.balanceChunks ?? false,
+        options.preserveLineBreaks ?? false,
+        options.lengthCounter ?? DEFAULT_LENGTH_COUNTER,
+        options.sentenceLocale ?? SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+        options.dictionary ?? EMPTY_CHUNKING_DICTIONARY,
+        options.inputMode ?? INPUT_MODE_IDENTIFIERS.PLAIN_TEXT
+    ]);
+    const cachedChunks = chunkCache.current.get(cacheKey) ?? chunkCache.previous.get(cacheKey) ?? buildChunks();
+    chunkCache.current.set(cacheKey, cachedChunks);
+    return cachedChunks;
 }
 
 /**
  * Builds non-enumerated chunks using the supplied configuration.
  * @param {string} rawText Raw text provided by the user.
  * @param {import("../types.d.js").ThreadingOptions} options Threading configuration flags.
+ * @param {import("../types.d.js").ChunkCache | null} [chunkCache] Cache that keeps the chunks of each paragraph between runs.
  * @returns {string[]} Array of base chunks constrained by the maximum length.
  */
-function buildBaseChunks(rawText, options) {
+function buildBaseChunks(rawText, options, chunkCache = null) {
+    if (chunkCache !== null && !options.breakOnParagraphs) {
+        return readCachedChunks(chunkCache, rawText, options, () => buildBaseChunks(rawText, options));
+    }
     const availableLength = Math.max(1, options.maximumLength);
+    const lengthCounter = options.lengthCounter ?? DEFAULT_LENGTH_COUNTER;
+    const dictionary = options.dictionary ?? EMPTY_CHUNKING_DICTIONARY;
+    const preserveLineBreaks = options.preserveLineBreaks ?? false;
+    const inputMode = options.inputMode ?? INPUT_MODE_IDENTIFIERS.PLAIN_TEXT;
+    const sentenceLocale = sentenceLocaleHelpers.resolveSentenceLocale(
+        options.sentenceLocale ?? SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+        rawText
+    );
+    /**
+     * @param {string} text Candidate chunk text.
+     * @returns {number}
+     */
+    const measure = (text) => lengthCounterHelpers.measureLength(text, lengthCounter);
 
     if (options.breakOnParagraphs) {
         /** @type {string[]} */
         const paragraphChunks = [];
-        const normalizedParagraphs = extractParagraphs(rawText);
+        const localeRules = sentenceLocaleHelpers.extendSentenceLocaleRules(
+            sentenceLocaleHelpers.getSentenceLocaleRules(sentenceLocale),
+            dictionary.abbreviations
+        );
+        const extractedParagraphs = extractParagraphs(rawText, localeRules, preserveLineBreaks);
+        const normalizedParagraphs = inputMode === INPUT_MODE_IDENTIFIERS.MARKDOWN
+            ? joinFencedParagraphs(extractedParagraphs, preserveLineBreaks)
+            : extractedParagraphs;
         for (const paragraphText of normalizedParagraphs) {
             if (paragraphText.length === 0) {
                 continue;
             }
-            const nestedOptions = Object.assign({}, options, { breakOnParagraphs: false });
-            paragraphChunks.push(...buildBaseChunks(paragraphText, nestedOptions));
+            const nestedOptions = Object.assign({}, options, { breakOnParagraphs: false, sentenceLocale });
+            paragraphChunks.push(...buildBaseChunks(paragraphText, nestedOptions, chunkCache));
         }
         return paragraphChunks;
     }
 
-    const wordsArray = splitIntoWordsPreservingPunctuation(rawText);
+    const wordsArray = splitIntoWordsPreservingPunctuation(
+        rawText,
+        dictionary.protectedPhrases,
+        preserveLineBreaks,
+        inputMode
+    );
     if (wordsArray.length === 0) {
         return [];
     }
 
-    const sentencesArray = buildSentences(wordsArray, options.breakOnSentences);
+    const sentencesArray = buildSentences(wordsArray, options.breakOnSentences, sentenceLocale, dictionary.abbreviations);
+    if (options.balanceChunks) {
+        return options.breakOnSentences
+            ? buildBalancedChunks(
+                sentencesArray,
+                availableLength,
+                lengthCounter,
+                dictionary.protectedPhrases,
+                joinSentences,
+                preserveLineBreaks,
+                inputMode
+            )
+            : buildBalancedChunks(
+                wordsArray,
+                availableLength,
+                lengthCounter,
+                dictionary.protectedPhrases,
+                joinWords,
+                preserveLineBreaks,
+                inputMode
+            );
+    }
+
     /** @type {string[]} */
     const baseChunks = [];
     let currentChunk = "";
 
     for (const sentence of sentencesArray) {
-        if (sentence.length > availableLength) {
+        const leadingSentence = sentence.trimStart();
+        if (measure(leadingSentence) > availableLength) {
             if (currentChunk.length > 0) {
                 baseChunks.push(currentChunk);
                 currentChunk = "";
             }
-            baseChunks.push(...chunkByLength(sentence, availableLength));
+            baseChunks.push(
+                ...chunkByLength(
+                    sentence,
+                    availableLength,
+                    lengthCounter,
+                    dictionary.protectedPhrases,
+                    preserveLineBreaks,
+                    inputMode
+                )
+            );
             continue;
         }
 
-        const potentialChunk = currentChunk.length > 0 ? `${currentChunk} ${sentence}` : sentence;
-        if (potentialChunk.length <= availableLength) {
+        const potentialChunk = currentChunk.length > 0 ? joinSentences(currentChunk, sentence) : leadingSentence;
+        if (measure(potentialChunk) <= availableLength) {
             currentChunk = potentialChunk;
         } else {
             if (currentChunk.length > 0) {
                 baseChunks.push(currentChunk);
             }
-            currentChunk = sentence;
+            currentChunk = leadingSentence;
         }
     }
 
@@ -530,19 +991,45 @@ function buildBaseChunks(rawText, options) {
 }
 
 /**
- * Calculates statistics for a given chunk of text.
- * @param {string} chunkText Text to analyze.
+ * Splits the text at every post break marker line. The markers do not appear in the sections.
+ * @param {string} rawText Raw text provided by the user.
+ * @returns {string[]} Sections in source order that contain text.
+ */
+function splitAtPostBreaks(rawText) {
+    return normalizeLineSeparators(rawText)
+        .split(POST_BREAK_LINE_PATTERN)
+        .filter((sectionText) => sectionText.trim().length > 0);
+}
+
+/**
+ * Builds non-enumerated chunks for each section between post break markers, so every marker ends a chunk.
+ * @param {string} rawText Raw text provided by the user.
+ * @param {import("../types.d.js").ThreadingOptions} options Threading configuration flags.
+ * @param {import("../types.d.js").ChunkCache | null} [chunkCache] Cache that keeps the chunks of each section between runs.
+ * @returns {string[]} Array of base chunks constrained by the maximum length.
+ */
+function buildSectionChunks(rawText, options, chunkCache = null) {
+    return splitAtPostBreaks(rawText).flatMap((sectionText) => buildBaseChunks(sectionText, options, chunkCache));
+}
+
+/**
+ * Calculates statistics for a given chunk of text. Post break markers do not count, and each one separates
+ * paragraphs.
+ * @param {string} rawText Text to analyze.
+ * @param {import("../types.d.js").LengthCounterIdentifier} [lengthCounter] Counter used for the character count.
  * @returns {import("../types.d.js").ChunkStatistics} Derived statistics.
  */
-function calculateStatistics(chunkText) {
+function calculateStatistics(rawText, lengthCounter = DEFAULT_LENGTH_COUNTER) {
+    const chunkText = POST_BREAK_LINE_PATTERN.test(rawText) ? splitAtPostBreaks(rawText).join("\n\n") : rawText;
     const trimmedInput = chunkText.trim();
-    const paragraphMatches = extractParagraphs(chunkText);
+    const sentenceLocale = sentenceLocaleHelpers.detectSentenceLocale(chunkText);
+    const paragraphMatches = extractParagraphs(chunkText, sentenceLocaleHelpers.getSentenceLocaleRules(sentenceLocale));
 
     const wordsArray = splitIntoWordsPreservingPunctuation(chunkText);
-    const sentenceCount = buildSentences(wordsArray, true).length;
+    const sentenceCount = buildSentences(wordsArray, true, sentenceLocale).length;
 
     return {
-        characters: chunkText.length,
+        characters: lengthCounterHelpers.measureLength(chunkText, lengthCounter),
         words: wordsArray.length,
         sentences: sentenceCount,
         paragraphs: trimmedInput.length === 0 ? 0 : paragraphMatches.length
@@ -550,38 +1037,343 @@ function calculateStatistics(chunkText) {
 }
 
 /**
- * Generates threaded chunks from the provided text.
- * @param {string} rawText Raw text entered by the user.
+ * Finds the source span of each base chunk. Chunking changes only whitespace and removes post break marker lines, so
+ * the other characters of the chunks appear in the source in the same order.
+ * @param {string} rawText Raw text provided by the user.
+ * @param {string[]} baseChunks Base chunks built from the raw text.
+ * @returns {{ sourceStart: number, sourceEnd: number }[]} Source span of each chunk.
+ */
+function locateChunkSpans(rawText, baseChunks) {
+    const markerRanges = Array.from(
+        rawText.matchAll(new RegExp(POST_BREAK_LINE_PATTERN.source, "gm")),
+        (markerMatch) => ({ start: markerMatch.index ?? 0, end: (markerMatch.index ?? 0) + markerMatch[0].length })
+    );
+    /**
+     * @param {number} offset Source offset.
+     * @returns {number} First offset at or after the given offset that holds neither whitespace nor a marker line.
+     */
+    const skipIgnoredSource = (offset) => {
+        let nextOffset = offset;
+        while (nextOffset < rawText.length) {
+            const markerRange = markerRanges.find((range) => range.start <= nextOffset && nextOffset < range.end);
+            if (markerRange !== undefined) {
+                nextOffset = markerRange.end;
+            } else if (SOURCE_WHITESPACE_PATTERN.test(rawText.charAt(nextOffset))) {
+                nextOffset += 1;
+            } else {
+                break;
+            }
+        }
+        return nextOffset;
+    };
+
+    let sourceOffset = 0;
+    return baseChunks.map((chunkText) => {
+        sourceOffset = skipIgnoredSource(sourceOffset);
+        const sourceStart = sourceOffset;
+        for (let characterIndex = 0; characterIndex < chunkText.length; characterIndex += 1) {
+            const character = chunkText.charAt(characterIndex);
+            if (SOURCE_WHITESPACE_PATTERN.test(character)) {
+                continue;
+            }
+            while (sourceOffset < rawText.length && SOURCE_WHITESPACE_PATTERN.test(rawText.charAt(sourceOffset))) {
+                sourceOffset += 1;
+            }
+            if (rawText.charAt(sourceOffset) !== character) {
+                throw new Error("Chunk text does not match the source text");
+            }
+            sourceOffset += 1;
+        }
+        return { sourceStart, sourceEnd: sourceOffset };
+    });
+}
+
+/**
+ * Finds the image placeholder tokens inside a source span.
+ * @param {string} rawText Raw text provided by the user.
+ * @param {number} sourceStart Start offset of the span.
+ * @param {number} sourceEnd End offset of the span.
+ * @returns {import("../types.d.js").ChunkImagePlaceholder[]} Placeholders in source order.
+ */
+function findImagePlaceholders(rawText, sourceStart, sourceEnd) {
+    const placeholderPattern = new RegExp(
+        `${escapePattern(PLACEHOLDER_TOKENS.IMAGE_PREFIX)}.*?${escapePattern(PLACEHOLDER_TOKENS.IMAGE_SUFFIX)}`,
+        "g"
+    );
+    return Array.from(rawText.slice(sourceStart, sourceEnd).matchAll(placeholderPattern), (placeholderMatch) => {
+        const placeholderStart = sourceStart + (placeholderMatch.index ?? 0);
+        return Object.freeze({
+            token: placeholderMatch[0],
+            sourceStart: placeholderStart,
+            sourceEnd: placeholderStart + placeholderMatch[0].length
+        });
+    });
+}
+
+/**
+ * Builds non-enumerated chunks around pinned posts. A pinned post keeps its text and span, and only the text between
+ * pinned posts is chunked.
+ * @param {string} rawText Raw text provided by the user.
+ * @param {ReadonlyArray<import("../types.d.js").PostLayoutEntry>} pinnedPosts Pinned posts in source order.
  * @param {import("../types.d.js").ThreadingOptions} options Threading configuration flags.
- * @returns {string[]} Ordered list of chunk strings, optionally enumerated.
+ * @param {import("../types.d.js").ChunkCache | null} chunkCache Cache that keeps the chunks of each text unit between runs.
+ * @returns {{ baseChunks: string[], pinnedIndices: Set<number> }} Base chunks in source order and the indices of the
+ * pinned posts among them.
  */
-function getChunks(rawText, options) {
-    if (!options.enumerate) {
-        return buildBaseChunks(rawText, options);
+function buildPinnedChunks(rawText, pinnedPosts, options, chunkCache) {
+    /** @type {string[]} */
+    const baseChunks = [];
+    /** @type {Set<number>} */
+    const pinnedIndices = new Set();
+    let gapStart = 0;
+    for (const pinnedPost of pinnedPosts) {
+        if (pinnedPost.sourceStart < gapStart || pinnedPost.sourceEnd > rawText.length) {
+            throw new Error("Pinned posts must be in source order and inside the text");
+        }
+        baseChunks.push(...buildSectionChunks(rawText.slice(gapStart, pinnedPost.sourceStart), options, chunkCache));
+        pinnedIndices.add(baseChunks.length);
+        baseChunks.push(pinnedPost.text);
+        gapStart = pinnedPost.sourceEnd;
+    }
+    baseChunks.push(...buildSectionChunks(rawText.slice(gapStart), options, chunkCache));
+    return { baseChunks, pinnedIndices };
+}
+
+/**
+ * Builds chunks when labels use part of the limit. Only the first chunk has the opener and only the
+ * last chunk has the footer, so each of them has its own limit and the middle chunks keep theirs. When the first
+ * chunk is too long, it is built again with its own limit and the text after it flows into the middle chunks. When
+ * the last chunk is too long, its longest ending that fits its own limit becomes the last chunk. Pinned posts keep
+ * their text.
+ * @param {string} rawText Raw text provided by the user.
+ * @param {ReadonlyArray<import("../types.d.js").PostLayoutEntry>} pinnedPosts Pinned posts in source order.
+ * @param {import("../types.d.js").ThreadingOptions} options Threading configuration flags with the full limit.
+ * @param {import("../types.d.js").LabelOverheads} labelOverheads Length that labels add at each position.
+ * @param {import("../types.d.js").ChunkCache | null} chunkCache Cache that keeps the chunks of each text unit between runs.
+ * @returns {string[]} Array of base chunks in source order.
+ */
+function buildLabelledChunks(rawText, pinnedPosts, options, labelOverheads, chunkCache) {
+    const lengthCounter = options.lengthCounter ?? DEFAULT_LENGTH_COUNTER;
+    const maximumLength = Math.max(1, options.maximumLength);
+    const firstMaximumLength = Math.max(1, maximumLength - labelOverheads.first);
+    const lastMaximumLength = Math.max(1, maximumLength - labelOverheads.last);
+    const middleOptions = Object.assign({}, options, {
+        maximumLength: Math.max(1, maximumLength - labelOverheads.middle)
+    });
+    /**
+     * @param {string} chunkText Chunk text.
+     * @param {number} chunkMaximumLength Limit of the chunk.
+     * @returns {string[]} Parts of the chunk built with the limit.
+     */
+    const splitChunk = (chunkText, chunkMaximumLength) =>
+        buildBaseChunks(chunkText, Object.assign({}, options, { maximumLength: chunkMaximumLength }), chunkCache);
+
+    let { baseChunks, pinnedIndices } = buildPinnedChunks(rawText, pinnedPosts, middleOptions, chunkCache);
+    if (
+        baseChunks.length > 0 &&
+        !pinnedIndices.has(0) &&
+        lengthCounterHelpers.measureLength(baseChunks[0], lengthCounter) > firstMaximumLength
+    ) {
+        const firstChunk = splitChunk(baseChunks[0], firstMaximumLength)[0];
+        const firstChunkEnd = locateChunkSpans(rawText, [firstChunk])[0].sourceEnd;
+        const remainingChunks = buildPinnedChunks(
+            rawText.slice(firstChunkEnd),
+            pinnedPosts.map((pinnedPost) =>
+                Object.assign({}, pinnedPost, {
+                    sourceStart: pinnedPost.sourceStart - firstChunkEnd,
+                    sourceEnd: pinnedPost.sourceEnd - firstChunkEnd
+                })
+            ),
+            middleOptions,
+            chunkCache
+        );
+        baseChunks = [firstChunk, ...remainingChunks.baseChunks];
+        pinnedIndices = new Set(Array.from(remainingChunks.pinnedIndices, (pinnedIndex) => pinnedIndex + 1));
+    }
+
+    const lastIndex = baseChunks.length - 1;
+    const lastChunk = baseChunks[lastIndex];
+    if (
+        lastIndex < 0 ||
+        pinnedIndices.has(lastIndex) ||
+        lengthCounterHelpers.measureLength(lastChunk, lengthCounter) <= lastMaximumLength
+    ) {
+        return baseChunks;
     }
+    const lastPartStarts = locateChunkSpans(lastChunk, splitChunk(lastChunk, lastMaximumLength)).map(
+        (partSpan) => partSpan.sourceStart
+    );
+    const lastChunkStart = lastPartStarts
+        .slice(1)
+        .find(
+            (partStart) =>
+                lengthCounterHelpers.measureLength(lastChunk.slice(partStart), lengthCounter) <= lastMaximumLength
+        );
+    if (lastChunkStart === undefined) {
+        return baseChunks;
+    }
+    return baseChunks
+        .slice(0, lastIndex)
+        .concat(lastChunk.slice(0, lastChunkStart).trimEnd(), lastChunk.slice(lastChunkStart));
+}
+
+/**
+ * Generates threaded chunk descriptors from the provided text. Each descriptor has the final chunk text and the span
+ * of the raw text that the chunk came from. Enumeration labels and thread decorations count in the limit, but they
+ * are not part of the span. Pinned posts keep their boundaries, and only the text around them re-flows.
+ * @param {string} rawText Raw text entered by the user.
+ * @param {import("../types.d.js").ThreadingOptions} options Threading configuration flags.
+ * @param {ReadonlyArray<import("../types.d.js").PostLayoutEntry>} [pinnedPosts] Pinned posts in source order.
+ * @returns {import("../types.d.js").ChunkDescriptor[]} Ordered chunk descriptors.
+ */
+function getChunkDescriptors(rawText, options, pinnedPosts = []) {
+    return computeChunkDescriptors(rawText, options, pinnedPosts, null);
+}
 
-    let effectiveMaximumLength = Math.max(1, options.maximumLength);
+/**
+ * Computes the chunk descriptors of a text, with an optional cache of the chunks of each text unit.
+ * @param {string} rawText Raw text entered by the user.
+ * @param {import("../types.d.js").ThreadingOptions} options Threading configuration flags.
+ * @param {ReadonlyArray<import("../types.d.js").PostLayoutEntry>} pinnedPosts Pinned posts in source order.
+ * @param {import("../types.d.js").ChunkCache | null} chunkCache Cache that keeps the chunks of each text unit between runs.
+ * @returns {import("../types.d.js").ChunkDescriptor[]} Ordered chunk descriptors.
+ */
+function computeChunkDescriptors(rawText, options, pinnedPosts, chunkCache) {
+    const sentenceLocale = sentenceLocaleHelpers.resolveSentenceLocale(
+        options.sentenceLocale ?? SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+        rawText
+    );
+    const localizedOptions = Object.assign({}, options, { sentenceLocale });
+    const hasLabels = threadDecorationHelpers.hasChunkLabels(options);
+
+    /** @type {import("../types.d.js").LabelOverheads} */
+    let labelOverheads = { first: 0, middle: 0, last: 0 };
+    /** @type {Set<string>} */
+    const triedOverheads = new Set();
     /** @type {string[]} */
     let baseChunks = [];
 
     while (true) {
-        const iterationOptions = Object.assign({}, options, { maximumLength: effectiveMaximumLength });
-        baseChunks = buildBaseChunks(rawText, iterationOptions);
-        if (baseChunks.length === 0) {
-            return [];
+        triedOverheads.add(JSON.stringify(labelOverheads));
+        baseChunks = hasLabels
+            ? buildLabelledChunks(rawText, pinnedPosts, localizedOptions, labelOverheads, chunkCache)
+            : buildPinnedChunks(rawText, pinnedPosts, localizedOptions, chunkCache).baseChunks;
+        if (!hasLabels || baseChunks.length === 0) {
+            break;
         }
 
-        const enumerationOverhead = getMaximumEnumerationOverhead(baseChunks.length);
-        const nextEffectiveMaximumLength = Math.max(1, options.maximumLength - enumerationOverhead);
-
-        if (nextEffectiveMaximumLength === effectiveMaximumLength) {
+        const nextOverheads = threadDecorationHelpers.getLabelOverheads(
+            baseChunks.length,
+            options.lengthCounter ?? DEFAULT_LENGTH_COUNTER,
+            options
+        );
+        if (JSON.stringify(nextOverheads) === JSON.stringify(labelOverheads)) {
             break;
         }
+        // A thread can swing between two chunk counts; the larger overheads of both then end the swing.
+        labelOverheads = triedOverheads.has(JSON.stringify(nextOverheads))
+            ? {
+                first: Math.max(labelOverheads.first, nextOverheads.first),
+                middle: Math.max(labelOverheads.middle, nextOverheads.middle),
+                last: Math.max(labelOverheads.last, nextOverheads.last)
+            }
+            : nextOverheads;
+        if (triedOverheads.has(JSON.stringify(labelOverheads))) {
+            break;
+        }
+    }
 
-        effectiveMaximumLength = nextEffectiveMaximumLength;
+    return createChunkDescriptors(rawText, baseChunks, locateChunkSpans(rawText, baseChunks), options);
+}
+
+/**
+ * Converts the text of a Markdown post to plain text when the options ask for it.
+ * @param {string} chunkText Chunk text without labels.
+ * @param {import("../types.d.js").MarkdownRenderOptions} renderOptions Input mode and Markdown conversion settings.
+ * @returns {string} Text that the post shows.
+ */
+function renderChunkText(chunkText, renderOptions) {
+    if (renderOptions.inputMode !== INPUT_MODE_IDENTIFIERS.MARKDOWN || !renderOptions.renderMarkdown) {
+        return chunkText;
     }
+    return markdownSyntaxHelpers.renderMarkdown(chunkText, renderOptions.markdownRules ?? DEFAULT_MARKDOWN_RENDER_RULES);
+}
+
+/**
+ * Builds the descriptors of base chunks with known source spans. Labels use the position of each chunk in the list.
+ * Markdown posts are converted to plain text before labels are added; the base text keeps the Markdown.
+ * @param {string} rawText Raw text provided by the user.
+ * @param {string[]} baseChunks Chunk texts without labels.
+ * @param {{ sourceStart: number, sourceEnd: number }[]} chunkSpans Source span of each chunk.
+ * @param {import("../types.d.js").PostTextOptions} textOptions Enumeration, decoration, and Markdown settings.
+ * @returns {import("../types.d.js").ChunkDescriptor[]} Ordered chunk descriptors.
+ */
+function createChunkDescriptors(rawText, baseChunks, chunkSpans, textOptions) {
+    const hasLabels = threadDecorationHelpers.hasChunkLabels(textOptions);
+    return baseChunks.map((chunkText, index) =>
+        Object.freeze({
+            text: hasLabels
+                ? threadDecorationHelpers.labelChunk(
+                    renderChunkText(chunkText, textOptions),
+                    index,
+                    baseChunks.length,
+                    textOptions
+                )
+                : renderChunkText(chunkText, textOptions),
+            baseText: chunkText,
+            sourceText: rawText.slice(chunkSpans[index].sourceStart, chunkSpans[index].sourceEnd),
+            sourceStart: chunkSpans[index].sourceStart,
+            sourceEnd: chunkSpans[index].sourceEnd,
+            imagePlaceholders: findImagePlaceholders(rawText, chunkSpans[index].sourceStart, chunkSpans[index].sourceEnd)
+        })
+    );
+}
 
-    return baseChunks.map((chunkText, index) => enumerateChunk(chunkText, index, baseChunks.length));
+/**
+ * Generates chunk descriptors for posts that the user arranged by hand. The posts keep their text and order, and
+ * only the labels and the Markdown conversion follow the current options, so a post can exceed the limit.
+ * @param {string} rawText Raw text that the layout belongs to.
+ * @param {import("../types.d.js").PostLayoutEntry[]} posts Posts in thread order.
+ * @param {import("../types.d.js").PostTextOptions} textOptions Enumeration, decoration, and Markdown settings.
+ * @returns {import("../types.d.js").ChunkDescriptor[]} Ordered chunk descriptors.
+ */
+function getLayoutDescriptors(rawText, posts, textOptions) {
+    return createChunkDescriptors(
+        rawText,
+        posts.map((post) => post.text),
+        posts.map((post) => ({ sourceStart: post.sourceStart, sourceEnd: post.sourceEnd })),
+        textOptions
+    );
+}
+
+/**
+ * Creates a chunker that keeps the chunks of each section, paragraph, and text between pinned posts from its previous
+ * run. A run only re-chunks the units whose text or options changed. Paragraphs are units only when posts break on
+ * paragraphs; otherwise posts can span paragraphs, and the units are the sections between post break markers.
+ * @returns {{ getChunkDescriptors: (rawText: string, options: import("../types.d.js").ThreadingOptions, pinnedPosts?: ReadonlyArray<import("../types.d.js").PostLayoutEntry>) => import("../types.d.js").ChunkDescriptor[] }}
+ */
+function createIncrementalChunker() {
+    /** @type {Map<string, string[]>} */
+    let previousChunks = new Map();
+    return Object.freeze({
+        getChunkDescriptors(rawText, options, pinnedPosts = []) {
+            /** @type {import("../types.d.js").ChunkCache} */
+            const chunkCache = { previous: previousChunks, current: new Map() };
+            const chunkDescriptors = computeChunkDescriptors(rawText, options, pinnedPosts, chunkCache);
+            previousChunks = chunkCache.current;
+            return chunkDescriptors;
+        }
+    });
+}
+
+/**
+ * Generates threaded chunks from the provided text. Enumeration labels and thread decorations count in the limit.
+ * @param {string} rawText Raw text entered by the user.
+ * @param {import("../types.d.js").ThreadingOptions} options Threading configuration flags.
+ * @returns {string[]} Ordered list of chunk strings, optionally enumerated and decorated.
+ */
+function getChunks(rawText, options) {
+    return getChunkDescriptors(rawText, options).map((chunkDescriptor) => chunkDescriptor.text);
 }
 
 export const chunkingService = Object.freeze({
@@ -589,5 +1381,10 @@ export const chunkingService = Object.freeze({
     buildSentences,
     chunkByLength,
     getChunks,
-    calculateStatistics
+    getChunkDescriptors,
+    getLayoutDescriptors,
+    createIncrementalChunker,
+    locateChunkSpans,
+    calculateStatistics,
+    measureLength: lengthCounterHelpers.measureLength
 });
@@ -0,0 +1,159 @@
+// @ts-check
+/**
+ * @fileoverview Runs chunking in a Web Worker when one is available, otherwise on the main thread. Only the latest
+ * request reaches its callback: a newer request or a cancel makes the older runs stale.
+ */
+
+import { chunkingService } from "./chunking.js";
+import { loggingHelpers } from "../utils/logging.js";
+
+/**
+ * Creates the message handler of the chunking worker. The handler keeps an incremental chunker between requests.
+ * @returns {(request: import("../types.d.js").ChunkingWorkerRequest) => import("../types.d.js").ChunkingWorkerResponse}
+ */
+function createWorkerMessageHandler() {
+    const incrementalChunker = chunkingService.createIncrementalChunker();
+    return (request) => {
+        try {
+            return {
+                requestId: request.requestId,
+                chunkDescriptors: incrementalChunker.getChunkDescriptors(
+                    request.rawText,
+                    request.options,
+                    request.pinnedPosts
+                )
+            };
+        } catch (error) {
+            return {
+                requestId: request.requestId,
+                errorMessage: error instanceof Error ? error.message : String(error)
+            };
+        }
+    };
+}
+
+/**
+ * Creates a scheduler for chunking requests. With a worker, one run is in flight at a time and only the latest
+ * waiting request is kept; results of stale runs are dropped. Without a worker, or after the worker fails to load,
+ * requests run at once on the main thread with an incremental chunker. An error response of the worker is logged and
+ * its request runs again on the main thread. A request that fails on the main thread is logged and has no result.
+ * @param {{ worker: Worker | null }} input Scheduler dependencies.
+ * @returns {{ schedule: (request: import("../types.d.js").ChunkingRequest, onResult: (chunkDescriptors: import("../types.d.js").ChunkDescriptor[]) => void) => void, cancel: () => void }}
+ */
+function createChunkingScheduler(input) {
+    const incrementalChunker = chunkingService.createIncrementalChunker();
+    let worker = input.worker;
+    let nextRequestId = 1;
+    /** @type {{ requestId: number, request: import("../types.d.js").ChunkingRequest } | null} */
+    let runningRequest = null;
+    /** @type {import("../types.d.js").ChunkingRequest | null} */
+    let waitingRequest = null;
+    /** @type {((chunkDescriptors: import("../types.d.js").ChunkDescriptor[]) => void) | null} */
+    let resultHandler = null;
+
+    /**
+     * @param {import("../types.d.js").ChunkingRequest} request Request to run on the main thread.
+     * @returns {void}
+     */
+    const runOnMainThread = (request) => {
+        const handleResult = resultHandler;
+        resultHandler = null;
+        /** @type {import("../types.d.js").ChunkDescriptor[]} */
+        let chunkDescriptors;
+        try {
+            chunkDescriptors = incrementalChunker.getChunkDescriptors(
+                request.rawText,
+                request.options,
+                request.pinnedPosts
+            );
+        } catch (error) {
+            loggingHelpers.reportChunkingFailure(error);
+            return;
+        }
+        if (handleResult !== null) {
+            handleResult(chunkDescriptors);
+        }
+    };
+
+    /**
+     * @param {Worker} activeWorker Worker that runs the request.
+     * @param {import("../types.d.js").ChunkingRequest} request Request to send.
+     * @returns {void}
+     */
+    const postRequest = (activeWorker, request) => {
+        runningRequest = { requestId: nextRequestId, request };
+        nextRequestId += 1;
+        /** @type {import("../types.d.js").ChunkingWorkerRequest} */
+        const workerRequest = {
+            requestId: runningRequest.requestId,
+            rawText: request.rawText,
+            options: request.options,
+            pinnedPosts: request.pinnedPosts
+        };
+        activeWorker.postMessage(workerRequest);
+    };
+
+    if (worker !== null) {
+        const activeWorker = worker;
+        activeWorker.addEventListener("message", (messageEvent) => {
+            /** @type {import("../types.d.js").ChunkingWorkerResponse} */
+            const response = messageEvent.data;
+            if (runningRequest === null || response.requestId !== runningRequest.requestId) {
+                return;
+            }
+            const finishedRequest = runningRequest.request;
+            runningRequest = null;
+            if (waitingRequest !== null) {
+                const nextRequest = waitingRequest;
+                waitingRequest = null;
+                postRequest(activeWorker, nextRequest);
+                return;
+            }
+            if (typeof response.errorMessage === "string") {
+                loggingHelpers.reportChunkingWorkerRunFailure(new Error(response.errorMessage));
+                if (resultHandler !== null) {
+                    runOnMainThread(finishedRequest);
+                }
+                return;
+            }
+            const handleResult = resultHandler;
+            resultHandler = null;
+            if (handleResult !== null && Array.isArray(response.chunkDescriptors)) {
+                handleResult(response.chunkDescriptors);
+            }
+        });
+        activeWorker.addEventListener("error", () => {
+            worker = null;
+            const pendingRequest = waitingRequest ?? (runningRequest === null ? null : runningRequest.request);
+            runningRequest = null;
+            waitingRequest = null;
+            if (pendingRequest !== null && resultHandler !== null) {
+                runOnMainThread(pendingRequest);
+            }
+        });
+    }
+
+    return Object.freeze({
+        schedule(request, onResult) {
+            resultHandler = onResult;
+            if (worker === null) {
+                runOnMainThread(request);
+                return;
+            }
+            if (runningRequest !== null) {
+                waitingRequest = request;
+                return;
+            }
+            postRequest(worker, request);
+        },
+        cancel() {
+            resultHandler = null;
+            waitingRequest = null;
+        }
+    });
+}
+
+export const chunkingSchedulerHelpers = Object.freeze({
+    createWorkerMessageHandler,
+    createChunkingScheduler
+});
@@ -0,0 +1,114 @@
+// @ts-check
+/**
+ * @fileoverview Keeps the copy order of chunks that a re-chunk does not change.
+ */
+
+/**
+ * Counts the characters that two texts share at the start.
+ * @param {string} firstText First text.
+ * @param {string} secondText Second text.
+ * @returns {number}
+ */
+function commonPrefixLength(firstText, secondText) {
+    const maximumLength = Math.min(firstText.length, secondText.length);
+    for (let characterIndex = 0; characterIndex < maximumLength; characterIndex += 1) {
+        if (firstText.charAt(characterIndex) !== secondText.charAt(characterIndex)) {
+            return characterIndex;
+        }
+    }
+    return maximumLength;
+}
+
+/**
+ * Counts the characters that two texts share at the end, without overlapping the shared start.
+ * @param {string} firstText First text.
+ * @param {string} secondText Second text.
+ * @param {number} sharedPrefixLength Length of the shared start.
+ * @returns {number}
+ */
+function commonSuffixLength(firstText, secondText, sharedPrefixLength) {
+    const maximumLength = Math.min(firstText.length, secondText.length) - sharedPrefixLength;
+    for (let characterIndex = 0; characterIndex < maximumLength; characterIndex += 1) {
+        const firstCharacter = firstText.charAt(firstText.length - characterIndex - 1);
+        const secondCharacter = secondText.charAt(secondText.length - characterIndex - 1);
+        if (firstCharacter !== secondCharacter) {
+            return characterIndex;
+        }
+    }
+    return maximumLength;
+}
+
+/**
+ * Creates a function that moves a source span of the previous text to the same span of the next text. Spans in the
+ * changed part of the text have no position in the next text.
+ * @param {string} previousText Source text before the change.
+ * @param {string} nextText Source text after the change.
+ * @returns {(sourceStart: number, sourceEnd: number) => { sourceStart: number, sourceEnd: number } | null}
+ */
+function createSpanMapper(previousText, nextText) {
+    const sharedPrefixLength = commonPrefixLength(previousText, nextText);
+    const sharedSuffixLength = commonSuffixLength(previousText, nextText, sharedPrefixLength);
+    const changedPreviousEnd = previousText.length - sharedSuffixLength;
+    const offsetDelta = nextText.length - previousText.length;
+    return (sourceStart, sourceEnd) => {
+        if (sourceEnd <= sharedPrefixLength) {
+            return { sourceStart, sourceEnd };
+        }
+        if (sourceStart >= changedPreviousEnd) {
+            return { sourceStart: sourceStart + offsetDelta, sourceEnd: sourceEnd + offsetDelta };
+        }
+        return null;
+    };
+}
+
+/**
+ * Finds the copy order of each next chunk. A next chunk keeps the order of a copied previous chunk when both have the
+ * same variant and text, and the previous span maps to the next span. Chunks that an edit changes or moves to another
+ * post lose their order.
+ * @param {Object} params Carry-over parameters.
+ * @param {string} params.previousText Source text of the previous chunks.
+ * @param {import("../types.d.js").ChunkContent[]} params.previousChunks Chunks rendered before the re-chunk.
+ * @param {Map<import("../types.d.js").ChunkContent, number>} params.previousCopyOrders Copy order of each copied previous chunk.
+ * @param {string} params.nextText Source text of the next chunks.
+ * @param {import("../types.d.js").ChunkContent[]} params.nextChunks Chunks of the re-chunk.
+ * @returns {(number | null)[]} Copy order of each next chunk, or null when it is not copied.
+ */
+function carryCopyOrders({ previousText, previousChunks, previousCopyOrders, nextText, nextChunks }) {
+    const mapSpan = createSpanMapper(previousText, nextText);
+    /** @type {Map<string, number>} */
+    const copyOrdersByIdentity = new Map();
+    previousChunks.forEach((previousChunk) => {
+        const copyOrder = previousCopyOrders.get(previousChunk);
+        if (copyOrder === undefined || typeof previousChunk.sourceStart !== "number") {
+            return;
+        }
+        const mappedSpan = mapSpan(previousChunk.sourceStart, Number(previousChunk.sourceEnd));
+        if (mappedSpan === null) {
+            return;
+        }
+        copyOrdersByIdentity.set(createChunkIdentity(previousChunk, mappedSpan.sourceStart, mappedSpan.sourceEnd), copyOrder);
+    });
+    return nextChunks.map((nextChunk) => {
+        if (typeof nextChunk.sourceStart !== "number") {
+            return null;
+        }
+        const identity = createChunkIdentity(nextChunk, nextChunk.sourceStart, Number(nextChunk.sourceEnd));
+        return copyOrdersByIdentity.get(identity) ?? null;
+    });
+}
+
+/**
+ * Builds the key that identifies a chunk at a source span.
+ * @param {import("../types.d.js").ChunkContent} chunk Chunk content.
+ * @param {number} sourceStart Start offset of the chunk.
+ * @param {number} sourceEnd End offset of the chunk.
+ * @returns {string}
+ */
+function createChunkIdentity(chunk, sourceStart, sourceEnd) {
+    return JSON.stringify([chunk.variant, chunk.htmlContent, sourceStart, sourceEnd]);
+}
+
+export const copyTrackingHelpers = Object.freeze({
+    createSpanMapper,
+    carryCopyOrders
+});
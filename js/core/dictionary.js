@@ -0,0 +1,111 @@
+// @ts-check
+/**
+ * @fileoverview User dictionary of custom abbreviations and protected phrases, with a persistent store.
+ */
+
+import { EMPTY_CHUNKING_DICTIONARY, STORAGE_KEYS } from "../constants.js";
+import { loggingHelpers } from "../utils/logging.js";
+
+/**
+ * Splits editor text into unique entries, one per line, with inner whitespace collapsed.
+ * @param {string} entryText Text with one entry per line.
+ * @returns {string[]}
+ */
+function parseDictionaryEntries(entryText) {
+    const entries = entryText
+        .split("\n")
+        .map((line) => line.trim().replace(/\s+/g, " "))
+        .filter((line) => line.length > 0);
+    return Array.from(new Set(entries));
+}
+
+/**
+ * Joins entries into editor text with one entry per line.
+ * @param {ReadonlyArray<string>} entries Dictionary entries.
+ * @returns {string}
+ */
+function formatDictionaryEntries(entries) {
+    return entries.join("\n");
+}
+
+/**
+ * Builds a dictionary from the raw text of the abbreviation and protected phrase editors.
+ * @param {string} abbreviationText Abbreviations, one per line.
+ * @param {string} protectedPhraseText Protected phrases, one per line.
+ * @returns {import("../types.d.js").ChunkingDictionary}
+ */
+function createChunkingDictionary(abbreviationText, protectedPhraseText) {
+    return Object.freeze({
+        abbreviations: Object.freeze(parseDictionaryEntries(abbreviationText)),
+        protectedPhrases: Object.freeze(parseDictionaryEntries(protectedPhraseText))
+    });
+}
+
+/**
+ * Determines whether a stored value is a list of strings.
+ * @param {unknown} value Parsed value.
+ * @returns {value is string[]}
+ */
+function isStringList(value) {
+    return Array.isArray(value) && value.every((entry) => typeof entry === "string");
+}
+
+/**
+ * Parses a stored dictionary.
+ * @param {string} storedValue JSON text from the storage.
+ * @returns {import("../types.d.js").ChunkingDictionary}
+ */
+function parseStoredDictionary(storedValue) {
+    const parsedValue = JSON.parse(storedValue);
+    if (
+        parsedValue === null ||
+        typeof parsedValue !== "object" ||
+        !isStringList(parsedValue.abbreviations) ||
+        !isStringList(parsedValue.protectedPhrases)
+    ) {
+        throw new Error("Invalid stored chunking dictionary");
+    }
+    return Object.freeze({
+        abbreviations: Object.freeze([...parsedValue.abbreviations]),
+        protectedPhrases: Object.freeze([...parsedValue.protectedPhrases])
+    });
+}
+
+/**
+ * Creates a store that persists the dictionary as JSON in a key-value storage. A stored value that cannot be read is
+ * logged and loads as the empty dictionary.
+ * @param {import("../types.d.js").KeyValueStorage} storage Storage such as window.localStorage.
+ * @returns {{ load: () => import("../types.d.js").ChunkingDictionary, save: (dictionary: import("../types.d.js").ChunkingDictionary) => void }}
+ */
+function createDictionaryStore(storage) {
+    return Object.freeze({
+        load() {
+            const storedValue = storage.getItem(STORAGE_KEYS.CHUNKING_DICTIONARY);
+            if (storedValue === null) {
+                return EMPTY_CHUNKING_DICTIONARY;
+            }
+            try {
+                return parseStoredDictionary(storedValue);
+            } catch (error) {
+                loggingHelpers.reportStoredSettingFailure(error);
+                return EMPTY_CHUNKING_DICTIONARY;
+            }
+        },
+        save(dictionary) {
+            storage.setItem(
+                STORAGE_KEYS.CHUNKING_DICTIONARY,
+                JSON.stringify({
+                    abbreviations: dictionary.abbreviations,
+                    protectedPhrases: dictionary.protectedPhrases
+                })
+            );
+        }
+    });
+}
+
+export const dictionaryHelpers = Object.freeze({
+    parseDictionaryEntries,
+    formatDictionaryEntries,
+    createChunkingDictionary,
+    createDictionaryStore
+});
@@ -0,0 +1,467 @@
+// @ts-check
+/**
+ * @fileoverview Converts Markdown, plain text, and HTML drafts into the rich text document of the editor. Headings,
+ * list blocks, and other blocks become paragraphs with blank lines around them, so chunking sees their boundaries.
+ * Embedded images with data URLs become image placeholders; other images keep only their alt text.
+ */
+
+import {
+    DRAFT_FILE_EXTENSIONS,
+    DRAFT_FORMAT_IDENTIFIERS,
+    DRAFT_MIME_TYPES,
+    IMAGE_FILE_EXTENSIONS,
+    PLACEHOLDER_TOKENS
+} from "../constants.js";
+import { richTextHelpers } from "./richText.js";
+
+/** @type {string} */
+const PARAGRAPH_SEPARATOR = "\n\n";
+/** @type {string} */
+const BULLET_MARKER = "• ";
+/** @type {RegExp} Data URL with base64 data only, so the URL cannot hold quotes or markup. */
+const BASE64_DATA_URL_PATTERN = /^data:([a-z]+\/[a-z0-9.+-]+);base64,[A-Za-z0-9+/]+={0,2}$/i;
+/** @type {number} */
+const ELEMENT_NODE_TYPE = 1;
+/** @type {number} */
+const TEXT_NODE_TYPE = 3;
+/** @type {RegExp} */
+const LINK_URL_PATTERN = /^(?:https?|mailto):/i;
+/** @type {RegExp} Private-use characters around the index of a protected text. */
+const PROTECTED_TEXT_PATTERN = /\uE000(\d+)\uE001/g;
+
+/** @type {RegExp} */
+const MARKDOWN_HEADING_PATTERN = /^ {0,3}#{1,6}(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+/** @type {RegExp} */
+const MARKDOWN_SETEXT_UNDERLINE_PATTERN = /^ {0,3}(?:=+|-+)[ \t]*$/;
+/** @type {RegExp} */
+const MARKDOWN_THEMATIC_BREAK_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+/** @type {RegExp} */
+const MARKDOWN_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+/** @type {RegExp} */
+const MARKDOWN_BULLET_ITEM_PATTERN = /^[ \t]*[-*+][ \t]+(.*)$/;
+/** @type {RegExp} */
+const MARKDOWN_ORDERED_ITEM_PATTERN = /^[ \t]*(\d{1,9})[.)][ \t]+(.*)$/;
+/** @type {RegExp} */
+const MARKDOWN_BLOCKQUOTE_PATTERN = /^(?: {0,3}>[ \t]?)+/;
+/** @type {RegExp} */
+const MARKDOWN_REFERENCE_DEFINITION_PATTERN = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/;
+/** @type {RegExp} */
+const MARKDOWN_ESCAPE_PATTERN = /\\([!-/:-@[-`{-~])/g;
+/** @type {RegExp} */
+const MARKDOWN_CODE_SPAN_PATTERN = /(`+)([\s\S]*?[^`])\1(?!`)/g;
+/** @type {RegExp} */
+const MARKDOWN_INLINE_IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/g;
+/** @type {RegExp} */
+const MARKDOWN_REFERENCE_IMAGE_PATTERN = /!\[([^\]]*)\]\[([^\]]*)\]/g;
+/** @type {RegExp} */
+const MARKDOWN_INLINE_LINK_PATTERN = /\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/g;
+/** @type {RegExp} */
+const MARKDOWN_REFERENCE_LINK_PATTERN = /\[([^\]]+)\]\[([^\]]*)\]/g;
+/** @type {RegExp} */
+const MARKDOWN_AUTOLINK_PATTERN = /<((?:https?|mailto):[^\s>]+)>/gi;
+/** @type {RegExp} */
+const MARKDOWN_STRONG_PATTERN = /(\*\*|__)(?=\S)([\s\S]*?\S)\1/g;
+/** @type {RegExp} */
+const MARKDOWN_ASTERISK_EMPHASIS_PATTERN = /\*(?=[^\s*])([^*]*?[^\s*])\*/g;
+/** @type {RegExp} */
+const MARKDOWN_UNDERSCORE_EMPHASIS_PATTERN = /(^|[^\p{L}\p{N}_])_(?=[^\s_])([^_]*?[^\s_])_(?![\p{L}\p{N}_])/gu;
+/** @type {RegExp} */
+const MARKDOWN_STRIKETHROUGH_PATTERN = /~~(?=\S)([\s\S]*?\S)~~/g;
+/** @type {RegExp} */
+const MARKDOWN_LINE_BREAK_TAG_PATTERN = /<br\s*\/?>/gi;
+
+/** @type {ReadonlySet<string>} */
+const HTML_SKIPPED_TAGS = new Set(["SCRIPT", "STYLE", "TEMPLATE", "NOSCRIPT", "HEAD", "IFRAME", "OBJECT", "EMBED"]);
+/** @type {ReadonlySet<string>} */
+const HTML_BLOCK_TAGS = new Set([
+    "ADDRESS",
+    "ARTICLE",
+    "ASIDE",
+    "BLOCKQUOTE",
+    "DD",
+    "DIV",
+    "DL",
+    "DT",
+    "FIGCAPTION",
+    "FIGURE",
+    "FOOTER",
+    "H1",
+    "H2",
+    "H3",
+    "H4",
+    "H5",
+    "H6",
+    "HEADER",
+    "MAIN",
+    "NAV",
+    "P",
+    "SECTION",
+    "TABLE",
+    "TR"
+]);
+
+/**
+ * Collects the images of a draft in document order.
+ * @typedef {Object} DraftImageCollector
+ * @property {import("../types.d.js").RichTextImage[]} images Images found so far.
+ * @property {(dataUrl: string, altText: string) => string} addImage Adds an image and returns its placeholder token.
+ */
+
+/**
+ * Determines whether an image URL can come into the editor. Only base64 data URLs of the image types in
+ * `IMAGE_FILE_EXTENSIONS` are accepted.
+ * @param {string} url Image URL from the draft.
+ * @returns {boolean}
+ */
+function isImportableImageUrl(url) {
+    const dataUrlMatch = BASE64_DATA_URL_PATTERN.exec(url);
+    return (
+        dataUrlMatch !== null &&
+        Object.prototype.hasOwnProperty.call(IMAGE_FILE_EXTENSIONS, dataUrlMatch[1].toLowerCase())
+    );
+}
+
+/**
+ * Creates an image collector for one draft.
+ * @returns {DraftImageCollector}
+ */
+function createImageCollector() {
+    /** @type {import("../types.d.js").RichTextImage[]} */
+    const images = [];
+    return {
+        images,
+        addImage(dataUrl, altText) {
+            const placeholderToken = richTextHelpers.createPlaceholderToken(images.length);
+            images.push({ placeholderToken, dataUrl, altText: altText.trim() });
+            return placeholderToken;
+        }
+    };
+}
+
+/**
+ * Finds the draft format of a file from its extension, or from its type when the extension is unknown.
+ * @param {string} fileName File name.
+ * @param {string} mimeType File type reported by the browser. It can be empty.
+ * @returns {import("../types.d.js").DraftFormatIdentifier | null} Null when the file is not a supported draft.
+ */
+function detectDraftFormat(fileName, mimeType) {
+    const extensionStart = fileName.lastIndexOf(".");
+    const extension = extensionStart === -1 ? "" : fileName.slice(extensionStart + 1).toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(DRAFT_FILE_EXTENSIONS, extension)) {
+        return DRAFT_FILE_EXTENSIONS[extension];
+    }
+    const baseMimeType = mimeType.split(";")[0].trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(DRAFT_MIME_TYPES, baseMimeType)) {
+        return DRAFT_MIME_TYPES[baseMimeType];
+    }
+    return null;
+}
+
+/**
+ * Creates the editor document from placeholder text. Lines are trimmed and runs of blank lines become one blank line,
+ * as in an editor snapshot.
+ * @param {string} placeholderText Text with image placeholder tokens.
+ * @param {import("../types.d.js").RichTextImage[]} images Images of the placeholder tokens in order.
+ * @returns {import("../types.d.js").RichTextDocument}
+ */
+function createDraftDocument(placeholderText, images) {
+    const normalizedText = placeholderText
+        .replace(/\r\n?/g, "\n")
+        .replace(/\u00a0/g, " ")
+        .split("\n")
+        .map((line) => line.trim())
+        .join("\n")
+        .replace(/\n{3,}/g, PARAGRAPH_SEPARATOR)
+        .trim();
+    return {
+        placeholderText: normalizedText,
+        plainText: richTextHelpers.extractPlainText(normalizedText, images),
+        images
+    };
+}
+
+/**
+ * Converts a plain text draft.
+ * @param {string} draftText File content.
+ * @returns {import("../types.d.js").RichTextDocument}
+ */
+function convertPlainText(draftText) {
+    return createDraftDocument(draftText, []);
+}
+
+/**
+ * Converts inline Markdown to plain text: emphasis and code marks are removed, links show their URL after the text,
+ * and images become placeholders or their alt text.
+ * @param {string} markdownText Text of one block.
+ * @param {Map<string, string>} referenceUrls URLs of reference definitions by lowercase label.
+ * @param {DraftImageCollector} imageCollector Collector of the draft images.
+ * @returns {string}
+ */
+function convertMarkdownInline(markdownText, referenceUrls, imageCollector) {
+    /** @type {string[]} */
+    const protectedTexts = [];
+    /**
+     * @param {string} text Text that later steps must not change.
+     * @returns {string}
+     */
+    const protect = (text) => {
+        protectedTexts.push(text);
+        return `\uE000${protectedTexts.length - 1}\uE001`;
+    };
+    /**
+     * @param {string} text Text with protected parts, which can hold protected parts too.
+     * @returns {string}
+     */
+    const restore = (text) =>
+        text.replace(PROTECTED_TEXT_PATTERN, (match, textIndex) => restore(protectedTexts[Number(textIndex)]));
+    /**
+     * @param {string} altText Image description.
+     * @param {string | undefined} url Image URL.
+     * @returns {string}
+     */
+    const convertImage = (altText, url) =>
+        typeof url === "string" && isImportableImageUrl(url)
+            ? protect(imageCollector.addImage(url, restore(altText)))
+            : altText;
+    /**
+     * @param {string} linkText Link text.
+     * @param {string | undefined} url Link target.
+     * @returns {string}
+     */
+    const convertLink = (linkText, url) => {
+        if (typeof url !== "string") {
+            return linkText;
+        }
+        return url === linkText ? protect(url) : `${linkText} (${protect(url)})`;
+    };
+
+    const convertedText = markdownText
+        .replace(richTextHelpers.createPlaceholderPattern(), (token) => protect(token))
+        .replace(MARKDOWN_ESCAPE_PATTERN, (match, escapedCharacter) => protect(escapedCharacter))
+        .replace(MARKDOWN_CODE_SPAN_PATTERN, (match, fence, codeText) => protect(codeText.trim()))
+        .replace(MARKDOWN_INLINE_IMAGE_PATTERN, (match, altText, url) => convertImage(altText, url))
+        .replace(MARKDOWN_REFERENCE_IMAGE_PATTERN, (match, altText, label) =>
+            convertImage(altText, referenceUrls.get(restore(label || altText).toLowerCase()))
+        )
+        .replace(MARKDOWN_INLINE_LINK_PATTERN, (match, linkText, url) => convertLink(linkText, url))
+        .replace(MARKDOWN_REFERENCE_LINK_PATTERN, (match, linkText, label) =>
+            convertLink(linkText, referenceUrls.get(restore(label || linkText).toLowerCase()))
+        )
+        .replace(MARKDOWN_AUTOLINK_PATTERN, (match, url) => protect(url))
+        .replace(MARKDOWN_LINE_BREAK_TAG_PATTERN, "\n")
+        .replace(MARKDOWN_STRONG_PATTERN, "$2")
+        .replace(MARKDOWN_ASTERISK_EMPHASIS_PATTERN, "$1")
+        .replace(MARKDOWN_UNDERSCORE_EMPHASIS_PATTERN, "$1$2")
+        .replace(MARKDOWN_STRIKETHROUGH_PATTERN, "$1");
+    return restore(convertedText);
+}
+
+/**
+ * Converts a Markdown draft. Headings become paragraphs of their own, list items become lines with bullets or
+ * numbers, and thematic breaks become post break markers.
+ * @param {string} draftText File content.
+ * @returns {import("../types.d.js").RichTextDocument}
+ */
+function convertMarkdown(draftText) {
+    const imageCollector = createImageCollector();
+    /** @type {Map<string, string>} */
+    const referenceUrls = new Map();
+    /** @type {{ text: string, isLiteral: boolean }[]} */
+    const blocks = [];
+    /** @type {string[]} */
+    let paragraphLines = [];
+    let paragraphIsList = false;
+    /** @type {string | null} */
+    let openFence = null;
+
+    const flushParagraph = () => {
+        if (paragraphLines.length > 0) {
+            blocks.push({ text: paragraphLines.join("\n"), isLiteral: false });
+        }
+        paragraphLines = [];
+        paragraphIsList = false;
+    };
+
+    const lines = draftText.replace(/\r\n?/g, "\n").split("\n");
+    lines.forEach((line) => {
+        const definitionMatch = MARKDOWN_REFERENCE_DEFINITION_PATTERN.exec(line);
+        if (definitionMatch !== null && !referenceUrls.has(definitionMatch[1].toLowerCase())) {
+            referenceUrls.set(definitionMatch[1].toLowerCase(), definitionMatch[2]);
+        }
+    });
+
+    lines.forEach((rawLine) => {
+        const fenceMatch = MARKDOWN_FENCE_PATTERN.exec(rawLine);
+        if (openFence !== null) {
+            if (fenceMatch !== null && fenceMatch[1].charAt(0) === openFence.charAt(0) && fenceMatch[1].length >= openFence.length) {
+                blocks.push({ text: paragraphLines.join("\n"), isLiteral: true });
+                paragraphLines = [];
+                openFence = null;
+                return;
+            }
+            paragraphLines.push(rawLine);
+            return;
+        }
+        if (fenceMatch !== null) {
+            flushParagraph();
+            openFence = fenceMatch[1];
+            return;
+        }
+
+        const line = rawLine.replace(MARKDOWN_BLOCKQUOTE_PATTERN, "");
+        if (line.trim().length === 0 || MARKDOWN_REFERENCE_DEFINITION_PATTERN.test(line)) {
+            flushParagraph();
+            return;
+        }
+        if (MARKDOWN_SETEXT_UNDERLINE_PATTERN.test(line) && paragraphLines.length > 0 && !paragraphIsList) {
+            const headingText = paragraphLines.join(" ");
+            paragraphLines = [];
+            blocks.push({ text: headingText, isLiteral: false });
+            return;
+        }
+        if (MARKDOWN_THEMATIC_BREAK_PATTERN.test(line)) {
+            flushParagraph();
+            blocks.push({ text: PLACEHOLDER_TOKENS.POST_BREAK, isLiteral: true });
+            return;
+        }
+        const headingMatch = MARKDOWN_HEADING_PATTERN.exec(line);
+        if (headingMatch !== null) {
+            flushParagraph();
+            blocks.push({ text: headingMatch[1] ?? "", isLiteral: false });
+            return;
+        }
+        const bulletMatch = MARKDOWN_BULLET_ITEM_PATTERN.exec(line);
+        const orderedMatch = MARKDOWN_ORDERED_ITEM_PATTERN.exec(line);
+        const listItemLine = bulletMatch !== null
+            ? `${BULLET_MARKER}${bulletMatch[1]}`
+            : orderedMatch !== null
+                ? `${Number(orderedMatch[1])}. ${orderedMatch[2]}`
+                : null;
+        if (listItemLine !== null) {
+            if (!paragraphIsList) {
+                flushParagraph();
+                paragraphIsList = true;
+            }
+            paragraphLines.push(listItemLine);
+            return;
+        }
+        if (paragraphIsList) {
+            paragraphLines[paragraphLines.length - 1] += ` ${line.trim()}`;
+            return;
+        }
+        paragraphLines.push(line.trim());
+    });
+    if (openFence !== null) {
+        blocks.push({ text: paragraphLines.join("\n"), isLiteral: true });
+    } else {
+        flushParagraph();
+    }
+
+    const placeholderText = blocks
+        .map((block) => (block.isLiteral ? block.text : convertMarkdownInline(block.text, referenceUrls, imageCollector)))
+        .join(PARAGRAPH_SEPARATOR);
+    return createDraftDocument(placeholderText, imageCollector.images);
+}
+
+/**
+ * Converts an HTML node and its children to placeholder text. Blocks are wrapped in blank lines.
+ * @param {Node} node Node to convert.
+ * @param {DraftImageCollector} imageCollector Collector of the draft images.
+ * @param {boolean} isPreformatted Whether whitespace is kept as written.
+ * @returns {string}
+ */
+function convertHtmlNode(node, imageCollector, isPreformatted) {
+    if (node.nodeType === TEXT_NODE_TYPE) {
+        const textContent = node.textContent || "";
+        return isPreformatted ? textContent : textContent.replace(/\s+/g, " ");
+    }
+    if (node.nodeType !== ELEMENT_NODE_TYPE) {
+        return "";
+    }
+    const element = /** @type {Element} */ (node);
+    const tagName = element.tagName.toUpperCase();
+    /**
+     * @param {boolean} [keepWhitespace] Whether the children keep their whitespace.
+     * @returns {string}
+     */
+    const convertChildren = (keepWhitespace = isPreformatted) =>
+        Array.from(element.childNodes, (childNode) => convertHtmlNode(childNode, imageCollector, keepWhitespace)).join("");
+
+    if (HTML_SKIPPED_TAGS.has(tagName)) {
+        return "";
+    }
+    switch (tagName) {
+        case "BR":
+            return "\n";
+        case "HR":
+            return `${PARAGRAPH_SEPARATOR}${PLACEHOLDER_TOKENS.POST_BREAK}${PARAGRAPH_SEPARATOR}`;
+        case "IMG": {
+            const source = element.getAttribute("src") || "";
+            const altText = element.getAttribute("alt") || "";
+            return isImportableImageUrl(source) ? ` ${imageCollector.addImage(source, altText)} ` : altText;
+        }
+        case "A": {
+            const linkText = convertChildren();
+            const url = element.getAttribute("href") || "";
+            return LINK_URL_PATTERN.test(url) && url !== linkText.trim() ? `${linkText} (${url})` : linkText;
+        }
+        case "PRE":
+            return `${PARAGRAPH_SEPARATOR}${convertChildren(true)}${PARAGRAPH_SEPARATOR}`;
+        case "UL":
+        case "OL": {
+            const startNumber = Number(element.getAttribute("start")) || 1;
+            const listItems = Array.from(element.children).filter((childElement) => childElement.tagName.toUpperCase() === "LI");
+            const itemLines = listItems.map((listItem, itemIndex) => {
+                const marker = tagName === "OL" ? `${startNumber + itemIndex}. ` : BULLET_MARKER;
+                const itemText = convertHtmlNode(listItem, imageCollector, isPreformatted).trim().replace(/\n+/g, " ");
+                return `${marker}${itemText}`;
+            });
+            return `${PARAGRAPH_SEPARATOR}${itemLines.join("\n")}${PARAGRAPH_SEPARATOR}`;
+        }
+        case "LI":
+            return convertChildren();
+        default:
+            return HTML_BLOCK_TAGS.has(tagName)
+                ? `${PARAGRAPH_SEPARATOR}${convertChildren()}${PARAGRAPH_SEPARATOR}`
+                : convertChildren();
+    }
+}
+
+/**
+ * Converts an HTML draft. The HTML is parsed into an inert document, so its scripts do not run.
+ * @param {string} draftText File content.
+ * @returns {import("../types.d.js").RichTextDocument}
+ */
+function convertHtml(draftText) {
+    const imageCollector = createImageCollector();
+    const parsedDocument = new DOMParser().parseFromString(draftText, "text/html");
+    const placeholderText = parsedDocument.body ? convertHtmlNode(parsedDocument.body, imageCollector, false) : "";
+    return createDraftDocument(placeholderText, imageCollector.images);
+}
+
+/**
+ * Converts a draft in the given format.
+ * @param {import("../types.d.js").DraftFormatIdentifier} formatIdentifier Draft format.
+ * @param {string} draftText File content.
+ * @returns {import("../types.d.js").RichTextDocument}
+ */
+function convertDraft(formatIdentifier, draftText) {
+    switch (formatIdentifier) {
+        case DRAFT_FORMAT_IDENTIFIERS.MARKDOWN:
+            return convertMarkdown(draftText);
+        case DRAFT_FORMAT_IDENTIFIERS.PLAIN_TEXT:
+            return convertPlainText(draftText);
+        case DRAFT_FORMAT_IDENTIFIERS.HTML:
+            return convertHtml(draftText);
+        default:
+            throw new Error(`Unknown draft format: ${formatIdentifier}`);
+    }
+}
+
+export const draftImportHelpers = Object.freeze({
+    detectDraftFormat,
+    convertPlainText,
+    convertMarkdown,
+    convertHtml,
+    convertDraft
+});
@@ -0,0 +1,202 @@
+// @ts-check
+/**
+ * @fileoverview Manual post layouts: posts that the user merged, split, or moved. A layout belongs to one source text.
+ * Pinned posts: posts whose boundaries stay fixed while the rest of the text re-flows, also after edits elsewhere.
+ */
+
+import { chunkingService } from "./chunking.js";
+import { copyTrackingHelpers } from "./copyTracking.js";
+
+/** @type {string} */
+const MERGED_TEXT_SEPARATOR = " ";
+
+/**
+ * Creates a layout from the chunk descriptors of a source text.
+ * @param {string} sourceText Placeholder text that the descriptors came from.
+ * @param {import("../types.d.js").ChunkDescriptor[]} chunkDescriptors Descriptors in thread order.
+ * @returns {import("../types.d.js").PostLayout}
+ */
+function createPostLayout(sourceText, chunkDescriptors) {
+    return createLayout(
+        sourceText,
+        chunkDescriptors.map((chunkDescriptor) => ({
+            text: chunkDescriptor.baseText,
+            sourceStart: chunkDescriptor.sourceStart,
+            sourceEnd: chunkDescriptor.sourceEnd
+        }))
+    );
+}
+
+/**
+ * Freezes a layout and its posts.
+ * @param {string} sourceText Placeholder text that the layout belongs to.
+ * @param {import("../types.d.js").PostLayoutEntry[]} posts Posts in thread order.
+ * @returns {import("../types.d.js").PostLayout}
+ */
+function createLayout(sourceText, posts) {
+    return Object.freeze({
+        sourceText,
+        posts: Object.freeze(posts.map((post) => Object.freeze({ ...post })))
+    });
+}
+
+/**
+ * Throws when the index does not point at a post of the layout.
+ * @param {import("../types.d.js").PostLayout} layout Post layout.
+ * @param {number} postIndex Index to check.
+ * @returns {void}
+ */
+function assertPostIndex(layout, postIndex) {
+    if (!Number.isInteger(postIndex) || postIndex < 0 || postIndex >= layout.posts.length) {
+        throw new Error(`Post index ${postIndex} is out of range`);
+    }
+}
+
+/**
+ * Determines whether a post can merge with the next post. The source of the next post must follow the source of the
+ * post with no other post between them, so the merged post has one source span.
+ * @param {import("../types.d.js").PostLayout} layout Post layout.
+ * @param {number} postIndex Index of the first post.
+ * @returns {boolean}
+ */
+function canMergePosts(layout, postIndex) {
+    const firstPost = layout.posts[postIndex];
+    const secondPost = layout.posts[postIndex + 1];
+    if (firstPost === undefined || secondPost === undefined || firstPost.sourceEnd > secondPost.sourceStart) {
+        return false;
+    }
+    return layout.posts.every(
+        (post) => post.sourceStart >= secondPost.sourceStart || post.sourceEnd <= firstPost.sourceEnd
+    );
+}
+
+/**
+ * Merges a post with the next post.
+ * @param {import("../types.d.js").PostLayout} layout Post layout.
+ * @param {number} postIndex Index of the first post.
+ * @returns {import("../types.d.js").PostLayout}
+ */
+function mergePosts(layout, postIndex) {
+    if (!canMergePosts(layout, postIndex)) {
+        throw new Error(`Post ${postIndex} cannot merge with the next post`);
+    }
+    const firstPost = layout.posts[postIndex];
+    const secondPost = layout.posts[postIndex + 1];
+    const posts = layout.posts.slice();
+    posts.splice(postIndex, 2, {
+        text: `${firstPost.text}${MERGED_TEXT_SEPARATOR}${secondPost.text}`,
+        sourceStart: firstPost.sourceStart,
+        sourceEnd: secondPost.sourceEnd
+    });
+    return createLayout(layout.sourceText, posts);
+}
+
+/**
+ * Splits a post in two at an offset in its text. Both parts must have text.
+ * @param {import("../types.d.js").PostLayout} layout Post layout.
+ * @param {number} postIndex Index of the post to split.
+ * @param {number} textOffset Offset in the post text where the second post starts.
+ * @returns {import("../types.d.js").PostLayout}
+ */
+function splitPost(layout, postIndex, textOffset) {
+    assertPostIndex(layout, postIndex);
+    const post = layout.posts[postIndex];
+    const leadingText = post.text.slice(0, textOffset).trimEnd();
+    const trailingText = post.text.slice(textOffset).trimStart();
+    if (leadingText.length === 0 || trailingText.length === 0) {
+        throw new Error(`Post ${postIndex} cannot split at offset ${textOffset}`);
+    }
+    const partSpans = chunkingService.locateChunkSpans(layout.sourceText.slice(post.sourceStart, post.sourceEnd), [
+        leadingText,
+        trailingText
+    ]);
+    const posts = layout.posts.slice();
+    posts.splice(
+        postIndex,
+        1,
+        ...[leadingText, trailingText].map((partText, partIndex) => ({
+            text: partText,
+            sourceStart: post.sourceStart + partSpans[partIndex].sourceStart,
+            sourceEnd: post.sourceStart + partSpans[partIndex].sourceEnd
+        }))
+    );
+    return createLayout(layout.sourceText, posts);
+}
+
+/**
+ * Moves a post to another position in the thread.
+ * @param {import("../types.d.js").PostLayout} layout Post layout.
+ * @param {number} postIndex Index of the post to move.
+ * @param {number} targetPostIndex Index of the post after the move.
+ * @returns {import("../types.d.js").PostLayout}
+ */
+function movePost(layout, postIndex, targetPostIndex) {
+    assertPostIndex(layout, postIndex);
+    assertPostIndex(layout, targetPostIndex);
+    const posts = layout.posts.slice();
+    const [movedPost] = posts.splice(postIndex, 1);
+    posts.splice(targetPostIndex, 0, movedPost);
+    return createLayout(layout.sourceText, posts);
+}
+
+/**
+ * Determines whether two posts have the same source span.
+ * @param {import("../types.d.js").PostLayoutEntry} firstPost First post.
+ * @param {import("../types.d.js").PostLayoutEntry} secondPost Second post.
+ * @returns {boolean}
+ */
+function hasSameSpan(firstPost, secondPost) {
+    return firstPost.sourceStart === secondPost.sourceStart && firstPost.sourceEnd === secondPost.sourceEnd;
+}
+
+/**
+ * Pins a post, or unpins it when a pinned post has the same span. Pins that overlap the new pin are removed.
+ * @param {import("../types.d.js").PostLayout} pinnedLayout Pinned posts of the source text, in source order.
+ * @param {import("../types.d.js").PostLayoutEntry} post Post of the same source text to pin or unpin.
+ * @returns {import("../types.d.js").PostLayout}
+ */
+function togglePinnedPost(pinnedLayout, post) {
+    if (pinnedLayout.posts.some((pinnedPost) => hasSameSpan(pinnedPost, post))) {
+        return createLayout(
+            pinnedLayout.sourceText,
+            pinnedLayout.posts.filter((pinnedPost) => !hasSameSpan(pinnedPost, post))
+        );
+    }
+    return createLayout(
+        pinnedLayout.sourceText,
+        pinnedLayout.posts
+            .filter((pinnedPost) => pinnedPost.sourceEnd <= post.sourceStart || pinnedPost.sourceStart >= post.sourceEnd)
+            .concat(post)
+            .sort((firstPost, secondPost) => firstPost.sourceStart - secondPost.sourceStart)
+    );
+}
+
+/**
+ * Moves pinned posts to a changed source text. A pin stays when the change is outside its span, and is removed when
+ * the change touches its text.
+ * @param {import("../types.d.js").PostLayout} pinnedLayout Pinned posts of the previous source text.
+ * @param {string} nextText Changed source text.
+ * @returns {import("../types.d.js").PostLayout} Pinned posts of the next text in source order.
+ */
+function carryPinnedPosts(pinnedLayout, nextText) {
+    const mapSpan = copyTrackingHelpers.createSpanMapper(pinnedLayout.sourceText, nextText);
+    /** @type {import("../types.d.js").PostLayoutEntry[]} */
+    const carriedPosts = [];
+    pinnedLayout.posts.forEach((pinnedPost) => {
+        const mappedSpan = mapSpan(pinnedPost.sourceStart, pinnedPost.sourceEnd);
+        if (mappedSpan !== null) {
+            carriedPosts.push({ text: pinnedPost.text, ...mappedSpan });
+        }
+    });
+    return createLayout(nextText, carriedPosts);
+}
+
+export const postLayoutHelpers = Object.freeze({
+    createPostLayout,
+    canMergePosts,
+    mergePosts,
+    splitPost,
+    movePost,
+    togglePinnedPost,
+    carryPinnedPosts
+});
@@ -0,0 +1,272 @@
+// @ts-check
+/**
+ * @fileoverview Per-locale sentence rules and language detection used by sentence and paragraph segmentation.
+ */
+
+import { SENTENCE_LOCALE_IDENTIFIERS } from "../constants.js";
+
+/**
+ * Creates a frozen rule table from abbreviation lists.
+ * @param {string[]} strictAbbreviations Abbreviations that never end a sentence.
+ * @param {string[]} flexibleAbbreviations Abbreviations that end a sentence only before a capitalized word.
+ * @returns {import("../types.d.js").SentenceLocaleRules}
+ */
+function createLocaleRules(strictAbbreviations, flexibleAbbreviations) {
+    return Object.freeze({
+        strictAbbreviations: Object.freeze(new Set(strictAbbreviations)),
+        flexibleAbbreviations: Object.freeze(new Set(flexibleAbbreviations))
+    });
+}
+
+const ENGLISH_RULES = createLocaleRules(
+    ["capt.", "dr.", "gov.", "hon.", "jr.", "lt.", "mr.", "mrs.", "ms.", "prof.", "sr.", "st."],
+    [
+        "a.m.",
+        "approx.",
+        "appt.",
+        "apr.",
+        "aug.",
+        "ave.",
+        "corp.",
+        "dec.",
+        "e.g.",
+        "etc.",
+        "fig.",
+        "feb.",
+        "jan.",
+        "inc.",
+        "i.e.",
+        "mar.",
+        "jul.",
+        "jun.",
+        "no.",
+        "nov.",
+        "oct.",
+        "p.m.",
+        "sep.",
+        "sept.",
+        "u.k.",
+        "u.s.",
+        "vol.",
+        "vs."
+    ]
+);
+
+/**
+ * German capitalizes every noun, so most abbreviations must be strict to avoid ending sentences before nouns.
+ */
+const GERMAN_RULES = createLocaleRules(
+    [
+        "abs.",
+        "bzgl.",
+        "bzw.",
+        "ca.",
+        "d.h.",
+        "dr.",
+        "evtl.",
+        "fr.",
+        "ggf.",
+        "hr.",
+        "inkl.",
+        "nr.",
+        "o.ä.",
+        "prof.",
+        "s.",
+        "sog.",
+        "str.",
+        "u.a.",
+        "u.u.",
+        "v.a.",
+        "vgl.",
+        "z.b.",
+        "z.t."
+    ],
+    ["etc.", "ff.", "usw."]
+);
+
+const SPANISH_RULES = createLocaleRules(
+    [
+        "avda.",
+        "d.",
+        "dña.",
+        "dr.",
+        "dra.",
+        "ing.",
+        "lic.",
+        "núm.",
+        "p.ej.",
+        "pág.",
+        "sr.",
+        "sra.",
+        "srta.",
+        "ud.",
+        "uds."
+    ],
+    ["aprox.", "ej.", "etc."]
+);
+
+const FRENCH_RULES = createLocaleRules(
+    ["av.", "bd.", "cf.", "dr.", "env.", "me.", "mlle.", "mm.", "mme.", "mmes.", "p.ex.", "pr.", "st.", "ste."],
+    ["etc.", "ex."]
+);
+
+/**
+ * Scripts without Latin abbreviations still embed English terms, so they reuse the English table.
+ * @type {Readonly<Record<import("../types.d.js").ResolvedSentenceLocaleIdentifier, import("../types.d.js").SentenceLocaleRules>>}
+ */
+const LOCALE_RULES = Object.freeze({
+    [SENTENCE_LOCALE_IDENTIFIERS.ENGLISH]: ENGLISH_RULES,
+    [SENTENCE_LOCALE_IDENTIFIERS.GERMAN]: GERMAN_RULES,
+    [SENTENCE_LOCALE_IDENTIFIERS.SPANISH]: SPANISH_RULES,
+    [SENTENCE_LOCALE_IDENTIFIERS.FRENCH]: FRENCH_RULES,
+    [SENTENCE_LOCALE_IDENTIFIERS.CHINESE]: ENGLISH_RULES,
+    [SENTENCE_LOCALE_IDENTIFIERS.JAPANESE]: ENGLISH_RULES,
+    [SENTENCE_LOCALE_IDENTIFIERS.ARABIC]: ENGLISH_RULES,
+    [SENTENCE_LOCALE_IDENTIFIERS.HINDI]: ENGLISH_RULES
+});
+
+/**
+ * Common function words used to tell Latin-script languages apart. English wins ties.
+ * @type {ReadonlyArray<readonly [import("../types.d.js").ResolvedSentenceLocaleIdentifier, ReadonlySet<string>]>}
+ */
+const LATIN_STOPWORDS = Object.freeze([
+    Object.freeze(/** @type {const} */ ([
+        SENTENCE_LOCALE_IDENTIFIERS.ENGLISH,
+        Object.freeze(new Set(["the", "and", "is", "are", "of", "to", "in", "that", "it", "with", "this", "for"]))
+    ])),
+    Object.freeze(/** @type {const} */ ([
+        SENTENCE_LOCALE_IDENTIFIERS.GERMAN,
+        Object.freeze(new Set(["der", "die", "das", "und", "ist", "nicht", "mit", "ein", "eine", "zu", "auch", "sich"]))
+    ])),
+    Object.freeze(/** @type {const} */ ([
+        SENTENCE_LOCALE_IDENTIFIERS.SPANISH,
+        Object.freeze(new Set(["el", "los", "las", "y", "una", "por", "con", "para", "del", "está", "pero", "muy"]))
+    ])),
+    Object.freeze(/** @type {const} */ ([
+        SENTENCE_LOCALE_IDENTIFIERS.FRENCH,
+        Object.freeze(new Set(["le", "les", "des", "et", "est", "une", "pas", "pour", "dans", "avec", "du", "sont"]))
+    ]))
+]);
+
+/** @type {RegExp} */
+const LATIN_LETTER_PATTERN = /\p{Script=Latin}/gu;
+/** @type {RegExp} */
+const KANA_PATTERN = /[\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+/** @type {RegExp} */
+const HAN_PATTERN = /\p{Script=Han}/gu;
+/** @type {RegExp} */
+const ARABIC_PATTERN = /\p{Script=Arabic}/gu;
+/** @type {RegExp} */
+const DEVANAGARI_PATTERN = /\p{Script=Devanagari}/gu;
+/** @type {RegExp} */
+const LETTER_RUN_PATTERN = /\p{L}+/gu;
+
+/**
+ * Counts the matches of a global pattern in the text.
+ * @param {string} text Text to scan.
+ * @param {RegExp} pattern Global pattern to count.
+ * @returns {number}
+ */
+function countMatches(text, pattern) {
+    const matches = text.match(pattern);
+    return matches === null ? 0 : matches.length;
+}
+
+/**
+ * Picks the Latin-script language whose function words occur most often.
+ * @param {string} text Text to inspect.
+ * @returns {import("../types.d.js").ResolvedSentenceLocaleIdentifier}
+ */
+function detectLatinLocale(text) {
+    const words = (text.toLowerCase().match(LETTER_RUN_PATTERN) || []);
+    let bestLocale = SENTENCE_LOCALE_IDENTIFIERS.ENGLISH;
+    let bestScore = 0;
+    for (const [locale, stopwords] of LATIN_STOPWORDS) {
+        const score = words.reduce((total, word) => total + (stopwords.has(word) ? 1 : 0), 0);
+        if (score > bestScore) {
+            bestLocale = locale;
+            bestScore = score;
+        }
+    }
+    return bestLocale;
+}
+
+/**
+ * Detects the dominant sentence locale of the text from its script and, for Latin text, its function words.
+ * @param {string} text Text to inspect.
+ * @returns {import("../types.d.js").ResolvedSentenceLocaleIdentifier}
+ */
+function detectSentenceLocale(text) {
+    const kanaCount = countMatches(text, KANA_PATTERN);
+    const hanCount = countMatches(text, HAN_PATTERN);
+    /** @type {Array<[import("../types.d.js").ResolvedSentenceLocaleIdentifier, number]>} */
+    const scriptCounts = [
+        [SENTENCE_LOCALE_IDENTIFIERS.JAPANESE, kanaCount > 0 ? kanaCount + hanCount : 0],
+        [SENTENCE_LOCALE_IDENTIFIERS.CHINESE, kanaCount > 0 ? 0 : hanCount],
+        [SENTENCE_LOCALE_IDENTIFIERS.ARABIC, countMatches(text, ARABIC_PATTERN)],
+        [SENTENCE_LOCALE_IDENTIFIERS.HINDI, countMatches(text, DEVANAGARI_PATTERN)]
+    ];
+
+    let dominantLocale = null;
+    let dominantCount = countMatches(text, LATIN_LETTER_PATTERN);
+    for (const [locale, count] of scriptCounts) {
+        if (count > dominantCount) {
+            dominantLocale = locale;
+            dominantCount = count;
+        }
+    }
+    return dominantLocale === null ? detectLatinLocale(text) : dominantLocale;
+}
+
+/**
+ * Resolves the automatic locale to a concrete locale using the text; explicit locales pass through.
+ * @param {import("../types.d.js").SentenceLocaleIdentifier} sentenceLocale Selected locale.
+ * @param {string} text Text whose language decides the automatic locale.
+ * @returns {import("../types.d.js").ResolvedSentenceLocaleIdentifier}
+ */
+function resolveSentenceLocale(sentenceLocale, text) {
+    if (sentenceLocale === SENTENCE_LOCALE_IDENTIFIERS.AUTO) {
+        return detectSentenceLocale(text);
+    }
+    return sentenceLocale;
+}
+
+/**
+ * Retrieves the abbreviation tables of a concrete locale.
+ * @param {import("../types.d.js").ResolvedSentenceLocaleIdentifier} sentenceLocale Concrete locale identifier.
+ * @returns {import("../types.d.js").SentenceLocaleRules}
+ */
+function getSentenceLocaleRules(sentenceLocale) {
+    const localeRules = LOCALE_RULES[sentenceLocale];
+    if (!localeRules) {
+        throw new Error(`Unknown sentence locale: ${sentenceLocale}`);
+    }
+    return localeRules;
+}
+
+/**
+ * Adds user abbreviations to the strict table of a locale. Entries match with or without their final period.
+ * @param {import("../types.d.js").SentenceLocaleRules} localeRules Built-in rules of the locale.
+ * @param {ReadonlyArray<string>} customAbbreviations User abbreviations that never end a sentence.
+ * @returns {import("../types.d.js").SentenceLocaleRules}
+ */
+function extendSentenceLocaleRules(localeRules, customAbbreviations) {
+    if (customAbbreviations.length === 0) {
+        return localeRules;
+    }
+    const normalizedAbbreviations = customAbbreviations.map((abbreviation) => {
+        const lowercaseAbbreviation = abbreviation.toLowerCase();
+        return lowercaseAbbreviation.endsWith(".") ? lowercaseAbbreviation : `${lowercaseAbbreviation}.`;
+    });
+    return Object.freeze({
+        strictAbbreviations: Object.freeze(new Set([...localeRules.strictAbbreviations, ...normalizedAbbreviations])),
+        flexibleAbbreviations: localeRules.flexibleAbbreviations
+    });
+}
+
+export const sentenceLocaleHelpers = Object.freeze({
+    detectSentenceLocale,
+    resolveSentenceLocale,
+    getSentenceLocaleRules,
+    extendSentenceLocaleRules
+});
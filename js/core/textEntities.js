@@ -0,0 +1,76 @@
+// @ts-check
+/**
+ * @fileoverview Detection of links, emails, mentions, hashtags, and cashtags that must never be split across posts.
+ */
+
+import { TEXT_ENTITY_KINDS } from "../constants.js";
+
+/**
+ * Matches one entity per named group. Earlier alternatives win when two entities start at the same offset.
+ * Mentions cover local handles, `@user@instance` remote handles, and domain handles such as `@user.bsky.social`.
+ * @type {RegExp}
+ */
+const TEXT_ENTITY_PATTERN = new RegExp(
+    [
+        String.raw`(?<url>(?:https?:\/\/|www\.)[^\s<>"]+)`,
+        String.raw`(?<email>(?<![\p{L}\p{N}_.%+-])[\p{L}\p{N}_.%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+)`,
+        String.raw`(?<mention>(?<![\p{L}\p{N}_.@])@[\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*(?:@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+)?)`,
+        String.raw`(?<domain>(?<![\p{L}\p{N}_.@\/-])(?:[\p{L}\p{N}-]+\.)+\p{L}{2,}(?:\/[^\s<>"]*)?)`,
+        String.raw`(?<hashtag>(?<![\p{L}\p{N}_&#])#[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)`,
+        String.raw`(?<cashtag>(?<![\p{L}\p{N}_$])\$[A-Za-z]{1,6}(?:[._][A-Za-z]{1,2})?(?![\p{L}\p{N}_]))`
+    ].join("|"),
+    "gu"
+);
+/** @type {RegExp} */
+const TRAILING_PUNCTUATION_PATTERN = /[.,!?;:'")\]}]+$/u;
+
+/**
+ * Maps each named group of the entity pattern to its entity kind.
+ * @type {ReadonlyArray<readonly [string, import("../types.d.js").TextEntityKind]>}
+ */
+const GROUP_KINDS = Object.freeze([
+    Object.freeze(/** @type {const} */ (["url", TEXT_ENTITY_KINDS.URL])),
+    Object.freeze(/** @type {const} */ (["email", TEXT_ENTITY_KINDS.EMAIL])),
+    Object.freeze(/** @type {const} */ (["mention", TEXT_ENTITY_KINDS.MENTION])),
+    Object.freeze(/** @type {const} */ (["domain", TEXT_ENTITY_KINDS.URL])),
+    Object.freeze(/** @type {const} */ (["hashtag", TEXT_ENTITY_KINDS.HASHTAG])),
+    Object.freeze(/** @type {const} */ (["cashtag", TEXT_ENTITY_KINDS.CASHTAG]))
+]);
+
+/**
+ * Finds every entity in the text. Links lose trailing sentence punctuation.
+ * @param {string} text Text to scan.
+ * @returns {import("../types.d.js").TextEntity[]} Entities in source order.
+ */
+function findTextEntities(text) {
+    /** @type {import("../types.d.js").TextEntity[]} */
+    const entities = [];
+    for (const entityMatch of text.matchAll(TEXT_ENTITY_PATTERN)) {
+        const groups = entityMatch.groups ?? {};
+        const matchedGroup = GROUP_KINDS.find(([groupName]) => groups[groupName] !== undefined);
+        if (matchedGroup === undefined) {
+            continue;
+        }
+        const kind = matchedGroup[1];
+        const entityText = kind === TEXT_ENTITY_KINDS.URL
+            ? entityMatch[0].replace(TRAILING_PUNCTUATION_PATTERN, "")
+            : entityMatch[0];
+        const start = entityMatch.index ?? 0;
+        entities.push({ kind, text: entityText, start, end: start + entityText.length });
+    }
+    return entities;
+}
+
+/**
+ * Returns the offsets of every entity so that split logic can avoid them.
+ * @param {string} text Text to scan.
+ * @returns {Array<[number, number]>} Start and end offsets of each entity.
+ */
+function findTextEntityRanges(text) {
+    return findTextEntities(text).map((entity) => [entity.start, entity.end]);
+}
+
+export const textEntityHelpers = Object.freeze({
+    findTextEntities,
+    findTextEntityRanges
+});
@@ -0,0 +1,100 @@
+// @ts-check
+/**
+ * @fileoverview Builds the downloadable thread bundle: a ZIP file with one text file per post, the images decoded from
+ * their data URLs, and a manifest with the post order, the alt texts, and the options.
+ */
+
+import { IMAGE_FILE_EXTENSIONS, THREAD_BUNDLE_CONFIG } from "../constants.js";
+import { threadExportHelpers } from "./threadExport.js";
+import { templateHelpers } from "../utils/templates.js";
+import { zipArchiveHelpers } from "../utils/zipArchive.js";
+
+/** @type {RegExp} */
+const DATA_URL_PATTERN = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s;
+/** @type {RegExp} */
+const BASE64_PARAMETER_PATTERN = /;base64$/i;
+
+/**
+ * Decodes the bytes and the type of a data URL.
+ * @param {string} dataUrl Data URL of an image.
+ * @returns {{ mimeType: string, data: Uint8Array }}
+ */
+function decodeDataUrl(dataUrl) {
+    const match = DATA_URL_PATTERN.exec(dataUrl);
+    if (match === null) {
+        throw new Error("Bundle images need a data URL");
+    }
+    const [, mimeType, parameters, payload] = match;
+    if (!BASE64_PARAMETER_PATTERN.test(parameters)) {
+        return { mimeType: mimeType.toLowerCase(), data: new TextEncoder().encode(decodeURIComponent(payload)) };
+    }
+    const binaryText = atob(payload);
+    const data = new Uint8Array(binaryText.length);
+    for (let byteIndex = 0; byteIndex < binaryText.length; byteIndex += 1) {
+        data[byteIndex] = binaryText.charCodeAt(byteIndex);
+    }
+    return { mimeType: mimeType.toLowerCase(), data };
+}
+
+/**
+ * Builds the files of the bundle. Post numbers in file names have leading zeros, so the files sort in thread order.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @param {import("../types.d.js").ThreadingOptions} options Options that produced the thread.
+ * @returns {import("../types.d.js").ZipEntry[]} Post files, image files, and the manifest last.
+ */
+function createBundleEntries(chunkContents, options) {
+    const textEncoder = new TextEncoder();
+    const describedPosts = threadExportHelpers.describePosts(chunkContents, options);
+    const postNumberLength = Math.max(THREAD_BUNDLE_CONFIG.POST_NUMBER_MINIMUM_DIGITS, String(describedPosts.length).length);
+    /** @type {import("../types.d.js").ZipEntry[]} */
+    const entries = [];
+    /** @type {import("../types.d.js").ThreadBundleManifest} */
+    const manifest = { options, posts: [] };
+
+    describedPosts.forEach((describedPost) => {
+        const postNumber = String(describedPost.post).padStart(postNumberLength, "0");
+        const postFile = templateHelpers.interpolate(THREAD_BUNDLE_CONFIG.POST_FILE_TEMPLATE, { post: postNumber });
+        entries.push({ fileName: postFile, data: textEncoder.encode(describedPost.text) });
+        const images = describedPost.images.map((image, imageIndex) => {
+            const decodedImage = decodeDataUrl(image.dataUrl);
+            const imageFile = templateHelpers.interpolate(THREAD_BUNDLE_CONFIG.IMAGE_FILE_TEMPLATE, {
+                post: postNumber,
+                image: imageIndex + 1,
+                extension: IMAGE_FILE_EXTENSIONS[decodedImage.mimeType] ?? THREAD_BUNDLE_CONFIG.FALLBACK_IMAGE_EXTENSION
+            });
+            entries.push({ fileName: imageFile, data: decodedImage.data });
+            return { file: imageFile, mimeType: decodedImage.mimeType, altText: image.altText };
+        });
+        manifest.posts.push({
+            post: describedPost.post,
+            file: postFile,
+            characters: describedPost.characters,
+            words: describedPost.words,
+            sentences: describedPost.sentences,
+            images
+        });
+    });
+
+    entries.push({
+        fileName: THREAD_BUNDLE_CONFIG.MANIFEST_FILE_NAME,
+        data: textEncoder.encode(JSON.stringify(manifest, null, 2))
+    });
+    return entries;
+}
+
+/**
+ * Creates the ZIP file of the bundle.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @param {import("../types.d.js").ThreadingOptions} options Options that produced the thread.
+ * @param {Date} createdAt Date of the files in the archive.
+ * @returns {Uint8Array} Archive bytes.
+ */
+function createBundle(chunkContents, options, createdAt) {
+    return zipArchiveHelpers.createZipArchive(createBundleEntries(chunkContents, options), createdAt);
+}
+
+export const threadBundleHelpers = Object.freeze({
+    decodeDataUrl,
+    createBundleEntries,
+    createBundle
+});
@@ -0,0 +1,184 @@
+// @ts-check
+/**
+ * @fileoverview Thread decorations and enumeration labels applied to finished chunks, with the length they consume.
+ */
+
+import { EMPTY_THREAD_DECORATIONS, STORAGE_KEYS } from "../constants.js";
+import { enumerationHelpers } from "./enumeration.js";
+import { lengthCounterHelpers } from "./lengthCounters.js";
+import { loggingHelpers } from "../utils/logging.js";
+
+/** @type {string} */
+const INLINE_DECORATION_SEPARATOR = " ";
+/** @type {string} */
+const FOOTER_SEPARATOR = "\n\n";
+
+/**
+ * Builds decorations from the raw text of the decoration inputs. Surrounding whitespace is removed.
+ * @param {string} openerPrefix Prefix of the first post.
+ * @param {string} continuationSuffix Suffix of every post except the last.
+ * @param {string} footer Footer of the last post.
+ * @returns {import("../types.d.js").ThreadDecorations}
+ */
+function createThreadDecorations(openerPrefix, continuationSuffix, footer) {
+    return Object.freeze({
+        openerPrefix: openerPrefix.trim(),
+        continuationSuffix: continuationSuffix.trim(),
+        footer: footer.trim()
+    });
+}
+
+/**
+ * Determines whether any decoration is set.
+ * @param {import("../types.d.js").ThreadDecorations} decorations Thread decorations.
+ * @returns {boolean}
+ */
+function hasDecorations(decorations) {
+    return (
+        decorations.openerPrefix.length > 0 ||
+        decorations.continuationSuffix.length > 0 ||
+        decorations.footer.length > 0
+    );
+}
+
+/**
+ * Adds the opener prefix to the first chunk, the continuation suffix to every chunk except the last, and the footer
+ * to the last chunk.
+ * @param {string} chunkText Text contained in the chunk.
+ * @param {number} chunkIndex Zero-based chunk index.
+ * @param {number} totalChunks Total number of chunks produced.
+ * @param {import("../types.d.js").ThreadDecorations} decorations Thread decorations.
+ * @returns {string} Decorated chunk text.
+ */
+function decorateChunk(chunkText, chunkIndex, totalChunks, decorations) {
+    let decoratedText = chunkText;
+    if (chunkIndex === 0 && decorations.openerPrefix.length > 0) {
+        decoratedText = `${decorations.openerPrefix}${INLINE_DECORATION_SEPARATOR}${decoratedText}`;
+    }
+    const isLastChunk = chunkIndex === totalChunks - 1;
+    if (!isLastChunk && decorations.continuationSuffix.length > 0) {
+        decoratedText = `${decoratedText}${INLINE_DECORATION_SEPARATOR}${decorations.continuationSuffix}`;
+    }
+    if (isLastChunk && decorations.footer.length > 0) {
+        decoratedText = `${decoratedText}${FOOTER_SEPARATOR}${decorations.footer}`;
+    }
+    return decoratedText;
+}
+
+/**
+ * Adds the enumeration label when enumeration is on, then the thread decorations.
+ * @param {string} chunkText Text contained in the chunk.
+ * @param {number} chunkIndex Zero-based chunk index.
+ * @param {number} totalChunks Total number of chunks produced.
+ * @param {import("../types.d.js").ChunkLabelOptions} labelOptions Enumeration and decoration settings.
+ * @returns {string} Labelled chunk text.
+ */
+function labelChunk(chunkText, chunkIndex, totalChunks, labelOptions) {
+    const enumeratedText = labelOptions.enumerate
+        ? enumerationHelpers.enumerateChunk(chunkText, chunkIndex, totalChunks, labelOptions.enumerationFormat)
+        : chunkText;
+    return decorateChunk(
+        enumeratedText,
+        chunkIndex,
+        totalChunks,
+        labelOptions.threadDecorations ?? EMPTY_THREAD_DECORATIONS
+    );
+}
+
+/**
+ * Determines whether labelling changes any chunk.
+ * @param {import("../types.d.js").ChunkLabelOptions} labelOptions Enumeration and decoration settings.
+ * @returns {boolean}
+ */
+function hasChunkLabels(labelOptions) {
+    return labelOptions.enumerate || hasDecorations(labelOptions.threadDecorations ?? EMPTY_THREAD_DECORATIONS);
+}
+
+/**
+ * Determines the length that labels add to the first chunk, to the middle chunks, and to the last chunk. The opener
+ * counts only in the first chunk and the footer only in the last chunk. The last middle chunk has the largest middle
+ * number, so it gives the middle length. A thread with less than three chunks has no middle chunks, so the middle
+ * length is zero.
+ * @param {number} totalChunks Total number of chunks produced for the text.
+ * @param {import("../types.d.js").LengthCounterIdentifier} lengthCounter Counter used to measure the labels.
+ * @param {import("../types.d.js").ChunkLabelOptions} labelOptions Enumeration and decoration settings.
+ * @returns {import("../types.d.js").LabelOverheads} Length added by labels at each position.
+ */
+function getLabelOverheads(totalChunks, lengthCounter, labelOptions) {
+    if (totalChunks <= 0) {
+        return { first: 0, middle: 0, last: 0 };
+    }
+    /**
+     * @param {number} chunkIndex Zero-based chunk index.
+     * @returns {number}
+     */
+    const measureLabel = (chunkIndex) =>
+        lengthCounterHelpers.measureLength(labelChunk("", chunkIndex, totalChunks, labelOptions), lengthCounter);
+    return {
+        first: measureLabel(0),
+        middle: totalChunks > 2 ? measureLabel(totalChunks - 2) : 0,
+        last: measureLabel(totalChunks - 1)
+    };
+}
+
+/**
+ * Parses stored thread decorations.
+ * @param {string} storedValue JSON text from the storage.
+ * @returns {import("../types.d.js").ThreadDecorations}
+ */
+function parseStoredThreadDecorations(storedValue) {
+    const parsedValue = JSON.parse(storedValue);
+    if (
+        parsedValue === null ||
+        typeof parsedValue !== "object" ||
+        typeof parsedValue.openerPrefix !== "string" ||
+        typeof parsedValue.continuationSuffix !== "string" ||
+        typeof parsedValue.footer !== "string"
+    ) {
+        throw new Error("Invalid stored thread decorations");
+    }
+    return createThreadDecorations(parsedValue.openerPrefix, parsedValue.continuationSuffix, parsedValue.footer);
+}
+
+/**
+ * Creates a store that persists the thread decorations as JSON in a key-value storage. A stored value that cannot be
+ * read is logged and loads as no decorations.
+ * @param {import("../types.d.js").KeyValueStorage} storage Storage such as window.localStorage.
+ * @returns {{ load: () => import("../types.d.js").ThreadDecorations, save: (decorations: import("../types.d.js").ThreadDecorations) => void }}
+ */
+function createThreadDecorationStore(storage) {
+    return Object.freeze({
+        load() {
+            const storedValue = storage.getItem(STORAGE_KEYS.THREAD_DECORATIONS);
+            if (storedValue === null) {
+                return EMPTY_THREAD_DECORATIONS;
+            }
+            try {
+                return parseStoredThreadDecorations(storedValue);
+            } catch (error) {
+                loggingHelpers.reportStoredSettingFailure(error);
+                return EMPTY_THREAD_DECORATIONS;
+            }
+        },
+        save(decorations) {
+            storage.setItem(
+                STORAGE_KEYS.THREAD_DECORATIONS,
+                JSON.stringify({
+                    openerPrefix: decorations.openerPrefix,
+                    continuationSuffix: decorations.continuationSuffix,
+                    footer: decorations.footer
+                })
+            );
+        }
+    });
+}
+
+export const threadDecorationHelpers = Object.freeze({
+    createThreadDecorations,
+    hasDecorations,
+    decorateChunk,
+    labelChunk,
+    hasChunkLabels,
+    getLabelOverheads,
+    createThreadDecorationStore
+});
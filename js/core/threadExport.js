@@ -0,0 +1,239 @@
+// @ts-check
+/**
+ * @fileoverview Formats a whole thread for export: plain text, Markdown, HTML, JSON, and CSV. Every format starts from
+ * the chunk contents of `richTextHelpers.buildChunkContents`, so images appear the same way as in the rendered thread.
+ */
+
+import { EXPORT_FORMAT_IDENTIFIERS, PLACEHOLDER_TOKENS, TEXT_CONTENT } from "../constants.js";
+import { chunkingService } from "./chunking.js";
+import { richTextHelpers } from "./richText.js";
+import { templateHelpers } from "../utils/templates.js";
+
+/** @type {string} */
+const PLAIN_TEXT_POST_SEPARATOR = `\n\n${PLACEHOLDER_TOKENS.POST_BREAK}\n\n`;
+/** @type {string} */
+const CSV_LINE_SEPARATOR = "\r\n";
+/** @type {string[]} */
+const CSV_HEADER = ["post", "text", "characters", "words", "sentences", "images", "alt_text"];
+/** @type {string} */
+const CSV_ALT_TEXT_SEPARATOR = " | ";
+/** @type {RegExp} */
+const CSV_QUOTED_VALUE_PATTERN = /[",\r\n]/;
+
+/**
+ * Groups chunk contents by post. A post has the text of its text chunk and its image chunks. Images attached to the
+ * text chunk come first, as image chunks.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @returns {{ textChunk: import("../types.d.js").ChunkContent | null, imageChunks: import("../types.d.js").ChunkContent[] }[]}
+ */
+function groupPosts(chunkContents) {
+    /** @type {{ textChunk: import("../types.d.js").ChunkContent | null, imageChunks: import("../types.d.js").ChunkContent[] }[]} */
+    const posts = [];
+    /** @type {number | null} */
+    let currentPostIndex = null;
+    chunkContents.forEach((chunkContent) => {
+        const postIndex = chunkContent.postIndex ?? null;
+        if (posts.length === 0 || postIndex === null || postIndex !== currentPostIndex) {
+            posts.push({ textChunk: null, imageChunks: [] });
+            currentPostIndex = postIndex;
+        }
+        const post = posts[posts.length - 1];
+        if (chunkContent.variant === "image") {
+            post.imageChunks.push(chunkContent);
+        } else {
+            post.textChunk = chunkContent;
+            post.imageChunks.push(...richTextHelpers.createAttachedImageChunks(chunkContent));
+        }
+    });
+    return posts;
+}
+
+/**
+ * Returns the description of an image chunk.
+ * @param {import("../types.d.js").ChunkContent} imageChunk Image chunk.
+ * @returns {string}
+ */
+function readAltText(imageChunk) {
+    return imageChunk.altText ?? "";
+}
+
+/**
+ * Formats the thread as plain text. Posts are separated by post break markers, so the text can go back into the
+ * editor with the same posts. Images appear as image placeholders.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @returns {string}
+ */
+function formatPlainText(chunkContents) {
+    return groupPosts(chunkContents)
+        .map((post) =>
+            [post.textChunk === null ? "" : post.textChunk.plainText]
+                .concat(post.imageChunks.map(() => TEXT_CONTENT.IMAGE_PLAIN_TEXT_PLACEHOLDER))
+                .filter((part) => part.length > 0)
+                .join("\n")
+        )
+        .join(PLAIN_TEXT_POST_SEPARATOR);
+}
+
+/**
+ * Formats the thread as Markdown with a numbered section for each post. Images are reference-style images whose
+ * definitions hold the data URLs at the end of the document.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @returns {string}
+ */
+function formatMarkdown(chunkContents) {
+    /** @type {string[]} */
+    const imageDefinitions = [];
+    const sections = groupPosts(chunkContents).map((post, postIndex) => {
+        const parts = [`## ${templateHelpers.interpolate(TEXT_CONTENT.EXPORT_POST_HEADING_TEMPLATE, { post: postIndex + 1 })}`];
+        if (post.textChunk !== null) {
+            parts.push(post.textChunk.plainText);
+        }
+        post.imageChunks.forEach((imageChunk) => {
+            const imageReference = `image-${imageDefinitions.length + 1}`;
+            const altText = readAltText(imageChunk).replace(/[[\]\\]/g, "\\$&");
+            parts.push(`![${altText}][${imageReference}]`);
+            imageDefinitions.push(`[${imageReference}]: ${imageChunk.imageDataUrl ?? ""}`);
+        });
+        return parts.join("\n\n");
+    });
+    return sections.concat(imageDefinitions.length > 0 ? [imageDefinitions.join("\n")] : []).join("\n\n");
+}
+
+/**
+ * Formats the thread as an HTML fragment with a numbered section for each post. Text and images use the HTML of the
+ * rendered chunks, and attached images follow the text as separate image elements.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @returns {string}
+ */
+function formatHtml(chunkContents) {
+    const sections = groupPosts(chunkContents).map((post, postIndex) => {
+        const heading = templateHelpers.escapeHtml(
+            templateHelpers.interpolate(TEXT_CONTENT.EXPORT_POST_HEADING_TEMPLATE, { post: postIndex + 1 })
+        );
+        const parts = [`<h2>${heading}</h2>`];
+        if (post.textChunk !== null) {
+            parts.push(`<p>${richTextHelpers.convertTextSegmentToHtml(post.textChunk.plainText)}</p>`);
+        }
+        post.imageChunks.forEach((imageChunk) => {
+            parts.push(imageChunk.htmlContent);
+        });
+        return `<section>\n${parts.join("\n")}\n</section>`;
+    });
+    return `<article>\n${sections.join("\n")}\n</article>`;
+}
+
+/**
+ * Formats the thread as JSON with the chunking options, the statistics of the thread, and each post with its
+ * statistics and images.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @param {import("../types.d.js").ThreadingOptions} options Options that produced the thread.
+ * @returns {string}
+ */
+function formatJson(chunkContents, options) {
+    const posts = describePosts(chunkContents, options);
+    return JSON.stringify(
+        {
+            options,
+            statistics: {
+                posts: posts.length,
+                characters: posts.reduce((total, post) => total + post.characters, 0),
+                words: posts.reduce((total, post) => total + post.words, 0),
+                sentences: posts.reduce((total, post) => total + post.sentences, 0),
+                images: posts.reduce((total, post) => total + post.images.length, 0)
+            },
+            posts
+        },
+        null,
+        2
+    );
+}
+
+/**
+ * Formats the thread as CSV with a header row and one row per post.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @param {import("../types.d.js").ThreadingOptions} options Options that produced the thread.
+ * @returns {string}
+ */
+function formatCsv(chunkContents, options) {
+    const rows = describePosts(chunkContents, options).map((post) => [
+        String(post.post),
+        post.text,
+        String(post.characters),
+        String(post.words),
+        String(post.sentences),
+        String(post.images.length),
+        post.images.map((image) => image.altText).join(CSV_ALT_TEXT_SEPARATOR)
+    ]);
+    return [CSV_HEADER]
+        .concat(rows)
+        .map((row) => row.map(quoteCsvValue).join(","))
+        .join(CSV_LINE_SEPARATOR);
+}
+
+/**
+ * Quotes a CSV value when it has a quote, a comma, or a line break.
+ * @param {string} value Cell value.
+ * @returns {string}
+ */
+function quoteCsvValue(value) {
+    return CSV_QUOTED_VALUE_PATTERN.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Describes each post with its text, its statistics as the platform counts them, and its images.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @param {import("../types.d.js").ThreadingOptions} options Options that produced the thread.
+ * @returns {{ post: number, text: string, characters: number, words: number, sentences: number, images: { altText: string, dataUrl: string }[] }[]}
+ */
+function describePosts(chunkContents, options) {
+    return groupPosts(chunkContents).map((post, postIndex) => {
+        const text = post.textChunk === null ? "" : post.textChunk.plainText;
+        const statistics = chunkingService.calculateStatistics(text, options.lengthCounter);
+        return {
+            post: postIndex + 1,
+            text,
+            characters: statistics.characters,
+            words: statistics.words,
+            sentences: statistics.sentences,
+            images: post.imageChunks.map((imageChunk) => ({
+                altText: readAltText(imageChunk),
+                dataUrl: imageChunk.imageDataUrl ?? ""
+            }))
+        };
+    });
+}
+
+/**
+ * Formats the thread in the requested export format.
+ * @param {import("../types.d.js").ExportFormatIdentifier} formatIdentifier Export format.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @param {import("../types.d.js").ThreadingOptions} options Options that produced the thread.
+ * @returns {string}
+ */
+function formatThread(formatIdentifier, chunkContents, options) {
+    switch (formatIdentifier) {
+        case EXPORT_FORMAT_IDENTIFIERS.PLAIN_TEXT:
+            return formatPlainText(chunkContents);
+        case EXPORT_FORMAT_IDENTIFIERS.MARKDOWN:
+            return formatMarkdown(chunkContents);
+        case EXPORT_FORMAT_IDENTIFIERS.HTML:
+            return formatHtml(chunkContents);
+        case EXPORT_FORMAT_IDENTIFIERS.JSON:
+            return formatJson(chunkContents, options);
+        case EXPORT_FORMAT_IDENTIFIERS.CSV:
+            return formatCsv(chunkContents, options);
+        default:
+            throw new Error(`Unknown export format: ${formatIdentifier}`);
+    }
+}
+
+export const threadExportHelpers = Object.freeze({
+    formatPlainText,
+    formatMarkdown,
+    formatHtml,
+    formatJson,
+    formatCsv,
+    formatThread,
+    describePosts,
+    groupPosts
+});
@@ -0,0 +1,116 @@
+// @ts-check
+/**
+ * @fileoverview Prepares the posts of a thread for the platform preview: the text that shows before "Show more", the
+ * images, and the link that gets a link card.
+ */
+
+import { PREVIEW_PLATFORM_CONFIG, TEXT_ENTITY_KINDS } from "../constants.js";
+import { lengthCounterHelpers } from "./lengthCounters.js";
+import { textEntityHelpers } from "./textEntities.js";
+import { threadExportHelpers } from "./threadExport.js";
+
+/** @type {RegExp} */
+const LINK_PREFIX_PATTERN = /^(?:https?:\/\/)?(?:www\.)?/i;
+/** @type {RegExp} */
+const LINK_PATH_PATTERN = /[/?#].*$/s;
+/** @type {RegExp} */
+const TRAILING_WHITESPACE_PATTERN = /\s+$/u;
+/** @type {RegExp} */
+const LEADING_WHITESPACE_PATTERN = /^\s/u;
+/** @type {RegExp} Whitespace before the last word, which may be cut. */
+const LAST_WORD_PATTERN = /\s\S*$/u;
+
+/**
+ * Returns the definition of a preview platform.
+ * @param {import("../types.d.js").PreviewPlatformIdentifier} platformIdentifier Preview platform.
+ * @returns {import("../types.d.js").PreviewPlatformDefinition}
+ */
+function getPlatformDefinition(platformIdentifier) {
+    const platformDefinition = PREVIEW_PLATFORM_CONFIG[platformIdentifier];
+    if (platformDefinition === undefined) {
+        throw new Error(`Unknown preview platform: ${platformIdentifier}`);
+    }
+    return platformDefinition;
+}
+
+/**
+ * Finds the text that the platform shows before "Show more". The cut goes back to the last whitespace, so no word is
+ * cut.
+ * @param {string} text Full text of the post.
+ * @param {import("../types.d.js").PreviewPlatformDefinition} platformDefinition Platform that shows the post.
+ * @returns {{ visibleText: string, isTruncated: boolean }}
+ */
+function truncateText(text, platformDefinition) {
+    const { truncationLength, lengthCounter } = platformDefinition;
+    if (truncationLength === null || lengthCounterHelpers.measureLength(text, lengthCounter) <= truncationLength) {
+        return { visibleText: text, isTruncated: false };
+    }
+    const graphemes = lengthCounterHelpers.segmentGraphemes(text);
+    let fittingCount = 0;
+    let lowerCount = 0;
+    let upperCount = graphemes.length;
+    while (lowerCount <= upperCount) {
+        const middleCount = Math.floor((lowerCount + upperCount) / 2);
+        const prefix = graphemes.slice(0, middleCount).join("");
+        if (lengthCounterHelpers.measureLength(prefix, lengthCounter) <= truncationLength) {
+            fittingCount = middleCount;
+            lowerCount = middleCount + 1;
+        } else {
+            upperCount = middleCount - 1;
+        }
+    }
+    const fittingText = graphemes.slice(0, fittingCount).join("");
+    const endsAtWord = LEADING_WHITESPACE_PATTERN.test(graphemes[fittingCount] ?? "");
+    const wordBoundary = fittingText.search(LAST_WORD_PATTERN);
+    const cutText = endsAtWord || wordBoundary <= 0 ? fittingText : fittingText.slice(0, wordBoundary);
+    return { visibleText: cutText.replace(TRAILING_WHITESPACE_PATTERN, ""), isTruncated: true };
+}
+
+/**
+ * Finds the link that gets a link card. Posts with images have no link card.
+ * @param {string} text Full text of the post.
+ * @param {boolean} hasImages Whether the post has images.
+ * @param {import("../types.d.js").PreviewPlatformDefinition} platformDefinition Platform that shows the post.
+ * @returns {{ url: string, domain: string } | null}
+ */
+function findLinkCard(text, hasImages, platformDefinition) {
+    if (hasImages) {
+        return null;
+    }
+    const links = textEntityHelpers.findTextEntities(text).filter((entity) => entity.kind === TEXT_ENTITY_KINDS.URL);
+    if (links.length === 0) {
+        return null;
+    }
+    const link = platformDefinition.linkCardPosition === "last" ? links[links.length - 1] : links[0];
+    return { url: link.text, domain: link.text.replace(LINK_PREFIX_PATTERN, "").replace(LINK_PATH_PATTERN, "") };
+}
+
+/**
+ * Builds the preview posts of a thread as the platform shows them.
+ * @param {import("../types.d.js").ChunkContent[]} chunkContents Chunk contents in thread order.
+ * @param {import("../types.d.js").PreviewPlatformIdentifier} platformIdentifier Preview platform.
+ * @returns {import("../types.d.js").PreviewPost[]}
+ */
+function buildPreviewPosts(chunkContents, platformIdentifier) {
+    const platformDefinition = getPlatformDefinition(platformIdentifier);
+    return threadExportHelpers.groupPosts(chunkContents).map((post, postIndex) => {
+        const text = post.textChunk === null ? "" : post.textChunk.plainText;
+        const images = post.imageChunks.map((imageChunk) => ({
+            dataUrl: imageChunk.imageDataUrl ?? "",
+            altText: imageChunk.altText ?? ""
+        }));
+        return {
+            postIndex,
+            text,
+            ...truncateText(text, platformDefinition),
+            images,
+            linkCard: findLinkCard(text, images.length > 0, platformDefinition)
+        };
+    });
+}
+
+export const threadPreviewHelpers = Object.freeze({
+    getPlatformDefinition,
+    truncateText,
+    buildPreviewPosts
+});
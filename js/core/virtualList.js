@@ -0,0 +1,85 @@
+// @ts-check
+/**
+ * @fileoverview Pure helpers for the virtualized chunk list: content hashes that key reusable chunk nodes, and the range
+ * of items that the viewport shows.
+ */
+
+/** @type {number} */
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+/** @type {number} */
+const FNV_PRIME = 0x01000193;
+/** @type {number} */
+const HASH_SAMPLE_LENGTH = 2048;
+/** @type {number} Mixed in after each value; no UTF-16 code unit has this value. */
+const VALUE_SEPARATOR = 0x10000;
+
+/**
+ * Hashes a list of values with 32-bit FNV-1a. A value longer than the sample length, such as an image data URL, adds
+ * only its length, start, and end, so the hash stays cheap. Different values can share a hash, so callers compare the
+ * values before they trust a match.
+ * @param {ReadonlyArray<string | number | boolean | null>} values Values to hash.
+ * @returns {string} Hash as eight hexadecimal digits.
+ */
+function hashValues(values) {
+    let hash = FNV_OFFSET_BASIS;
+    values.forEach((value) => {
+        const valueText = String(value);
+        const sampledText =
+            valueText.length > HASH_SAMPLE_LENGTH
+                ? `${valueText.length}:${valueText.slice(0, HASH_SAMPLE_LENGTH / 2)}${valueText.slice(-HASH_SAMPLE_LENGTH / 2)}`
+                : valueText;
+        for (let characterIndex = 0; characterIndex < sampledText.length; characterIndex += 1) {
+            hash ^= sampledText.charCodeAt(characterIndex);
+            hash = Math.imul(hash, FNV_PRIME);
+        }
+        hash = Math.imul(hash ^ VALUE_SEPARATOR, FNV_PRIME);
+    });
+    return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Finds the items that overlap the viewport, plus extra items on each side, and the height of the items before and
+ * after them. A viewport above or below the list shows its first or last item.
+ * @param {number[]} itemHeights Height of each item in list order.
+ * @param {number} viewportStart Top of the viewport, measured from the top of the first item.
+ * @param {number} viewportEnd Bottom of the viewport, measured from the top of the first item.
+ * @param {number} overscanCount Items to add before and after the visible items.
+ * @returns {{ startIndex: number, endIndex: number, leadingHeight: number, trailingHeight: number }} Items from
+ * `startIndex` up to, not including, `endIndex`.
+ */
+function findVisibleRange(itemHeights, viewportStart, viewportEnd, overscanCount) {
+    let firstIndex = 0;
+    let firstTop = 0;
+    while (firstIndex < itemHeights.length - 1 && firstTop + itemHeights[firstIndex] <= viewportStart) {
+        firstTop += itemHeights[firstIndex];
+        firstIndex += 1;
+    }
+    let lastIndex = firstIndex;
+    let lastTop = firstTop;
+    while (lastIndex < itemHeights.length && lastTop < viewportEnd) {
+        lastTop += itemHeights[lastIndex];
+        lastIndex += 1;
+    }
+    const startIndex = Math.max(0, firstIndex - overscanCount);
+    const endIndex = Math.min(itemHeights.length, Math.max(lastIndex, firstIndex + 1) + overscanCount);
+    return {
+        startIndex,
+        endIndex,
+        leadingHeight: sumHeights(itemHeights.slice(0, startIndex)),
+        trailingHeight: sumHeights(itemHeights.slice(endIndex))
+    };
+}
+
+/**
+ * Adds up item heights.
+ * @param {number[]} itemHeights Heights to add.
+ * @returns {number}
+ */
+function sumHeights(itemHeights) {
+    return itemHeights.reduce((totalHeight, itemHeight) => totalHeight + itemHeight, 0);
+}
+
+export const virtualListHelpers = Object.freeze({
+    hashValues,
+    findVisibleRange
+});
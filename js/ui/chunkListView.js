@@ -7,12 +7,32 @@ import {
     TEXT_CONTENT,
     CHUNK_CONTAINER_STATE_CLASSES,
     COPY_BUTTON_STATE_CLASSES,
-    CHUNK_ATTRIBUTE_NAMES
+    CHUNK_ATTRIBUTE_NAMES,
+    KEYBOARD_SHORTCUTS,
+    EXPORT_FORMAT_IDENTIFIERS,
+    EXPORT_FORMAT_CONFIG,
+    PREVIEW_PLATFORM_IDENTIFIERS,
+    PREVIEW_PLATFORM_CONFIG
 } from "../constants.js";
+import { threadPreviewHelpers } from "../core/threadPreview.js";
+import { virtualListHelpers } from "../core/virtualList.js";
 import { templateHelpers } from "../utils/templates.js";
+import { ThreadPreviewView } from "./threadPreviewView.js";
+
+/** @type {import("../types.d.js").PreviewPlatformIdentifier} */
+const DEFAULT_PREVIEW_PLATFORM = PREVIEW_PLATFORM_IDENTIFIERS.X;
+/** @type {number} */
+const VIRTUAL_LIST_MINIMUM_ITEMS = 40;
+/** @type {number} */
+const VIRTUAL_LIST_ESTIMATED_ITEM_HEIGHT = 160;
+/** @type {number} */
+const VIRTUAL_LIST_OVERSCAN_ITEMS = 5;
 
 /**
- * View responsible for rendering thread chunks.
+ * View responsible for rendering thread chunks. Long threads render as a virtualized list: only the chunks near the
+ * viewport have nodes in the document, and spacers stand in for the others. Chunk nodes are kept by content hash, so
+ * a re-render reuses the node of every chunk that did not change. In preview mode the list is hidden and the thread
+ * shows as a mockup of the preview platform; the list keeps its nodes, so copy actions still work.
  */
 export class ChunkListView {
     /**
@@ -23,90 +43,978 @@ export class ChunkListView {
         this.resultsContainer = resultsContainer;
         this.chunkingService = chunkingService;
         this.pendingAnimationFrame = null;
+        /** @type {number | null} */
+        this.pendingViewportFrame = null;
+        /** @type {import("../types.d.js").ChunkContent | null} */
+        this.draggedChunk = null;
+        /** @type {{ postIndex: number, buttonClassName: string } | null} */
+        this.pendingFocus = null;
+        this.renderRequestCount = 0;
+        /** @type {import("../types.d.js").ChunkListItem[]} */
+        this.listItems = [];
+        /** @type {{ threadWrapper: HTMLDivElement, topSpacer: HTMLDivElement, bottomSpacer: HTMLDivElement, startIndex: number, endIndex: number } | null} */
+        this.virtualList = null;
+        /** @type {{ onCopyRequest: (context: { chunk: import("../types.d.js").ChunkContent; containerElement: HTMLDivElement; buttonElement: HTMLButtonElement }) => void, lengthCounter: import("../types.d.js").LengthCounterIdentifier | undefined, interactionHandlers: import("../types.d.js").ChunkInteractionHandlers | undefined, threadLayout: import("../types.d.js").ThreadLayout | undefined } | null} */
+        this.renderContext = null;
+        this.isViewportBound = false;
+        /** @type {{ textElement: HTMLSpanElement, progressElement: HTMLProgressElement, buttonElement: HTMLButtonElement } | null} */
+        this.copyProgress = null;
+        /** @type {HTMLDivElement | null} */
+        this.exportStatusElement = null;
+        /** @type {HTMLDivElement | null} */
+        this.threadWrapper = null;
+        /** @type {import("../types.d.js").ChunkContent[]} */
+        this.previewChunks = [];
+        this.isPreviewActive = false;
+        /** @type {import("../types.d.js").PreviewPlatformIdentifier} */
+        this.previewPlatform = DEFAULT_PREVIEW_PLATFORM;
+        /** @type {{ toggleButton: HTMLButtonElement, platformSelect: HTMLSelectElement } | null} */
+        this.previewControls = null;
+        this.previewElement = document.createElement("section");
+        this.previewElement.className = "threadPreview";
+        this.threadPreviewView = new ThreadPreviewView(this.previewElement);
     }
 
     /**
-     * Clears the results pane and cancels any scheduled render work.
+     * Clears the results pane, drops the kept chunk nodes, and cancels any scheduled render work.
      * @returns {void}
      */
     clear() {
+        this.cancelScheduledRender();
+        this.resultsContainer.innerHTML = "";
+        this.listItems = [];
+        this.virtualList = null;
+        this.copyProgress = null;
+        this.threadWrapper = null;
+        this.previewChunks = [];
+        this.previewControls = null;
+    }
+
+    /**
+     * Cancels the scheduled render and viewport update.
+     * @returns {void}
+     */
+    cancelScheduledRender() {
         if (this.pendingAnimationFrame !== null) {
             window.cancelAnimationFrame(this.pendingAnimationFrame);
             this.pendingAnimationFrame = null;
         }
-        this.resultsContainer.innerHTML = "";
+        if (this.pendingViewportFrame !== null) {
+            window.cancelAnimationFrame(this.pendingViewportFrame);
+            this.pendingViewportFrame = null;
+        }
     }
 
     /**
-     * Renders the provided chunk contents.
+     * Renders the provided chunk contents. Nodes of unchanged chunks from the previous render are reused, and they
+     * take the copy state of the new render.
      * @param {import("../types.d.js").ChunkContent[]} chunks Ordered list of chunk content objects.
      * @param {(context: { chunk: import("../types.d.js").ChunkContent; containerElement: HTMLDivElement; buttonElement: HTMLButtonElement }) => void} onCopyRequest Handler invoked when the user clicks the copy button.
+     * @param {import("../types.d.js").LengthCounterIdentifier} [lengthCounter] Counting rules used for the per-chunk character count.
+     * @param {import("../types.d.js").ChunkInteractionHandlers} [interactionHandlers] Handlers that show and edit the source of a chunk.
+     * @param {(number | null)[]} [copyOrders] Copy order of each chunk that is already copied.
+     * @param {import("../types.d.js").ThreadLayout} [threadLayout] Post lengths and layout state. Enables the merge, split, and move actions.
      * @returns {void}
      */
-    renderChunks(chunks, onCopyRequest) {
-        this.clear();
+    renderChunks(chunks, onCopyRequest, lengthCounter, interactionHandlers, copyOrders = [], threadLayout) {
+        this.cancelScheduledRender();
+        this.resultsContainer.innerHTML = "";
+        this.virtualList = null;
+        this.copyProgress = null;
+        this.threadWrapper = null;
+        this.previewControls = null;
+        this.renderRequestCount += 1;
+        this.previewChunks = chunks;
         if (chunks.length === 0) {
+            this.listItems = [];
             return;
         }
 
         this.pendingAnimationFrame = window.requestAnimationFrame(() => {
             this.pendingAnimationFrame = null;
+            this.renderContext = { onCopyRequest, lengthCounter, interactionHandlers, threadLayout };
+            /** @type {Map<string, import("../types.d.js").ChunkListItem[]>} */
+            const reusableItems = new Map();
+            this.listItems.forEach((listItem) => {
+                if (listItem.containerElement !== null) {
+                    reusableItems.set(listItem.contentHash, (reusableItems.get(listItem.contentHash) ?? []).concat(listItem));
+                }
+            });
+            this.listItems = chunks.map((chunkContent, chunkIndex) =>
+                this.createListItem(chunkContent, copyOrders[chunkIndex] ?? null, reusableItems)
+            );
+
+            if (interactionHandlers) {
+                this.resultsContainer.appendChild(this.createCopyProgressBar(interactionHandlers));
+                this.updateCopyProgress();
+            }
             const threadWrapper = document.createElement("div");
             threadWrapper.className = "threadWrapper";
+            this.threadWrapper = threadWrapper;
+            if (interactionHandlers && threadLayout && threadLayout.isManual) {
+                threadWrapper.appendChild(this.createManualLayoutNotice(interactionHandlers));
+            }
+            if (this.listItems.length < VIRTUAL_LIST_MINIMUM_ITEMS) {
+                this.listItems.forEach((listItem) => {
+                    threadWrapper.appendChild(this.materializeItem(listItem));
+                });
+                this.resultsContainer.appendChild(threadWrapper);
+            } else {
+                const topSpacer = document.createElement("div");
+                topSpacer.className = "chunkListSpacer";
+                const bottomSpacer = document.createElement("div");
+                bottomSpacer.className = "chunkListSpacer";
+                threadWrapper.append(topSpacer, bottomSpacer);
+                this.virtualList = { threadWrapper, topSpacer, bottomSpacer, startIndex: 0, endIndex: 0 };
+                this.resultsContainer.appendChild(threadWrapper);
+                this.bindViewport();
+                this.updateVisibleItems();
+            }
+            this.resultsContainer.appendChild(this.previewElement);
+            this.applyPreviewMode();
+            this.restorePendingFocus();
+        });
+    }
 
-            chunks.forEach((chunkContent) => {
-                const containerElement = document.createElement("div");
-                containerElement.className = "chunkContainer";
+    /**
+     * Creates the bar above the thread with the copy progress and the button that copies the next post.
+     * @param {import("../types.d.js").ChunkInteractionHandlers} interactionHandlers Handlers that copy the next post.
+     * @returns {HTMLDivElement}
+     */
+    createCopyProgressBar(interactionHandlers) {
+        const barElement = document.createElement("div");
+        barElement.className = "copyProgressBar";
+        const buttonElement = document.createElement("button");
+        buttonElement.className = "copyNextButton";
+        buttonElement.textContent = TEXT_CONTENT.COPY_NEXT_BUTTON_LABEL;
+        buttonElement.title = TEXT_CONTENT.COPY_NEXT_BUTTON_TITLE;
+        buttonElement.setAttribute("aria-keyshortcuts", KEYBOARD_SHORTCUTS.COPY_NEXT_ARIA);
+        buttonElement.addEventListener("click", () => {
+            interactionHandlers.onCopyNext();
+        });
+        const progressElement = document.createElement("progress");
+        progressElement.className = "copyProgressMeter";
+        progressElement.setAttribute("aria-label", TEXT_CONTENT.COPY_PROGRESS_LABEL);
+        const textElement = document.createElement("span");
+        textElement.className = "copyProgressText";
+        textElement.setAttribute("aria-live", "polite");
+        barElement.append(
+            buttonElement,
+            progressElement,
+            textElement,
+            this.createPreviewControls(),
+            this.createExportMenu(interactionHandlers)
+        );
+        this.copyProgress = { textElement, progressElement, buttonElement };
+        return barElement;
+    }
 
-                if (chunkContent.variant === "image") {
-                    containerElement.classList.add("imageChunk");
-                }
+    /**
+     * Creates the button that turns the preview mode on and off, and the select that chooses the preview platform.
+     * @returns {HTMLDivElement}
+     */
+    createPreviewControls() {
+        const controlsElement = document.createElement("div");
+        controlsElement.className = "previewControls";
+        const toggleButton = document.createElement("button");
+        toggleButton.type = "button";
+        toggleButton.className = "previewToggleButton";
+        toggleButton.textContent = TEXT_CONTENT.PREVIEW_TOGGLE_LABEL;
+        toggleButton.title = TEXT_CONTENT.PREVIEW_TOGGLE_TITLE;
+        toggleButton.addEventListener("click", () => {
+            this.isPreviewActive = !this.isPreviewActive;
+            this.applyPreviewMode();
+        });
+        const platformSelect = document.createElement("select");
+        platformSelect.className = "previewPlatformSelect";
+        platformSelect.setAttribute("aria-label", TEXT_CONTENT.PREVIEW_PLATFORM_LABEL);
+        Object.values(PREVIEW_PLATFORM_IDENTIFIERS).forEach((platformIdentifier) => {
+            const optionElement = document.createElement("option");
+            optionElement.value = platformIdentifier;
+            optionElement.textContent = PREVIEW_PLATFORM_CONFIG[platformIdentifier].label;
+            platformSelect.appendChild(optionElement);
+        });
+        platformSelect.addEventListener("change", () => {
+            this.setPreviewPlatform(
+                /** @type {import("../types.d.js").PreviewPlatformIdentifier} */ (platformSelect.value)
+            );
+        });
+        controlsElement.append(toggleButton, platformSelect);
+        this.previewControls = { toggleButton, platformSelect };
+        return controlsElement;
+    }
 
-                const contentElement = document.createElement("div");
-                contentElement.className = "chunkContent";
-                contentElement.innerHTML = chunkContent.htmlContent;
-
-                const copyButtonElement = document.createElement("button");
-                copyButtonElement.className = "copyButton";
-                copyButtonElement.textContent = TEXT_CONTENT.COPY_BUTTON_LABEL;
-                copyButtonElement.addEventListener("click", () => {
-                    onCopyRequest({
-                        chunk: chunkContent,
-                        containerElement,
-                        buttonElement: copyButtonElement
-                    });
+    /**
+     * Sets the platform that the preview shows. The active preset sets it, and the platform select overrides it.
+     * @param {import("../types.d.js").PreviewPlatformIdentifier} platformIdentifier Preview platform.
+     * @returns {void}
+     */
+    setPreviewPlatform(platformIdentifier) {
+        threadPreviewHelpers.getPlatformDefinition(platformIdentifier);
+        this.previewPlatform = platformIdentifier;
+        this.applyPreviewMode();
+    }
+
+    /**
+     * Leaves preview mode and selects the default preview platform. A custom length has no platform, so the preview of
+     * the last preset does not stay on screen.
+     * @returns {void}
+     */
+    resetPreview() {
+        this.isPreviewActive = false;
+        this.previewPlatform = DEFAULT_PREVIEW_PLATFORM;
+        this.applyPreviewMode();
+    }
+
+    /**
+     * Shows the preview or the list, as the preview mode says, and brings the preview controls up to date.
+     * @returns {void}
+     */
+    applyPreviewMode() {
+        if (this.previewControls !== null) {
+            this.previewControls.toggleButton.setAttribute("aria-pressed", String(this.isPreviewActive));
+            this.previewControls.platformSelect.value = this.previewPlatform;
+        }
+        if (this.threadWrapper === null) {
+            return;
+        }
+        this.threadWrapper.hidden = this.isPreviewActive;
+        this.previewElement.hidden = !this.isPreviewActive;
+        if (this.isPreviewActive) {
+            this.threadPreviewView.render(this.previewChunks, this.previewPlatform);
+        } else {
+            this.previewElement.replaceChildren();
+            this.updateVisibleItems();
+        }
+    }
+
+    /**
+     * Creates the menu that copies or downloads the whole thread in each export format, or downloads it as a bundle.
+     * @param {import("../types.d.js").ChunkInteractionHandlers} interactionHandlers Handlers that export the thread.
+     * @returns {HTMLDetailsElement}
+     */
+    createExportMenu(interactionHandlers) {
+        const menuElement = document.createElement("details");
+        menuElement.className = "exportMenu";
+        const summaryElement = document.createElement("summary");
+        summaryElement.textContent = TEXT_CONTENT.EXPORT_MENU_LABEL;
+        const itemsElement = document.createElement("div");
+        itemsElement.className = "exportMenuItems";
+        Object.values(EXPORT_FORMAT_IDENTIFIERS).forEach((formatIdentifier) => {
+            const formatLabel = EXPORT_FORMAT_CONFIG[formatIdentifier].label;
+            const formatElement = document.createElement("div");
+            formatElement.className = "exportFormat";
+            formatElement.setAttribute(CHUNK_ATTRIBUTE_NAMES.EXPORT_FORMAT, formatIdentifier);
+            /** @type {[string, string, import("../types.d.js").ExportAction][]} */
+            const actions = [
+                ["exportCopyButton", TEXT_CONTENT.EXPORT_COPY_BUTTON_TEMPLATE, "copy"],
+                ["exportDownloadButton", TEXT_CONTENT.EXPORT_DOWNLOAD_BUTTON_TEMPLATE, "download"]
+            ];
+            actions.forEach(([className, labelTemplate, exportAction]) => {
+                const actionButton = document.createElement("button");
+                actionButton.className = className;
+                actionButton.textContent = templateHelpers.interpolate(labelTemplate, { format: formatLabel });
+                actionButton.addEventListener("click", () => {
+                    interactionHandlers.onExport(
+                        /** @type {import("../types.d.js").ExportFormatIdentifier} */ (formatIdentifier),
+                        exportAction
+                    );
                 });
+                formatElement.appendChild(actionButton);
+            });
+            itemsElement.appendChild(formatElement);
+        });
+        const bundleButton = document.createElement("button");
+        bundleButton.className = "exportBundleButton";
+        bundleButton.textContent = TEXT_CONTENT.EXPORT_BUNDLE_BUTTON_LABEL;
+        bundleButton.title = TEXT_CONTENT.EXPORT_BUNDLE_BUTTON_TITLE;
+        bundleButton.addEventListener("click", () => {
+            interactionHandlers.onDownloadBundle();
+        });
+        itemsElement.appendChild(bundleButton);
+        const statusElement = document.createElement("div");
+        statusElement.className = "exportStatus";
+        statusElement.setAttribute("aria-live", "polite");
+        this.exportStatusElement = statusElement;
+        menuElement.append(summaryElement, itemsElement, statusElement);
+        return menuElement;
+    }
 
-                const infoRow = document.createElement("div");
-                infoRow.className = "chunkInfo";
-
-                if (chunkContent.variant !== "image") {
-                    const statisticsSource =
-                        typeof chunkContent.statisticsText === "string"
-                            ? chunkContent.statisticsText
-                            : chunkContent.plainText;
-                    const statistics = this.chunkingService.calculateStatistics(statisticsSource);
-                    const statsElement = document.createElement("div");
-                    statsElement.className = "stats";
-                    statsElement.textContent = templateHelpers.interpolate(TEXT_CONTENT.CHUNK_STATS_TEMPLATE, {
-                        characters: statistics.characters,
-                        words: statistics.words,
-                        sentences: statistics.sentences
-                    });
-                    infoRow.append(statsElement);
-                } else {
-                    infoRow.classList.add("imageOnly");
-                }
+    /**
+     * Shows the result of a thread export in the export menu.
+     * @param {string} message Status message.
+     * @returns {void}
+     */
+    showExportStatus(message) {
+        if (this.exportStatusElement !== null && this.exportStatusElement.isConnected) {
+            this.exportStatusElement.textContent = message;
+        }
+    }
+
+    /**
+     * Shows how many chunks are copied. The copy next button is disabled when every chunk is copied.
+     * @returns {void}
+     */
+    updateCopyProgress() {
+        if (this.copyProgress === null) {
+            return;
+        }
+        const totalCount = this.listItems.length;
+        const copiedCount = this.listItems.filter((listItem) => listItem.copyOrder !== null).length;
+        this.copyProgress.textElement.textContent = templateHelpers.interpolate(TEXT_CONTENT.COPY_PROGRESS_TEMPLATE, {
+            copied: copiedCount,
+            total: totalCount
+        });
+        this.copyProgress.progressElement.max = Math.max(1, totalCount);
+        this.copyProgress.progressElement.value = copiedCount;
+        this.copyProgress.buttonElement.disabled = copiedCount >= totalCount;
+    }
 
-                infoRow.append(copyButtonElement);
+    /**
+     * Shows a rendered chunk: creates its node when the list is virtualized, scrolls it into view, and moves the focus
+     * to it.
+     * @param {import("../types.d.js").ChunkContent} chunkContent Chunk of the latest render.
+     * @returns {{ containerElement: HTMLDivElement, buttonElement: HTMLButtonElement } | null} Node and copy button of
+     * the chunk, or null when the chunk is not rendered.
+     */
+    revealChunk(chunkContent) {
+        const itemIndex = this.listItems.findIndex((listItem) => listItem.chunk === chunkContent);
+        if (itemIndex < 0) {
+            return null;
+        }
+        this.updateVisibleItems(itemIndex);
+        const containerElement = this.listItems[itemIndex].containerElement;
+        if (containerElement === null || !containerElement.isConnected) {
+            return null;
+        }
+        containerElement.scrollIntoView({ block: "nearest" });
+        containerElement.tabIndex = -1;
+        containerElement.focus({ preventScroll: true });
+        return {
+            containerElement,
+            buttonElement: /** @type {HTMLButtonElement} */ (containerElement.querySelector(".copyButton"))
+        };
+    }
+
+    /**
+     * Creates the list item of a chunk. A kept item with the same signature gives the new item its node.
+     * @param {import("../types.d.js").ChunkContent} chunkContent Chunk to show.
+     * @param {number | null} copyOrder Copy order of the chunk, or null when it is not copied.
+     * @param {Map<string, import("../types.d.js").ChunkListItem[]>} reusableItems Items of the previous render by content hash.
+     * @returns {import("../types.d.js").ChunkListItem}
+     */
+    createListItem(chunkContent, copyOrder, reusableItems) {
+        const signature = this.createItemSignature(chunkContent);
+        const contentHash = virtualListHelpers.hashValues(signature);
+        const candidateItems = reusableItems.get(contentHash) ?? [];
+        const reusedItem = candidateItems.find((candidateItem) =>
+            candidateItem.signature.every((value, valueIndex) => value === signature[valueIndex])
+        );
+        if (reusedItem === undefined) {
+            return {
+                chunk: chunkContent,
+                copyOrder,
+                signature,
+                contentHash,
+                height: VIRTUAL_LIST_ESTIMATED_ITEM_HEIGHT,
+                containerElement: null
+            };
+        }
+        reusableItems.set(
+            contentHash,
+            candidateItems.filter((candidateItem) => candidateItem !== reusedItem)
+        );
+        reusedItem.chunk = chunkContent;
+        reusedItem.copyOrder = copyOrder;
+        this.applyCopyState(reusedItem);
+        return reusedItem;
+    }
+
+    /**
+     * Lists the values that the node of a chunk depends on: its content, its source, and its post state.
+     * @param {import("../types.d.js").ChunkContent} chunkContent Chunk to describe.
+     * @returns {(string | number | boolean | null)[]}
+     */
+    createItemSignature(chunkContent) {
+        const renderContext = /** @type {NonNullable<ChunkListView["renderContext"]>} */ (this.renderContext);
+        const { lengthCounter, interactionHandlers, threadLayout } = renderContext;
+        const postIndex = chunkContent.postIndex;
+        const postState =
+            threadLayout && typeof postIndex === "number"
+                ? [
+                      threadLayout.postBoundaries.length,
+                      threadLayout.isManual,
+                      threadLayout.pinnedPosts[postIndex] === true,
+                      threadLayout.mergeablePosts[postIndex] === true,
+                      threadLayout.postBoundaries[postIndex] ?? null
+                  ]
+                : null;
+        return [
+            chunkContent.variant,
+            chunkContent.htmlContent,
+            chunkContent.statisticsText ?? chunkContent.plainText,
+            chunkContent.sourceStart ?? null,
+            chunkContent.sourceEnd ?? null,
+            chunkContent.editableText ?? null,
+            postIndex ?? null,
+            JSON.stringify(chunkContent.splitPoints ?? null),
+            lengthCounter ?? null,
+            interactionHandlers !== undefined,
+            JSON.stringify(postState)
+        ];
+    }
 
-                containerElement.appendChild(contentElement);
-                containerElement.appendChild(infoRow);
-                threadWrapper.appendChild(containerElement);
+    /**
+     * Marks the node of an item as copied or not copied, as the copy order of the item says.
+     * @param {import("../types.d.js").ChunkListItem} listItem Item with a node.
+     * @returns {void}
+     */
+    applyCopyState(listItem) {
+        const containerElement = listItem.containerElement;
+        if (containerElement === null) {
+            return;
+        }
+        containerElement.classList.remove(CHUNK_CONTAINER_STATE_CLASSES.ERROR);
+        if (listItem.copyOrder === null) {
+            containerElement.removeAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER);
+            containerElement.classList.remove(CHUNK_CONTAINER_STATE_CLASSES.COPIED);
+        } else {
+            containerElement.setAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER, String(listItem.copyOrder));
+            containerElement.classList.add(CHUNK_CONTAINER_STATE_CLASSES.COPIED);
+        }
+        const copyButtonElement = containerElement.querySelector(".copyButton");
+        if (copyButtonElement !== null) {
+            copyButtonElement.classList.remove(COPY_BUTTON_STATE_CLASSES.ERROR);
+        }
+    }
+
+    /**
+     * Returns the node of an item, and creates it when the item becomes visible for the first time. The node stays
+     * with the item, so its copy state survives while it is out of view.
+     * @param {import("../types.d.js").ChunkListItem} listItem Item to show.
+     * @returns {HTMLDivElement}
+     */
+    materializeItem(listItem) {
+        if (listItem.containerElement === null) {
+            listItem.containerElement = this.createChunkElement(listItem);
+            this.applyCopyState(listItem);
+        }
+        return listItem.containerElement;
+    }
+
+    /**
+     * Creates the node of a chunk. Event handlers read the chunk from the item, so a reused node reports the chunk of
+     * the latest render.
+     * @param {import("../types.d.js").ChunkListItem} listItem Item to show.
+     * @returns {HTMLDivElement}
+     */
+    createChunkElement(listItem) {
+        const renderContext = /** @type {NonNullable<ChunkListView["renderContext"]>} */ (this.renderContext);
+        const { onCopyRequest, lengthCounter, interactionHandlers, threadLayout } = renderContext;
+        const chunkContent = listItem.chunk;
+        const containerElement = document.createElement("div");
+        containerElement.className = "chunkContainer";
+
+        if (chunkContent.variant === "image") {
+            containerElement.classList.add("imageChunk");
+        }
+        if (typeof chunkContent.postIndex === "number") {
+            containerElement.setAttribute(CHUNK_ATTRIBUTE_NAMES.POST_INDEX, String(chunkContent.postIndex));
+        }
+
+        const contentElement = document.createElement("div");
+        contentElement.className = "chunkContent";
+        contentElement.innerHTML = chunkContent.htmlContent;
+
+        const copyButtonElement = document.createElement("button");
+        copyButtonElement.className = "copyButton";
+        copyButtonElement.textContent = TEXT_CONTENT.COPY_BUTTON_LABEL;
+        copyButtonElement.addEventListener("click", () => {
+            onCopyRequest({
+                chunk: listItem.chunk,
+                containerElement,
+                buttonElement: copyButtonElement
             });
+        });
+
+        const infoRow = document.createElement("div");
+        infoRow.className = "chunkInfo";
 
-            this.resultsContainer.appendChild(threadWrapper);
+        if (chunkContent.variant !== "image") {
+            const statisticsSource =
+                typeof chunkContent.statisticsText === "string" ? chunkContent.statisticsText : chunkContent.plainText;
+            const statistics = this.chunkingService.calculateStatistics(statisticsSource, lengthCounter);
+            const statsElement = document.createElement("div");
+            statsElement.className = "stats";
+            statsElement.textContent = templateHelpers.interpolate(TEXT_CONTENT.CHUNK_STATS_TEMPLATE, {
+                characters: statistics.characters,
+                words: statistics.words,
+                sentences: statistics.sentences
+            });
+            infoRow.append(statsElement);
+        } else {
+            infoRow.classList.add("imageOnly");
+        }
+
+        infoRow.append(copyButtonElement);
+        if (interactionHandlers && typeof chunkContent.sourceStart === "number") {
+            infoRow.append(this.bindSourceNavigation(containerElement, listItem, interactionHandlers));
+            if (typeof chunkContent.editableText === "string") {
+                infoRow.append(this.createEditButton(contentElement, listItem, interactionHandlers));
+            }
+        }
+
+        containerElement.appendChild(contentElement);
+        containerElement.appendChild(infoRow);
+        if (
+            interactionHandlers &&
+            threadLayout &&
+            typeof chunkContent.postIndex === "number" &&
+            Array.isArray(chunkContent.splitPoints)
+        ) {
+            if (threadLayout.pinnedPosts[chunkContent.postIndex] === true) {
+                containerElement.classList.add(CHUNK_CONTAINER_STATE_CLASSES.PINNED);
+            }
+            const postBoundary = threadLayout.postBoundaries[chunkContent.postIndex];
+            if (postBoundary !== undefined && postBoundary.characters > postBoundary.maximumLength) {
+                containerElement.classList.add(CHUNK_CONTAINER_STATE_CLASSES.OVERFLOW);
+                const warningElement = document.createElement("div");
+                warningElement.className = "chunkOverflowWarning";
+                warningElement.textContent = templateHelpers.interpolate(TEXT_CONTENT.CHUNK_OVERFLOW_TEMPLATE, {
+                    characters: postBoundary.characters,
+                    limit: postBoundary.maximumLength
+                });
+                containerElement.appendChild(warningElement);
+            }
+            containerElement.appendChild(
+                this.createLayoutActions(contentElement, listItem, interactionHandlers, threadLayout)
+            );
+            this.bindPostDragging(containerElement, listItem, interactionHandlers);
+        }
+        return containerElement;
+    }
+
+    /**
+     * Updates the virtualized list when the results pane or the window scrolls or changes size.
+     * @returns {void}
+     */
+    bindViewport() {
+        if (this.isViewportBound) {
+            return;
+        }
+        this.isViewportBound = true;
+        const scheduleUpdate = () => {
+            if (this.pendingViewportFrame !== null) {
+                return;
+            }
+            this.pendingViewportFrame = window.requestAnimationFrame(() => {
+                this.pendingViewportFrame = null;
+                this.updateVisibleItems();
+            });
+        };
+        this.resultsContainer.addEventListener("scroll", scheduleUpdate, { passive: true });
+        window.addEventListener("scroll", scheduleUpdate, { passive: true });
+        window.addEventListener("resize", scheduleUpdate);
+    }
+
+    /**
+     * Measures the shown items, then shows the items near the viewport between the spacers. Items that stay visible
+     * keep their place in the document, so they keep the focus and any open editor.
+     * @param {number | null} [requiredIndex] Item to show even when it is out of view. The range moves to the item.
+     * @returns {void}
+     */
+    updateVisibleItems(requiredIndex = null) {
+        const virtualList = this.virtualList;
+        if (virtualList === null) {
+            return;
+        }
+        const { threadWrapper, topSpacer, bottomSpacer } = virtualList;
+        for (let itemIndex = virtualList.startIndex; itemIndex < virtualList.endIndex; itemIndex += 1) {
+            const containerElement = this.listItems[itemIndex].containerElement;
+            if (containerElement === null || containerElement.parentNode !== threadWrapper) {
+                continue;
+            }
+            const nextElement = /** @type {HTMLElement} */ (containerElement.nextElementSibling ?? bottomSpacer);
+            const measuredHeight =
+                nextElement.getBoundingClientRect().top - containerElement.getBoundingClientRect().top;
+            if (measuredHeight > 0) {
+                this.listItems[itemIndex].height = measuredHeight;
+            }
+        }
+
+        const containerRect = this.resultsContainer.getBoundingClientRect();
+        const viewportTop = Math.max(0, containerRect.top);
+        const viewportBottom =
+            containerRect.height > 0 ? Math.min(window.innerHeight, containerRect.bottom) : window.innerHeight;
+        const listTop = topSpacer.getBoundingClientRect().top;
+        const itemHeights = this.listItems.map((listItem) => listItem.height);
+        let visibleRange = virtualListHelpers.findVisibleRange(
+            itemHeights,
+            viewportTop - listTop,
+            viewportBottom - listTop,
+            VIRTUAL_LIST_OVERSCAN_ITEMS
+        );
+        if (requiredIndex !== null && (requiredIndex < visibleRange.startIndex || requiredIndex >= visibleRange.endIndex)) {
+            const requiredTop = itemHeights
+                .slice(0, requiredIndex)
+                .reduce((totalHeight, itemHeight) => totalHeight + itemHeight, 0);
+            visibleRange = virtualListHelpers.findVisibleRange(
+                itemHeights,
+                requiredTop,
+                requiredTop + viewportBottom - viewportTop,
+                VIRTUAL_LIST_OVERSCAN_ITEMS
+            );
+        }
+
+        for (let itemIndex = virtualList.startIndex; itemIndex < virtualList.endIndex; itemIndex += 1) {
+            const containerElement = this.listItems[itemIndex].containerElement;
+            const isStillVisible = itemIndex >= visibleRange.startIndex && itemIndex < visibleRange.endIndex;
+            if (!isStillVisible && containerElement !== null && containerElement.parentNode === threadWrapper) {
+                containerElement.remove();
+            }
+        }
+        /** @type {Element} */
+        let referenceElement = bottomSpacer;
+        for (let itemIndex = visibleRange.endIndex - 1; itemIndex >= visibleRange.startIndex; itemIndex -= 1) {
+            const containerElement = this.materializeItem(this.listItems[itemIndex]);
+            if (containerElement.nextElementSibling !== referenceElement) {
+                threadWrapper.insertBefore(containerElement, referenceElement);
+            }
+            referenceElement = containerElement;
+        }
+        topSpacer.style.height = `${visibleRange.leadingHeight}px`;
+        bottomSpacer.style.height = `${visibleRange.trailingHeight}px`;
+        virtualList.startIndex = visibleRange.startIndex;
+        virtualList.endIndex = visibleRange.endIndex;
+    }
+
+    /**
+     * Creates the notice shown above posts that the user arranged by hand, with a button that resets them.
+     * @param {import("../types.d.js").ChunkInteractionHandlers} interactionHandlers Handlers that reset the layout.
+     * @returns {HTMLDivElement}
+     */
+    createManualLayoutNotice(interactionHandlers) {
+        const noticeElement = document.createElement("div");
+        noticeElement.className = "manualLayoutNotice";
+        const messageElement = document.createElement("span");
+        messageElement.textContent = TEXT_CONTENT.MANUAL_LAYOUT_NOTICE;
+        const resetButtonElement = document.createElement("button");
+        resetButtonElement.className = "resetLayoutButton";
+        resetButtonElement.textContent = TEXT_CONTENT.RESET_LAYOUT_BUTTON_LABEL;
+        resetButtonElement.addEventListener("click", () => {
+            interactionHandlers.onResetLayout();
+        });
+        noticeElement.append(messageElement, resetButtonElement);
+        return noticeElement;
+    }
+
+    /**
+     * Creates the buttons that move, merge, and split the post of a text chunk. Outside a manual layout, a button also
+     * pins the post.
+     * @param {HTMLDivElement} contentElement Element that shows the chunk text.
+     * @param {import("../types.d.js").ChunkListItem} listItem Item of a text chunk with a post index.
+     * @param {import("../types.d.js").ChunkInteractionHandlers} interactionHandlers Handlers that change the layout.
+     * @param {import("../types.d.js").ThreadLayout} threadLayout Post lengths and layout state.
+     * @returns {HTMLDivElement}
+     */
+    createLayoutActions(contentElement, listItem, interactionHandlers, threadLayout) {
+        const chunkContent = listItem.chunk;
+        const postIndex = Number(chunkContent.postIndex);
+        const postCount = threadLayout.postBoundaries.length;
+        const actionsElement = document.createElement("div");
+        actionsElement.className = "chunkLayoutActions";
+
+        /**
+         * @param {string} className Class of the button.
+         * @param {string} label Text of the button.
+         * @param {boolean} isEnabled Whether the action is available.
+         * @param {number} focusPostIndex Post whose button gets the focus after the change.
+         * @param {() => void} applyChange Handler call that changes the layout.
+         * @returns {HTMLButtonElement}
+         */
+        const createActionButton = (className, label, isEnabled, focusPostIndex, applyChange) => {
+            const buttonElement = document.createElement("button");
+            buttonElement.className = className;
+            buttonElement.textContent = label;
+            buttonElement.disabled = !isEnabled;
+            buttonElement.addEventListener("click", () => {
+                this.requestLayoutChange({ postIndex: focusPostIndex, buttonClassName: className }, applyChange);
+            });
+            return buttonElement;
+        };
+
+        const splitButtonElement = document.createElement("button");
+        splitButtonElement.className = "splitChunkButton";
+        splitButtonElement.textContent = TEXT_CONTENT.SPLIT_CHUNK_BUTTON_LABEL;
+        splitButtonElement.disabled = !Array.isArray(chunkContent.splitPoints) || chunkContent.splitPoints.length === 0;
+        splitButtonElement.addEventListener("click", () => {
+            this.openSplitPicker(contentElement, splitButtonElement, listItem, interactionHandlers);
+        });
+
+        actionsElement.append(
+            createActionButton("moveChunkUpButton", TEXT_CONTENT.MOVE_CHUNK_UP_BUTTON_LABEL, postIndex > 0, postIndex - 1, () => {
+                interactionHandlers.onMove(listItem.chunk, postIndex - 1);
+            }),
+            createActionButton(
+                "moveChunkDownButton",
+                TEXT_CONTENT.MOVE_CHUNK_DOWN_BUTTON_LABEL,
+                postIndex < postCount - 1,
+                postIndex + 1,
+                () => {
+                    interactionHandlers.onMove(listItem.chunk, postIndex + 1);
+                }
+            ),
+            createActionButton(
+                "mergeChunkButton",
+                TEXT_CONTENT.MERGE_CHUNK_BUTTON_LABEL,
+                threadLayout.mergeablePosts[postIndex] === true,
+                postIndex,
+                () => {
+                    interactionHandlers.onMerge(listItem.chunk);
+                }
+            ),
+            splitButtonElement
+        );
+        if (!threadLayout.isManual) {
+            const isPinned = threadLayout.pinnedPosts[postIndex] === true;
+            const pinButtonElement = createActionButton(
+                "pinChunkButton",
+                isPinned ? TEXT_CONTENT.UNPIN_CHUNK_BUTTON_LABEL : TEXT_CONTENT.PIN_CHUNK_BUTTON_LABEL,
+                true,
+                postIndex,
+                () => {
+                    interactionHandlers.onTogglePin(listItem.chunk);
+                }
+            );
+            pinButtonElement.setAttribute("aria-pressed", String(isPinned));
+            actionsElement.append(pinButtonElement);
+        }
+        return actionsElement;
+    }
+
+    /**
+     * Replaces the chunk text with a button for each word where the post can split. Escape cancels.
+     * @param {HTMLDivElement} contentElement Element that shows the chunk text.
+     * @param {HTMLButtonElement} splitButtonElement Button that opened the picker.
+     * @param {import("../types.d.js").ChunkListItem} listItem Item of a text chunk with split points.
+     * @param {import("../types.d.js").ChunkInteractionHandlers} interactionHandlers Handlers that receive the split.
+     * @returns {void}
+     */
+    openSplitPicker(contentElement, splitButtonElement, listItem, interactionHandlers) {
+        const chunkContent = listItem.chunk;
+        const pickerElement = document.createElement("div");
+        pickerElement.className = "chunkSplitPicker";
+        pickerElement.setAttribute("role", "group");
+        pickerElement.setAttribute("aria-label", TEXT_CONTENT.SPLIT_CHUNK_PICKER_LABEL);
+        /** @returns {void} */
+        const closePicker = () => {
+            pickerElement.replaceWith(contentElement);
+            splitButtonElement.disabled = false;
+        };
+        (chunkContent.splitPoints ?? []).forEach((splitPoint) => {
+            const pointButtonElement = document.createElement("button");
+            pointButtonElement.className = "splitPointButton";
+            pointButtonElement.textContent = splitPoint.label;
+            pointButtonElement.setAttribute(
+                "aria-label",
+                templateHelpers.interpolate(TEXT_CONTENT.SPLIT_CHUNK_POINT_TEMPLATE, { word: splitPoint.label })
+            );
+            pointButtonElement.addEventListener("click", () => {
+                closePicker();
+                this.requestLayoutChange(
+                    { postIndex: Number(chunkContent.postIndex), buttonClassName: "splitChunkButton" },
+                    () => {
+                        interactionHandlers.onSplit(listItem.chunk, splitPoint.textOffset);
+                    }
+                );
+            });
+            pickerElement.appendChild(pointButtonElement);
+        });
+        pickerElement.addEventListener("keydown", (keyboardEvent) => {
+            if (keyboardEvent.key === "Escape") {
+                keyboardEvent.preventDefault();
+                closePicker();
+                splitButtonElement.focus();
+            }
         });
+        splitButtonElement.disabled = true;
+        contentElement.replaceWith(pickerElement);
+        const firstPointButton = pickerElement.querySelector("button");
+        if (firstPointButton !== null) {
+            firstPointButton.focus();
+        }
+    }
+
+    /**
+     * Lets the user drag the post of a chunk and drop it on another post to move it there.
+     * @param {HTMLDivElement} containerElement Container representing the chunk.
+     * @param {import("../types.d.js").ChunkListItem} listItem Item of a text chunk with a post index.
+     * @param {import("../types.d.js").ChunkInteractionHandlers} interactionHandlers Handlers that move the post.
+     * @returns {void}
+     */
+    bindPostDragging(containerElement, listItem, interactionHandlers) {
+        const postIndex = Number(listItem.chunk.postIndex);
+        containerElement.draggable = true;
+        containerElement.addEventListener("dragstart", (dragEvent) => {
+            this.draggedChunk = listItem.chunk;
+            containerElement.classList.add(CHUNK_CONTAINER_STATE_CLASSES.DRAGGING);
+            if (dragEvent.dataTransfer) {
+                dragEvent.dataTransfer.effectAllowed = "move";
+                dragEvent.dataTransfer.setData("text/plain", String(postIndex));
+            }
+        });
+        containerElement.addEventListener("dragend", () => {
+            this.draggedChunk = null;
+            containerElement.classList.remove(CHUNK_CONTAINER_STATE_CLASSES.DRAGGING);
+        });
+        containerElement.addEventListener("dragover", (dragEvent) => {
+            if (this.draggedChunk === null || this.draggedChunk.postIndex === postIndex) {
+                return;
+            }
+            dragEvent.preventDefault();
+            containerElement.classList.add(CHUNK_CONTAINER_STATE_CLASSES.DROP_TARGET);
+        });
+        containerElement.addEventListener("dragleave", () => {
+            containerElement.classList.remove(CHUNK_CONTAINER_STATE_CLASSES.DROP_TARGET);
+        });
+        containerElement.addEventListener("drop", (dragEvent) => {
+            containerElement.classList.remove(CHUNK_CONTAINER_STATE_CLASSES.DROP_TARGET);
+            const draggedChunk = this.draggedChunk;
+            this.draggedChunk = null;
+            if (draggedChunk === null || draggedChunk.postIndex === postIndex) {
+                return;
+            }
+            dragEvent.preventDefault();
+            interactionHandlers.onMove(draggedChunk, postIndex);
+        });
+    }
+
+    /**
+     * Runs a layout change and keeps the focus on the same action after the thread renders again. The focus request
+     * is dropped when the change does not render the thread.
+     * @param {{ postIndex: number, buttonClassName: string }} focusTarget Post and button that get the focus.
+     * @param {() => void} applyChange Handler call that changes the layout.
+     * @returns {void}
+     */
+    requestLayoutChange(focusTarget, applyChange) {
+        const renderRequestCount = this.renderRequestCount;
+        this.pendingFocus = focusTarget;
+        applyChange();
+        if (this.renderRequestCount === renderRequestCount) {
+            this.pendingFocus = null;
+        }
+    }
+
+    /**
+     * Moves the focus to the action of a layout change after the thread renders. A disabled button passes the focus
+     * to the first enabled action of the post.
+     * @returns {void}
+     */
+    restorePendingFocus() {
+        if (this.pendingFocus === null) {
+            return;
+        }
+        const { postIndex, buttonClassName } = this.pendingFocus;
+        this.pendingFocus = null;
+        const actionsElement = this.resultsContainer.querySelector(
+            `[${CHUNK_ATTRIBUTE_NAMES.POST_INDEX}="${postIndex}"] .chunkLayoutActions`
+        );
+        if (actionsElement === null) {
+            return;
+        }
+        /** @type {HTMLButtonElement | null} */
+        const focusButton =
+            actionsElement.querySelector(`.${buttonClassName}:not(:disabled)`) ??
+            actionsElement.querySelector("button:not(:disabled)");
+        if (focusButton !== null) {
+            focusButton.focus();
+        }
+    }
+
+    /**
+     * Highlights the source of the chunk while the pointer or the focus is on its container, and creates the button
+     * that scrolls the editor to the source.
+     * @param {HTMLDivElement} containerElement Container representing the chunk.
+     * @param {import("../types.d.js").ChunkListItem} listItem Item of a chunk with a source span.
+     * @param {import("../types.d.js").ChunkInteractionHandlers} interactionHandlers Handlers that show the source in the editor.
+     * @returns {HTMLButtonElement} Button that reveals the source.
+     */
+    bindSourceNavigation(containerElement, listItem, interactionHandlers) {
+        const chunkContent = listItem.chunk;
+        containerElement.setAttribute(CHUNK_ATTRIBUTE_NAMES.SOURCE_START, String(chunkContent.sourceStart));
+        containerElement.setAttribute(CHUNK_ATTRIBUTE_NAMES.SOURCE_END, String(chunkContent.sourceEnd));
+        const highlightSource = () => {
+            interactionHandlers.onHighlight(listItem.chunk);
+        };
+        const clearSource = () => {
+            interactionHandlers.onHighlight(null);
+        };
+        containerElement.addEventListener("mouseenter", highlightSource);
+        containerElement.addEventListener("mouseleave", clearSource);
+        containerElement.addEventListener("focusin", highlightSource);
+        containerElement.addEventListener("focusout", clearSource);
+
+        const showSourceButton = document.createElement("button");
+        showSourceButton.className = "showSourceButton";
+        showSourceButton.textContent = TEXT_CONTENT.SHOW_SOURCE_BUTTON_LABEL;
+        showSourceButton.addEventListener("click", () => {
+            interactionHandlers.onReveal(listItem.chunk);
+        });
+        return showSourceButton;
+    }
+
+    /**
+     * Creates the button that replaces the chunk text with an editor for its source text. Enter saves the edit,
+     * Shift+Enter adds a line break, Escape cancels, and leaving the editor saves.
+     * @param {HTMLDivElement} contentElement Element that shows the chunk text.
+     * @param {import("../types.d.js").ChunkListItem} listItem Item of a text chunk with a source span.
+     * @param {import("../types.d.js").ChunkInteractionHandlers} interactionHandlers Handlers that receive the edit.
+     * @returns {HTMLButtonElement} Button that starts the edit.
+     */
+    createEditButton(contentElement, listItem, interactionHandlers) {
+        const editButtonElement = document.createElement("button");
+        editButtonElement.className = "editChunkButton";
+        editButtonElement.textContent = TEXT_CONTENT.EDIT_CHUNK_BUTTON_LABEL;
+        editButtonElement.addEventListener("click", () => {
+            const editedChunk = listItem.chunk;
+            const originalText = String(editedChunk.editableText);
+            const editorElement = document.createElement("textarea");
+            editorElement.className = "chunkEditor";
+            editorElement.value = originalText;
+            editorElement.setAttribute("aria-label", TEXT_CONTENT.EDIT_CHUNK_INPUT_LABEL);
+            let isFinished = false;
+            /**
+             * @param {boolean} shouldSave Whether the edited text replaces the source text.
+             * @returns {void}
+             */
+            const finishEdit = (shouldSave) => {
+                if (isFinished) {
+                    return;
+                }
+                isFinished = true;
+                editorElement.replaceWith(contentElement);
+                editButtonElement.disabled = false;
+                if (shouldSave && editorElement.value !== originalText) {
+                    interactionHandlers.onEdit(editedChunk, editorElement.value);
+                }
+            };
+            editorElement.addEventListener("keydown", (keyboardEvent) => {
+                if (keyboardEvent.key === "Enter" && !keyboardEvent.shiftKey) {
+                    keyboardEvent.preventDefault();
+                    finishEdit(true);
+                } else if (keyboardEvent.key === "Escape") {
+                    keyboardEvent.preventDefault();
+                    finishEdit(false);
+                }
+            });
+            editorElement.addEventListener("blur", () => {
+                finishEdit(true);
+            });
+            editButtonElement.disabled = true;
+            contentElement.replaceWith(editorElement);
+            editorElement.focus();
+        });
+        return editButtonElement;
     }
 
     /**
@@ -117,6 +1025,7 @@ export class ChunkListView {
      * @returns {void}
      */
     markChunkAsCopied(containerElement, buttonElement, copyOrder) {
+        this.setItemCopyOrder(containerElement, copyOrder);
         containerElement.setAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER, String(copyOrder));
         containerElement.classList.remove(CHUNK_CONTAINER_STATE_CLASSES.ERROR);
         containerElement.classList.add(CHUNK_CONTAINER_STATE_CLASSES.COPIED);
@@ -139,6 +1048,7 @@ export class ChunkListView {
      * @returns {void}
      */
     markChunkCopyError(containerElement, buttonElement) {
+        this.setItemCopyOrder(containerElement, null);
         containerElement.classList.remove(CHUNK_CONTAINER_STATE_CLASSES.COPIED);
         containerElement.classList.add(CHUNK_CONTAINER_STATE_CLASSES.ERROR);
         if (containerElement.hasAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER)) {
@@ -149,4 +1059,19 @@ export class ChunkListView {
         buttonElement.classList.add(COPY_BUTTON_STATE_CLASSES.ERROR);
         buttonElement.disabled = false;
     }
+
+    /**
+     * Records the copy order of the item that owns a node and updates the copy progress.
+     * @param {HTMLDivElement} containerElement Container representing the chunk.
+     * @param {number | null} copyOrder Copy order of the chunk, or null when the copy failed.
+     * @returns {void}
+     */
+    setItemCopyOrder(containerElement, copyOrder) {
+        const listItem = this.listItems.find((candidateItem) => candidateItem.containerElement === containerElement);
+        if (listItem === undefined) {
+            return;
+        }
+        listItem.copyOrder = copyOrder;
+        this.updateCopyProgress();
+    }
 }
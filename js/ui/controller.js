@@ -10,10 +10,28 @@ import {
     HTML_TEMPLATES,
     USER_AGENT_TOKENS,
     NAVIGATOR_VENDOR_VALUES,
-    CLIPBOARD_PRESENTATION_STYLES
+    CLIPBOARD_PRESENTATION_STYLES,
+    DEFAULT_LENGTH_COUNTER,
+    SENTENCE_LOCALE_IDENTIFIERS,
+    EMPTY_CHUNKING_DICTIONARY,
+    DEFAULT_ENUMERATION_FORMAT,
+    EMPTY_THREAD_DECORATIONS,
+    KEYBOARD_SHORTCUTS,
+    EXPORT_FORMAT_IDENTIFIERS,
+    EXPORT_FORMAT_CONFIG,
+    THREAD_BUNDLE_CONFIG,
+    INPUT_MODE_IDENTIFIERS,
+    DEFAULT_MARKDOWN_RENDER_RULES,
+    DEFAULT_MAXIMUM_IMAGES_PER_POST
 } from "../constants.js";
 import { templateHelpers } from "../utils/templates.js";
+import { downloadHelpers } from "../utils/downloads.js";
+import { chunkingSchedulerHelpers } from "../core/chunkingScheduler.js";
+import { copyTrackingHelpers } from "../core/copyTracking.js";
+import { postLayoutHelpers } from "../core/postLayout.js";
 import { richTextHelpers } from "../core/richText.js";
+import { threadExportHelpers } from "../core/threadExport.js";
+import { threadBundleHelpers } from "../core/threadBundle.js";
 
 /** @type {number} */
 const INPUT_RECHUNK_DELAY_MS = 100;
@@ -87,27 +105,67 @@ export class ThreaderController {
      * @param {import("./inputPanel.js").InputPanel} params.inputPanel View managing the input textarea.
      * @param {import("./chunkListView.js").ChunkListView} params.chunkListView View managing rendered chunks.
      * @param {import("./formControls.js").FormControls} params.formControls View managing buttons and toggles.
+     * @param {import("./dictionaryPanel.js").DictionaryPanel} params.dictionaryPanel View editing the user dictionary.
+     * @param {ReturnType<typeof import("../core/dictionary.js").dictionaryHelpers.createDictionaryStore>} params.dictionaryStore Persistent dictionary store.
+     * @param {ReturnType<typeof import("../core/enumeration.js").enumerationHelpers.createEnumerationFormatStore>} params.enumerationFormatStore Persistent enumeration format store.
+     * @param {ReturnType<typeof import("../core/threadDecorations.js").threadDecorationHelpers.createThreadDecorationStore>} params.threadDecorationStore Persistent thread decoration store.
      * @param {typeof import("../core/chunking.js").chunkingService} params.chunkingService Pure chunking utilities.
      * @param {typeof import("../utils/logging.js").loggingHelpers} params.loggingHelpers Logging helpers for diagnostics.
+     * @param {ReturnType<typeof chunkingSchedulerHelpers.createChunkingScheduler>} [params.chunkingScheduler] Runs chunking requests. Defaults to the main thread.
      */
-    constructor({ inputPanel, chunkListView, formControls, chunkingService, loggingHelpers }) {
+    constructor({
+        inputPanel,
+        chunkListView,
+        formControls,
+        dictionaryPanel,
+        dictionaryStore,
+        enumerationFormatStore,
+        threadDecorationStore,
+        chunkingService,
+        loggingHelpers,
+        chunkingScheduler
+    }) {
         this.inputPanel = inputPanel;
         this.chunkListView = chunkListView;
         this.formControls = formControls;
+        this.dictionaryPanel = dictionaryPanel;
+        this.dictionaryStore = dictionaryStore;
+        this.enumerationFormatStore = enumerationFormatStore;
+        this.threadDecorationStore = threadDecorationStore;
         this.chunkingService = chunkingService;
         this.loggingHelpers = loggingHelpers;
+        this.chunkingScheduler = chunkingScheduler ?? chunkingSchedulerHelpers.createChunkingScheduler({ worker: null });
 
         /** @type {import("../types.d.js").ThreadingState} */
         this.state = {
             activeLength: null,
             breakOnSentences: false,
             enumerate: false,
+            enumerationFormat: DEFAULT_ENUMERATION_FORMAT,
+            threadDecorations: EMPTY_THREAD_DECORATIONS,
             breakOnParagraphs: false,
+            balanceChunks: false,
+            preserveLineBreaks: false,
+            inputMode: INPUT_MODE_IDENTIFIERS.PLAIN_TEXT,
+            renderMarkdown: false,
+            markdownRules: DEFAULT_MARKDOWN_RENDER_RULES,
+            maximumImages: DEFAULT_MAXIMUM_IMAGES_PER_POST,
+            lengthCounter: DEFAULT_LENGTH_COUNTER,
+            sentenceLocale: SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+            dictionary: EMPTY_CHUNKING_DICTIONARY,
             copySequenceNumber: 0
         };
 
         /** @type {import("../types.d.js").RichTextDocument | null} */
         this.currentDocumentSnapshot = null;
+        /** @type {{ placeholderText: string, chunkContents: import("../types.d.js").ChunkContent[], postLayout: import("../types.d.js").PostLayout | null }} */
+        this.renderedThread = { placeholderText: "", chunkContents: [], postLayout: null };
+        /** @type {import("../types.d.js").PostLayout | null} */
+        this.manualPostLayout = null;
+        /** @type {import("../types.d.js").PostLayout} */
+        this.pinnedLayout = { sourceText: "", posts: [] };
+        /** @type {Map<import("../types.d.js").ChunkContent, number>} */
+        this.chunkCopyOrders = new Map();
 
         this.autoRechunkEnabled = false;
         this.rechunkTimeoutId = null;
@@ -122,7 +180,14 @@ export class ThreaderController {
         this.inputPanel.initializeCopy();
         this.formControls.initializeCopy();
         this.formControls.setToggleAvailability(TOGGLE_IDENTIFIERS.PARAGRAPH, false);
+        this.formControls.setToggleAvailability(TOGGLE_IDENTIFIERS.MARKDOWN_RENDER, false);
         this.formControls.setActivePreset(null);
+        this.state.dictionary = this.dictionaryStore.load();
+        this.dictionaryPanel.setDictionary(this.state.dictionary);
+        this.state.enumerationFormat = this.enumerationFormatStore.load();
+        this.formControls.setEnumerationFormat(this.state.enumerationFormat);
+        this.state.threadDecorations = this.threadDecorationStore.load();
+        this.formControls.setThreadDecorations(this.state.threadDecorations);
         this.attachEventListeners();
     }
 
@@ -136,18 +201,33 @@ export class ThreaderController {
                 window.clearTimeout(this.customLengthTimeoutId);
                 this.customLengthTimeoutId = null;
             }
-            if (!details.isActive || details.length === null) {
+            if (
+                !details.isActive ||
+                details.length === null ||
+                details.lengthCounter === null ||
+                details.markdownRules === null ||
+                details.previewPlatform === null ||
+                details.maximumImages === null
+            ) {
                 this.formControls.clearPresetSelection();
                 this.state.activeLength = null;
+                this.state.lengthCounter = DEFAULT_LENGTH_COUNTER;
+                this.state.markdownRules = DEFAULT_MARKDOWN_RENDER_RULES;
+                this.state.maximumImages = DEFAULT_MAXIMUM_IMAGES_PER_POST;
+                this.refreshDraftStatistics();
                 this.autoRechunkEnabled = false;
-                this.state.copySequenceNumber = 0;
-                this.chunkListView.clear();
+                this.clearRenderedThread();
                 this.inputPanel.clearError();
                 return;
             }
 
             this.formControls.setActivePreset(details.identifier);
             this.state.activeLength = details.length;
+            this.state.lengthCounter = details.lengthCounter;
+            this.state.markdownRules = details.markdownRules;
+            this.state.maximumImages = details.maximumImages;
+            this.refreshDraftStatistics();
+            this.chunkListView.setPreviewPlatform(details.previewPlatform);
             this.executeChunking(details.length, true);
         });
 
@@ -158,9 +238,14 @@ export class ThreaderController {
             }
             this.formControls.setCustomActive();
             this.state.activeLength = lengthValue;
+            this.state.lengthCounter = DEFAULT_LENGTH_COUNTER;
+            this.state.markdownRules = DEFAULT_MARKDOWN_RENDER_RULES;
+            this.state.maximumImages = DEFAULT_MAXIMUM_IMAGES_PER_POST;
+            this.refreshDraftStatistics();
             this.inputPanel.clearError();
             const labelText = templateHelpers.interpolate(TEXT_CONTENT.CUSTOM_BUTTON_TEMPLATE, { VALUE: lengthValue });
             this.formControls.setCustomButtonLabel(labelText);
+            this.chunkListView.resetPreview();
             this.executeChunking(lengthValue, true);
         });
 
@@ -191,14 +276,60 @@ export class ThreaderController {
                 this.state.breakOnSentences = checked;
             } else if (identifier === TOGGLE_IDENTIFIERS.ENUMERATION) {
                 this.state.enumerate = checked;
+            } else if (identifier === TOGGLE_IDENTIFIERS.BALANCED) {
+                this.state.balanceChunks = checked;
+            } else if (identifier === TOGGLE_IDENTIFIERS.LINE_BREAKS) {
+                this.state.preserveLineBreaks = checked;
+            } else if (identifier === TOGGLE_IDENTIFIERS.MARKDOWN) {
+                this.state.inputMode = checked ? INPUT_MODE_IDENTIFIERS.MARKDOWN : INPUT_MODE_IDENTIFIERS.PLAIN_TEXT;
+                this.formControls.setToggleAvailability(TOGGLE_IDENTIFIERS.MARKDOWN_RENDER, checked);
+                if (!checked) {
+                    this.state.renderMarkdown = false;
+                }
+            } else if (identifier === TOGGLE_IDENTIFIERS.MARKDOWN_RENDER) {
+                this.state.renderMarkdown = checked;
             }
             this.rechunkWithCurrentState(false);
         });
 
+        this.formControls.onSentenceLocaleChange((sentenceLocale) => {
+            this.state.sentenceLocale = sentenceLocale;
+            this.rechunkWithCurrentState(false);
+        });
+
+        this.formControls.onEnumerationFormatChange((enumerationFormat) => {
+            this.state.enumerationFormat = enumerationFormat;
+            this.enumerationFormatStore.save(enumerationFormat);
+            this.rechunkWithCurrentState(false);
+        });
+
+        this.formControls.onThreadDecorationsChange((threadDecorations) => {
+            this.state.threadDecorations = threadDecorations;
+            this.threadDecorationStore.save(threadDecorations);
+            this.rechunkWithCurrentState(false);
+        });
+
+        this.dictionaryPanel.onDictionaryChange((dictionary) => {
+            this.state.dictionary = dictionary;
+            this.dictionaryStore.save(dictionary);
+            this.rechunkWithCurrentState(false);
+        });
+
+        document.addEventListener("keydown", (keyboardEvent) => {
+            if (
+                keyboardEvent.key === KEYBOARD_SHORTCUTS.COPY_NEXT_KEY &&
+                keyboardEvent.shiftKey &&
+                (keyboardEvent.ctrlKey || keyboardEvent.metaKey) &&
+                this.renderedThread.chunkContents.length > 0
+            ) {
+                keyboardEvent.preventDefault();
+                this.handleCopyNext();
+            }
+        });
+
         this.inputPanel.onInput((documentSnapshot) => {
             this.currentDocumentSnapshot = documentSnapshot;
-            const statistics = this.chunkingService.calculateStatistics(documentSnapshot.plainText);
-            this.inputPanel.updateStatistics(statistics);
+            const statistics = this.refreshDraftStatistics();
             const hasMultipleParagraphs = statistics.paragraphs > 1;
             this.formControls.setToggleAvailability(TOGGLE_IDENTIFIERS.PARAGRAPH, hasMultipleParagraphs);
             if (!hasMultipleParagraphs && this.state.breakOnParagraphs) {
@@ -209,9 +340,8 @@ export class ThreaderController {
             }
             this.rechunkTimeoutId = window.setTimeout(() => {
                 if (!this.hasRenderableContent(documentSnapshot)) {
-                    this.chunkListView.clear();
+                    this.clearRenderedThread();
                     this.inputPanel.clearError();
-                    this.state.copySequenceNumber = 0;
                     return;
                 }
                 this.rechunkWithCurrentState(false);
@@ -232,7 +362,10 @@ export class ThreaderController {
     }
 
     /**
-     * Performs chunking with the specified maximum length.
+     * Performs chunking with the specified maximum length. A manual post layout of the same source text replaces the
+     * computed posts; a layout of another source text is dropped. Pinned posts follow the changes of the source text
+     * and keep their boundaries, so only the text around them re-flows. Computed posts come from the chunking
+     * scheduler, which can finish later; a newer run or a cleared thread drops the result.
      * @param {number} maximumLength Maximum characters per chunk.
      * @param {boolean} showErrorOnEmpty Whether to surface validation when the textarea is empty.
      * @returns {void}
@@ -240,10 +373,9 @@ export class ThreaderController {
     executeChunking(maximumLength, showErrorOnEmpty) {
         const documentSnapshot = this.currentDocumentSnapshot || this.inputPanel.getDocumentSnapshot();
         this.currentDocumentSnapshot = documentSnapshot;
-        this.state.copySequenceNumber = 0;
         this.autoRechunkEnabled = true;
         if (!this.hasRenderableContent(documentSnapshot)) {
-            this.chunkListView.clear();
+            this.clearRenderedThread();
             if (showErrorOnEmpty) {
                 this.inputPanel.showError(TEXT_CONTENT.ERROR_NO_TEXT);
             } else {
@@ -253,17 +385,244 @@ export class ThreaderController {
         }
 
         this.inputPanel.clearError();
-        const chunkOptions = {
+        const chunkOptions = this.createChunkOptions(maximumLength);
+        this.pinnedLayout = postLayoutHelpers.carryPinnedPosts(this.pinnedLayout, documentSnapshot.placeholderText);
+        if (this.manualPostLayout !== null && this.manualPostLayout.sourceText !== documentSnapshot.placeholderText) {
+            this.manualPostLayout = null;
+        }
+        if (this.manualPostLayout !== null) {
+            this.chunkingScheduler.cancel();
+            this.renderThread(
+                documentSnapshot,
+                maximumLength,
+                this.chunkingService.getLayoutDescriptors(
+                    documentSnapshot.placeholderText,
+                    this.manualPostLayout.posts,
+                    chunkOptions
+                )
+            );
+            return;
+        }
+        this.chunkingScheduler.schedule(
+            {
+                rawText: documentSnapshot.placeholderText,
+                options: chunkOptions,
+                pinnedPosts: this.pinnedLayout.posts.slice()
+            },
+            (chunkDescriptors) => {
+                this.renderThread(documentSnapshot, maximumLength, chunkDescriptors);
+            }
+        );
+    }
+
+    /**
+     * Renders the posts of a chunking run with their copy orders, the post boundaries in the editor, and the layout
+     * actions.
+     * @param {import("../types.d.js").RichTextDocument} documentSnapshot Snapshot that the descriptors came from.
+     * @param {number} maximumLength Maximum characters per chunk.
+     * @param {import("../types.d.js").ChunkDescriptor[]} chunkDescriptors Descriptors of the posts.
+     * @returns {void}
+     */
+    renderThread(documentSnapshot, maximumLength, chunkDescriptors) {
+        const chunkContents = richTextHelpers.buildChunkContents(
+            chunkDescriptors,
+            documentSnapshot.images,
+            this.state.maximumImages
+        );
+        const postLayout =
+            this.manualPostLayout ?? postLayoutHelpers.createPostLayout(documentSnapshot.placeholderText, chunkDescriptors);
+        /** @type {import("../types.d.js").PostBoundary[]} */
+        const postBoundaries = chunkDescriptors.map((chunkDescriptor) => ({
+            sourceStart: chunkDescriptor.sourceStart,
+            sourceEnd: chunkDescriptor.sourceEnd,
+            characters: this.measurePost(chunkDescriptor, documentSnapshot.images),
+            maximumLength
+        }));
+        this.inputPanel.renderPostBoundaries(postBoundaries, documentSnapshot.placeholderText);
+        const copyOrders = copyTrackingHelpers.carryCopyOrders({
+            previousText: this.renderedThread.placeholderText,
+            previousChunks: this.renderedThread.chunkContents,
+            previousCopyOrders: this.chunkCopyOrders,
+            nextText: documentSnapshot.placeholderText,
+            nextChunks: chunkContents
+        });
+        this.renderedThread = { placeholderText: documentSnapshot.placeholderText, chunkContents, postLayout };
+        this.chunkCopyOrders = new Map();
+        copyOrders.forEach((copyOrder, chunkIndex) => {
+            if (copyOrder !== null) {
+                this.chunkCopyOrders.set(chunkContents[chunkIndex], copyOrder);
+            }
+        });
+        this.state.copySequenceNumber = Math.max(0, ...this.chunkCopyOrders.values());
+        this.chunkListView.renderChunks(chunkContents, (context) => {
+            this.handleCopyRequest(context.chunk, context.containerElement, context.buttonElement);
+        }, this.state.lengthCounter, {
+            onHighlight: (chunkContent) => {
+                if (chunkContent === null) {
+                    this.inputPanel.clearSourceHighlight();
+                    return;
+                }
+                this.inputPanel.highlightSource(Number(chunkContent.sourceStart), Number(chunkContent.sourceEnd));
+            },
+            onReveal: (chunkContent) => {
+                this.inputPanel.revealSource(Number(chunkContent.sourceStart), Number(chunkContent.sourceEnd));
+            },
+            onEdit: (chunkContent, editedText) => {
+                this.handleChunkEdit(chunkContent, editedText);
+            },
+            onMerge: (chunkContent) => {
+                this.handlePostMerge(Number(chunkContent.postIndex));
+            },
+            onSplit: (chunkContent, textOffset) => {
+                this.applyPostLayout(postLayoutHelpers.splitPost(postLayout, Number(chunkContent.postIndex), textOffset));
+            },
+            onMove: (chunkContent, targetPostIndex) => {
+                this.applyPostLayout(
+                    postLayoutHelpers.movePost(postLayout, Number(chunkContent.postIndex), targetPostIndex)
+                );
+            },
+            onResetLayout: () => {
+                this.applyPostLayout(null);
+            },
+            onTogglePin: (chunkContent) => {
+                this.pinnedLayout = postLayoutHelpers.togglePinnedPost(
+                    this.pinnedLayout,
+                    postLayout.posts[Number(chunkContent.postIndex)]
+                );
+                this.rechunkWithCurrentState(false);
+            },
+            onCopyNext: () => {
+                this.handleCopyNext();
+            },
+            onExport: (formatIdentifier, exportAction) => {
+                this.handleThreadExport(formatIdentifier, exportAction);
+            },
+            onDownloadBundle: () => {
+                this.handleBundleDownload();
+            }
+        }, copyOrders, {
+            postBoundaries,
+            isManual: this.manualPostLayout !== null,
+            mergeablePosts: postLayout.posts.map((post, postIndex) => postLayoutHelpers.canMergePosts(postLayout, postIndex)),
+            pinnedPosts: postLayout.posts.map(
+                (post) =>
+                    this.manualPostLayout === null &&
+                    this.pinnedLayout.posts.some(
+                        (pinnedPost) => pinnedPost.sourceStart === post.sourceStart && pinnedPost.sourceEnd === post.sourceEnd
+                    )
+            )
+        });
+    }
+
+    /**
+     * Collects the chunking options of the current state.
+     * @param {number} maximumLength Maximum characters per chunk.
+     * @returns {import("../types.d.js").ThreadingOptions}
+     */
+    createChunkOptions(maximumLength) {
+        return {
             maximumLength,
             breakOnSentences: this.state.breakOnSentences,
             enumerate: this.state.enumerate,
-            breakOnParagraphs: this.state.breakOnParagraphs
+            enumerationFormat: this.state.enumerationFormat,
+            threadDecorations: this.state.threadDecorations,
+            breakOnParagraphs: this.state.breakOnParagraphs,
+            balanceChunks: this.state.balanceChunks,
+            preserveLineBreaks: this.state.preserveLineBreaks,
+            inputMode: this.state.inputMode,
+            renderMarkdown: this.state.renderMarkdown,
+            markdownRules: this.state.markdownRules,
+            lengthCounter: this.state.lengthCounter,
+            sentenceLocale: this.state.sentenceLocale,
+            dictionary: this.state.dictionary
         };
-        const placeholderChunks = this.chunkingService.getChunks(documentSnapshot.placeholderText, chunkOptions);
-        const chunkContents = richTextHelpers.buildChunkContents(placeholderChunks, documentSnapshot.images);
-        this.chunkListView.renderChunks(chunkContents, (context) => {
-            this.handleCopyRequest(context.chunk, context.containerElement, context.buttonElement);
-        });
+    }
+
+    /**
+     * Measures a post with its labels, as the platform counts it.
+     * @param {import("../types.d.js").ChunkDescriptor} chunkDescriptor Post descriptor.
+     * @param {import("../types.d.js").RichTextImage[]} imageRecords Images of the snapshot.
+     * @returns {number}
+     */
+    measurePost(chunkDescriptor, imageRecords) {
+        return this.chunkingService.measureLength(
+            richTextHelpers.extractPlainText(chunkDescriptor.text, imageRecords),
+            this.state.lengthCounter
+        );
+    }
+
+    /**
+     * Stores a manual post layout, or removes it when the layout is null, and renders the thread again.
+     * @param {import("../types.d.js").PostLayout | null} postLayout Manual layout of the rendered source text.
+     * @returns {void}
+     */
+    applyPostLayout(postLayout) {
+        this.manualPostLayout = postLayout;
+        this.rechunkWithCurrentState(false);
+    }
+
+    /**
+     * Merges a post with the next post unless the merged post exceeds the active limit.
+     * @param {number} postIndex Index of the first post.
+     * @returns {void}
+     */
+    handlePostMerge(postIndex) {
+        const currentLayout = this.renderedThread.postLayout;
+        if (currentLayout === null || this.state.activeLength === null) {
+            return;
+        }
+        const mergedLayout = postLayoutHelpers.mergePosts(currentLayout, postIndex);
+        const mergedDescriptor = this.chunkingService.getLayoutDescriptors(
+            mergedLayout.sourceText,
+            mergedLayout.posts,
+            this.createChunkOptions(this.state.activeLength)
+        )[postIndex];
+        const documentSnapshot = this.currentDocumentSnapshot || this.inputPanel.getDocumentSnapshot();
+        if (this.measurePost(mergedDescriptor, documentSnapshot.images) > this.state.activeLength) {
+            this.inputPanel.showError(TEXT_CONTENT.ERROR_MERGE_OVERFLOW);
+            return;
+        }
+        this.applyPostLayout(mergedLayout);
+    }
+
+    /**
+     * Removes the rendered thread, its copy orders, and the post boundaries in the editor.
+     * @returns {void}
+     */
+    clearRenderedThread() {
+        this.chunkingScheduler.cancel();
+        this.chunkListView.clear();
+        this.inputPanel.clearPostBoundaries();
+        this.renderedThread = { placeholderText: "", chunkContents: [], postLayout: null };
+        this.chunkCopyOrders = new Map();
+        this.state.copySequenceNumber = 0;
+    }
+
+    /**
+     * Writes an inline chunk edit to the source span of the chunk and re-chunks at once. Chunks that the edit does not
+     * change keep their copy order.
+     * @param {import("../types.d.js").ChunkContent} chunkContent Edited text chunk.
+     * @param {string} editedText New source text of the chunk.
+     * @returns {void}
+     */
+    handleChunkEdit(chunkContent, editedText) {
+        this.inputPanel.replaceSourceSpan(Number(chunkContent.sourceStart), Number(chunkContent.sourceEnd), editedText);
+        if (this.rechunkTimeoutId !== null) {
+            window.clearTimeout(this.rechunkTimeoutId);
+            this.rechunkTimeoutId = null;
+        }
+        this.rechunkWithCurrentState(false);
+    }
+
+    /**
+     * Counts the draft with the length counter of the active preset or custom length, and shows the statistics.
+     * @returns {import("../types.d.js").ChunkStatistics}
+     */
+    refreshDraftStatistics() {
+        const documentSnapshot = this.currentDocumentSnapshot || this.inputPanel.getDocumentSnapshot();
+        const statistics = this.chunkingService.calculateStatistics(documentSnapshot.plainText, this.state.lengthCounter);
+        this.inputPanel.updateStatistics(statistics);
+        return statistics;
     }
 
     /**
@@ -275,6 +634,117 @@ export class ThreaderController {
         return documentSnapshot.plainText.trim().length > 0 || documentSnapshot.images.length > 0;
     }
 
+    /**
+     * Copies the first chunk of the thread that is not copied yet, and shows it in the results.
+     * @returns {void}
+     */
+    handleCopyNext() {
+        const nextChunk = this.renderedThread.chunkContents.find((chunkContent) => !this.chunkCopyOrders.has(chunkContent));
+        if (nextChunk === undefined) {
+            return;
+        }
+        const copyTarget = this.chunkListView.revealChunk(nextChunk);
+        if (copyTarget === null) {
+            return;
+        }
+        this.handleCopyRequest(nextChunk, copyTarget.containerElement, copyTarget.buttonElement);
+    }
+
+    /**
+     * Copies or downloads the rendered thread in an export format. HTML is copied as HTML with a plain text version
+     * when the browser supports clipboard items.
+     * @param {import("../types.d.js").ExportFormatIdentifier} formatIdentifier Export format.
+     * @param {import("../types.d.js").ExportAction} exportAction Whether to copy or download the export.
+     * @returns {void}
+     */
+    handleThreadExport(formatIdentifier, exportAction) {
+        const chunkContents = this.renderedThread.chunkContents;
+        if (chunkContents.length === 0 || this.state.activeLength === null) {
+            return;
+        }
+        const formatConfig = EXPORT_FORMAT_CONFIG[formatIdentifier];
+        const exportText = threadExportHelpers.formatThread(
+            formatIdentifier,
+            chunkContents,
+            this.createChunkOptions(this.state.activeLength)
+        );
+        if (exportAction === "download") {
+            downloadHelpers.downloadBlob(
+                new Blob([exportText], { type: formatConfig.mimeType }),
+                `${TEXT_CONTENT.EXPORT_FILE_NAME}.${formatConfig.fileExtension}`
+            );
+            return;
+        }
+
+        /** @param {unknown} error */
+        const reportFailure = (error) => {
+            this.loggingHelpers.reportThreadExportFailure(error);
+            this.chunkListView.showExportStatus(
+                templateHelpers.interpolate(TEXT_CONTENT.EXPORT_COPY_FAILURE_TEMPLATE, { format: formatConfig.label })
+            );
+        };
+        const clipboardInterface = navigator.clipboard;
+        if (!clipboardInterface) {
+            reportFailure(new Error(LOG_MESSAGES.CLIPBOARD_UNAVAILABLE));
+            return;
+        }
+        const clipboardItemConstructor = window.ClipboardItem;
+        /** @type {Promise<void>} */
+        let copyPromise;
+        if (
+            formatIdentifier === EXPORT_FORMAT_IDENTIFIERS.HTML &&
+            typeof clipboardInterface.write === "function" &&
+            typeof clipboardItemConstructor === "function"
+        ) {
+            copyPromise = clipboardInterface.write([
+                new clipboardItemConstructor({
+                    "text/plain": new Blob([threadExportHelpers.formatPlainText(chunkContents)], { type: "text/plain" }),
+                    "text/html": new Blob([exportText], { type: "text/html" })
+                })
+            ]);
+        } else if (typeof clipboardInterface.writeText === "function") {
+            copyPromise = clipboardInterface.writeText(exportText);
+        } else {
+            reportFailure(new Error(LOG_MESSAGES.CLIPBOARD_UNAVAILABLE));
+            return;
+        }
+        copyPromise
+            .then(() => {
+                this.chunkListView.showExportStatus(
+                    templateHelpers.interpolate(TEXT_CONTENT.EXPORT_COPY_SUCCESS_TEMPLATE, { format: formatConfig.label })
+                );
+            })
+            .catch(reportFailure);
+    }
+
+    /**
+     * Downloads the rendered thread as a ZIP bundle with one text file per post, the images, and a manifest.
+     * @returns {void}
+     */
+    handleBundleDownload() {
+        const chunkContents = this.renderedThread.chunkContents;
+        if (chunkContents.length === 0 || this.state.activeLength === null) {
+            return;
+        }
+        /** @type {Uint8Array} */
+        let bundleBytes;
+        try {
+            bundleBytes = threadBundleHelpers.createBundle(
+                chunkContents,
+                this.createChunkOptions(this.state.activeLength),
+                new Date()
+            );
+        } catch (error) {
+            this.loggingHelpers.reportThreadBundleFailure(error);
+            this.chunkListView.showExportStatus(TEXT_CONTENT.EXPORT_BUNDLE_FAILURE);
+            return;
+        }
+        downloadHelpers.downloadBlob(
+            new Blob([bundleBytes], { type: THREAD_BUNDLE_CONFIG.MIME_TYPE }),
+            `${TEXT_CONTENT.EXPORT_FILE_NAME}.${THREAD_BUNDLE_CONFIG.FILE_EXTENSION}`
+        );
+    }
+
     /**
      * Handles copy requests triggered from chunk buttons.
      * @param {import("../types.d.js").ChunkContent} chunkContent Chunk to copy to the clipboard.
@@ -295,11 +765,13 @@ export class ThreaderController {
         /** @returns {void} */
         const markSuccess = () => {
             this.state.copySequenceNumber += 1;
+            this.chunkCopyOrders.set(chunkContent, this.state.copySequenceNumber);
             this.chunkListView.markChunkAsCopied(containerElement, buttonElement, this.state.copySequenceNumber);
             this.inputPanel.clearError();
         };
 
         const handleImageCopyUnsupported = () => {
+            this.chunkCopyOrders.delete(chunkContent);
             this.loggingHelpers.reportCopyFailure(new Error(LOG_MESSAGES.CLIPBOARD_IMAGE_UNSUPPORTED));
             this.chunkListView.markChunkCopyError(containerElement, buttonElement);
             this.inputPanel.showError(TEXT_CONTENT.ERROR_IMAGE_COPY_UNSUPPORTED);
@@ -0,0 +1,85 @@
+// @ts-check
+/**
+ * @fileoverview Collapsible editor for the user dictionary of abbreviations and protected phrases.
+ */
+
+import { TEXT_CONTENT } from "../constants.js";
+import { dictionaryHelpers } from "../core/dictionary.js";
+
+const ABBREVIATIONS_INPUT_IDENTIFIER = "dictionaryAbbreviations";
+const PROTECTED_PHRASES_INPUT_IDENTIFIER = "dictionaryProtectedPhrases";
+
+/**
+ * Renders one textarea per dictionary list and reports the parsed dictionary on every edit.
+ */
+export class DictionaryPanel {
+    /**
+     * @param {HTMLDetailsElement} rootElement Panel mount point.
+     */
+    constructor(rootElement) {
+        this.rootElement = rootElement;
+        this.abbreviationsInput = document.createElement("textarea");
+        this.protectedPhrasesInput = document.createElement("textarea");
+        this.render();
+    }
+
+    /**
+     * Shows the stored dictionary in the editors.
+     * @param {import("../types.d.js").ChunkingDictionary} dictionary Dictionary to display.
+     * @returns {void}
+     */
+    setDictionary(dictionary) {
+        this.abbreviationsInput.value = dictionaryHelpers.formatDictionaryEntries(dictionary.abbreviations);
+        this.protectedPhrasesInput.value = dictionaryHelpers.formatDictionaryEntries(dictionary.protectedPhrases);
+    }
+
+    /**
+     * Registers a handler for dictionary edits.
+     * @param {(dictionary: import("../types.d.js").ChunkingDictionary) => void} callback Callback receiving the parsed dictionary.
+     * @returns {void}
+     */
+    onDictionaryChange(callback) {
+        const handleInput = () => {
+            callback(dictionaryHelpers.createChunkingDictionary(
+                this.abbreviationsInput.value,
+                this.protectedPhrasesInput.value
+            ));
+        };
+        this.abbreviationsInput.addEventListener("input", handleInput);
+        this.protectedPhrasesInput.addEventListener("input", handleInput);
+    }
+
+    /** @returns {void} */
+    render() {
+        this.rootElement.replaceChildren();
+        this.rootElement.classList.add("dictionaryPanel");
+
+        const summaryElement = document.createElement("summary");
+        summaryElement.textContent = TEXT_CONTENT.DICTIONARY_HEADING;
+
+        this.abbreviationsInput.id = ABBREVIATIONS_INPUT_IDENTIFIER;
+        this.abbreviationsInput.placeholder = TEXT_CONTENT.DICTIONARY_ABBREVIATIONS_PLACEHOLDER;
+        this.protectedPhrasesInput.id = PROTECTED_PHRASES_INPUT_IDENTIFIER;
+        this.protectedPhrasesInput.placeholder = TEXT_CONTENT.DICTIONARY_PROTECTED_PHRASES_PLACEHOLDER;
+
+        this.rootElement.append(
+            summaryElement,
+            createLabel(ABBREVIATIONS_INPUT_IDENTIFIER, TEXT_CONTENT.DICTIONARY_ABBREVIATIONS_LABEL),
+            this.abbreviationsInput,
+            createLabel(PROTECTED_PHRASES_INPUT_IDENTIFIER, TEXT_CONTENT.DICTIONARY_PROTECTED_PHRASES_LABEL),
+            this.protectedPhrasesInput
+        );
+    }
+}
+
+/**
+ * @param {string} inputIdentifier Identifier of the labelled textarea.
+ * @param {string} labelText Label copy.
+ * @returns {HTMLLabelElement}
+ */
+function createLabel(inputIdentifier, labelText) {
+    const labelElement = document.createElement("label");
+    labelElement.htmlFor = inputIdentifier;
+    labelElement.textContent = labelText;
+    return labelElement;
+}
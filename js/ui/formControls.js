@@ -10,16 +10,65 @@ import {
     PRESET_CONFIG,
     DEFAULT_LENGTHS,
     ATTRIBUTE_NAMES,
-    CLASS_NAMES
+    CLASS_NAMES,
+    SENTENCE_LOCALE_IDENTIFIERS,
+    SENTENCE_LOCALE_LABELS,
+    ENUMERATION_STYLE_IDENTIFIERS,
+    ENUMERATION_STYLE_LABELS,
+    ENUMERATION_POSITIONS,
+    ENUMERATION_POSITION_LABELS,
+    DEFAULT_ENUMERATION_FORMAT
 } from "../constants.js";
+import { enumerationHelpers } from "../core/enumeration.js";
+import { threadDecorationHelpers } from "../core/threadDecorations.js";
 
 /**
  * @typedef {Object} PresetToggleDetails
  * @property {string} identifier Identifier associated with the preset button that was toggled.
  * @property {boolean} isActive Indicates whether the preset is now active.
  * @property {number | null} length Character length represented by the preset when active.
+ * @property {import("../types.d.js").LengthCounterIdentifier | null} lengthCounter Counting rules of the preset when active.
+ * @property {import("../types.d.js").MarkdownRenderRules | null} markdownRules Markdown conversion rules of the preset when active.
+ * @property {import("../types.d.js").PreviewPlatformIdentifier | null} previewPlatform Preview platform of the preset when active.
+ * @property {number | null} maximumImages Most images attached to one post on the preset when active.
  */
 
+/**
+ * @typedef {Object} EnumerationControlElements
+ * @property {HTMLSelectElement} styleSelect Select element choosing the label style.
+ * @property {HTMLLabelElement} styleLabel Label describing the style select.
+ * @property {HTMLSelectElement} positionSelect Select element choosing the label position.
+ * @property {HTMLLabelElement} positionLabel Label describing the position select.
+ * @property {HTMLInputElement} skipFirstInput Checkbox that leaves the first chunk without a label.
+ * @property {HTMLLabelElement} skipFirstLabel Label describing the skip first checkbox.
+ * @property {HTMLInputElement} customTemplateInput Text input holding the custom label template.
+ * @property {HTMLLabelElement} customTemplateLabel Label describing the custom template input.
+ */
+
+/**
+ * @typedef {Object} DecorationControlElements
+ * @property {HTMLInputElement} openerPrefixInput Text input holding the first post prefix.
+ * @property {HTMLLabelElement} openerPrefixLabel Label describing the first post prefix input.
+ * @property {HTMLInputElement} continuationSuffixInput Text input holding the continuation marker.
+ * @property {HTMLLabelElement} continuationSuffixLabel Label describing the continuation marker input.
+ * @property {HTMLTextAreaElement} footerInput Text area holding the last post footer.
+ * @property {HTMLLabelElement} footerLabel Label describing the footer text area.
+ */
+
+/**
+ * Creates option elements for a select.
+ * @param {Readonly<Record<string, string>>} optionLabels Mapping of option values to display labels.
+ * @returns {HTMLOptionElement[]}
+ */
+function createOptionElements(optionLabels) {
+    return Object.keys(optionLabels).map((optionValue) => {
+        const optionElement = document.createElement("option");
+        optionElement.value = optionValue;
+        optionElement.textContent = optionLabels[optionValue];
+        return optionElement;
+    });
+}
+
 /**
  * Handles form control interactions and exposes semantic events for the controller.
  */
@@ -30,13 +79,31 @@ export class FormControls {
      * @param {HTMLInputElement} customInputElement Numeric input specifying the custom length.
      * @param {Record<string, HTMLInputElement>} toggleInputs Mapping of toggle identifiers to checkbox inputs.
      * @param {Record<string, HTMLLabelElement>} toggleLabels Mapping of toggle identifiers to label elements.
+     * @param {HTMLSelectElement} sentenceLocaleSelect Select element choosing the sentence language.
+     * @param {HTMLLabelElement} sentenceLocaleLabel Label describing the sentence language select.
+     * @param {EnumerationControlElements} enumerationControls Controls choosing the enumeration format.
+     * @param {DecorationControlElements} decorationControls Inputs holding the thread decorations.
      */
-    constructor(presetButtons, customButtonElement, customInputElement, toggleInputs, toggleLabels) {
+    constructor(
+        presetButtons,
+        customButtonElement,
+        customInputElement,
+        toggleInputs,
+        toggleLabels,
+        sentenceLocaleSelect,
+        sentenceLocaleLabel,
+        enumerationControls,
+        decorationControls
+    ) {
         this.presetButtons = presetButtons;
         this.customButtonElement = customButtonElement;
         this.customInputElement = customInputElement;
         this.toggleInputs = toggleInputs;
         this.toggleLabels = toggleLabels;
+        this.sentenceLocaleSelect = sentenceLocaleSelect;
+        this.sentenceLocaleLabel = sentenceLocaleLabel;
+        this.enumerationControls = enumerationControls;
+        this.decorationControls = decorationControls;
         /** @type {string | null} */
         this.activePresetIdentifier = null;
     }
@@ -61,6 +128,138 @@ export class FormControls {
                 this.toggleLabels[identifier].textContent = labelText;
             }
         });
+        this.sentenceLocaleLabel.textContent = TEXT_CONTENT.SENTENCE_LOCALE_LABEL;
+        this.sentenceLocaleSelect.replaceChildren(
+            ...Object.values(SENTENCE_LOCALE_IDENTIFIERS).map((localeIdentifier) => {
+                const optionElement = document.createElement("option");
+                optionElement.value = localeIdentifier;
+                optionElement.textContent = SENTENCE_LOCALE_LABELS[localeIdentifier];
+                return optionElement;
+            })
+        );
+        this.sentenceLocaleSelect.value = SENTENCE_LOCALE_IDENTIFIERS.AUTO;
+        const {
+            styleSelect,
+            styleLabel,
+            positionSelect,
+            positionLabel,
+            skipFirstLabel,
+            customTemplateInput,
+            customTemplateLabel
+        } = this.enumerationControls;
+        styleLabel.textContent = TEXT_CONTENT.ENUMERATION_STYLE_LABEL;
+        styleSelect.replaceChildren(...createOptionElements(ENUMERATION_STYLE_LABELS));
+        positionLabel.textContent = TEXT_CONTENT.ENUMERATION_POSITION_LABEL;
+        positionSelect.replaceChildren(...createOptionElements(ENUMERATION_POSITION_LABELS));
+        skipFirstLabel.textContent = TEXT_CONTENT.ENUMERATION_SKIP_FIRST_LABEL;
+        customTemplateLabel.textContent = TEXT_CONTENT.ENUMERATION_CUSTOM_TEMPLATE_LABEL;
+        customTemplateInput.placeholder = TEXT_CONTENT.ENUMERATION_CUSTOM_TEMPLATE_PLACEHOLDER;
+        this.setEnumerationFormat(DEFAULT_ENUMERATION_FORMAT);
+        const {
+            openerPrefixInput,
+            openerPrefixLabel,
+            continuationSuffixInput,
+            continuationSuffixLabel,
+            footerInput,
+            footerLabel
+        } = this.decorationControls;
+        openerPrefixLabel.textContent = TEXT_CONTENT.DECORATION_OPENER_PREFIX_LABEL;
+        openerPrefixInput.placeholder = TEXT_CONTENT.DECORATION_OPENER_PREFIX_PLACEHOLDER;
+        continuationSuffixLabel.textContent = TEXT_CONTENT.DECORATION_CONTINUATION_SUFFIX_LABEL;
+        continuationSuffixInput.placeholder = TEXT_CONTENT.DECORATION_CONTINUATION_SUFFIX_PLACEHOLDER;
+        footerLabel.textContent = TEXT_CONTENT.DECORATION_FOOTER_LABEL;
+        footerInput.placeholder = TEXT_CONTENT.DECORATION_FOOTER_PLACEHOLDER;
+    }
+
+    /**
+     * Shows the thread decorations in their inputs.
+     * @param {import("../types.d.js").ThreadDecorations} decorations Thread decorations to display.
+     * @returns {void}
+     */
+    setThreadDecorations(decorations) {
+        this.decorationControls.openerPrefixInput.value = decorations.openerPrefix;
+        this.decorationControls.continuationSuffixInput.value = decorations.continuationSuffix;
+        this.decorationControls.footerInput.value = decorations.footer;
+    }
+
+    /**
+     * Registers a handler for edits of any decoration input.
+     * @param {(decorations: import("../types.d.js").ThreadDecorations) => void} callback Callback receiving the new decorations.
+     * @returns {void}
+     */
+    onThreadDecorationsChange(callback) {
+        const { openerPrefixInput, continuationSuffixInput, footerInput } = this.decorationControls;
+        const reportDecorations = () => {
+            callback(
+                threadDecorationHelpers.createThreadDecorations(
+                    openerPrefixInput.value,
+                    continuationSuffixInput.value,
+                    footerInput.value
+                )
+            );
+        };
+        openerPrefixInput.addEventListener("input", reportDecorations);
+        continuationSuffixInput.addEventListener("input", reportDecorations);
+        footerInput.addEventListener("input", reportDecorations);
+    }
+
+    /**
+     * Shows the enumeration format in the controls. The custom template input is visible only for the custom style.
+     * @param {import("../types.d.js").EnumerationFormat} format Enumeration format to display.
+     * @returns {void}
+     */
+    setEnumerationFormat(format) {
+        const { styleSelect, positionSelect, skipFirstInput, customTemplateInput } = this.enumerationControls;
+        styleSelect.value = format.style;
+        positionSelect.value = format.position;
+        skipFirstInput.checked = format.skipFirst;
+        customTemplateInput.value = format.customTemplate;
+        customTemplateInput.removeAttribute(ATTRIBUTE_NAMES.ARIA_INVALID);
+        this.updateCustomTemplateVisibility();
+    }
+
+    /**
+     * Shows the custom template input and its label only while the custom style is selected.
+     * @returns {void}
+     */
+    updateCustomTemplateVisibility() {
+        const { styleSelect, customTemplateInput, customTemplateLabel } = this.enumerationControls;
+        const isCustomStyle = styleSelect.value === ENUMERATION_STYLE_IDENTIFIERS.CUSTOM;
+        customTemplateInput.hidden = !isCustomStyle;
+        customTemplateLabel.hidden = !isCustomStyle;
+    }
+
+    /**
+     * Registers a handler for enumeration format changes. A custom template without {current} is marked invalid and
+     * is not reported.
+     * @param {(format: import("../types.d.js").EnumerationFormat) => void} callback Callback receiving the new format.
+     * @returns {void}
+     */
+    onEnumerationFormatChange(callback) {
+        const { styleSelect, positionSelect, skipFirstInput, customTemplateInput } = this.enumerationControls;
+        const reportFormat = () => {
+            this.updateCustomTemplateVisibility();
+            /** @type {import("../types.d.js").EnumerationFormat} */
+            const format = Object.freeze({
+                style: /** @type {import("../types.d.js").EnumerationStyleIdentifier} */ (styleSelect.value),
+                position: /** @type {import("../types.d.js").EnumerationPositionIdentifier} */ (positionSelect.value),
+                skipFirst: skipFirstInput.checked,
+                customTemplate: customTemplateInput.value
+            });
+            const isInvalidTemplate =
+                format.style === ENUMERATION_STYLE_IDENTIFIERS.CUSTOM &&
+                !enumerationHelpers.isValidCustomTemplate(format.customTemplate);
+            if (isInvalidTemplate) {
+                customTemplateInput.setAttribute(ATTRIBUTE_NAMES.ARIA_INVALID, String(true));
+                return;
+            }
+            customTemplateInput.removeAttribute(ATTRIBUTE_NAMES.ARIA_INVALID);
+            callback(format);
+        };
+        styleSelect.addEventListener("change", reportFormat);
+        positionSelect.addEventListener("change", reportFormat);
+        skipFirstInput.addEventListener("change", reportFormat);
+        customTemplateInput.addEventListener("input", reportFormat);
     }
 
     /**
@@ -73,7 +272,15 @@ export class FormControls {
             const buttonElement = this.presetButtons[identifier];
             buttonElement.addEventListener("click", () => {
                 if (this.activePresetIdentifier === identifier) {
-                    callback({ identifier, isActive: false, length: null });
+                    callback({
+                        identifier,
+                        isActive: false,
+                        length: null,
+                        lengthCounter: null,
+                        markdownRules: null,
+                        previewPlatform: null,
+                        maximumImages: null
+                    });
                     return;
                 }
 
@@ -85,7 +292,11 @@ export class FormControls {
                 callback({
                     identifier,
                     isActive: true,
-                    length: presetDefinition.length
+                    length: presetDefinition.length,
+                    lengthCounter: presetDefinition.lengthCounter,
+                    markdownRules: presetDefinition.markdownRules,
+                    previewPlatform: presetDefinition.previewPlatform,
+                    maximumImages: presetDefinition.maximumImages
                 });
             });
         });
@@ -183,6 +394,17 @@ export class FormControls {
         });
     }
 
+    /**
+     * Registers a handler for sentence language changes.
+     * @param {(sentenceLocale: import("../types.d.js").SentenceLocaleIdentifier) => void} callback Callback receiving the selected locale.
+     * @returns {void}
+     */
+    onSentenceLocaleChange(callback) {
+        this.sentenceLocaleSelect.addEventListener("change", () => {
+            callback(/** @type {import("../types.d.js").SentenceLocaleIdentifier} */ (this.sentenceLocaleSelect.value));
+        });
+    }
+
     /**
      * Updates the checked state of a toggle.
      * @param {string} identifier Toggle identifier.
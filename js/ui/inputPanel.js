@@ -3,9 +3,18 @@
  * @fileoverview View model for the left-hand input panel.
  */
 
-import { TEXT_CONTENT, LOG_MESSAGES } from "../constants.js";
+import {
+    TEXT_CONTENT,
+    LOG_MESSAGES,
+    PLACEHOLDER_TOKENS,
+    EDITOR_HIGHLIGHT_NAMES,
+    POST_BOUNDARY_CLASSES,
+    IMAGE_ALT_TEXT_CLASSES,
+    DRAFT_FILE_ACCEPT
+} from "../constants.js";
 import { templateHelpers } from "../utils/templates.js";
 import { richTextHelpers } from "../core/richText.js";
+import { draftImportHelpers } from "../core/draftImport.js";
 
 /** @type {number} */
 const MINIMUM_FONT_SIZE = 14;
@@ -13,6 +22,21 @@ const MINIMUM_FONT_SIZE = 14;
 const MAXIMUM_FONT_SIZE = 24;
 /** @type {number} */
 const FONT_INCREMENT = 0.05;
+/** @type {RegExp} */
+const SOURCE_WHITESPACE_PATTERN = /\s/;
+/** @type {RegExp} */
+const SOURCE_WHITESPACE_SEQUENCE_PATTERN = /\s+/g;
+/** @type {string} */
+const IMAGE_SOURCE_UNIT = "#";
+
+/**
+ * Row of the image list that edits the alt text of one editor image.
+ * @typedef {Object} ImageAltTextEntry
+ * @property {HTMLImageElement} imageElement Image in the editor.
+ * @property {HTMLLIElement} itemElement Row of the image.
+ * @property {HTMLInputElement} inputElement Field that edits the alt text.
+ * @property {HTMLSpanElement} warningElement Badge that shows while the image has no alt text.
+ */
 
 /**
  * Retrieves the current selection range within the contenteditable element.
@@ -82,15 +106,39 @@ function readFileAsDataUrl(file) {
     });
 }
 
+/**
+ * Reads a File object as text using FileReader.
+ * @param {File} file Draft file opened or dropped by the user.
+ * @returns {Promise<string>} Promise resolving with the file content.
+ */
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const fileReader = new FileReader();
+        fileReader.onload = () => {
+            const result = typeof fileReader.result === "string" ? fileReader.result : null;
+            if (result === null) {
+                reject(new Error(LOG_MESSAGES.DRAFT_READ_FAILURE));
+                return;
+            }
+            resolve(result);
+        };
+        fileReader.onerror = () => {
+            reject(new Error(LOG_MESSAGES.DRAFT_READ_FAILURE));
+        };
+        fileReader.readAsText(file);
+    });
+}
+
 /**
  * Creates an image element that preserves responsiveness within the editor.
  * @param {string} dataUrl Data URL representation of the pasted image.
+ * @param {string} [altText] Description of the image. Pasted images have none until the user adds it.
  * @returns {HTMLImageElement} Configured image element ready for insertion.
  */
-function createEditorImageElement(dataUrl) {
+function createEditorImageElement(dataUrl, altText = "") {
     const imageElement = document.createElement("img");
     imageElement.src = dataUrl;
-    imageElement.alt = TEXT_CONTENT.PASTED_IMAGE_ALT;
+    imageElement.alt = altText;
     imageElement.draggable = false;
     imageElement.style.maxWidth = "100%";
     imageElement.style.height = "auto";
@@ -243,6 +291,109 @@ function collectParagraphTexts(editorElement) {
     return paragraphTexts;
 }
 
+/**
+ * Counts the source units in the placeholder text before each offset. A unit is one non-whitespace character or one
+ * image placeholder token. The snapshot changes only whitespace, so the same count finds the position in the editor.
+ * The text is read once, up to the largest offset.
+ * @param {string} placeholderText Placeholder text of a document snapshot.
+ * @param {ReadonlyArray<number>} offsets Offsets in the placeholder text.
+ * @returns {number[]} Unit count before each offset, in the order of the offsets.
+ */
+function countSourceUnits(placeholderText, offsets) {
+    const placeholderPattern = richTextHelpers.createPlaceholderPattern();
+    /** @type {Map<number, number>} */
+    const unitCounts = new Map();
+    let placeholderMatch = placeholderPattern.exec(placeholderText);
+    let unitCount = 0;
+    let textIndex = 0;
+    for (const offset of Array.from(new Set(offsets)).sort((left, right) => left - right)) {
+        const endIndex = Math.min(offset, placeholderText.length);
+        let partialUnitCount = 0;
+        while (textIndex < endIndex) {
+            if (placeholderMatch !== null && placeholderMatch.index === textIndex) {
+                const placeholderEnd = textIndex + placeholderMatch[0].length;
+                if (placeholderEnd > endIndex) {
+                    partialUnitCount = placeholderText
+                        .slice(textIndex, endIndex)
+                        .replace(SOURCE_WHITESPACE_SEQUENCE_PATTERN, "").length;
+                    break;
+                }
+                unitCount += 1;
+                textIndex = placeholderEnd;
+                placeholderMatch = placeholderPattern.exec(placeholderText);
+                continue;
+            }
+            if (!SOURCE_WHITESPACE_PATTERN.test(placeholderText.charAt(textIndex))) {
+                unitCount += 1;
+            }
+            textIndex += 1;
+        }
+        unitCounts.set(offset, unitCount + partialUnitCount);
+    }
+    return offsets.map((offset) => unitCounts.get(offset) ?? 0);
+}
+
+/**
+ * Finds the editor positions next to source units in one walk over the editor. Images are one unit each.
+ * @param {HTMLElement} editorElement Editable container element.
+ * @param {ReadonlyArray<{ unitIndex: number, placeAfter: boolean }>} unitPositions Zero-based unit indices, and whether
+ * each position follows its unit instead of preceding it.
+ * @returns {{ node: Node, offset: number }[]} Range boundaries in the order of the unit positions. The end of the
+ * editor for units that do not exist.
+ */
+function locateUnitBoundaries(editorElement, unitPositions) {
+    const pendingPositionIndices = unitPositions
+        .map((_, positionIndex) => positionIndex)
+        .sort((left, right) => unitPositions[left].unitIndex - unitPositions[right].unitIndex);
+    const boundaries = unitPositions.map(() => ({
+        node: /** @type {Node} */ (editorElement),
+        offset: editorElement.childNodes.length
+    }));
+    let resolvedCount = 0;
+    let unitIndex = 0;
+    /**
+     * Resolves the positions next to the current unit and moves to the next unit.
+     * @param {(placeAfter: boolean) => { node: Node, offset: number }} createBoundary Builds a boundary next to the unit.
+     * @returns {void}
+     */
+    const resolveUnit = (createBoundary) => {
+        while (
+            resolvedCount < pendingPositionIndices.length &&
+            unitPositions[pendingPositionIndices[resolvedCount]].unitIndex === unitIndex
+        ) {
+            const positionIndex = pendingPositionIndices[resolvedCount];
+            boundaries[positionIndex] = createBoundary(unitPositions[positionIndex].placeAfter);
+            resolvedCount += 1;
+        }
+        unitIndex += 1;
+    };
+
+    const walker = document.createTreeWalker(editorElement, window.NodeFilter.SHOW_TEXT | window.NodeFilter.SHOW_ELEMENT);
+    for (
+        let currentNode = walker.nextNode();
+        currentNode !== null && resolvedCount < pendingPositionIndices.length;
+        currentNode = walker.nextNode()
+    ) {
+        const parentNode = currentNode.parentNode;
+        if (currentNode instanceof window.HTMLImageElement && parentNode !== null) {
+            const imagePosition = Array.prototype.indexOf.call(parentNode.childNodes, currentNode);
+            resolveUnit((placeAfter) => ({ node: parentNode, offset: placeAfter ? imagePosition + 1 : imagePosition }));
+            continue;
+        }
+        if (currentNode.nodeType !== window.Node.TEXT_NODE) {
+            continue;
+        }
+        const textNode = currentNode;
+        const textContent = textNode.textContent || "";
+        for (let characterIndex = 0; characterIndex < textContent.length; characterIndex += 1) {
+            if (!SOURCE_WHITESPACE_PATTERN.test(textContent.charAt(characterIndex))) {
+                resolveUnit((placeAfter) => ({ node: textNode, offset: placeAfter ? characterIndex + 1 : characterIndex }));
+            }
+        }
+    }
+    return boundaries;
+}
+
 /**
  * Manages the user input editor, statistics display, and error feedback.
  */
@@ -251,13 +402,45 @@ export class InputPanel {
      * @param {HTMLDivElement} editorElement Editable element used to accept source content.
      * @param {HTMLElement} statsElement Element displaying live statistics for the input.
      * @param {HTMLElement} errorElement Element responsible for showing validation feedback.
+     * @param {HTMLButtonElement} postBreakButton Button that inserts a post break marker at the caret.
+     * @param {HTMLElement} boundaryOverlayElement Element over the editor that shows where posts start. It is outside
+     * the editor, so the markers are not part of the snapshot and do not move the caret.
+     * @param {HTMLButtonElement} openDraftButton Button that opens a draft file.
+     * @param {HTMLInputElement} draftFileInput Hidden file input that the open button uses.
+     * @param {HTMLUListElement} imageAltTextListElement List with an alt text field for each image in the editor.
      */
-    constructor(editorElement, statsElement, errorElement) {
+    constructor(
+        editorElement,
+        statsElement,
+        errorElement,
+        postBreakButton,
+        boundaryOverlayElement,
+        openDraftButton,
+        draftFileInput,
+        imageAltTextListElement
+    ) {
         this.editorElement = editorElement;
         this.statsElement = statsElement;
         this.errorElement = errorElement;
+        this.postBreakButton = postBreakButton;
+        this.boundaryOverlayElement = boundaryOverlayElement;
+        this.openDraftButton = openDraftButton;
+        this.draftFileInput = draftFileInput;
+        this.imageAltTextListElement = imageAltTextListElement;
+        /** @type {ImageAltTextEntry[]} */
+        this.imageAltTextEntries = [];
+        /** @type {Range | null} */
+        this.sourceHighlightRange = null;
+        /** @type {{ markerElement: HTMLDivElement, sourceRange: Range }[]} */
+        this.postBoundaryMarkers = [];
+        /** @type {number | null} */
+        this.pendingBoundaryFrame = null;
 
         this.initializeImageHandling();
+        this.initializeDraftImport();
+        this.initializePostBreakAction();
+        this.initializePostBoundaryOverlay();
+        this.initializeImageAltText();
     }
 
     /**
@@ -268,6 +451,10 @@ export class InputPanel {
         this.editorElement.dataset.placeholder = TEXT_CONTENT.EDITOR_PLACEHOLDER;
         this.editorElement.innerHTML = "";
         this.statsElement.textContent = TEXT_CONTENT.INPUT_STATS_EMPTY;
+        this.postBreakButton.textContent = TEXT_CONTENT.INSERT_POST_BREAK_LABEL;
+        this.openDraftButton.textContent = TEXT_CONTENT.OPEN_DRAFT_BUTTON_LABEL;
+        this.openDraftButton.title = TEXT_CONTENT.OPEN_DRAFT_BUTTON_TITLE;
+        this.imageAltTextListElement.setAttribute("aria-label", TEXT_CONTENT.IMAGE_ALT_TEXT_LIST_LABEL);
     }
 
     /**
@@ -282,7 +469,7 @@ export class InputPanel {
         imageElements.forEach((imageElement, index) => {
             const placeholderToken = richTextHelpers.createPlaceholderToken(index);
             const dataUrl = imageElement.getAttribute("src") || "";
-            const altText = imageElement.getAttribute("alt") || TEXT_CONTENT.PASTED_IMAGE_ALT;
+            const altText = (imageElement.getAttribute("alt") ?? "").trim();
             imageRecords.push({ placeholderToken, dataUrl, altText });
 
             const placeholderNode = document.createTextNode(placeholderToken);
@@ -366,6 +553,375 @@ export class InputPanel {
         emitSyntheticInputEvent(this.editorElement);
     }
 
+    /**
+     * Replaces a span of the snapshot placeholder text with plain text and emits the normal input lifecycle. Images
+     * inside the span stay in place after the new text.
+     * @param {number} sourceStart Start offset in the placeholder text.
+     * @param {number} sourceEnd End offset, exclusive, in the placeholder text.
+     * @param {string} replacementText Plain text that replaces the span.
+     * @returns {void}
+     */
+    replaceSourceSpan(sourceStart, sourceEnd, replacementText) {
+        if (typeof replacementText !== "string") {
+            throw new Error("InputPanel.replaceSourceSpan requires a string");
+        }
+        const sourceRange = this.createSourceRange(sourceStart, sourceEnd);
+        const imageElements = Array.from(sourceRange.cloneContents().querySelectorAll("img"));
+        sourceRange.deleteContents();
+        const replacementFragment = document.createDocumentFragment();
+        replacementFragment.append(document.createTextNode(replacementText), ...imageElements);
+        sourceRange.insertNode(replacementFragment);
+        emitSyntheticInputEvent(this.editorElement);
+    }
+
+    /**
+     * Replaces the editor with a rich text document and emits the normal input lifecycle. Each line becomes a
+     * paragraph element and each placeholder token becomes its image, so the next snapshot has the same text.
+     * @param {import("../types.d.js").RichTextDocument} richTextDocument Document to show in the editor.
+     * @returns {void}
+     */
+    loadDocument(richTextDocument) {
+        const imagesByToken = new Map(richTextDocument.images.map((imageRecord) => [imageRecord.placeholderToken, imageRecord]));
+        const placeholderPattern = richTextHelpers.createPlaceholderPattern();
+        const paragraphElements = richTextDocument.placeholderText.split("\n").map((lineText) => {
+            const paragraphElement = document.createElement("div");
+            if (lineText.length === 0) {
+                paragraphElement.appendChild(document.createElement("br"));
+                return paragraphElement;
+            }
+            let textStart = 0;
+            for (const tokenMatch of lineText.matchAll(placeholderPattern)) {
+                const tokenStart = tokenMatch.index ?? 0;
+                const imageRecord = imagesByToken.get(tokenMatch[0]);
+                if (imageRecord === undefined) {
+                    continue;
+                }
+                paragraphElement.append(
+                    lineText.slice(textStart, tokenStart),
+                    createEditorImageElement(imageRecord.dataUrl, imageRecord.altText)
+                );
+                textStart = tokenStart + tokenMatch[0].length;
+            }
+            paragraphElement.append(lineText.slice(textStart));
+            return paragraphElement;
+        });
+        this.editorElement.replaceChildren(...paragraphElements);
+        emitSyntheticInputEvent(this.editorElement);
+    }
+
+    /**
+     * Reads a Markdown, plain text, or HTML file and replaces the editor with the converted draft. Unsupported and
+     * unreadable files show an error and keep the editor as it is. When the editor has a draft, the user must confirm
+     * the replacement first.
+     * @param {File} file File opened or dropped by the user.
+     * @returns {Promise<void>} Promise that settles after the editor is updated, the error is shown, or the user declines.
+     */
+    importDraftFile(file) {
+        const formatIdentifier = draftImportHelpers.detectDraftFormat(file.name, file.type);
+        if (formatIdentifier === null) {
+            this.showError(templateHelpers.interpolate(TEXT_CONTENT.ERROR_DRAFT_UNSUPPORTED_TEMPLATE, { file: file.name }));
+            return Promise.resolve();
+        }
+        const currentSnapshot = this.getDocumentSnapshot();
+        const hasDraft = currentSnapshot.plainText.trim().length > 0 || currentSnapshot.images.length > 0;
+        if (
+            hasDraft &&
+            !window.confirm(templateHelpers.interpolate(TEXT_CONTENT.CONFIRM_DRAFT_REPLACE_TEMPLATE, { file: file.name }))
+        ) {
+            return Promise.resolve();
+        }
+        return readFileAsText(file)
+            .then((draftText) => {
+                this.clearError();
+                this.loadDocument(draftImportHelpers.convertDraft(formatIdentifier, draftText));
+            })
+            .catch(() => {
+                this.showError(TEXT_CONTENT.ERROR_DRAFT_READ_FAILURE);
+            });
+    }
+
+    /**
+     * Connects the open button to the hidden file input.
+     * @returns {void}
+     */
+    initializeDraftImport() {
+        this.draftFileInput.type = "file";
+        this.draftFileInput.accept = DRAFT_FILE_ACCEPT;
+        this.draftFileInput.hidden = true;
+        this.openDraftButton.addEventListener("click", () => {
+            this.draftFileInput.click();
+        });
+        this.draftFileInput.addEventListener("change", () => {
+            const selectedFile = this.draftFileInput.files ? this.draftFileInput.files[0] : undefined;
+            this.draftFileInput.value = "";
+            if (selectedFile) {
+                this.importDraftFile(selectedFile);
+            }
+        });
+    }
+
+    /**
+     * Inserts a post break marker on its own line at the caret, or at the end when the editor has no caret.
+     * @returns {void}
+     */
+    insertPostBreak() {
+        insertNodeAtCaret(this.editorElement, document.createTextNode(`\n${PLACEHOLDER_TOKENS.POST_BREAK}\n`));
+        emitSyntheticInputEvent(this.editorElement);
+    }
+
+    /**
+     * Wires the post break button. The button does not take focus, so the editor keeps its caret.
+     * @returns {void}
+     */
+    initializePostBreakAction() {
+        this.postBreakButton.addEventListener("mousedown", (mouseEvent) => {
+            mouseEvent.preventDefault();
+        });
+        this.postBreakButton.addEventListener("click", () => {
+            this.insertPostBreak();
+        });
+    }
+
+    /**
+     * Creates a DOM range over a span of the snapshot placeholder text. The editor content does not change.
+     * @param {number} sourceStart Start offset in the placeholder text.
+     * @param {number} sourceEnd End offset, exclusive, in the placeholder text.
+     * @param {string} [placeholderText] Placeholder text of the snapshot. Defaults to a new snapshot.
+     * @returns {Range}
+     */
+    createSourceRange(sourceStart, sourceEnd, placeholderText = this.getDocumentSnapshot().placeholderText) {
+        return this.createSourceRanges([{ sourceStart, sourceEnd }], placeholderText)[0];
+    }
+
+    /**
+     * Creates DOM ranges over spans of the snapshot placeholder text with one read of the text and one walk over the
+     * editor. The editor content does not change.
+     * @param {ReadonlyArray<{ sourceStart: number, sourceEnd: number }>} sourceSpans Spans in the placeholder text.
+     * @param {string} placeholderText Placeholder text of the snapshot.
+     * @returns {Range[]} Ranges in the order of the spans.
+     */
+    createSourceRanges(sourceSpans, placeholderText) {
+        const unitCounts = countSourceUnits(
+            placeholderText,
+            sourceSpans.flatMap((sourceSpan) => [sourceSpan.sourceStart, sourceSpan.sourceEnd])
+        );
+        const boundaries = locateUnitBoundaries(
+            this.editorElement,
+            sourceSpans.flatMap((_, spanIndex) => {
+                const startUnitCount = unitCounts[spanIndex * 2];
+                const endUnitCount = unitCounts[spanIndex * 2 + 1];
+                return [
+                    { unitIndex: startUnitCount, placeAfter: false },
+                    endUnitCount === 0
+                        ? { unitIndex: startUnitCount, placeAfter: false }
+                        : { unitIndex: endUnitCount - 1, placeAfter: true }
+                ];
+            })
+        );
+        return sourceSpans.map((_, spanIndex) => {
+            const startBoundary = boundaries[spanIndex * 2];
+            const endBoundary = boundaries[spanIndex * 2 + 1];
+            const sourceRange = document.createRange();
+            sourceRange.setStart(startBoundary.node, startBoundary.offset);
+            sourceRange.setEnd(endBoundary.node, endBoundary.offset);
+            return sourceRange;
+        });
+    }
+
+    /**
+     * Highlights a span of the snapshot placeholder text with the CSS highlight registry. The caret and the editor
+     * content do not change. Browsers without the registry only keep the range.
+     * @param {number} sourceStart Start offset in the placeholder text.
+     * @param {number} sourceEnd End offset, exclusive, in the placeholder text.
+     * @returns {Range} Highlighted range.
+     */
+    highlightSource(sourceStart, sourceEnd) {
+        this.sourceHighlightRange = this.createSourceRange(sourceStart, sourceEnd);
+        const highlightRegistry = window.CSS && /** @type {any} */ (window.CSS).highlights;
+        const highlightConstructor = /** @type {any} */ (window).Highlight;
+        if (highlightRegistry && typeof highlightConstructor === "function") {
+            highlightRegistry.set(EDITOR_HIGHLIGHT_NAMES.CHUNK_SOURCE, new highlightConstructor(this.sourceHighlightRange));
+        }
+        return this.sourceHighlightRange;
+    }
+
+    /**
+     * Removes the source highlight.
+     * @returns {void}
+     */
+    clearSourceHighlight() {
+        this.sourceHighlightRange = null;
+        const highlightRegistry = window.CSS && /** @type {any} */ (window.CSS).highlights;
+        if (highlightRegistry) {
+            highlightRegistry.delete(EDITOR_HIGHLIGHT_NAMES.CHUNK_SOURCE);
+        }
+    }
+
+    /**
+     * Highlights a span of the snapshot placeholder text and scrolls the editor so that the span is at the top.
+     * @param {number} sourceStart Start offset in the placeholder text.
+     * @param {number} sourceEnd End offset, exclusive, in the placeholder text.
+     * @returns {void}
+     */
+    revealSource(sourceStart, sourceEnd) {
+        const sourceRange = this.highlightSource(sourceStart, sourceEnd);
+        const rangeTop = sourceRange.getBoundingClientRect().top;
+        const editorTop = this.editorElement.getBoundingClientRect().top;
+        this.editorElement.scrollTop += rangeTop - editorTop;
+        this.editorElement.scrollIntoView({ block: "nearest" });
+    }
+
+    /**
+     * Shows a marker with the post number and the character budget where each post starts in the editor. The ranges
+     * of all posts are found once here; scrolling and resizing only move the markers.
+     * @param {import("../types.d.js").PostBoundary[]} postBoundaries Posts in thread order.
+     * @param {string} placeholderText Placeholder text of the snapshot that the posts came from.
+     * @returns {void}
+     */
+    renderPostBoundaries(postBoundaries, placeholderText) {
+        const sourceRanges = postBoundaries.length === 0 ? [] : this.createSourceRanges(postBoundaries, placeholderText);
+        this.postBoundaryMarkers = postBoundaries.map((postBoundary, postIndex) => {
+            const markerElement = document.createElement("div");
+            markerElement.className = POST_BOUNDARY_CLASSES.MARKER;
+            markerElement.classList.toggle(
+                POST_BOUNDARY_CLASSES.OVER_BUDGET,
+                postBoundary.characters > postBoundary.maximumLength
+            );
+            markerElement.textContent = templateHelpers.interpolate(TEXT_CONTENT.POST_BOUNDARY_TEMPLATE, {
+                post: postIndex + 1,
+                characters: postBoundary.characters,
+                limit: postBoundary.maximumLength
+            });
+            return { markerElement, sourceRange: sourceRanges[postIndex] };
+        });
+        this.boundaryOverlayElement.replaceChildren(
+            ...this.postBoundaryMarkers.map((postBoundaryMarker) => postBoundaryMarker.markerElement)
+        );
+        this.positionPostBoundaries();
+    }
+
+    /**
+     * Removes the post boundary markers.
+     * @returns {void}
+     */
+    clearPostBoundaries() {
+        this.renderPostBoundaries([], "");
+    }
+
+    /**
+     * Moves the post boundary markers to the first line of their posts.
+     * @returns {void}
+     */
+    positionPostBoundaries() {
+        if (this.postBoundaryMarkers.length === 0) {
+            return;
+        }
+        const overlayTop = this.boundaryOverlayElement.getBoundingClientRect().top;
+        this.postBoundaryMarkers.forEach(({ markerElement, sourceRange }) => {
+            markerElement.style.top = `${sourceRange.getBoundingClientRect().top - overlayTop}px`;
+        });
+    }
+
+    /**
+     * Keeps the post boundary markers next to their posts when the editor scrolls or the window changes size. The
+     * events of one frame move the markers once.
+     * @returns {void}
+     */
+    initializePostBoundaryOverlay() {
+        this.boundaryOverlayElement.setAttribute("aria-hidden", "true");
+        const schedulePositioning = () => {
+            if (this.pendingBoundaryFrame !== null) {
+                return;
+            }
+            this.pendingBoundaryFrame = window.requestAnimationFrame(() => {
+                this.pendingBoundaryFrame = null;
+                this.positionPostBoundaries();
+            });
+        };
+        this.editorElement.addEventListener("scroll", schedulePositioning, { passive: true });
+        window.addEventListener("resize", schedulePositioning);
+    }
+
+    /**
+     * Keeps the image list in step with the images of the editor.
+     * @returns {void}
+     */
+    initializeImageAltText() {
+        this.imageAltTextListElement.hidden = true;
+        this.editorElement.addEventListener("input", () => {
+            this.renderImageAltText();
+        });
+    }
+
+    /**
+     * Shows a row for each image in the editor with a thumbnail, an alt text field, and a warning badge when the
+     * image has no alt text. Rows are built again only when the images change, so the field being typed in keeps
+     * its focus.
+     * @returns {void}
+     */
+    renderImageAltText() {
+        const imageElements = Array.from(this.editorElement.querySelectorAll("img"));
+        const isSameImages =
+            imageElements.length === this.imageAltTextEntries.length &&
+            imageElements.every((imageElement, imageIndex) => this.imageAltTextEntries[imageIndex].imageElement === imageElement);
+        if (!isSameImages) {
+            this.imageAltTextEntries = imageElements.map((imageElement, imageIndex) =>
+                this.createImageAltTextEntry(imageElement, imageIndex)
+            );
+            this.imageAltTextListElement.replaceChildren(...this.imageAltTextEntries.map((entry) => entry.itemElement));
+            this.imageAltTextListElement.hidden = imageElements.length === 0;
+        }
+        this.imageAltTextEntries.forEach((entry) => {
+            const altText = entry.imageElement.getAttribute("alt") ?? "";
+            if (entry.inputElement.value !== altText) {
+                entry.inputElement.value = altText;
+            }
+            const isMissing = altText.trim().length === 0;
+            entry.itemElement.classList.toggle(IMAGE_ALT_TEXT_CLASSES.MISSING, isMissing);
+            entry.warningElement.hidden = !isMissing;
+        });
+    }
+
+    /**
+     * Creates the row of one image. Typing in the field sets the alt attribute of the image and emits an input
+     * event, so the posts get the new description.
+     * @param {HTMLImageElement} imageElement Image in the editor.
+     * @param {number} imageIndex Index of the image in the editor.
+     * @returns {ImageAltTextEntry}
+     */
+    createImageAltTextEntry(imageElement, imageIndex) {
+        const itemElement = document.createElement("li");
+        itemElement.className = IMAGE_ALT_TEXT_CLASSES.ITEM;
+
+        const thumbnailElement = document.createElement("img");
+        thumbnailElement.className = IMAGE_ALT_TEXT_CLASSES.THUMBNAIL;
+        thumbnailElement.src = imageElement.src;
+        thumbnailElement.alt = "";
+
+        const labelElement = document.createElement("label");
+        labelElement.className = IMAGE_ALT_TEXT_CLASSES.LABEL;
+        labelElement.textContent = templateHelpers.interpolate(TEXT_CONTENT.IMAGE_ALT_TEXT_INPUT_LABEL_TEMPLATE, {
+            image: imageIndex + 1
+        });
+        const inputElement = document.createElement("input");
+        inputElement.type = "text";
+        inputElement.className = IMAGE_ALT_TEXT_CLASSES.INPUT;
+        inputElement.placeholder = TEXT_CONTENT.IMAGE_ALT_TEXT_PLACEHOLDER;
+        labelElement.appendChild(inputElement);
+
+        const warningElement = document.createElement("span");
+        warningElement.className = IMAGE_ALT_TEXT_CLASSES.WARNING;
+        warningElement.textContent = TEXT_CONTENT.IMAGE_ALT_TEXT_MISSING_LABEL;
+
+        inputElement.addEventListener("input", () => {
+            imageElement.alt = inputElement.value;
+            emitSyntheticInputEvent(this.editorElement);
+        });
+
+        itemElement.append(thumbnailElement, labelElement, warningElement);
+        return { imageElement, itemElement, inputElement, warningElement };
+    }
+
     /**
      * Adjusts the textarea font size based on the total input length.
      * @returns {void}
@@ -381,7 +937,8 @@ export class InputPanel {
     }
 
     /**
-     * Sets up handlers to process pasted or dropped images within the editor.
+     * Sets up handlers to process pasted or dropped images within the editor. A dropped draft file replaces the
+     * editor instead.
      * @returns {void}
      */
     initializeImageHandling() {
@@ -466,6 +1023,12 @@ export class InputPanel {
             }
 
             const files = Array.from(dataTransfer.files);
+            const draftFile = files.find((file) => draftImportHelpers.detectDraftFormat(file.name, file.type) !== null);
+            if (draftFile) {
+                dropEvent.preventDefault();
+                this.importDraftFile(draftFile);
+                return;
+            }
             const imageFiles = files.filter((file) => file.type.startsWith("image/"));
             if (imageFiles.length === 0) {
                 return;
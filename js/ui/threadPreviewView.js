@@ -0,0 +1,150 @@
+// @ts-check
+/**
+ * @fileoverview Renders the thread as a mockup of the platform where it will be posted.
+ */
+
+import { CHUNK_ATTRIBUTE_NAMES, TEXT_CONTENT } from "../constants.js";
+import { threadPreviewHelpers } from "../core/threadPreview.js";
+import { templateHelpers } from "../utils/templates.js";
+
+/**
+ * View that shows each post with an avatar placeholder, the author, the text, the images, a link card placeholder,
+ * and the action row of the platform. Collapsed text expands when the user clicks "Show more".
+ */
+export class ThreadPreviewView {
+    /**
+     * @param {HTMLElement} previewElement Element where the preview is rendered.
+     */
+    constructor(previewElement) {
+        this.previewElement = previewElement;
+    }
+
+    /**
+     * Renders the preview of a thread.
+     * @param {import("../types.d.js").ChunkContent[]} chunks Chunk contents in thread order.
+     * @param {import("../types.d.js").PreviewPlatformIdentifier} platformIdentifier Platform to show.
+     * @returns {void}
+     */
+    render(chunks, platformIdentifier) {
+        const platformDefinition = threadPreviewHelpers.getPlatformDefinition(platformIdentifier);
+        const listElement = document.createElement("ol");
+        listElement.className = "threadPreviewPosts";
+        listElement.classList.toggle("hasReplyConnector", platformDefinition.hasReplyConnector);
+        threadPreviewHelpers.buildPreviewPosts(chunks, platformIdentifier).forEach((previewPost) => {
+            listElement.appendChild(this.createPostElement(previewPost, platformDefinition));
+        });
+        this.previewElement.setAttribute(CHUNK_ATTRIBUTE_NAMES.PREVIEW_PLATFORM, platformIdentifier);
+        this.previewElement.setAttribute(
+            "aria-label",
+            templateHelpers.interpolate(TEXT_CONTENT.PREVIEW_THREAD_LABEL_TEMPLATE, { platform: platformDefinition.label })
+        );
+        this.previewElement.replaceChildren(listElement);
+    }
+
+    /**
+     * Creates the mockup of one post.
+     * @param {import("../types.d.js").PreviewPost} previewPost Post to show.
+     * @param {import("../types.d.js").PreviewPlatformDefinition} platformDefinition Platform that shows the post.
+     * @returns {HTMLLIElement}
+     */
+    createPostElement(previewPost, platformDefinition) {
+        const postElement = document.createElement("li");
+        postElement.className = "previewPost";
+        postElement.setAttribute(CHUNK_ATTRIBUTE_NAMES.POST_INDEX, String(previewPost.postIndex));
+
+        const avatarElement = document.createElement("div");
+        avatarElement.className = "previewAvatar";
+        avatarElement.setAttribute("aria-hidden", "true");
+
+        const bodyElement = document.createElement("div");
+        bodyElement.className = "previewBody";
+        const headerElement = document.createElement("div");
+        headerElement.className = "previewHeader";
+        const nameElement = document.createElement("span");
+        nameElement.className = "previewDisplayName";
+        nameElement.textContent = TEXT_CONTENT.PREVIEW_DISPLAY_NAME;
+        const handleElement = document.createElement("span");
+        handleElement.className = "previewHandle";
+        handleElement.textContent = platformDefinition.handle;
+        headerElement.append(nameElement, handleElement);
+        bodyElement.appendChild(headerElement);
+
+        if (previewPost.text.length > 0) {
+            const textElement = document.createElement("div");
+            textElement.className = "previewText";
+            textElement.textContent = previewPost.visibleText;
+            bodyElement.appendChild(textElement);
+            if (previewPost.isTruncated) {
+                const showMoreButton = document.createElement("button");
+                showMoreButton.type = "button";
+                showMoreButton.className = "previewShowMoreButton";
+                showMoreButton.textContent = platformDefinition.showMoreLabel;
+                showMoreButton.addEventListener("click", () => {
+                    textElement.textContent = previewPost.text;
+                    showMoreButton.remove();
+                });
+                bodyElement.appendChild(showMoreButton);
+            }
+        }
+        if (previewPost.images.length > 0) {
+            bodyElement.appendChild(this.createMediaElement(previewPost.images, platformDefinition));
+        }
+        if (previewPost.linkCard !== null) {
+            bodyElement.appendChild(this.createLinkCardElement(previewPost.linkCard));
+        }
+
+        const actionsElement = document.createElement("div");
+        actionsElement.className = "previewActions";
+        actionsElement.setAttribute("aria-hidden", "true");
+        platformDefinition.actionLabels.forEach((actionLabel) => {
+            const actionElement = document.createElement("span");
+            actionElement.textContent = actionLabel;
+            actionsElement.appendChild(actionElement);
+        });
+        bodyElement.appendChild(actionsElement);
+
+        postElement.append(avatarElement, bodyElement);
+        return postElement;
+    }
+
+    /**
+     * Creates the images of a post as a grid or a carousel.
+     * @param {import("../types.d.js").PreviewImage[]} images Images of the post.
+     * @param {import("../types.d.js").PreviewPlatformDefinition} platformDefinition Platform that shows the post.
+     * @returns {HTMLDivElement}
+     */
+    createMediaElement(images, platformDefinition) {
+        const mediaElement = document.createElement("div");
+        mediaElement.className = platformDefinition.mediaLayout === "carousel" ? "previewMediaCarousel" : "previewMediaGrid";
+        mediaElement.setAttribute(CHUNK_ATTRIBUTE_NAMES.IMAGE_COUNT, String(images.length));
+        images.forEach((image) => {
+            const imageElement = document.createElement("img");
+            imageElement.src = image.dataUrl;
+            imageElement.alt = image.altText;
+            mediaElement.appendChild(imageElement);
+        });
+        return mediaElement;
+    }
+
+    /**
+     * Creates the link card placeholder of a post.
+     * @param {{ url: string, domain: string }} linkCard Link that gets the card.
+     * @returns {HTMLDivElement}
+     */
+    createLinkCardElement(linkCard) {
+        const cardElement = document.createElement("div");
+        cardElement.className = "previewLinkCard";
+        cardElement.title = linkCard.url;
+        const imageElement = document.createElement("div");
+        imageElement.className = "previewLinkCardImage";
+        imageElement.setAttribute("aria-hidden", "true");
+        const domainElement = document.createElement("span");
+        domainElement.className = "previewLinkCardDomain";
+        domainElement.textContent = linkCard.domain;
+        const labelElement = document.createElement("span");
+        labelElement.className = "previewLinkCardLabel";
+        labelElement.textContent = TEXT_CONTENT.PREVIEW_LINK_CARD_LABEL;
+        cardElement.append(imageElement, domainElement, labelElement);
+        return cardElement;
+    }
+}
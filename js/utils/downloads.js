@@ -0,0 +1,31 @@
+// @ts-check
+/**
+ * @fileoverview Saves generated files through a temporary download link.
+ */
+
+/** @type {number} */
+const OBJECT_URL_RELEASE_DELAY_MS = 1000;
+
+/**
+ * Starts the download of a blob under the given file name.
+ * @param {Blob} blob File content.
+ * @param {string} fileName Suggested file name.
+ * @returns {void}
+ */
+function downloadBlob(blob, fileName) {
+    const objectUrl = URL.createObjectURL(blob);
+    const linkElement = document.createElement("a");
+    linkElement.href = objectUrl;
+    linkElement.download = fileName;
+    linkElement.hidden = true;
+    document.body.appendChild(linkElement);
+    linkElement.click();
+    linkElement.remove();
+    window.setTimeout(() => {
+        URL.revokeObjectURL(objectUrl);
+    }, OBJECT_URL_RELEASE_DELAY_MS);
+}
+
+export const downloadHelpers = Object.freeze({
+    downloadBlob
+});
@@ -41,5 +41,59 @@ export const loggingHelpers = Object.freeze({
      */
     reportCopyFailure(error) {
         loggingAdapter.reportError(LOG_MESSAGES.COPY_FAILURE, error);
+    },
+
+    /**
+     * Logs failures to copy the whole thread in an export format.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportThreadExportFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.THREAD_EXPORT_FAILURE, error);
+    },
+
+    /**
+     * Logs failures to build the thread bundle.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportThreadBundleFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.THREAD_BUNDLE_FAILURE, error);
+    },
+
+    /**
+     * Logs chunking worker start failures.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportChunkingWorkerFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.CHUNKING_WORKER_FAILURE, error);
+    },
+
+    /**
+     * Logs error responses of the chunking worker.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportChunkingWorkerRunFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.CHUNKING_WORKER_RUN_FAILURE, error);
+    },
+
+    /**
+     * Logs chunking failures on the main thread.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportChunkingFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.CHUNKING_FAILURE, error);
+    },
+
+    /**
+     * Logs stored settings that cannot be read.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportStoredSettingFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.STORED_SETTING_READ_FAILURE, error);
     }
 });
@@ -0,0 +1,157 @@
+// @ts-check
+/**
+ * @fileoverview Writes ZIP archives in the browser. Files are stored without compression, because the archive holds
+ * short texts and images that are already compressed.
+ */
+
+/** @type {number} */
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+/** @type {number} */
+const CENTRAL_DIRECTORY_HEADER_SIGNATURE = 0x02014b50;
+/** @type {number} */
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+/** @type {number} */
+const LOCAL_FILE_HEADER_LENGTH = 30;
+/** @type {number} */
+const CENTRAL_DIRECTORY_HEADER_LENGTH = 46;
+/** @type {number} */
+const END_OF_CENTRAL_DIRECTORY_LENGTH = 22;
+/** @type {number} Version 2.0, the first version with folders. */
+const ZIP_VERSION = 20;
+/** @type {number} General purpose flag that marks file names as UTF-8. */
+const UTF8_FILE_NAME_FLAG = 0x0800;
+/** @type {number} */
+const STORED_COMPRESSION_METHOD = 0;
+/** @type {number} */
+const DOS_EPOCH_YEAR = 1980;
+/** @type {number} */
+const CRC32_POLYNOMIAL = 0xedb88320;
+
+/** @type {Uint32Array | null} */
+let crc32Table = null;
+
+/**
+ * Returns the CRC-32 lookup table and creates it on first use.
+ * @returns {Uint32Array}
+ */
+function getCrc32Table() {
+    if (crc32Table === null) {
+        crc32Table = new Uint32Array(256);
+        for (let byteValue = 0; byteValue < 256; byteValue += 1) {
+            let remainder = byteValue;
+            for (let bitIndex = 0; bitIndex < 8; bitIndex += 1) {
+                remainder = remainder & 1 ? CRC32_POLYNOMIAL ^ (remainder >>> 1) : remainder >>> 1;
+            }
+            crc32Table[byteValue] = remainder >>> 0;
+        }
+    }
+    return crc32Table;
+}
+
+/**
+ * Calculates the CRC-32 checksum that ZIP stores for each file.
+ * @param {Uint8Array} data File content.
+ * @returns {number}
+ */
+function calculateCrc32(data) {
+    const table = getCrc32Table();
+    let checksum = 0xffffffff;
+    for (let byteIndex = 0; byteIndex < data.length; byteIndex += 1) {
+        checksum = table[(checksum ^ data[byteIndex]) & 0xff] ^ (checksum >>> 8);
+    }
+    return (checksum ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields of ZIP headers.
+ * @param {Date} modifiedAt Modification date.
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime(modifiedAt) {
+    const year = Math.max(DOS_EPOCH_YEAR, modifiedAt.getFullYear());
+    return {
+        time: (modifiedAt.getHours() << 11) | (modifiedAt.getMinutes() << 5) | Math.floor(modifiedAt.getSeconds() / 2),
+        date: ((year - DOS_EPOCH_YEAR) << 9) | ((modifiedAt.getMonth() + 1) << 5) | modifiedAt.getDate()
+    };
+}
+
+/**
+ * Creates a ZIP archive with the given files in order. A file name with slashes puts the file in a folder.
+ * @param {import("../types.d.js").ZipEntry[]} entries Files of the archive.
+ * @param {Date} modifiedAt Modification date of every file.
+ * @returns {Uint8Array} Archive bytes.
+ */
+function createZipArchive(entries, modifiedAt) {
+    const textEncoder = new TextEncoder();
+    const dosDateTime = toDosDateTime(modifiedAt);
+    const fileRecords = entries.map((entry) => {
+        if (entry.fileName.length === 0) {
+            throw new Error("ZIP entries need a file name");
+        }
+        return {
+            nameBytes: textEncoder.encode(entry.fileName),
+            data: entry.data,
+            checksum: calculateCrc32(entry.data),
+            offset: 0
+        };
+    });
+
+    let localSectionLength = 0;
+    fileRecords.forEach((fileRecord) => {
+        fileRecord.offset = localSectionLength;
+        localSectionLength += LOCAL_FILE_HEADER_LENGTH + fileRecord.nameBytes.length + fileRecord.data.length;
+    });
+    const centralDirectoryLength = fileRecords.reduce(
+        (totalLength, fileRecord) => totalLength + CENTRAL_DIRECTORY_HEADER_LENGTH + fileRecord.nameBytes.length,
+        0
+    );
+    const archive = new Uint8Array(localSectionLength + centralDirectoryLength + END_OF_CENTRAL_DIRECTORY_LENGTH);
+    const view = new DataView(archive.buffer);
+
+    fileRecords.forEach((fileRecord) => {
+        const position = fileRecord.offset;
+        view.setUint32(position, LOCAL_FILE_HEADER_SIGNATURE, true);
+        view.setUint16(position + 4, ZIP_VERSION, true);
+        view.setUint16(position + 6, UTF8_FILE_NAME_FLAG, true);
+        view.setUint16(position + 8, STORED_COMPRESSION_METHOD, true);
+        view.setUint16(position + 10, dosDateTime.time, true);
+        view.setUint16(position + 12, dosDateTime.date, true);
+        view.setUint32(position + 14, fileRecord.checksum, true);
+        view.setUint32(position + 18, fileRecord.data.length, true);
+        view.setUint32(position + 22, fileRecord.data.length, true);
+        view.setUint16(position + 26, fileRecord.nameBytes.length, true);
+        view.setUint16(position + 28, 0, true);
+        archive.set(fileRecord.nameBytes, position + LOCAL_FILE_HEADER_LENGTH);
+        archive.set(fileRecord.data, position + LOCAL_FILE_HEADER_LENGTH + fileRecord.nameBytes.length);
+    });
+
+    let position = localSectionLength;
+    fileRecords.forEach((fileRecord) => {
+        view.setUint32(position, CENTRAL_DIRECTORY_HEADER_SIGNATURE, true);
+        view.setUint16(position + 4, ZIP_VERSION, true);
+        view.setUint16(position + 6, ZIP_VERSION, true);
+        view.setUint16(position + 8, UTF8_FILE_NAME_FLAG, true);
+        view.setUint16(position + 10, STORED_COMPRESSION_METHOD, true);
+        view.setUint16(position + 12, dosDateTime.time, true);
+        view.setUint16(position + 14, dosDateTime.date, true);
+        view.setUint32(position + 16, fileRecord.checksum, true);
+        view.setUint32(position + 20, fileRecord.data.length, true);
+        view.setUint32(position + 24, fileRecord.data.length, true);
+        view.setUint16(position + 28, fileRecord.nameBytes.length, true);
+        view.setUint32(position + 42, fileRecord.offset, true);
+        archive.set(fileRecord.nameBytes, position + CENTRAL_DIRECTORY_HEADER_LENGTH);
+        position += CENTRAL_DIRECTORY_HEADER_LENGTH + fileRecord.nameBytes.length;
+    });
+
+    view.setUint32(position, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    view.setUint16(position + 8, fileRecords.length, true);
+    view.setUint16(position + 10, fileRecords.length, true);
+    view.setUint32(position + 12, centralDirectoryLength, true);
+    view.setUint32(position + 16, localSectionLength, true);
+    return archive;
+}
+
+export const zipArchiveHelpers = Object.freeze({
+    calculateCrc32,
+    createZipArchive
+});
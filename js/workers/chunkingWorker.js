@@ -0,0 +1,13 @@
+// @ts-check
+/**
+ * @fileoverview Web Worker that computes chunk descriptors off the main thread. The worker keeps an incremental
+ * chunker, so each request only re-chunks the text units that changed since the previous request.
+ */
+
+import { chunkingSchedulerHelpers } from "../core/chunkingScheduler.js";
+
+const handleRequest = chunkingSchedulerHelpers.createWorkerMessageHandler();
+
+self.addEventListener("message", (messageEvent) => {
+    self.postMessage(handleRequest(messageEvent.data));
+});
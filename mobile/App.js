@@ -1,5 +1,5 @@
 // @ts-check
-import React, { createContext, useContext, useMemo, useState } from "react";
+import React, { createContext, useContext, useMemo, useRef, useState } from "react";
 import {
   Linking,
   ScrollView,
@@ -9,11 +9,16 @@ import {
   View
 } from "react-native";
 import * as Clipboard from "expo-clipboard";
+import * as FileSystem from "expo-file-system";
 import * as ImagePicker from "expo-image-picker";
 import { StatusBar } from "expo-status-bar";
 
 import {
   DEFAULT_LENGTHS,
+  ENUMERATION_POSITION_LABELS,
+  ENUMERATION_POSITIONS,
+  ENUMERATION_STYLE_IDENTIFIERS,
+  ENUMERATION_STYLE_LABELS,
   MOBILE_ACCESSIBILITY_LABELS,
   MOBILE_COPY,
   MOBILE_EXTERNAL_URLS,
@@ -22,6 +27,7 @@ import {
   PRESET_IDENTIFIERS
 } from "./src/constants.js";
 import { ControlButton } from "./src/ControlButton.js";
+import { createFileStorage } from "./src/fileStorage.js";
 import { screenStyles as styles } from "./src/screenStyles.js";
 import { ThreadTimeline } from "./src/ThreadTimeline.js";
 import { ToggleRow } from "./src/ToggleRow.js";
@@ -30,11 +36,19 @@ import {
   calculateInputStatistics,
   canBreakOnParagraphs,
   createImageRecord,
+  createMobileDictionary,
+  createMobileDictionaryStore,
+  createMobileEnumerationFormatStore,
+  createMobileThreadDecorations,
+  createMobileThreadDecorationStore,
   createThreadShareMessage,
   defaultPresetSelection,
   firstSelectedImageAsset,
+  formatDictionaryText,
   formatInputStatistics,
   hasThreadContent,
+  isValidEnumerationTemplate,
+  lengthCounterForPreset,
   parsePositiveLength,
   presetLengthForIdentifier,
   updateImageRecordOffsets
@@ -51,7 +65,8 @@ const defaultDependencies = Object.freeze({
   clipboard: Clipboard,
   imagePicker: ImagePicker,
   linking: Linking,
-  share: Share.share
+  share: Share.share,
+  storage: createFileStorage(FileSystem)
 });
 
 const DependenciesContext = createContext(defaultDependencies);
@@ -88,6 +103,9 @@ function ThreaderScreen() {
   const dependencies = useDependencies();
   const defaultPreset = defaultPresetSelection();
   const [sourceText, setSourceText] = useState("");
+  const [sourceSelection, setSourceSelection] = useState(undefined);
+  const scrollViewRef = useRef(null);
+  const sourceInputRef = useRef(null);
   const [imageRecords, setImageRecords] = useState([]);
   const [activePresetIdentifier, setActivePresetIdentifier] = useState(defaultPreset.identifier);
   const [maximumLength, setMaximumLength] = useState(defaultPreset.length);
@@ -95,10 +113,43 @@ function ThreaderScreen() {
   const [breakOnParagraphs, setBreakOnParagraphs] = useState(false);
   const [breakOnSentences, setBreakOnSentences] = useState(false);
   const [enumerate, setEnumerate] = useState(false);
+  const [balanceChunks, setBalanceChunks] = useState(false);
+  const [preserveLineBreaks, setPreserveLineBreaks] = useState(false);
   const [copiedChunkOrders, setCopiedChunkOrders] = useState({});
   const [errorMessage, setErrorMessage] = useState("");
+  const dictionaryStore = useMemo(() => createMobileDictionaryStore(dependencies.storage), [dependencies.storage]);
+  const [storedDictionary] = useState(() => dictionaryStore.load());
+  const [abbreviationText, setAbbreviationText] = useState(() => formatDictionaryText(storedDictionary.abbreviations));
+  const [protectedPhraseText, setProtectedPhraseText] = useState(
+    () => formatDictionaryText(storedDictionary.protectedPhrases)
+  );
+  const dictionary = useMemo(
+    () => createMobileDictionary(abbreviationText, protectedPhraseText),
+    [abbreviationText, protectedPhraseText]
+  );
+  const enumerationFormatStore = useMemo(
+    () => createMobileEnumerationFormatStore(dependencies.storage),
+    [dependencies.storage]
+  );
+  const [enumerationFormat, setEnumerationFormat] = useState(() => enumerationFormatStore.load());
+  const [customTemplateText, setCustomTemplateText] = useState(enumerationFormat.customTemplate);
+  const threadDecorationStore = useMemo(
+    () => createMobileThreadDecorationStore(dependencies.storage),
+    [dependencies.storage]
+  );
+  const [storedThreadDecorations] = useState(() => threadDecorationStore.load());
+  const [openerPrefixText, setOpenerPrefixText] = useState(storedThreadDecorations.openerPrefix);
+  const [continuationSuffixText, setContinuationSuffixText] = useState(storedThreadDecorations.continuationSuffix);
+  const [footerText, setFooterText] = useState(storedThreadDecorations.footer);
+  const threadDecorations = useMemo(
+    () => createMobileThreadDecorations(openerPrefixText, continuationSuffixText, footerText),
+    [continuationSuffixText, footerText, openerPrefixText]
+  );
 
-  const inputStatistics = useMemo(() => calculateInputStatistics(sourceText), [sourceText]);
+  const inputStatistics = useMemo(
+    () => calculateInputStatistics(sourceText, lengthCounterForPreset(activePresetIdentifier)),
+    [activePresetIdentifier, sourceText]
+  );
   const textOptionTogglesEnabled = hasTextContent(sourceText);
   const paragraphToggleEnabled = textOptionTogglesEnabled && canBreakOnParagraphs(inputStatistics);
   const displayedInputStatistics = formatInputStatistics(inputStatistics);
@@ -110,17 +161,29 @@ function ThreaderScreen() {
         maximumLength,
         breakOnSentences: textOptionTogglesEnabled && breakOnSentences,
         enumerate: textOptionTogglesEnabled && enumerate,
-        breakOnParagraphs: paragraphToggleEnabled && breakOnParagraphs
+        enumerationFormat,
+        threadDecorations,
+        breakOnParagraphs: paragraphToggleEnabled && breakOnParagraphs,
+        balanceChunks: textOptionTogglesEnabled && balanceChunks,
+        preserveLineBreaks: textOptionTogglesEnabled && preserveLineBreaks,
+        lengthCounter: lengthCounterForPreset(activePresetIdentifier),
+        dictionary
       }),
     [
+      activePresetIdentifier,
+      balanceChunks,
       breakOnParagraphs,
       breakOnSentences,
+      dictionary,
       enumerate,
+      enumerationFormat,
       imageRecords,
       maximumLength,
       paragraphToggleEnabled,
+      preserveLineBreaks,
       sourceText,
-      textOptionTogglesEnabled
+      textOptionTogglesEnabled,
+      threadDecorations
     ]
   );
 
@@ -140,6 +203,8 @@ function ThreaderScreen() {
       setBreakOnParagraphs(false);
       setBreakOnSentences(false);
       setEnumerate(false);
+      setBalanceChunks(false);
+      setPreserveLineBreaks(false);
     } else if (!canBreakOnParagraphs(nextStatistics)) {
       setBreakOnParagraphs(false);
     }
@@ -232,6 +297,8 @@ function ThreaderScreen() {
     setBreakOnParagraphs(false);
     setBreakOnSentences(false);
     setEnumerate(false);
+    setBalanceChunks(false);
+    setPreserveLineBreaks(false);
     setCopiedChunkOrders({});
     setErrorMessage("");
   };
@@ -245,6 +312,16 @@ function ThreaderScreen() {
     }
   };
 
+  const handleSourceSelectionChange = (selectionEvent) => {
+    setSourceSelection(selectionEvent.nativeEvent.selection);
+  };
+
+  const handleJumpToSourcePress = (chunk) => {
+    setSourceSelection({ start: chunk.sourceStart, end: chunk.sourceEnd });
+    scrollViewRef.current.scrollTo({ y: 0, animated: true });
+    sourceInputRef.current.focus();
+  };
+
   const handleRemoveImagePress = (imageIndex) => {
     setImageRecords((currentImageRecords) =>
       currentImageRecords.filter((_imageRecord, currentIndex) => currentIndex !== imageIndex)
@@ -252,6 +329,14 @@ function ThreaderScreen() {
     resetCopiedChunkOrders();
   };
 
+  const handleImageAltTextChange = (imageIndex, altText) => {
+    setImageRecords((currentImageRecords) =>
+      currentImageRecords.map((imageRecord, currentIndex) =>
+        currentIndex === imageIndex ? { ...imageRecord, altText } : imageRecord
+      )
+    );
+  };
+
   const handleBreakOnParagraphsChange = (nextBreakOnParagraphs) => {
     setBreakOnParagraphs(nextBreakOnParagraphs);
     resetCopiedChunkOrders();
@@ -267,20 +352,77 @@ function ThreaderScreen() {
     resetCopiedChunkOrders();
   };
 
+  const updateEnumerationFormat = (formatChanges) => {
+    const nextEnumerationFormat = Object.freeze({ ...enumerationFormat, ...formatChanges });
+    setEnumerationFormat(nextEnumerationFormat);
+    enumerationFormatStore.save(nextEnumerationFormat);
+    resetCopiedChunkOrders();
+  };
+
+  const handleCustomTemplateTextChange = (nextCustomTemplateText) => {
+    setCustomTemplateText(nextCustomTemplateText);
+    if (isValidEnumerationTemplate(nextCustomTemplateText)) {
+      updateEnumerationFormat({ customTemplate: nextCustomTemplateText });
+    }
+  };
+
+  const handleOpenerPrefixTextChange = (nextOpenerPrefixText) => {
+    setOpenerPrefixText(nextOpenerPrefixText);
+    threadDecorationStore.save(createMobileThreadDecorations(nextOpenerPrefixText, continuationSuffixText, footerText));
+    resetCopiedChunkOrders();
+  };
+
+  const handleContinuationSuffixTextChange = (nextContinuationSuffixText) => {
+    setContinuationSuffixText(nextContinuationSuffixText);
+    threadDecorationStore.save(createMobileThreadDecorations(openerPrefixText, nextContinuationSuffixText, footerText));
+    resetCopiedChunkOrders();
+  };
+
+  const handleFooterTextChange = (nextFooterText) => {
+    setFooterText(nextFooterText);
+    threadDecorationStore.save(createMobileThreadDecorations(openerPrefixText, continuationSuffixText, nextFooterText));
+    resetCopiedChunkOrders();
+  };
+
+  const handleBalanceChunksChange = (nextBalanceChunks) => {
+    setBalanceChunks(nextBalanceChunks);
+    resetCopiedChunkOrders();
+  };
+
+  const handlePreserveLineBreaksChange = (nextPreserveLineBreaks) => {
+    setPreserveLineBreaks(nextPreserveLineBreaks);
+    resetCopiedChunkOrders();
+  };
+
+  const handleAbbreviationTextChange = (nextAbbreviationText) => {
+    setAbbreviationText(nextAbbreviationText);
+    dictionaryStore.save(createMobileDictionary(nextAbbreviationText, protectedPhraseText));
+    resetCopiedChunkOrders();
+  };
+
+  const handleProtectedPhraseTextChange = (nextProtectedPhraseText) => {
+    setProtectedPhraseText(nextProtectedPhraseText);
+    dictionaryStore.save(createMobileDictionary(abbreviationText, nextProtectedPhraseText));
+    resetCopiedChunkOrders();
+  };
+
   return (
     <View style={styles.screen}>
       <StatusBar style="dark" />
-      <ScrollView contentContainerStyle={styles.content}>
+      <ScrollView ref={scrollViewRef} contentContainerStyle={styles.content}>
         <View style={styles.header}>
           <Text style={styles.title}>{MOBILE_COPY.APP_TITLE}</Text>
           <Text style={styles.description}>{MOBILE_COPY.PRIMARY_DESCRIPTION}</Text>
         </View>
 
         <TextInput
+          ref={sourceInputRef}
           testID={MOBILE_TEST_IDS.SOURCE_INPUT}
           multiline
           value={sourceText}
+          selection={sourceSelection}
           onChangeText={handleSourceTextChange}
+          onSelectionChange={handleSourceSelectionChange}
           placeholder={MOBILE_COPY.INPUT_PLACEHOLDER}
           style={styles.sourceInput}
           textAlignVertical="top"
@@ -341,6 +483,129 @@ function ThreaderScreen() {
             disabled={!textOptionTogglesEnabled}
             onValueChange={handleEnumerateChange}
           />
+          <ToggleRow
+            label={MOBILE_COPY.BALANCED_TOGGLE_LABEL}
+            accessibilityLabel={MOBILE_ACCESSIBILITY_LABELS.BALANCE_CHUNKS}
+            value={textOptionTogglesEnabled && balanceChunks}
+            disabled={!textOptionTogglesEnabled}
+            onValueChange={handleBalanceChunksChange}
+          />
+          <ToggleRow
+            label={MOBILE_COPY.LINE_BREAKS_TOGGLE_LABEL}
+            accessibilityLabel={MOBILE_ACCESSIBILITY_LABELS.PRESERVE_LINE_BREAKS}
+            value={textOptionTogglesEnabled && preserveLineBreaks}
+            disabled={!textOptionTogglesEnabled}
+            onValueChange={handlePreserveLineBreaksChange}
+          />
+        </View>
+
+        <View style={styles.enumerationPanel}>
+          <Text style={styles.dictionaryLabel}>{MOBILE_COPY.ENUMERATION_STYLE_LABEL}</Text>
+          <View style={styles.optionRow}>
+            {Object.values(ENUMERATION_STYLE_IDENTIFIERS).map((style) => (
+              <ControlButton
+                key={style}
+                label={ENUMERATION_STYLE_LABELS[style]}
+                accessibilityLabel={MOBILE_ACCESSIBILITY_LABELS.ENUMERATION_STYLE_OPTIONS[style]}
+                active={enumerationFormat.style === style}
+                onPress={() => updateEnumerationFormat({ style })}
+              />
+            ))}
+          </View>
+          <Text style={styles.dictionaryLabel}>{MOBILE_COPY.ENUMERATION_POSITION_LABEL}</Text>
+          <View style={styles.optionRow}>
+            {Object.values(ENUMERATION_POSITIONS).map((position) => (
+              <ControlButton
+                key={position}
+                label={ENUMERATION_POSITION_LABELS[position]}
+                accessibilityLabel={MOBILE_ACCESSIBILITY_LABELS.ENUMERATION_POSITION_OPTIONS[position]}
+                active={enumerationFormat.position === position}
+                onPress={() => updateEnumerationFormat({ position })}
+              />
+            ))}
+          </View>
+          <ToggleRow
+            label={MOBILE_COPY.ENUMERATION_SKIP_FIRST_LABEL}
+            accessibilityLabel={MOBILE_ACCESSIBILITY_LABELS.SKIP_FIRST_ENUMERATION}
+            value={enumerationFormat.skipFirst}
+            disabled={false}
+            onValueChange={(skipFirst) => updateEnumerationFormat({ skipFirst })}
+          />
+          {enumerationFormat.style === ENUMERATION_STYLE_IDENTIFIERS.CUSTOM ? (
+            <TextInput
+              testID={MOBILE_TEST_IDS.ENUMERATION_TEMPLATE_INPUT}
+              accessibilityLabel={MOBILE_COPY.ENUMERATION_CUSTOM_TEMPLATE_LABEL}
+              autoCapitalize="none"
+              value={customTemplateText}
+              onChangeText={handleCustomTemplateTextChange}
+              placeholder={MOBILE_COPY.ENUMERATION_CUSTOM_TEMPLATE_PLACEHOLDER}
+              style={[
+                styles.templateInput,
+                !isValidEnumerationTemplate(customTemplateText) && styles.templateInputInvalid
+              ]}
+            />
+          ) : null}
+        </View>
+
+        <View style={styles.decorationPanel}>
+          <Text style={styles.dictionaryLabel}>{MOBILE_COPY.DECORATION_OPENER_PREFIX_LABEL}</Text>
+          <TextInput
+            testID={MOBILE_TEST_IDS.DECORATION_OPENER_PREFIX_INPUT}
+            accessibilityLabel={MOBILE_COPY.DECORATION_OPENER_PREFIX_LABEL}
+            value={openerPrefixText}
+            onChangeText={handleOpenerPrefixTextChange}
+            placeholder={MOBILE_COPY.DECORATION_OPENER_PREFIX_PLACEHOLDER}
+            style={styles.templateInput}
+          />
+          <Text style={styles.dictionaryLabel}>{MOBILE_COPY.DECORATION_CONTINUATION_SUFFIX_LABEL}</Text>
+          <TextInput
+            testID={MOBILE_TEST_IDS.DECORATION_CONTINUATION_SUFFIX_INPUT}
+            accessibilityLabel={MOBILE_COPY.DECORATION_CONTINUATION_SUFFIX_LABEL}
+            value={continuationSuffixText}
+            onChangeText={handleContinuationSuffixTextChange}
+            placeholder={MOBILE_COPY.DECORATION_CONTINUATION_SUFFIX_PLACEHOLDER}
+            style={styles.templateInput}
+          />
+          <Text style={styles.dictionaryLabel}>{MOBILE_COPY.DECORATION_FOOTER_LABEL}</Text>
+          <TextInput
+            testID={MOBILE_TEST_IDS.DECORATION_FOOTER_INPUT}
+            accessibilityLabel={MOBILE_COPY.DECORATION_FOOTER_LABEL}
+            multiline
+            autoCapitalize="none"
+            value={footerText}
+            onChangeText={handleFooterTextChange}
+            placeholder={MOBILE_COPY.DECORATION_FOOTER_PLACEHOLDER}
+            style={styles.dictionaryInput}
+            textAlignVertical="top"
+          />
+        </View>
+
+        <View style={styles.dictionaryPanel}>
+          <Text style={styles.dictionaryHeading}>{MOBILE_COPY.DICTIONARY_HEADING}</Text>
+          <Text style={styles.dictionaryLabel}>{MOBILE_COPY.DICTIONARY_ABBREVIATIONS_LABEL}</Text>
+          <TextInput
+            testID={MOBILE_TEST_IDS.DICTIONARY_ABBREVIATIONS_INPUT}
+            accessibilityLabel={MOBILE_COPY.DICTIONARY_ABBREVIATIONS_LABEL}
+            multiline
+            autoCapitalize="none"
+            value={abbreviationText}
+            onChangeText={handleAbbreviationTextChange}
+            placeholder={MOBILE_COPY.DICTIONARY_ABBREVIATIONS_PLACEHOLDER}
+            style={styles.dictionaryInput}
+            textAlignVertical="top"
+          />
+          <Text style={styles.dictionaryLabel}>{MOBILE_COPY.DICTIONARY_PROTECTED_PHRASES_LABEL}</Text>
+          <TextInput
+            testID={MOBILE_TEST_IDS.DICTIONARY_PROTECTED_PHRASES_INPUT}
+            accessibilityLabel={MOBILE_COPY.DICTIONARY_PROTECTED_PHRASES_LABEL}
+            multiline
+            autoCapitalize="none"
+            value={protectedPhraseText}
+            onChangeText={handleProtectedPhraseTextChange}
+            placeholder={MOBILE_COPY.DICTIONARY_PROTECTED_PHRASES_PLACEHOLDER}
+            style={styles.dictionaryInput}
+            textAlignVertical="top"
+          />
         </View>
 
         <View style={styles.actionRow}>
@@ -374,7 +639,9 @@ function ThreaderScreen() {
           chunks={chunks}
           copiedChunkOrders={copiedChunkOrders}
           onCopyChunkPress={handleCopyChunkPress}
+          onJumpToSourcePress={handleJumpToSourcePress}
           onRemoveImagePress={handleRemoveImagePress}
+          onImageAltTextChange={handleImageAltTextChange}
         />
 
         <View style={styles.footer}>
@@ -3,13 +3,16 @@ import { StyleSheet } from "react-native";
 import { createRoot } from "test-renderer";
 import App from "../App";
 import {
+  ENUMERATION_POSITIONS,
+  ENUMERATION_STYLE_IDENTIFIERS,
   MOBILE_ACCESSIBILITY_LABELS,
   MOBILE_COPY,
   MOBILE_EXTERNAL_URLS,
   MOBILE_TEST_IDS,
   LAYOUT_VALUES,
   PRESET_CONFIG,
-  PRESET_IDENTIFIERS
+  PRESET_IDENTIFIERS,
+  STORAGE_KEYS
 } from "../src/constants";
 
 const IMAGE_CLIPBOARD_BASE64 = "ZmFrZQ==";
@@ -67,6 +70,23 @@ describe("Social Threader mobile app", () => {
     expect(findByTestID(component, `${MOBILE_TEST_IDS.THREAD_CHUNK_MARKER_PREFIX}-text-0`)).toBeNull();
   });
 
+  it("selects the source text of a chunk from the timeline", () => {
+    const component = renderApp(createDependencies());
+
+    changeText(component, MOBILE_TEST_IDS.SOURCE_INPUT, "Alpha bravo.  Charlie delta.");
+    changeText(component, MOBILE_TEST_IDS.CUSTOM_LENGTH_INPUT, "14");
+    press(component, MOBILE_ACCESSIBILITY_LABELS.CUSTOM_APPLY);
+    press(component, `${MOBILE_COPY.JUMP_TO_SOURCE_LABEL} text-1`);
+
+    const sourceInput = findByTestID(component, MOBILE_TEST_IDS.SOURCE_INPUT);
+    expect(sourceInput.props.selection).toEqual({ start: 14, end: 28 });
+
+    act(() => {
+      sourceInput.props.onSelectionChange({ nativeEvent: { selection: { start: 3, end: 3 } } });
+    });
+    expect(findByTestID(component, MOBILE_TEST_IDS.SOURCE_INPUT).props.selection).toEqual({ start: 3, end: 3 });
+  });
+
   it("enables paragraph splitting only for multi-paragraph input", () => {
     const component = renderApp(createDependencies());
 
@@ -118,7 +138,9 @@ describe("Social Threader mobile app", () => {
     const textOptionLabels = [
       MOBILE_ACCESSIBILITY_LABELS.BREAK_ON_PARAGRAPHS,
       MOBILE_ACCESSIBILITY_LABELS.BREAK_ON_SENTENCES,
-      MOBILE_ACCESSIBILITY_LABELS.ENUMERATE
+      MOBILE_ACCESSIBILITY_LABELS.ENUMERATE,
+      MOBILE_ACCESSIBILITY_LABELS.BALANCE_CHUNKS,
+      MOBILE_ACCESSIBILITY_LABELS.PRESERVE_LINE_BREAKS
     ];
 
     textOptionLabels.forEach((accessibilityLabel) => {
@@ -134,6 +156,8 @@ describe("Social Threader mobile app", () => {
     toggle(component, MOBILE_ACCESSIBILITY_LABELS.BREAK_ON_PARAGRAPHS, true);
     toggle(component, MOBILE_ACCESSIBILITY_LABELS.BREAK_ON_SENTENCES, true);
     toggle(component, MOBILE_ACCESSIBILITY_LABELS.ENUMERATE, true);
+    toggle(component, MOBILE_ACCESSIBILITY_LABELS.BALANCE_CHUNKS, true);
+    toggle(component, MOBILE_ACCESSIBILITY_LABELS.PRESERVE_LINE_BREAKS, true);
 
     changeText(component, MOBILE_TEST_IDS.SOURCE_INPUT, "");
     textOptionLabels.forEach((accessibilityLabel) => {
@@ -181,7 +205,7 @@ describe("Social Threader mobile app", () => {
     expect(customInputIndex).toBeGreaterThan(customButtonIndex);
   });
 
-  it("handles attaching, copying, pasting, and removing an image chunk", async () => {
+  it("handles attaching, describing, copying, pasting, and removing an image chunk", async () => {
     const dependencies = createDependencies();
     dependencies.imagePicker.launchImageLibraryAsync.mockResolvedValueOnce({
       canceled: false,
@@ -204,10 +228,41 @@ describe("Social Threader mobile app", () => {
     });
     expect(findMarkerOrder(component, "image-0", 1)).toBeTruthy();
 
-    press(component, `${MOBILE_COPY.REMOVE_IMAGE_LABEL} share.png`);
+    expect(findText(component, MOBILE_COPY.IMAGE_ALT_TEXT_MISSING_LABEL)).toBeTruthy();
+    changeText(component, `${MOBILE_TEST_IDS.IMAGE_ALT_TEXT_INPUT_PREFIX}-image-0`, "Team on stage");
+    expect(findText(component, MOBILE_COPY.IMAGE_ALT_TEXT_MISSING_LABEL)).toBeNull();
+    expect(findByTestID(component, `${MOBILE_TEST_IDS.IMAGE_ALT_TEXT_INPUT_PREFIX}-image-0`).props.value).toBe(
+      "Team on stage"
+    );
+
+    press(component, `${MOBILE_COPY.REMOVE_IMAGE_LABEL} image-0`);
     expect(findText(component, MOBILE_COPY.IMAGE_CHUNK_LABEL)).toBeNull();
   });
 
+  it("keeps each alt text with its own image", async () => {
+    const dependencies = createDependencies();
+    dependencies.imagePicker.launchImageLibraryAsync
+      .mockResolvedValueOnce({
+        canceled: false,
+        assets: [{ uri: "file:///tmp/first.png", fileName: "first.png", base64: IMAGE_CLIPBOARD_BASE64 }]
+      })
+      .mockResolvedValueOnce({
+        canceled: false,
+        assets: [{ uri: "file:///tmp/second.png", fileName: "second.png", base64: IMAGE_CLIPBOARD_BASE64 }]
+      });
+    const component = renderApp(dependencies);
+
+    await pressAsync(component, MOBILE_COPY.ATTACH_IMAGE_LABEL);
+    await pressAsync(component, MOBILE_COPY.ATTACH_IMAGE_LABEL);
+    changeText(component, `${MOBILE_TEST_IDS.IMAGE_ALT_TEXT_INPUT_PREFIX}-image-1`, "Sunset over the bay");
+
+    expect(findByTestID(component, `${MOBILE_TEST_IDS.IMAGE_ALT_TEXT_INPUT_PREFIX}-image-0`).props.value).toBe("");
+    expect(findByTestID(component, `${MOBILE_TEST_IDS.IMAGE_ALT_TEXT_INPUT_PREFIX}-image-1`).props.value).toBe(
+      "Sunset over the bay"
+    );
+    expect(findText(component, MOBILE_COPY.IMAGE_ALT_TEXT_MISSING_LABEL)).toBeTruthy();
+  });
+
   it("keeps image chunks anchored when text is added after attachment", async () => {
     const dependencies = createDependencies();
     dependencies.imagePicker.launchImageLibraryAsync.mockResolvedValueOnce({
@@ -285,6 +340,135 @@ describe("Social Threader mobile app", () => {
     expect(findText(component, MOBILE_COPY.ERROR_SHARE_FAILED)).toBeTruthy();
   });
 
+  it("balances chunk lengths across the same number of posts", () => {
+    const component = renderApp(createDependencies());
+    changeText(
+      component,
+      MOBILE_TEST_IDS.SOURCE_INPUT,
+      "We rebuilt the editor. It loads faster now. Images paste inline. Drafts save as you type. Threads copy in order. And that's it."
+    );
+    toggle(component, MOBILE_ACCESSIBILITY_LABELS.BREAK_ON_SENTENCES, true);
+    changeText(component, MOBILE_TEST_IDS.CUSTOM_LENGTH_INPUT, "100");
+    press(component, MOBILE_ACCESSIBILITY_LABELS.CUSTOM_APPLY);
+    expect(findText(component, "Threads copy in order. And that's it.")).toBeTruthy();
+
+    toggle(component, MOBILE_ACCESSIBILITY_LABELS.BALANCE_CHUNKS, true);
+    expect(findText(component, "We rebuilt the editor. It loads faster now. Images paste inline.")).toBeTruthy();
+    expect(findText(component, "Drafts save as you type. Threads copy in order. And that's it.")).toBeTruthy();
+    expect(findByTestID(component, `${MOBILE_TEST_IDS.THREAD_CHUNK_MARKER_PREFIX}-text-2`)).toBeNull();
+  });
+
+  it("keeps line breaks and list lines inside chunks when selected", () => {
+    const component = renderApp(createDependencies());
+    changeText(component, MOBILE_TEST_IDS.SOURCE_INPUT, "Launch checklist:\n- Ship the editor\n- Write the docs");
+    expect(findText(component, "Launch checklist: - Ship the editor - Write the docs")).toBeTruthy();
+
+    toggle(component, MOBILE_ACCESSIBILITY_LABELS.PRESERVE_LINE_BREAKS, true);
+    expect(findText(component, "Launch checklist:\n- Ship the editor\n- Write the docs")).toBeTruthy();
+  });
+
+  it("loads the stored dictionary, re-chunks on edit, and saves each change", () => {
+    const dependencies = createDependencies({
+      [STORAGE_KEYS.CHUNKING_DICTIONARY]: JSON.stringify({ abbreviations: ["Inc"], protectedPhrases: [] })
+    });
+    const component = renderApp(dependencies);
+    expect(findByTestID(component, MOBILE_TEST_IDS.DICTIONARY_ABBREVIATIONS_INPUT).props.value).toBe("Inc");
+    expect(findByTestID(component, MOBILE_TEST_IDS.DICTIONARY_PROTECTED_PHRASES_INPUT).props.value).toBe("");
+
+    changeText(component, MOBILE_TEST_IDS.SOURCE_INPUT, "We work at Acme Inc. Product launch at the New York Times.");
+    toggle(component, MOBILE_ACCESSIBILITY_LABELS.BREAK_ON_SENTENCES, true);
+    changeText(component, MOBILE_TEST_IDS.CUSTOM_LENGTH_INPUT, "52");
+    press(component, MOBILE_ACCESSIBILITY_LABELS.CUSTOM_APPLY);
+    expect(findText(component, "We work at Acme Inc. Product launch at the New York")).toBeTruthy();
+
+    changeText(component, MOBILE_TEST_IDS.DICTIONARY_PROTECTED_PHRASES_INPUT, "New York Times");
+    expect(findText(component, "We work at Acme Inc. Product launch at the")).toBeTruthy();
+    expect(findText(component, "New York Times.")).toBeTruthy();
+    expect(dependencies.storage.setItem).toHaveBeenLastCalledWith(
+      STORAGE_KEYS.CHUNKING_DICTIONARY,
+      JSON.stringify({ abbreviations: ["Inc"], protectedPhrases: ["New York Times"] })
+    );
+
+    changeText(component, MOBILE_TEST_IDS.DICTIONARY_ABBREVIATIONS_INPUT, "");
+    expect(findText(component, "We work at Acme Inc.")).toBeTruthy();
+    expect(dependencies.storage.setItem).toHaveBeenLastCalledWith(
+      STORAGE_KEYS.CHUNKING_DICTIONARY,
+      JSON.stringify({ abbreviations: [], protectedPhrases: ["New York Times"] })
+    );
+  });
+
+  it("loads the stored enumeration format, re-labels chunks, and saves each change", () => {
+    const dependencies = createDependencies({
+      [STORAGE_KEYS.ENUMERATION_FORMAT]: JSON.stringify({
+        style: ENUMERATION_STYLE_IDENTIFIERS.BRACKETS,
+        position: ENUMERATION_POSITIONS.PREFIX,
+        skipFirst: false,
+        customTemplate: "{current}/{total}"
+      })
+    });
+    const component = renderApp(dependencies);
+    expect(findByTestID(component, MOBILE_TEST_IDS.ENUMERATION_TEMPLATE_INPUT)).toBeNull();
+
+    changeText(component, MOBILE_TEST_IDS.SOURCE_INPUT, "Alpha bravo charlie delta echo.");
+    toggle(component, MOBILE_ACCESSIBILITY_LABELS.ENUMERATE, true);
+    changeText(component, MOBILE_TEST_IDS.CUSTOM_LENGTH_INPUT, "12");
+    press(component, MOBILE_ACCESSIBILITY_LABELS.CUSTOM_APPLY);
+    expect(findText(component, "[1] Alpha")).toBeTruthy();
+    expect(findText(component, "[5] echo.")).toBeTruthy();
+
+    press(component, MOBILE_ACCESSIBILITY_LABELS.ENUMERATION_POSITION_OPTIONS[ENUMERATION_POSITIONS.SUFFIX]);
+    toggle(component, MOBILE_ACCESSIBILITY_LABELS.SKIP_FIRST_ENUMERATION, true);
+    expect(findText(component, "Alpha")).toBeTruthy();
+    expect(findText(component, "bravo [2]")).toBeTruthy();
+
+    press(component, MOBILE_ACCESSIBILITY_LABELS.ENUMERATION_STYLE_OPTIONS[ENUMERATION_STYLE_IDENTIFIERS.CUSTOM]);
+    expect(findText(component, "bravo 2/5")).toBeTruthy();
+    changeText(component, MOBILE_TEST_IDS.ENUMERATION_TEMPLATE_INPUT, "#");
+    expect(textInputStyle(component, MOBILE_TEST_IDS.ENUMERATION_TEMPLATE_INPUT).borderColor).toBe("#b91c1c");
+    expect(findText(component, "bravo 2/5")).toBeTruthy();
+
+    changeText(component, MOBILE_TEST_IDS.ENUMERATION_TEMPLATE_INPUT, "#{current}");
+    expect(findText(component, "bravo #2")).toBeTruthy();
+    expect(dependencies.storage.setItem).toHaveBeenLastCalledWith(
+      STORAGE_KEYS.ENUMERATION_FORMAT,
+      JSON.stringify({
+        style: ENUMERATION_STYLE_IDENTIFIERS.CUSTOM,
+        position: ENUMERATION_POSITIONS.SUFFIX,
+        skipFirst: true,
+        customTemplate: "#{current}"
+      })
+    );
+  });
+
+  it("adds the stored opener, a continuation marker, and a footer within the limit, and saves each change", () => {
+    const dependencies = createDependencies({
+      [STORAGE_KEYS.THREAD_DECORATIONS]: JSON.stringify({ openerPrefix: "🧵", continuationSuffix: "", footer: "" })
+    });
+    const component = renderApp(dependencies);
+    expect(findByTestID(component, MOBILE_TEST_IDS.DECORATION_OPENER_PREFIX_INPUT).props.value).toBe("🧵");
+
+    changeText(component, MOBILE_TEST_IDS.SOURCE_INPUT, "Alpha bravo charlie delta echo.");
+    changeText(component, MOBILE_TEST_IDS.CUSTOM_LENGTH_INPUT, "14");
+    press(component, MOBILE_ACCESSIBILITY_LABELS.CUSTOM_APPLY);
+    expect(findText(component, "🧵 Alpha bravo")).toBeTruthy();
+
+    changeText(component, MOBILE_TEST_IDS.DECORATION_CONTINUATION_SUFFIX_INPUT, "…");
+    changeText(component, MOBILE_TEST_IDS.DECORATION_FOOTER_INPUT, "#go");
+    expect(findText(component, "🧵 Alpha …")).toBeTruthy();
+    expect(findText(component, "echo.\n\n#go")).toBeTruthy();
+    expect(dependencies.storage.setItem).toHaveBeenLastCalledWith(
+      STORAGE_KEYS.THREAD_DECORATIONS,
+      JSON.stringify({ openerPrefix: "🧵", continuationSuffix: "…", footer: "#go" })
+    );
+
+    changeText(component, MOBILE_TEST_IDS.DECORATION_OPENER_PREFIX_INPUT, "");
+    expect(findText(component, "Alpha …")).toBeTruthy();
+    expect(dependencies.storage.setItem).toHaveBeenLastCalledWith(
+      STORAGE_KEYS.THREAD_DECORATIONS,
+      JSON.stringify({ openerPrefix: "", continuationSuffix: "…", footer: "#go" })
+    );
+  });
+
   it("uses default dependencies when none are injected", () => {
     const component = renderDefaultApp();
     expect(findByTestID(component, MOBILE_TEST_IDS.SOURCE_INPUT)).toBeTruthy();
@@ -311,8 +495,9 @@ describe("Social Threader mobile app", () => {
   });
 });
 
-function createDependencies() {
+function createDependencies(storedEntries = {}) {
   let copiedImageBase64 = "";
+  const storageEntries = new Map(Object.entries(storedEntries));
   return {
     clipboard: {
       setStringAsync: jest.fn(() => Promise.resolve(true)),
@@ -335,7 +520,13 @@ function createDependencies() {
     linking: {
       openURL: jest.fn(() => Promise.resolve(true))
     },
-    share: jest.fn(() => Promise.resolve({ action: "sharedAction" }))
+    share: jest.fn(() => Promise.resolve({ action: "sharedAction" })),
+    storage: {
+      getItem: jest.fn((key) => storageEntries.get(key) ?? null),
+      setItem: jest.fn((key, value) => {
+        storageEntries.set(key, value);
+      })
+    }
   };
 }
 
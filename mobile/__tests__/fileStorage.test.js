@@ -0,0 +1,38 @@
+import { createFileStorage } from "../src/fileStorage";
+
+describe("mobile file storage", () => {
+  it("reads missing keys as null and creates a document file on first write", () => {
+    const files = new Map();
+    class FakeFile {
+      constructor(directory, name) {
+        this.uri = `${directory}${name}`;
+      }
+
+      get exists() {
+        return files.has(this.uri);
+      }
+
+      textSync() {
+        return files.get(this.uri);
+      }
+
+      create() {
+        files.set(this.uri, "");
+      }
+
+      write(content) {
+        files.set(this.uri, content);
+      }
+    }
+    const createSpy = jest.spyOn(FakeFile.prototype, "create");
+    const storage = createFileStorage({ File: FakeFile, Paths: { document: "file:///document/" } });
+
+    expect(storage.getItem("dictionary")).toBeNull();
+    storage.setItem("dictionary", "first");
+    storage.setItem("dictionary", "second");
+
+    expect(createSpy).toHaveBeenCalledTimes(1);
+    expect(files.get("file:///document/dictionary.json")).toBe("second");
+    expect(storage.getItem("dictionary")).toBe("second");
+  });
+});
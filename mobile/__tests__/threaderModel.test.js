@@ -3,18 +3,24 @@ import {
   calculateInputStatistics,
   canBreakOnParagraphs,
   createImageRecord,
+  createMobileDictionary,
   createThreadShareMessage,
   defaultPresetSelection,
   firstSelectedImageAsset,
   formatInputStatistics,
   hasThreadContent,
   interpolateMobileTemplate,
+  isValidEnumerationTemplate,
+  lengthCounterForPreset,
   parsePositiveLength,
   presetLengthForIdentifier,
   updateImageRecordOffsets
 } from "../src/threaderModel";
 import {
   DEFAULT_LENGTHS,
+  ENUMERATION_POSITIONS,
+  ENUMERATION_STYLE_IDENTIFIERS,
+  LENGTH_COUNTER_IDENTIFIERS,
   MOBILE_COPY,
   PRESET_IDENTIFIERS
 } from "../src/constants";
@@ -36,6 +42,10 @@ describe("mobile threading model", () => {
     expect(formatInputStatistics(statistics)).toBe("Characters: 13 | Words: 2 | Sentences: 2 | Paragraphs: 2");
     expect(canBreakOnParagraphs(statistics)).toBe(true);
     expect(canBreakOnParagraphs(calculateInputStatistics("Alpha only."))).toBe(false);
+    expect(
+      calculateInputStatistics("See https://example.com/a/very/long/path/to/read today.", LENGTH_COUNTER_IDENTIFIERS.TWITTER)
+        .characters
+    ).toBe(34);
   });
 
   it("builds text and image chunks using shared chunking behavior", () => {
@@ -64,7 +74,7 @@ describe("mobile threading model", () => {
     expect(chunks[0].plainText).toBe("Alpha (1/6)");
     expect(chunks[6].imageUri).toBe("file:///tmp/image.png");
     expect(chunks[6].imageBase64).toBe(IMAGE_CLIPBOARD_BASE64);
-    expect(chunks[6].altText).toBe("draft.png");
+    expect(chunks[6].altText).toBe("");
   });
 
   it("creates image records and handles empty assets", () => {
@@ -76,7 +86,7 @@ describe("mobile threading model", () => {
       2
     );
     expect(imageRecord.placeholderToken).toBe("[[IMAGE:2]]");
-    expect(imageRecord.altText).toBe(MOBILE_COPY.ATTACHED_IMAGE_ALT);
+    expect(imageRecord.altText).toBe("");
     expect(imageRecord.clipboardBase64).toBe(IMAGE_CLIPBOARD_BASE64);
     expect(imageRecord.sourceOffset).toBe(Number.MAX_SAFE_INTEGER);
   });
@@ -100,6 +110,11 @@ describe("mobile threading model", () => {
     expect(chunks[0].plainText).toBe("Alpha (1/2)");
     expect(chunks[1].imageUri).toBe("file:///tmp/middle.png");
     expect(chunks[2].plainText).toBe("bravo charlie (2/2)");
+    expect(chunks.map((chunk) => [chunk.sourceStart, chunk.sourceEnd])).toEqual([
+      [0, 5],
+      [5, 5],
+      [6, 19]
+    ]);
     expect(createThreadShareMessage(chunks)).toBe(
       `Alpha (1/2)\n\n${MOBILE_COPY.IMAGE_PLAIN_TEXT_PLACEHOLDER}\n\nbravo charlie (2/2)`
     );
@@ -173,8 +188,10 @@ describe("mobile threading model", () => {
         variant: "image",
         imageUri: "file:///tmp/solo.png",
         imageBase64: IMAGE_CLIPBOARD_BASE64,
-        altText: "solo.png",
-        plainText: ""
+        altText: "",
+        plainText: "",
+        sourceStart: 0,
+        sourceEnd: 0
       }
     ]);
   });
@@ -237,6 +254,80 @@ describe("mobile threading model", () => {
     });
   });
 
+  it("measures chunks with the active preset's platform counting rules", () => {
+    expect(lengthCounterForPreset(PRESET_IDENTIFIERS.TWITTER)).toBe(LENGTH_COUNTER_IDENTIFIERS.TWITTER);
+    expect(lengthCounterForPreset(PRESET_IDENTIFIERS.BLUESKY)).toBe(LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES);
+    expect(lengthCounterForPreset(null)).toBe(LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES);
+    expect(lengthCounterForPreset("missing")).toBe(LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES);
+
+    const chunks = buildMobileChunks({
+      sourceText: "一二三四五六七八九十",
+      imageRecords: [],
+      maximumLength: 16,
+      breakOnSentences: false,
+      enumerate: true,
+      breakOnParagraphs: false,
+      lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER
+    });
+
+    expect(chunks.map((chunk) => chunk.plainText)).toEqual(["一二三四五 (1/2)", "六七八九十 (2/2)"]);
+    expect(chunks[0].statisticsText).toBe("Characters: 16 | Words: 2 | Sentences: 1");
+  });
+
+  it("keeps protected phrases together and applies custom abbreviations", () => {
+    const chunkOptions = {
+      sourceText: "Shipped by Acme Inc. Today at Node.js Conf",
+      imageRecords: [],
+      maximumLength: 40,
+      breakOnSentences: true,
+      enumerate: true,
+      breakOnParagraphs: false
+    };
+    expect(buildMobileChunks(chunkOptions).map((chunk) => chunk.plainText)).toEqual([
+      "Shipped by Acme Inc. (1/2)",
+      "Today at Node.js Conf (2/2)"
+    ]);
+    expect(buildMobileChunks({
+      ...chunkOptions,
+      dictionary: createMobileDictionary("Inc", "Node.js Conf")
+    }).map((chunk) => chunk.plainText)).toEqual([
+      "Shipped by Acme Inc. Today at (1/2)",
+      "Node.js Conf (2/2)"
+    ]);
+  });
+
+  it("labels enumerated text chunks in the selected format and keeps images unlabelled", () => {
+    const imageRecord = createImageRecord(
+      { uri: "file:///tmp/image.png", fileName: "draft.png", base64: IMAGE_CLIPBOARD_BASE64 },
+      0,
+      6
+    );
+    const chunks = buildMobileChunks({
+      sourceText: "Hook. Alpha bravo charlie.",
+      imageRecords: [imageRecord],
+      maximumLength: 16,
+      breakOnSentences: true,
+      enumerate: true,
+      enumerationFormat: {
+        style: ENUMERATION_STYLE_IDENTIFIERS.THREAD_EMOJI,
+        position: ENUMERATION_POSITIONS.PREFIX,
+        skipFirst: true,
+        customTemplate: "{current}/{total}"
+      },
+      breakOnParagraphs: false
+    });
+
+    expect(chunks.map((chunk) => chunk.plainText)).toEqual([
+      "Hook.",
+      "",
+      "🧵 2/4 Alpha",
+      "🧵 3/4 bravo",
+      "🧵 4/4 charlie."
+    ]);
+    expect(isValidEnumerationTemplate("Part {current}")).toBe(true);
+    expect(isValidEnumerationTemplate("Part")).toBe(false);
+  });
+
   it("interpolates unknown tokens conservatively", () => {
     expect(interpolateMobileTemplate("Copied #{ORDER} {UNKNOWN}", { ORDER: 4 })).toBe("Copied #4 {UNKNOWN}");
   });
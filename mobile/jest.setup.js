@@ -4,6 +4,18 @@ jest.mock("expo-clipboard", () => ({
   setStringAsync: jest.fn(() => Promise.resolve(true))
 }));
 
+jest.mock("expo-file-system", () => ({
+  Paths: {
+    document: "file:///document/"
+  },
+  File: jest.fn(() => ({
+    exists: false,
+    textSync: jest.fn(() => ""),
+    create: jest.fn(),
+    write: jest.fn()
+  }))
+}));
+
 jest.mock("expo-image-picker", () => ({
   MediaTypeOptions: {
     Images: "Images"
@@ -10,8 +10,16 @@ const SHARED_DESTINATION_ROOT = path.join(MOBILE_ROOT, "src", "shared-web");
 const SHARED_FILES = Object.freeze([
   "constants.js",
   "core/chunking.js",
+  "core/dictionary.js",
+  "core/enumeration.js",
+  "core/lengthCounters.js",
+  "core/markdownSyntax.js",
   "core/richText.js",
+  "core/sentenceLocales.js",
+  "core/textEntities.js",
+  "core/threadDecorations.js",
   "types.d.js",
+  "utils/logging.js",
   "utils/templates.js"
 ]);
 
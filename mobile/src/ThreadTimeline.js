@@ -1,12 +1,21 @@
 // @ts-check
 import React from "react";
-import { Image, StyleSheet, Text, View } from "react-native";
+import { Image, StyleSheet, Text, TextInput, View } from "react-native";
 
 import { ControlButton } from "./ControlButton.js";
 import { LAYOUT_VALUES, MOBILE_COPY, MOBILE_TEST_IDS } from "./constants.js";
 import { interpolateMobileTemplate } from "./threaderModel.js";
 
-export function ThreadTimeline({ chunks, copiedChunkOrders, onCopyChunkPress, onRemoveImagePress }) {
+const IMAGE_CHUNK_ID_PREFIX = "image-";
+
+export function ThreadTimeline({
+  chunks,
+  copiedChunkOrders,
+  onCopyChunkPress,
+  onJumpToSourcePress,
+  onRemoveImagePress,
+  onImageAltTextChange
+}) {
   return (
     <View testID={MOBILE_TEST_IDS.THREAD_CHUNK_LIST} style={styles.timelineList}>
       {chunks.map((chunk, chunkIndex) => (
@@ -17,14 +26,25 @@ export function ThreadTimeline({ chunks, copiedChunkOrders, onCopyChunkPress, on
           isFirst={chunkIndex === 0}
           isLast={chunkIndex === chunks.length - 1}
           onCopyPress={() => onCopyChunkPress(chunk)}
+          onJumpToSourcePress={() => onJumpToSourcePress(chunk)}
           onRemoveImagePress={onRemoveImagePress}
+          onImageAltTextChange={onImageAltTextChange}
         />
       ))}
     </View>
   );
 }
 
-function ThreadTimelineItem({ chunk, copiedOrder, isFirst, isLast, onCopyPress, onRemoveImagePress }) {
+function ThreadTimelineItem({
+  chunk,
+  copiedOrder,
+  isFirst,
+  isLast,
+  onCopyPress,
+  onJumpToSourcePress,
+  onRemoveImagePress,
+  onImageAltTextChange
+}) {
   return (
     <View style={styles.timelineItem}>
       <View style={styles.timelineRail}>
@@ -42,7 +62,9 @@ function ThreadTimelineItem({ chunk, copiedOrder, isFirst, isLast, onCopyPress,
         <ThreadChunkCard
           chunk={chunk}
           onCopyPress={onCopyPress}
+          onJumpToSourcePress={onJumpToSourcePress}
           onRemoveImagePress={onRemoveImagePress}
+          onImageAltTextChange={onImageAltTextChange}
         />
       </View>
     </View>
@@ -70,7 +92,7 @@ function TimelineMarker({ chunkId, copiedOrder }) {
   );
 }
 
-function ThreadChunkCard({ chunk, onCopyPress, onRemoveImagePress }) {
+function ThreadChunkCard({ chunk, onCopyPress, onJumpToSourcePress, onRemoveImagePress, onImageAltTextChange }) {
   return (
     <View testID={`chunk-${chunk.id}`} style={styles.chunkCard}>
       {chunk.variant === "image" ? (
@@ -81,10 +103,11 @@ function ThreadChunkCard({ chunk, onCopyPress, onRemoveImagePress }) {
             source={{ uri: chunk.imageUri }}
             style={styles.imagePreview}
           />
+          <ImageAltTextField chunk={chunk} onImageAltTextChange={onImageAltTextChange} />
           <ControlButton
             label={MOBILE_COPY.REMOVE_IMAGE_LABEL}
-            accessibilityLabel={`${MOBILE_COPY.REMOVE_IMAGE_LABEL} ${chunk.altText}`}
-            onPress={() => onRemoveImagePress(Number.parseInt(chunk.id.replace("image-", ""), 10))}
+            accessibilityLabel={`${MOBILE_COPY.REMOVE_IMAGE_LABEL} ${chunk.id}`}
+            onPress={() => onRemoveImagePress(imageIndexFromChunkId(chunk.id))}
           />
         </>
       ) : (
@@ -93,15 +116,46 @@ function ThreadChunkCard({ chunk, onCopyPress, onRemoveImagePress }) {
           <Text style={styles.statsText}>{chunk.statisticsText}</Text>
         </>
       )}
-      <ControlButton
-        label={MOBILE_COPY.COPY_BUTTON_LABEL}
-        accessibilityLabel={`${MOBILE_COPY.COPY_BUTTON_LABEL} ${chunk.id}`}
-        onPress={onCopyPress}
+      <View style={styles.chunkActions}>
+        <ControlButton
+          label={MOBILE_COPY.COPY_BUTTON_LABEL}
+          accessibilityLabel={`${MOBILE_COPY.COPY_BUTTON_LABEL} ${chunk.id}`}
+          onPress={onCopyPress}
+        />
+        <ControlButton
+          label={MOBILE_COPY.JUMP_TO_SOURCE_LABEL}
+          accessibilityLabel={`${MOBILE_COPY.JUMP_TO_SOURCE_LABEL} ${chunk.id}`}
+          onPress={onJumpToSourcePress}
+        />
+      </View>
+    </View>
+  );
+}
+
+function ImageAltTextField({ chunk, onImageAltTextChange }) {
+  const isMissingAltText = chunk.altText.trim().length === 0;
+  return (
+    <View style={styles.altTextField}>
+      <Text style={styles.altTextLabel}>{MOBILE_COPY.IMAGE_ALT_TEXT_LABEL}</Text>
+      <TextInput
+        testID={`${MOBILE_TEST_IDS.IMAGE_ALT_TEXT_INPUT_PREFIX}-${chunk.id}`}
+        accessibilityLabel={`${MOBILE_COPY.IMAGE_ALT_TEXT_LABEL} ${chunk.id}`}
+        value={chunk.altText}
+        onChangeText={(altText) => onImageAltTextChange(imageIndexFromChunkId(chunk.id), altText)}
+        placeholder={MOBILE_COPY.IMAGE_ALT_TEXT_PLACEHOLDER}
+        style={[styles.altTextInput, isMissingAltText && styles.altTextInputMissing]}
       />
+      {isMissingAltText ? (
+        <Text style={styles.altTextWarning}>{MOBILE_COPY.IMAGE_ALT_TEXT_MISSING_LABEL}</Text>
+      ) : null}
     </View>
   );
 }
 
+function imageIndexFromChunkId(chunkId) {
+  return Number.parseInt(chunkId.replace(IMAGE_CHUNK_ID_PREFIX, ""), 10);
+}
+
 const styles = StyleSheet.create({
   timelineList: {
     gap: 0
@@ -163,6 +217,11 @@ const styles = StyleSheet.create({
     gap: LAYOUT_VALUES.CONTROL_GAP,
     backgroundColor: "#ffffff"
   },
+  chunkActions: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: LAYOUT_VALUES.CONTROL_GAP
+  },
   chunkText: {
     fontSize: LAYOUT_VALUES.BODY_FONT_SIZE,
     color: "#111827"
@@ -171,5 +230,32 @@ const styles = StyleSheet.create({
     width: "100%",
     height: LAYOUT_VALUES.IMAGE_PREVIEW_HEIGHT,
     borderRadius: LAYOUT_VALUES.BUTTON_RADIUS
+  },
+  altTextField: {
+    gap: LAYOUT_VALUES.CONTROL_GAP
+  },
+  altTextLabel: {
+    fontSize: LAYOUT_VALUES.STAT_FONT_SIZE,
+    color: "#4b5563"
+  },
+  altTextInput: {
+    borderWidth: 1,
+    borderColor: "#d1d5db",
+    borderRadius: LAYOUT_VALUES.BUTTON_RADIUS,
+    padding: LAYOUT_VALUES.CONTROL_GAP,
+    fontSize: LAYOUT_VALUES.BODY_FONT_SIZE,
+    color: "#111827"
+  },
+  altTextInputMissing: {
+    borderColor: "#d97706"
+  },
+  altTextWarning: {
+    alignSelf: "flex-start",
+    paddingHorizontal: LAYOUT_VALUES.CONTROL_GAP,
+    borderRadius: LAYOUT_VALUES.BUTTON_RADIUS,
+    backgroundColor: "#fef3c7",
+    color: "#92400e",
+    fontSize: LAYOUT_VALUES.STAT_FONT_SIZE,
+    fontWeight: "700"
   }
 });
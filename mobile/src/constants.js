@@ -4,14 +4,39 @@
  */
 
 import {
+  DEFAULT_ENUMERATION_FORMAT,
+  DEFAULT_LENGTH_COUNTER,
   DEFAULT_LENGTHS,
+  EMPTY_CHUNKING_DICTIONARY,
+  EMPTY_THREAD_DECORATIONS,
+  ENUMERATION_POSITION_LABELS,
+  ENUMERATION_POSITIONS,
+  ENUMERATION_STYLE_IDENTIFIERS,
+  ENUMERATION_STYLE_LABELS,
+  LENGTH_COUNTER_IDENTIFIERS,
   PRESET_CONFIG,
   PRESET_IDENTIFIERS,
+  STORAGE_KEYS,
   TEXT_CONTENT,
   TOGGLE_IDENTIFIERS
 } from "./shared-web/constants.js";
 
-export { DEFAULT_LENGTHS, PRESET_CONFIG, PRESET_IDENTIFIERS, TOGGLE_IDENTIFIERS };
+export {
+  DEFAULT_ENUMERATION_FORMAT,
+  DEFAULT_LENGTH_COUNTER,
+  DEFAULT_LENGTHS,
+  EMPTY_CHUNKING_DICTIONARY,
+  EMPTY_THREAD_DECORATIONS,
+  ENUMERATION_POSITION_LABELS,
+  ENUMERATION_POSITIONS,
+  ENUMERATION_STYLE_IDENTIFIERS,
+  ENUMERATION_STYLE_LABELS,
+  LENGTH_COUNTER_IDENTIFIERS,
+  PRESET_CONFIG,
+  PRESET_IDENTIFIERS,
+  STORAGE_KEYS,
+  TOGGLE_IDENTIFIERS
+};
 
 export const MOBILE_COPY = Object.freeze({
   APP_TITLE: TEXT_CONTENT.APP_TITLE,
@@ -20,6 +45,7 @@ export const MOBILE_COPY = Object.freeze({
   CUSTOM_LENGTH_PLACEHOLDER: TEXT_CONTENT.CUSTOM_INPUT_PLACEHOLDER,
   CUSTOM_BUTTON_LABEL: TEXT_CONTENT.CUSTOM_BUTTON_DEFAULT,
   COPY_BUTTON_LABEL: TEXT_CONTENT.COPY_BUTTON_LABEL,
+  JUMP_TO_SOURCE_LABEL: TEXT_CONTENT.SHOW_SOURCE_BUTTON_LABEL,
   SHARE_THREAD_LABEL: "Share thread",
   ATTACH_IMAGE_LABEL: "Attach image",
   REMOVE_IMAGE_LABEL: "Remove",
@@ -29,15 +55,34 @@ export const MOBILE_COPY = Object.freeze({
   PARAGRAPH_TOGGLE_LABEL: "Paragraphs",
   SENTENCE_TOGGLE_LABEL: "Sentences",
   ENUMERATION_TOGGLE_LABEL: "Enumerate",
+  BALANCED_TOGGLE_LABEL: "Balanced",
+  LINE_BREAKS_TOGGLE_LABEL: "Line breaks",
+  ENUMERATION_STYLE_LABEL: TEXT_CONTENT.ENUMERATION_STYLE_LABEL,
+  ENUMERATION_POSITION_LABEL: TEXT_CONTENT.ENUMERATION_POSITION_LABEL,
+  ENUMERATION_SKIP_FIRST_LABEL: TEXT_CONTENT.ENUMERATION_SKIP_FIRST_LABEL,
+  ENUMERATION_CUSTOM_TEMPLATE_LABEL: TEXT_CONTENT.ENUMERATION_CUSTOM_TEMPLATE_LABEL,
+  ENUMERATION_CUSTOM_TEMPLATE_PLACEHOLDER: TEXT_CONTENT.ENUMERATION_CUSTOM_TEMPLATE_PLACEHOLDER,
+  DECORATION_OPENER_PREFIX_LABEL: TEXT_CONTENT.DECORATION_OPENER_PREFIX_LABEL,
+  DECORATION_OPENER_PREFIX_PLACEHOLDER: TEXT_CONTENT.DECORATION_OPENER_PREFIX_PLACEHOLDER,
+  DECORATION_CONTINUATION_SUFFIX_LABEL: TEXT_CONTENT.DECORATION_CONTINUATION_SUFFIX_LABEL,
+  DECORATION_CONTINUATION_SUFFIX_PLACEHOLDER: TEXT_CONTENT.DECORATION_CONTINUATION_SUFFIX_PLACEHOLDER,
+  DECORATION_FOOTER_LABEL: TEXT_CONTENT.DECORATION_FOOTER_LABEL,
+  DECORATION_FOOTER_PLACEHOLDER: TEXT_CONTENT.DECORATION_FOOTER_PLACEHOLDER,
+  DICTIONARY_HEADING: TEXT_CONTENT.DICTIONARY_HEADING,
+  DICTIONARY_ABBREVIATIONS_LABEL: TEXT_CONTENT.DICTIONARY_ABBREVIATIONS_LABEL,
+  DICTIONARY_ABBREVIATIONS_PLACEHOLDER: TEXT_CONTENT.DICTIONARY_ABBREVIATIONS_PLACEHOLDER,
+  DICTIONARY_PROTECTED_PHRASES_LABEL: TEXT_CONTENT.DICTIONARY_PROTECTED_PHRASES_LABEL,
+  DICTIONARY_PROTECTED_PHRASES_PLACEHOLDER: TEXT_CONTENT.DICTIONARY_PROTECTED_PHRASES_PLACEHOLDER,
   ERROR_NO_CONTENT: TEXT_CONTENT.ERROR_NO_TEXT,
   ERROR_INVALID_CUSTOM: TEXT_CONTENT.ERROR_INVALID_CUSTOM,
   ERROR_COPY_FAILED: "Unable to copy this chunk.",
   ERROR_SHARE_FAILED: "Unable to open the share sheet.",
   ERROR_IMAGE_PICK_FAILED: "Unable to attach that image.",
   ERROR_OPEN_MPR_LAB_FAILED: "Unable to open Marco Polo Research Lab.",
-  ATTACHED_IMAGE_ALT: "Attached image",
+  IMAGE_ALT_TEXT_LABEL: "Alt text",
+  IMAGE_ALT_TEXT_PLACEHOLDER: TEXT_CONTENT.IMAGE_ALT_TEXT_PLACEHOLDER,
+  IMAGE_ALT_TEXT_MISSING_LABEL: TEXT_CONTENT.IMAGE_ALT_TEXT_MISSING_LABEL,
   IMAGE_CHUNK_LABEL: "Image chunk",
-  ENUMERATION_TEMPLATE: TEXT_CONTENT.ENUMERATION_TEMPLATE,
   TIMELINE_MARKER_PENDING_TEMPLATE: "Chunk {CHUNKID} not copied",
   TIMELINE_MARKER_COPIED_TEMPLATE: "Chunk {CHUNKID} copied #{ORDER}",
   INPUT_STATS_EMPTY: TEXT_CONTENT.INPUT_STATS_EMPTY,
@@ -52,10 +97,17 @@ export const MOBILE_TEST_IDS = Object.freeze({
   ERROR_MESSAGE: "error-message",
   CUSTOM_ROW: "custom-row",
   CUSTOM_LENGTH_INPUT: "custom-length-input",
+  DICTIONARY_ABBREVIATIONS_INPUT: "dictionary-abbreviations-input",
+  DICTIONARY_PROTECTED_PHRASES_INPUT: "dictionary-protected-phrases-input",
+  ENUMERATION_TEMPLATE_INPUT: "enumeration-template-input",
+  DECORATION_OPENER_PREFIX_INPUT: "decoration-opener-prefix-input",
+  DECORATION_CONTINUATION_SUFFIX_INPUT: "decoration-continuation-suffix-input",
+  DECORATION_FOOTER_INPUT: "decoration-footer-input",
   THREAD_CHUNK_LIST: "thread-chunk-list",
   THREAD_CHUNK_MARKER_PREFIX: "thread-chunk-marker",
   THREAD_CHUNK_TOP_LINE_PREFIX: "thread-chunk-top-line",
   THREAD_CHUNK_BOTTOM_LINE_PREFIX: "thread-chunk-bottom-line",
+  IMAGE_ALT_TEXT_INPUT_PREFIX: "image-alt-text-input",
   TOGGLE_TRACK_PREFIX: "toggle-track",
   SHARE_THREAD_BUTTON: "share-thread-button",
   ATTACH_IMAGE_BUTTON: "attach-image-button",
@@ -72,6 +124,25 @@ export const MOBILE_ACCESSIBILITY_LABELS = Object.freeze({
   BREAK_ON_PARAGRAPHS: MOBILE_COPY.PARAGRAPH_TOGGLE_LABEL,
   BREAK_ON_SENTENCES: MOBILE_COPY.SENTENCE_TOGGLE_LABEL,
   ENUMERATE: MOBILE_COPY.ENUMERATION_TOGGLE_LABEL,
+  BALANCE_CHUNKS: MOBILE_COPY.BALANCED_TOGGLE_LABEL,
+  PRESERVE_LINE_BREAKS: MOBILE_COPY.LINE_BREAKS_TOGGLE_LABEL,
+  SKIP_FIRST_ENUMERATION: MOBILE_COPY.ENUMERATION_SKIP_FIRST_LABEL,
+  ENUMERATION_STYLE_OPTIONS: Object.freeze(
+    Object.fromEntries(
+      Object.entries(ENUMERATION_STYLE_LABELS).map(([style, label]) => [
+        style,
+        `${MOBILE_COPY.ENUMERATION_STYLE_LABEL} ${label}`
+      ])
+    )
+  ),
+  ENUMERATION_POSITION_OPTIONS: Object.freeze(
+    Object.fromEntries(
+      Object.entries(ENUMERATION_POSITION_LABELS).map(([position, label]) => [
+        position,
+        `${MOBILE_COPY.ENUMERATION_POSITION_LABEL} ${label}`
+      ])
+    )
+  ),
   MPR_LAB_LINK: "Open Marco Polo Research Lab"
 });
 
@@ -93,6 +164,7 @@ export const LAYOUT_VALUES = Object.freeze({
   TOGGLE_TRACK_PADDING: 3,
   TOGGLE_THUMB_SIZE: 26,
   INPUT_MIN_HEIGHT: 180,
+  DICTIONARY_INPUT_MIN_HEIGHT: 72,
   CUSTOM_INPUT_WIDTH: 96,
   IMAGE_PREVIEW_HEIGHT: 120,
   FOOTER_TOP_PADDING: 10,
@@ -0,0 +1,28 @@
+// @ts-check
+/**
+ * @fileoverview Key-value storage backed by one file per key in the app document directory.
+ */
+
+const STORAGE_FILE_EXTENSION = ".json";
+
+/**
+ * Creates a synchronous key-value storage on top of the Expo file system.
+ * @param {{ File: typeof import("expo-file-system").File; Paths: typeof import("expo-file-system").Paths }} fileSystem Expo file system module.
+ * @returns {import("./shared-web/types.d.js").KeyValueStorage}
+ */
+export function createFileStorage({ File, Paths }) {
+  const resolveStorageFile = (key) => new File(Paths.document, `${key}${STORAGE_FILE_EXTENSION}`);
+  return Object.freeze({
+    getItem(key) {
+      const storageFile = resolveStorageFile(key);
+      return storageFile.exists ? storageFile.textSync() : null;
+    },
+    setItem(key, value) {
+      const storageFile = resolveStorageFile(key);
+      if (!storageFile.exists) {
+        storageFile.create();
+      }
+      storageFile.write(value);
+    }
+  });
+}
@@ -21,7 +21,7 @@ export const APPEND_TO_END_OFFSET = Number.MAX_SAFE_INTEGER;
  */
 
 /**
- * @typedef {{ variant: "text"; sourceText: string } | { variant: "image"; imageRecord: MobileImageRecord; imageIndex: number }} MobileContentSegment
+ * @typedef {{ variant: "text"; sourceText: string; sourceStart: number } | { variant: "image"; imageRecord: MobileImageRecord; imageIndex: number }} MobileContentSegment
  */
 
 /**
@@ -122,7 +122,8 @@ export function buildContentSegments(sourceText, imageRecords) {
     if (imageOffset > consumedSourceOffset) {
       segments.push({
         variant: "text",
-        sourceText: sourceText.slice(consumedSourceOffset, imageOffset)
+        sourceText: sourceText.slice(consumedSourceOffset, imageOffset),
+        sourceStart: consumedSourceOffset
       });
     }
     segments.push({
@@ -136,7 +137,8 @@ export function buildContentSegments(sourceText, imageRecords) {
   if (consumedSourceOffset < sourceText.length) {
     segments.push({
       variant: "text",
-      sourceText: sourceText.slice(consumedSourceOffset)
+      sourceText: sourceText.slice(consumedSourceOffset),
+      sourceStart: consumedSourceOffset
     });
   }
 
@@ -62,6 +62,51 @@ export const screenStyles = StyleSheet.create({
   togglePanel: {
     gap: LAYOUT_VALUES.CONTROL_GAP
   },
+  enumerationPanel: {
+    gap: LAYOUT_VALUES.CONTROL_GAP
+  },
+  decorationPanel: {
+    gap: LAYOUT_VALUES.CONTROL_GAP
+  },
+  optionRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: LAYOUT_VALUES.CONTROL_GAP
+  },
+  templateInput: {
+    minHeight: LAYOUT_VALUES.BUTTON_HEIGHT,
+    borderWidth: 1,
+    borderColor: "#9ca3af",
+    borderRadius: LAYOUT_VALUES.BUTTON_RADIUS,
+    paddingHorizontal: LAYOUT_VALUES.CARD_PADDING,
+    fontSize: LAYOUT_VALUES.BODY_FONT_SIZE,
+    color: "#111827",
+    backgroundColor: "#ffffff"
+  },
+  templateInputInvalid: {
+    borderColor: "#b91c1c"
+  },
+  dictionaryPanel: {
+    gap: LAYOUT_VALUES.CONTROL_GAP
+  },
+  dictionaryHeading: {
+    fontSize: LAYOUT_VALUES.BODY_FONT_SIZE,
+    fontWeight: "600",
+    color: "#111827"
+  },
+  dictionaryLabel: {
+    fontSize: LAYOUT_VALUES.SMALL_FONT_SIZE,
+    color: "#374151"
+  },
+  dictionaryInput: {
+    minHeight: LAYOUT_VALUES.DICTIONARY_INPUT_MIN_HEIGHT,
+    borderWidth: 1,
+    borderColor: "#9ca3af",
+    borderRadius: LAYOUT_VALUES.BUTTON_RADIUS,
+    padding: LAYOUT_VALUES.CONTROL_GAP,
+    fontSize: LAYOUT_VALUES.BODY_FONT_SIZE,
+    backgroundColor: "#ffffff"
+  },
   actionRow: {
     gap: LAYOUT_VALUES.CONTROL_GAP
   },
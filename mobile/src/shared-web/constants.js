@@ -10,15 +10,59 @@ export const TEXT_CONTENT = Object.freeze({
     CUSTOM_BUTTON_TEMPLATE: "Custom ({VALUE})",
     COPY_BUTTON_LABEL: "Copy",
     COPY_BUTTON_SUCCESS_LABEL: "Copied!",
-    PASTED_IMAGE_ALT: "Pasted image",
+    COPY_NEXT_BUTTON_LABEL: "Copy next",
+    COPY_NEXT_BUTTON_TITLE: "Copy the first post that is not copied yet (Ctrl+Shift+Enter)",
+    COPY_PROGRESS_LABEL: "Copy progress",
+    COPY_PROGRESS_TEMPLATE: "Copied {copied} of {total}",
+    EXPORT_MENU_LABEL: "Copy all / Export",
+    EXPORT_COPY_BUTTON_TEMPLATE: "Copy as {format}",
+    EXPORT_DOWNLOAD_BUTTON_TEMPLATE: "Download {format}",
+    EXPORT_COPY_SUCCESS_TEMPLATE: "Copied the thread as {format}.",
+    EXPORT_COPY_FAILURE_TEMPLATE: "Could not copy the thread as {format}. Try a download instead.",
+    EXPORT_POST_HEADING_TEMPLATE: "Post {post}",
+    EXPORT_FILE_NAME: "thread",
+    EXPORT_BUNDLE_BUTTON_LABEL: "Download bundle (.zip)",
+    EXPORT_BUNDLE_BUTTON_TITLE: "Download a ZIP file with one text file per post, the images, and a manifest",
+    EXPORT_BUNDLE_FAILURE: "Could not build the bundle. Images must be pasted or dropped into the draft, not linked.",
+    PREVIEW_TOGGLE_LABEL: "Preview",
+    PREVIEW_TOGGLE_TITLE: "Show the thread as the platform shows it",
+    PREVIEW_PLATFORM_LABEL: "Platform",
+    PREVIEW_THREAD_LABEL_TEMPLATE: "{platform} preview",
+    PREVIEW_DISPLAY_NAME: "Your name",
+    PREVIEW_LINK_CARD_LABEL: "Link preview",
+    SHOW_SOURCE_BUTTON_LABEL: "Show in editor",
+    EDIT_CHUNK_BUTTON_LABEL: "Edit",
+    EDIT_CHUNK_INPUT_LABEL: "Post text. Press Enter to save or Escape to cancel.",
+    MOVE_CHUNK_UP_BUTTON_LABEL: "Move up",
+    MOVE_CHUNK_DOWN_BUTTON_LABEL: "Move down",
+    MERGE_CHUNK_BUTTON_LABEL: "Merge with next",
+    SPLIT_CHUNK_BUTTON_LABEL: "Split",
+    PIN_CHUNK_BUTTON_LABEL: "Pin",
+    UNPIN_CHUNK_BUTTON_LABEL: "Unpin",
+    SPLIT_CHUNK_PICKER_LABEL: "Choose the word that starts the new post. Press Escape to cancel.",
+    SPLIT_CHUNK_POINT_TEMPLATE: "Split before {word}",
+    CHUNK_OVERFLOW_TEMPLATE: "Over the limit: {characters}/{limit} characters",
+    MANUAL_LAYOUT_NOTICE: "You arranged these posts by hand. A change to the draft resets them.",
+    RESET_LAYOUT_BUTTON_LABEL: "Reset posts",
+    IMAGE_ALT_TEXT_LIST_LABEL: "Image descriptions",
+    IMAGE_ALT_TEXT_INPUT_LABEL_TEMPLATE: "Alt text for image {image}",
+    IMAGE_ALT_TEXT_PLACEHOLDER: "Describe the image for people who cannot see it",
+    IMAGE_ALT_TEXT_MISSING_LABEL: "No alt text",
     IMAGE_PLAIN_TEXT_PLACEHOLDER: "[Image]",
+    INSERT_POST_BREAK_LABEL: "Insert post break",
+    OPEN_DRAFT_BUTTON_LABEL: "Open file",
+    OPEN_DRAFT_BUTTON_TITLE: "Open a Markdown, text, or HTML draft. You can also drop the file on the editor.",
+    ERROR_DRAFT_UNSUPPORTED_TEMPLATE: "Cannot open {file}. Choose a .md, .txt, or .html file.",
+    ERROR_DRAFT_READ_FAILURE: "Could not read the file. Please try again.",
+    CONFIRM_DRAFT_REPLACE_TEMPLATE: "Replace the current draft with {file}? The current draft will be lost.",
     ERROR_NO_TEXT: "Please enter some text to split.",
     ERROR_INVALID_CUSTOM: "Please enter a valid positive number for custom size.",
     ERROR_IMAGE_COPY_UNSUPPORTED:
         "Safari cannot copy images without ClipboardItem support. Please try a different browser or update Safari.",
+    ERROR_MERGE_OVERFLOW: "These posts are too long to merge within the character limit.",
     INPUT_STATS_TEMPLATE: "Characters: {characters} | Words: {words} | Sentences: {sentences} | Paragraphs: {paragraphs}",
     CHUNK_STATS_TEMPLATE: "Characters: {characters} | Words: {words} | Sentences: {sentences}",
-    ENUMERATION_TEMPLATE: "{text} ({current}/{total})",
+    POST_BOUNDARY_TEMPLATE: "Post {post} · {characters}/{limit}",
     INPUT_STATS_EMPTY: "Characters: 0 | Words: 0 | Sentences: 0 | Paragraphs: 0",
     FEEDBACK_TITLE: "Feedback",
     FEEDBACK_EMAIL_LABEL: "Email:",
@@ -27,6 +71,23 @@ export const TEXT_CONTENT = Object.freeze({
     FEEDBACK_MESSAGE_PLACEHOLDER: "What can be improved?",
     FEEDBACK_SUBMIT_LABEL: "Submit",
     CUSTOM_INPUT_PLACEHOLDER: "Size",
+    SENTENCE_LOCALE_LABEL: "Sentence language",
+    ENUMERATION_STYLE_LABEL: "Numbering style",
+    ENUMERATION_POSITION_LABEL: "Numbering position",
+    ENUMERATION_SKIP_FIRST_LABEL: "Skip first post",
+    ENUMERATION_CUSTOM_TEMPLATE_LABEL: "Custom numbering",
+    ENUMERATION_CUSTOM_TEMPLATE_PLACEHOLDER: "Use {current} and {total}",
+    DECORATION_OPENER_PREFIX_LABEL: "First post prefix",
+    DECORATION_OPENER_PREFIX_PLACEHOLDER: "🧵",
+    DECORATION_CONTINUATION_SUFFIX_LABEL: "Continuation marker",
+    DECORATION_CONTINUATION_SUFFIX_PLACEHOLDER: "👇",
+    DECORATION_FOOTER_LABEL: "Last post footer",
+    DECORATION_FOOTER_PLACEHOLDER: "#hashtags, a call to action, or a link",
+    DICTIONARY_HEADING: "Custom dictionary",
+    DICTIONARY_ABBREVIATIONS_LABEL: "Abbreviations that never end a sentence, one per line",
+    DICTIONARY_ABBREVIATIONS_PLACEHOLDER: "Inc.\nv2.1",
+    DICTIONARY_PROTECTED_PHRASES_LABEL: "Phrases never split across posts, one per line",
+    DICTIONARY_PROTECTED_PHRASES_PLACEHOLDER: "New York Times\nNode.js",
     TRANSFORMATION_HEADING: "Improve with AI",
     TRANSFORMATION_PRIVACY:
         "AI editing sends only this text draft to Social Threader's protected API. The source draft is not persisted.",
@@ -165,9 +226,16 @@ export const HTTP_VALUES = Object.freeze({
 /** @type {Readonly<Record<string, string>>} */
 export const LOG_MESSAGES = Object.freeze({
     COPY_FAILURE: "Failed to copy chunk to clipboard",
+    THREAD_EXPORT_FAILURE: "Failed to copy the thread export to clipboard",
+    THREAD_BUNDLE_FAILURE: "Failed to build the thread bundle",
+    CHUNKING_WORKER_FAILURE: "Failed to start the chunking worker; chunking runs on the main thread",
+    CHUNKING_WORKER_RUN_FAILURE: "Chunking worker failed; the draft is chunked again on the main thread",
+    CHUNKING_FAILURE: "Failed to chunk the draft",
+    STORED_SETTING_READ_FAILURE: "Ignored an unreadable stored setting; the default is used",
     CLIPBOARD_UNAVAILABLE: "Clipboard API is not available",
     IMAGE_READ_FAILURE: "Unable to read file as data URL",
     IMAGE_READ_ERROR: "Failed to read file",
+    DRAFT_READ_FAILURE: "Unable to read file as text",
     TEST_HARNESS_IMPORT_FAILURE: "Failed to load browser test harness",
     TEST_HARNESS_INITIALIZATION_FAILURE: "Browser test harness encountered an initialization error",
     CLIPBOARD_IMAGE_UNSUPPORTED: "Image clipboard copy is not supported without ClipboardItem"
@@ -177,17 +245,26 @@ export const LOG_MESSAGES = Object.freeze({
 export const TOGGLE_IDENTIFIERS = Object.freeze({
     PARAGRAPH: "PARAGRAPH",
     SENTENCE: "SENTENCE",
-    ENUMERATION: "ENUMERATION"
+    ENUMERATION: "ENUMERATION",
+    BALANCED: "BALANCED",
+    LINE_BREAKS: "LINE_BREAKS",
+    MARKDOWN: "MARKDOWN",
+    MARKDOWN_RENDER: "MARKDOWN_RENDER"
 });
 
 export const TOGGLE_LABELS = Object.freeze({
     [TOGGLE_IDENTIFIERS.PARAGRAPH]: "Paragraphs",
     [TOGGLE_IDENTIFIERS.SENTENCE]: "Sentences",
-    [TOGGLE_IDENTIFIERS.ENUMERATION]: "Enumerate"
+    [TOGGLE_IDENTIFIERS.ENUMERATION]: "Enumerate",
+    [TOGGLE_IDENTIFIERS.BALANCED]: "Balanced",
+    [TOGGLE_IDENTIFIERS.LINE_BREAKS]: "Line breaks",
+    [TOGGLE_IDENTIFIERS.MARKDOWN]: "Markdown",
+    [TOGGLE_IDENTIFIERS.MARKDOWN_RENDER]: "Render Markdown"
 });
 
 export const ATTRIBUTE_NAMES = Object.freeze({
-    ARIA_DISABLED: "aria-disabled"
+    ARIA_DISABLED: "aria-disabled",
+    ARIA_INVALID: "aria-invalid"
 });
 
 export const CLASS_NAMES = Object.freeze({
@@ -195,9 +272,27 @@ export const CLASS_NAMES = Object.freeze({
     ACTIVE: "active"
 });
 
+export const POST_BOUNDARY_CLASSES = Object.freeze({
+    MARKER: "postBoundaryMarker",
+    OVER_BUDGET: "overBudget"
+});
+
+export const IMAGE_ALT_TEXT_CLASSES = Object.freeze({
+    ITEM: "imageAltTextItem",
+    THUMBNAIL: "imageAltTextThumbnail",
+    LABEL: "imageAltTextLabel",
+    INPUT: "imageAltTextInput",
+    WARNING: "imageAltTextWarning",
+    MISSING: "missingAltText"
+});
+
 export const CHUNK_CONTAINER_STATE_CLASSES = Object.freeze({
     COPIED: "copied",
-    ERROR: "copyError"
+    ERROR: "copyError",
+    OVERFLOW: "overLimit",
+    DRAGGING: "dragging",
+    DROP_TARGET: "dropTarget",
+    PINNED: "pinned"
 });
 
 export const COPY_BUTTON_STATE_CLASSES = Object.freeze({
@@ -205,8 +300,86 @@ export const COPY_BUTTON_STATE_CLASSES = Object.freeze({
     ERROR: "error"
 });
 
+export const EXPORT_FORMAT_IDENTIFIERS = Object.freeze({
+    PLAIN_TEXT: "plainText",
+    MARKDOWN: "markdown",
+    HTML: "html",
+    JSON: "json",
+    CSV: "csv"
+});
+
+export const EXPORT_FORMAT_CONFIG = Object.freeze({
+    [EXPORT_FORMAT_IDENTIFIERS.PLAIN_TEXT]: Object.freeze({ label: "Plain text", fileExtension: "txt", mimeType: "text/plain" }),
+    [EXPORT_FORMAT_IDENTIFIERS.MARKDOWN]: Object.freeze({ label: "Markdown", fileExtension: "md", mimeType: "text/markdown" }),
+    [EXPORT_FORMAT_IDENTIFIERS.HTML]: Object.freeze({ label: "HTML", fileExtension: "html", mimeType: "text/html" }),
+    [EXPORT_FORMAT_IDENTIFIERS.JSON]: Object.freeze({ label: "JSON", fileExtension: "json", mimeType: "application/json" }),
+    [EXPORT_FORMAT_IDENTIFIERS.CSV]: Object.freeze({ label: "CSV", fileExtension: "csv", mimeType: "text/csv" })
+});
+
+export const THREAD_BUNDLE_CONFIG = Object.freeze({
+    MIME_TYPE: "application/zip",
+    FILE_EXTENSION: "zip",
+    MANIFEST_FILE_NAME: "manifest.json",
+    POST_FILE_TEMPLATE: "posts/post-{post}.txt",
+    IMAGE_FILE_TEMPLATE: "images/post-{post}-image-{image}.{extension}",
+    POST_NUMBER_MINIMUM_DIGITS: 2,
+    FALLBACK_IMAGE_EXTENSION: "bin"
+});
+
+/** @type {Readonly<Record<string, string>>} */
+export const IMAGE_FILE_EXTENSIONS = Object.freeze({
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/gif": "gif",
+    "image/webp": "webp",
+    "image/svg+xml": "svg",
+    "image/avif": "avif"
+});
+
+export const DRAFT_FORMAT_IDENTIFIERS = Object.freeze({
+    MARKDOWN: "markdown",
+    PLAIN_TEXT: "plainText",
+    HTML: "html"
+});
+
+/** @type {Readonly<Record<string, import('./types.d.js').DraftFormatIdentifier>>} */
+export const DRAFT_FILE_EXTENSIONS = Object.freeze({
+    md: DRAFT_FORMAT_IDENTIFIERS.MARKDOWN,
+    markdown: DRAFT_FORMAT_IDENTIFIERS.MARKDOWN,
+    txt: DRAFT_FORMAT_IDENTIFIERS.PLAIN_TEXT,
+    text: DRAFT_FORMAT_IDENTIFIERS.PLAIN_TEXT,
+    html: DRAFT_FORMAT_IDENTIFIERS.HTML,
+    htm: DRAFT_FORMAT_IDENTIFIERS.HTML
+});
+
+/** @type {Readonly<Record<string, import('./types.d.js').DraftFormatIdentifier>>} */
+export const DRAFT_MIME_TYPES = Object.freeze({
+    "text/markdown": DRAFT_FORMAT_IDENTIFIERS.MARKDOWN,
+    "text/x-markdown": DRAFT_FORMAT_IDENTIFIERS.MARKDOWN,
+    "text/plain": DRAFT_FORMAT_IDENTIFIERS.PLAIN_TEXT,
+    "text/html": DRAFT_FORMAT_IDENTIFIERS.HTML
+});
+
+/** @type {string} */
+export const DRAFT_FILE_ACCEPT = ".md,.markdown,.txt,.text,.html,.htm,text/markdown,text/plain,text/html";
+
+export const KEYBOARD_SHORTCUTS = Object.freeze({
+    COPY_NEXT_KEY: "Enter",
+    COPY_NEXT_ARIA: "Control+Shift+Enter Meta+Shift+Enter"
+});
+
 export const CHUNK_ATTRIBUTE_NAMES = Object.freeze({
-    COPY_ORDER: "data-copied-order"
+    COPY_ORDER: "data-copied-order",
+    SOURCE_START: "data-source-start",
+    SOURCE_END: "data-source-end",
+    POST_INDEX: "data-post-index",
+    EXPORT_FORMAT: "data-export-format",
+    PREVIEW_PLATFORM: "data-preview-platform",
+    IMAGE_COUNT: "data-image-count"
+});
+
+export const EDITOR_HIGHLIGHT_NAMES = Object.freeze({
+    CHUNK_SOURCE: "chunk-source"
 });
 
 /** @type {Readonly<Record<string, number>>} */
@@ -217,6 +390,215 @@ export const DEFAULT_LENGTHS = Object.freeze({
     CUSTOM: 128
 });
 
+/** @type {Readonly<Record<string, import('./types.d.js').LengthCounterIdentifier>>} */
+export const LENGTH_COUNTER_IDENTIFIERS = Object.freeze({
+    CHARACTERS: "characters",
+    TWITTER: "twitter",
+    GRAPHEMES: "graphemes",
+    MASTODON: "mastodon"
+});
+
+/**
+ * Counter used when no platform counter is selected: chunk limits, post lengths, and draft statistics count
+ * user-perceived characters.
+ * @type {import('./types.d.js').LengthCounterIdentifier}
+ */
+export const DEFAULT_LENGTH_COUNTER = LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES;
+
+/** @type {Readonly<Record<string, import('./types.d.js').SentenceLocaleIdentifier>>} */
+export const SENTENCE_LOCALE_IDENTIFIERS = Object.freeze({
+    AUTO: "auto",
+    ENGLISH: "en",
+    GERMAN: "de",
+    SPANISH: "es",
+    FRENCH: "fr",
+    CHINESE: "zh",
+    JAPANESE: "ja",
+    ARABIC: "ar",
+    HINDI: "hi"
+});
+
+export const SENTENCE_LOCALE_LABELS = Object.freeze({
+    [SENTENCE_LOCALE_IDENTIFIERS.AUTO]: "Detect language",
+    [SENTENCE_LOCALE_IDENTIFIERS.ENGLISH]: "English",
+    [SENTENCE_LOCALE_IDENTIFIERS.GERMAN]: "Deutsch",
+    [SENTENCE_LOCALE_IDENTIFIERS.SPANISH]: "Español",
+    [SENTENCE_LOCALE_IDENTIFIERS.FRENCH]: "Français",
+    [SENTENCE_LOCALE_IDENTIFIERS.CHINESE]: "中文",
+    [SENTENCE_LOCALE_IDENTIFIERS.JAPANESE]: "日本語",
+    [SENTENCE_LOCALE_IDENTIFIERS.ARABIC]: "العربية",
+    [SENTENCE_LOCALE_IDENTIFIERS.HINDI]: "हिन्दी"
+});
+
+export const TEXT_ENTITY_KINDS = Object.freeze({
+    URL: "url",
+    EMAIL: "email",
+    MENTION: "mention",
+    HASHTAG: "hashtag",
+    CASHTAG: "cashtag"
+});
+
+/** @type {Readonly<Record<string, import('./types.d.js').EnumerationStyleIdentifier>>} */
+export const ENUMERATION_STYLE_IDENTIFIERS = Object.freeze({
+    PARENTHESES: "parentheses",
+    FRACTION: "fraction",
+    OPEN_FRACTION: "openFraction",
+    THREAD_EMOJI: "threadEmoji",
+    BRACKETS: "brackets",
+    CUSTOM: "custom"
+});
+
+/**
+ * Label templates of the built-in enumeration styles. The custom style uses the template stored in the format.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const ENUMERATION_STYLE_TEMPLATES = Object.freeze({
+    [ENUMERATION_STYLE_IDENTIFIERS.PARENTHESES]: "({current}/{total})",
+    [ENUMERATION_STYLE_IDENTIFIERS.FRACTION]: "{current}/{total}",
+    [ENUMERATION_STYLE_IDENTIFIERS.OPEN_FRACTION]: "{current}/",
+    [ENUMERATION_STYLE_IDENTIFIERS.THREAD_EMOJI]: "🧵 {current}/{total}",
+    [ENUMERATION_STYLE_IDENTIFIERS.BRACKETS]: "[{current}]"
+});
+
+export const ENUMERATION_STYLE_LABELS = Object.freeze({
+    [ENUMERATION_STYLE_IDENTIFIERS.PARENTHESES]: "(1/7)",
+    [ENUMERATION_STYLE_IDENTIFIERS.FRACTION]: "1/7",
+    [ENUMERATION_STYLE_IDENTIFIERS.OPEN_FRACTION]: "1/",
+    [ENUMERATION_STYLE_IDENTIFIERS.THREAD_EMOJI]: "🧵 1/7",
+    [ENUMERATION_STYLE_IDENTIFIERS.BRACKETS]: "[1]",
+    [ENUMERATION_STYLE_IDENTIFIERS.CUSTOM]: "Custom"
+});
+
+/** @type {Readonly<Record<string, import('./types.d.js').EnumerationPositionIdentifier>>} */
+export const ENUMERATION_POSITIONS = Object.freeze({
+    PREFIX: "prefix",
+    SUFFIX: "suffix"
+});
+
+export const ENUMERATION_POSITION_LABELS = Object.freeze({
+    [ENUMERATION_POSITIONS.PREFIX]: "Before text",
+    [ENUMERATION_POSITIONS.SUFFIX]: "After text"
+});
+
+/** @type {import('./types.d.js').EnumerationFormat} */
+export const DEFAULT_ENUMERATION_FORMAT = Object.freeze({
+    style: ENUMERATION_STYLE_IDENTIFIERS.PARENTHESES,
+    position: ENUMERATION_POSITIONS.SUFFIX,
+    skipFirst: false,
+    customTemplate: "{current}/{total}"
+});
+
+/** @type {import('./types.d.js').ThreadDecorations} */
+export const EMPTY_THREAD_DECORATIONS = Object.freeze({
+    openerPrefix: "",
+    continuationSuffix: "",
+    footer: ""
+});
+
+/** @type {import('./types.d.js').ChunkingDictionary} */
+export const EMPTY_CHUNKING_DICTIONARY = Object.freeze({
+    abbreviations: Object.freeze([]),
+    protectedPhrases: Object.freeze([])
+});
+
+/** @type {Readonly<Record<string, string>>} */
+export const STORAGE_KEYS = Object.freeze({
+    CHUNKING_DICTIONARY: "socialThreader.chunkingDictionary",
+    ENUMERATION_FORMAT: "socialThreader.enumerationFormat",
+    THREAD_DECORATIONS: "socialThreader.threadDecorations"
+});
+
+/** @type {Readonly<Record<string, import('./types.d.js').InputModeIdentifier>>} */
+export const INPUT_MODE_IDENTIFIERS = Object.freeze({
+    PLAIN_TEXT: "plainText",
+    MARKDOWN: "markdown"
+});
+
+/**
+ * Images attached to one post when no preset is active. X, Bluesky, and Mastodon all allow four.
+ * @type {number}
+ */
+export const DEFAULT_MAXIMUM_IMAGES_PER_POST = 4;
+
+/**
+ * Markdown conversion of a custom length. Links become "text url", because no platform shows link text.
+ * @type {import('./types.d.js').MarkdownRenderRules}
+ */
+export const DEFAULT_MARKDOWN_RENDER_RULES = Object.freeze({
+    linkTemplate: "{text} {url}",
+    bulletMarker: "• "
+});
+
+/**
+ * Markdown conversion of Twitter/X. List items keep a hyphen, because X counts the bullet character as two.
+ * @type {import('./types.d.js').MarkdownRenderRules}
+ */
+const TWITTER_MARKDOWN_RENDER_RULES = Object.freeze({
+    linkTemplate: "{text} {url}",
+    bulletMarker: "- "
+});
+
+/** @type {Readonly<Record<string, import('./types.d.js').PreviewPlatformIdentifier>>} */
+export const PREVIEW_PLATFORM_IDENTIFIERS = Object.freeze({
+    X: "x",
+    BLUESKY: "bluesky",
+    MASTODON: "mastodon",
+    THREADS: "threads"
+});
+
+/**
+ * How each platform shows a thread. X collapses text after 280 weighted characters behind "Show more" and cards the
+ * last link; the other platforms card the first link. Mastodon does not connect the posts of a thread, and Threads
+ * shows images as a carousel.
+ * @type {Readonly<Record<string, import('./types.d.js').PreviewPlatformDefinition>>}
+ */
+export const PREVIEW_PLATFORM_CONFIG = Object.freeze({
+    [PREVIEW_PLATFORM_IDENTIFIERS.X]: Object.freeze({
+        label: "X",
+        handle: "@you",
+        lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER,
+        truncationLength: 280,
+        showMoreLabel: "Show more",
+        hasReplyConnector: true,
+        mediaLayout: "grid",
+        linkCardPosition: "last",
+        actionLabels: Object.freeze(["Reply", "Repost", "Like", "Views"])
+    }),
+    [PREVIEW_PLATFORM_IDENTIFIERS.BLUESKY]: Object.freeze({
+        label: "Bluesky",
+        handle: "@you.bsky.social",
+        lengthCounter: LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES,
+        truncationLength: null,
+        showMoreLabel: "",
+        hasReplyConnector: true,
+        mediaLayout: "grid",
+        linkCardPosition: "first",
+        actionLabels: Object.freeze(["Reply", "Repost", "Like"])
+    }),
+    [PREVIEW_PLATFORM_IDENTIFIERS.MASTODON]: Object.freeze({
+        label: "Mastodon",
+        handle: "@you@mastodon.social",
+        lengthCounter: LENGTH_COUNTER_IDENTIFIERS.MASTODON,
+        truncationLength: null,
+        showMoreLabel: "",
+        hasReplyConnector: false,
+        mediaLayout: "grid",
+        linkCardPosition: "first",
+        actionLabels: Object.freeze(["Reply", "Boost", "Favorite"])
+    }),
+    [PREVIEW_PLATFORM_IDENTIFIERS.THREADS]: Object.freeze({
+        label: "Threads",
+        handle: "you",
+        lengthCounter: LENGTH_COUNTER_IDENTIFIERS.MASTODON,
+        truncationLength: null,
+        showMoreLabel: "",
+        hasReplyConnector: true,
+        mediaLayout: "carousel",
+        linkCardPosition: "first",
+        actionLabels: Object.freeze(["Like", "Comment", "Repost", "Share"])
+    })
+});
+
 /** @type {Readonly<Record<string, string>>} */
 export const PRESET_IDENTIFIERS = Object.freeze({
     THREADS: "threads",
@@ -224,19 +606,35 @@ export const PRESET_IDENTIFIERS = Object.freeze({
     TWITTER: "twitter"
 });
 
-/** @type {Readonly<Record<string, import('./types.d.js').PresetDefinition>>} */
+/**
+ * Platform presets. The Threads/Mastodon preset attaches at most four images to a post, the Mastodon limit, although
+ * Threads allows ten.
+ * @type {Readonly<Record<string, import('./types.d.js').PresetDefinition>>}
+ */
 export const PRESET_CONFIG = Object.freeze({
     [PRESET_IDENTIFIERS.THREADS]: Object.freeze({
         length: DEFAULT_LENGTHS.THREADS,
-        label: "Threads/Mastodon (500)"
+        label: "Threads/Mastodon (500)",
+        lengthCounter: LENGTH_COUNTER_IDENTIFIERS.MASTODON,
+        markdownRules: DEFAULT_MARKDOWN_RENDER_RULES,
+        previewPlatform: PREVIEW_PLATFORM_IDENTIFIERS.THREADS,
+        maximumImages: 4
     }),
     [PRESET_IDENTIFIERS.BLUESKY]: Object.freeze({
         length: DEFAULT_LENGTHS.BLUESKY,
-        label: "Bluesky (300)"
+        label: "Bluesky (300)",
+        lengthCounter: LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES,
+        markdownRules: DEFAULT_MARKDOWN_RENDER_RULES,
+        previewPlatform: PREVIEW_PLATFORM_IDENTIFIERS.BLUESKY,
+        maximumImages: 4
     }),
     [PRESET_IDENTIFIERS.TWITTER]: Object.freeze({
         length: DEFAULT_LENGTHS.TWITTER,
-        label: "Twitter/X (280)"
+        label: "Twitter/X (280)",
+        lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER,
+        markdownRules: TWITTER_MARKDOWN_RENDER_RULES,
+        previewPlatform: PREVIEW_PLATFORM_IDENTIFIERS.X,
+        maximumImages: 4
     })
 });
 
@@ -276,7 +674,8 @@ export const CLIPBOARD_PRESENTATION_STYLES = Object.freeze({
 /** @type {Readonly<Record<string, string>>} */
 export const PLACEHOLDER_TOKENS = Object.freeze({
     IMAGE_PREFIX: "[[IMAGE:",
-    IMAGE_SUFFIX: "]]"
+    IMAGE_SUFFIX: "]]",
+    POST_BREAK: "---"
 });
 
 /** @type {Readonly<Record<string, string>>} */
@@ -0,0 +1,149 @@
+// @ts-check
+/**
+ * @fileoverview Enumeration labels in selectable styles and positions, with a persistent store for the format.
+ */
+
+import {
+    DEFAULT_ENUMERATION_FORMAT,
+    ENUMERATION_POSITIONS,
+    ENUMERATION_STYLE_IDENTIFIERS,
+    ENUMERATION_STYLE_TEMPLATES,
+    STORAGE_KEYS
+} from "../constants.js";
+import { loggingHelpers } from "../utils/logging.js";
+import { templateHelpers } from "../utils/templates.js";
+
+/** @type {string} */
+const CURRENT_NUMBER_TOKEN = "{current}";
+/** @type {string} */
+const LABEL_SEPARATOR = " ";
+
+/**
+ * Determines whether a custom label template can number chunks.
+ * @param {string} template Custom label template.
+ * @returns {boolean}
+ */
+function isValidCustomTemplate(template) {
+    return template.includes(CURRENT_NUMBER_TOKEN);
+}
+
+/**
+ * Resolves the label template of a format.
+ * @param {import("../types.d.js").EnumerationFormat} format Enumeration format.
+ * @returns {string}
+ */
+function resolveLabelTemplate(format) {
+    if (format.style === ENUMERATION_STYLE_IDENTIFIERS.CUSTOM) {
+        if (!isValidCustomTemplate(format.customTemplate)) {
+            throw new Error(`Custom enumeration template must contain ${CURRENT_NUMBER_TOKEN}`);
+        }
+        return format.customTemplate.trim();
+    }
+    const template = ENUMERATION_STYLE_TEMPLATES[format.style];
+    if (template === undefined) {
+        throw new Error(`Unknown enumeration style: ${format.style}`);
+    }
+    return template;
+}
+
+/**
+ * Adds the enumeration label to the chunk text. Numbers are absolute, so the second chunk is 2 even when the first
+ * chunk has no label.
+ * @param {string} chunkText Text contained in the chunk.
+ * @param {number} chunkIndex Zero-based chunk index.
+ * @param {number} totalChunks Total number of chunks produced.
+ * @param {import("../types.d.js").EnumerationFormat} [format] Enumeration format. Defaults to "text (1/7)".
+ * @returns {string} Enumerated chunk text.
+ */
+function enumerateChunk(chunkText, chunkIndex, totalChunks, format = DEFAULT_ENUMERATION_FORMAT) {
+    if (format.skipFirst && chunkIndex === 0) {
+        return chunkText;
+    }
+    const label = templateHelpers.interpolate(resolveLabelTemplate(format), {
+        current: chunkIndex + 1,
+        total: totalChunks
+    });
+    if (format.position === ENUMERATION_POSITIONS.PREFIX) {
+        return `${label}${LABEL_SEPARATOR}${chunkText}`;
+    }
+    if (format.position === ENUMERATION_POSITIONS.SUFFIX) {
+        return `${chunkText}${LABEL_SEPARATOR}${label}`;
+    }
+    throw new Error(`Unknown enumeration position: ${format.position}`);
+}
+
+/**
+ * Determines whether a parsed value is a complete enumeration format.
+ * @param {unknown} value Parsed value.
+ * @returns {value is import("../types.d.js").EnumerationFormat}
+ */
+function isEnumerationFormat(value) {
+    if (value === null || typeof value !== "object") {
+        return false;
+    }
+    const candidate = /** @type {Record<string, unknown>} */ (value);
+    return (
+        Object.values(ENUMERATION_STYLE_IDENTIFIERS).includes(/** @type {any} */ (candidate.style)) &&
+        Object.values(ENUMERATION_POSITIONS).includes(/** @type {any} */ (candidate.position)) &&
+        typeof candidate.skipFirst === "boolean" &&
+        typeof candidate.customTemplate === "string"
+    );
+}
+
+/**
+ * Parses a stored enumeration format.
+ * @param {string} storedValue JSON text from the storage.
+ * @returns {import("../types.d.js").EnumerationFormat}
+ */
+function parseStoredEnumerationFormat(storedValue) {
+    const parsedValue = JSON.parse(storedValue);
+    if (!isEnumerationFormat(parsedValue)) {
+        throw new Error("Invalid stored enumeration format");
+    }
+    return Object.freeze({
+        style: parsedValue.style,
+        position: parsedValue.position,
+        skipFirst: parsedValue.skipFirst,
+        customTemplate: parsedValue.customTemplate
+    });
+}
+
+/**
+ * Creates a store that persists the enumeration format as JSON in a key-value storage. A stored value that cannot be
+ * read is logged and loads as the default format.
+ * @param {import("../types.d.js").KeyValueStorage} storage Storage such as window.localStorage.
+ * @returns {{ load: () => import("../types.d.js").EnumerationFormat, save: (format: import("../types.d.js").EnumerationFormat) => void }}
+ */
+function createEnumerationFormatStore(storage) {
+    return Object.freeze({
+        load() {
+            const storedValue = storage.getItem(STORAGE_KEYS.ENUMERATION_FORMAT);
+            if (storedValue === null) {
+                return DEFAULT_ENUMERATION_FORMAT;
+            }
+            try {
+                return parseStoredEnumerationFormat(storedValue);
+            } catch (error) {
+                loggingHelpers.reportStoredSettingFailure(error);
+                return DEFAULT_ENUMERATION_FORMAT;
+            }
+        },
+        save(format) {
+            storage.setItem(
+                STORAGE_KEYS.ENUMERATION_FORMAT,
+                JSON.stringify({
+                    style: format.style,
+                    position: format.position,
+                    skipFirst: format.skipFirst,
+                    customTemplate: format.customTemplate
+                })
+            );
+        }
+    });
+}
+
+export const enumerationHelpers = Object.freeze({
+    isValidCustomTemplate,
+    enumerateChunk,
+    createEnumerationFormatStore
+});
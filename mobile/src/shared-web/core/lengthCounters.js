@@ -0,0 +1,168 @@
+// @ts-check
+/**
+ * @fileoverview Platform-specific length counters that measure text the way each social network enforces its limit.
+ */
+
+import { DEFAULT_LENGTH_COUNTER, LENGTH_COUNTER_IDENTIFIERS } from "../constants.js";
+
+/** @type {RegExp} */
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"]+/giu;
+/** @type {RegExp} */
+const URL_TRAILING_PUNCTUATION_PATTERN = /[.,!?;:'")\]}]+$/u;
+/** @type {RegExp} */
+const REMOTE_MENTION_PATTERN = /(@[\w.]+)@[a-z0-9-]+(?:\.[a-z0-9-]+)+/giu;
+/** @type {RegExp} */
+const EMOJI_CLUSTER_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+/** @type {number} */
+const TRANSFORMED_URL_LENGTH = 23;
+/** @type {number} */
+const TWITTER_LIGHT_CHARACTER_WEIGHT = 1;
+/** @type {number} */
+const TWITTER_HEAVY_CHARACTER_WEIGHT = 2;
+/** @type {number} */
+const TWITTER_EMOJI_WEIGHT = 2;
+
+/**
+ * Code point ranges Twitter/X counts with the light weight. Everything else, including CJK, counts double.
+ * @type {ReadonlyArray<readonly [number, number]>}
+ */
+const TWITTER_LIGHT_WEIGHT_RANGES = Object.freeze([
+    Object.freeze(/** @type {const} */ ([0x0000, 0x10ff])),
+    Object.freeze(/** @type {const} */ ([0x2000, 0x200d])),
+    Object.freeze(/** @type {const} */ ([0x2010, 0x201f])),
+    Object.freeze(/** @type {const} */ ([0x2032, 0x2037]))
+]);
+
+/** @type {Intl.Segmenter | null} */
+const GRAPHEME_SEGMENTER =
+    typeof Intl === "object" && typeof Intl.Segmenter === "function"
+        ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+        : null;
+
+/**
+ * Splits text into extended grapheme clusters, falling back to code points on runtimes without Intl.Segmenter.
+ * @param {string} text Text to segment.
+ * @returns {string[]} Ordered grapheme clusters.
+ */
+function segmentGraphemes(text) {
+    if (GRAPHEME_SEGMENTER === null) {
+        return Array.from(text);
+    }
+    return Array.from(GRAPHEME_SEGMENTER.segment(text), (segmentData) => segmentData.segment);
+}
+
+/**
+ * Separates URLs from the surrounding text so counters can apply a fixed link weight.
+ * @param {string} text Text to scan.
+ * @returns {{ urlCount: number; remainingSegments: string[] }} Number of URLs and the non-URL text between them.
+ */
+function separateUrls(text) {
+    /** @type {string[]} */
+    const remainingSegments = [];
+    let urlCount = 0;
+    let lastIndex = 0;
+
+    for (const urlMatch of text.matchAll(URL_PATTERN)) {
+        const matchIndex = urlMatch.index ?? 0;
+        const urlText = urlMatch[0].replace(URL_TRAILING_PUNCTUATION_PATTERN, "");
+        remainingSegments.push(text.slice(lastIndex, matchIndex));
+        urlCount += 1;
+        lastIndex = matchIndex + urlText.length;
+    }
+
+    remainingSegments.push(text.slice(lastIndex));
+    return { urlCount, remainingSegments };
+}
+
+/**
+ * Computes the Twitter/X weight of a single grapheme cluster.
+ * @param {string} grapheme Grapheme cluster to weigh.
+ * @returns {number} Weighted length of the cluster.
+ */
+function weighTwitterGrapheme(grapheme) {
+    if (EMOJI_CLUSTER_PATTERN.test(grapheme)) {
+        return TWITTER_EMOJI_WEIGHT;
+    }
+
+    let weight = 0;
+    for (const character of grapheme) {
+        const codePoint = character.codePointAt(0) ?? 0;
+        const isLightWeight = TWITTER_LIGHT_WEIGHT_RANGES.some(
+            ([rangeStart, rangeEnd]) => codePoint >= rangeStart && codePoint <= rangeEnd
+        );
+        weight += isLightWeight ? TWITTER_LIGHT_CHARACTER_WEIGHT : TWITTER_HEAVY_CHARACTER_WEIGHT;
+    }
+    return weight;
+}
+
+/**
+ * Counts UTF-16 code units, matching the browser's String.length.
+ * @param {string} text Text to measure.
+ * @returns {number}
+ */
+function countCharacters(text) {
+    return text.length;
+}
+
+/**
+ * Counts extended grapheme clusters, matching Bluesky's limit.
+ * @param {string} text Text to measure.
+ * @returns {number}
+ */
+function countGraphemes(text) {
+    return segmentGraphemes(text).length;
+}
+
+/**
+ * Applies Twitter/X weighting: URLs count as 23, emoji and most non-Latin characters count as 2.
+ * @param {string} text Text to measure.
+ * @returns {number}
+ */
+function countTwitterWeight(text) {
+    const { urlCount, remainingSegments } = separateUrls(text.normalize("NFC"));
+    return remainingSegments.reduce(
+        (total, segmentText) =>
+            total + segmentGraphemes(segmentText).reduce((sum, grapheme) => sum + weighTwitterGrapheme(grapheme), 0),
+        urlCount * TRANSFORMED_URL_LENGTH
+    );
+}
+
+/**
+ * Applies Mastodon counting: URLs count as 23, remote mentions count only their local part, text counts graphemes.
+ * @param {string} text Text to measure.
+ * @returns {number}
+ */
+function countMastodonLength(text) {
+    const { urlCount, remainingSegments } = separateUrls(text);
+    return remainingSegments.reduce(
+        (total, segmentText) => total + countGraphemes(segmentText.replace(REMOTE_MENTION_PATTERN, "$1")),
+        urlCount * TRANSFORMED_URL_LENGTH
+    );
+}
+
+/** @type {Readonly<Record<import("../types.d.js").LengthCounterIdentifier, (text: string) => number>>} */
+const LENGTH_COUNTERS = Object.freeze({
+    [LENGTH_COUNTER_IDENTIFIERS.CHARACTERS]: countCharacters,
+    [LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES]: countGraphemes,
+    [LENGTH_COUNTER_IDENTIFIERS.TWITTER]: countTwitterWeight,
+    [LENGTH_COUNTER_IDENTIFIERS.MASTODON]: countMastodonLength
+});
+
+/**
+ * Measures text using the counting rules identified by the provided counter.
+ * @param {string} text Text to measure.
+ * @param {import("../types.d.js").LengthCounterIdentifier} [lengthCounter] Counter identifier. Defaults to graphemes.
+ * @returns {number} Length of the text as the platform counts it.
+ */
+function measureLength(text, lengthCounter = DEFAULT_LENGTH_COUNTER) {
+    const counter = LENGTH_COUNTERS[lengthCounter];
+    if (typeof counter !== "function") {
+        throw new Error(`Unknown length counter: ${lengthCounter}`);
+    }
+    return counter(text);
+}
+
+export const lengthCounterHelpers = Object.freeze({
+    measureLength,
+    segmentGraphemes
+});
@@ -0,0 +1,130 @@
+// @ts-check
+/**
+ * @fileoverview Markdown syntax in drafts: the code, link, and emphasis ranges that must never be split across posts,
+ * and the conversion of a post from Markdown to the plain text that a platform shows.
+ */
+
+import { templateHelpers } from "../utils/templates.js";
+
+/** @type {RegExp} */
+const CODE_PATTERN = /(?<!`)(`+)(?!`)[\s\S]*?[^`]\1(?!`)/g;
+/** @type {RegExp} */
+const FENCE_MARKER_PATTERN = /`{3,}|~{3,}/g;
+/** @type {RegExp} */
+const LINK_PATTERN = /!?\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/g;
+/** @type {RegExp} */
+const REFERENCE_LINK_PATTERN = /!?\[[^\]]*\]\[[^\]]*\]/g;
+/** @type {RegExp} */
+const AUTOLINK_PATTERN = /<((?:https?|mailto):[^\s>]+)>/gi;
+/** @type {RegExp} */
+const STRONG_PATTERN = /(\*\*|__)(?=\S)([\s\S]*?\S)\1/g;
+/** @type {RegExp} */
+const STRIKETHROUGH_PATTERN = /~~(?=\S)([\s\S]*?\S)~~/g;
+/** @type {RegExp} */
+const ASTERISK_EMPHASIS_PATTERN = /(?<!\*)\*(?=[^\s*])([^*]*?[^\s*])\*(?!\*)/g;
+/** @type {RegExp} */
+const UNDERSCORE_EMPHASIS_PATTERN = /(^|[^\p{L}\p{N}_])_(?=[^\s_])([^_]*?[^\s_])_(?![\p{L}\p{N}_])/gu;
+/** @type {RegExp} */
+const ESCAPE_PATTERN = /\\([!-/:-@[-`{-~])/g;
+/** @type {RegExp} */
+const HEADING_MARKER_PATTERN = /^#{1,6}[ \t]+/gm;
+/** @type {RegExp} */
+const BULLET_MARKER_PATTERN = /^([ \t]*)[-*+][ \t]+/gm;
+/** @type {RegExp} Private-use characters around the index of a protected text. */
+const PROTECTED_TEXT_PATTERN = /\uE000(\d+)\uE001/g;
+/** @type {string} Private-use character that hides code while the other syntax is found, so offsets stay the same. */
+const CODE_MASK_CHARACTER = "\uE000";
+
+/**
+ * Finds the code spans, fenced code blocks, links, and emphasis in the text. Emphasis and links inside code do not
+ * count.
+ * @param {string} text Markdown text to scan.
+ * @returns {Array<[number, number]>} Start and end offsets of each range.
+ */
+function findMarkdownRanges(text) {
+    /** @type {Array<[number, number]>} */
+    const markdownRanges = [];
+    const maskedText = text.replace(CODE_PATTERN, (codeText, _marker, offset) => {
+        markdownRanges.push([offset, offset + codeText.length]);
+        return CODE_MASK_CHARACTER.repeat(codeText.length);
+    });
+    for (const syntaxPattern of [
+        LINK_PATTERN,
+        REFERENCE_LINK_PATTERN,
+        AUTOLINK_PATTERN,
+        STRONG_PATTERN,
+        STRIKETHROUGH_PATTERN,
+        ASTERISK_EMPHASIS_PATTERN
+    ]) {
+        for (const syntaxMatch of maskedText.matchAll(syntaxPattern)) {
+            const matchIndex = syntaxMatch.index ?? 0;
+            markdownRanges.push([matchIndex, matchIndex + syntaxMatch[0].length]);
+        }
+    }
+    for (const emphasisMatch of maskedText.matchAll(UNDERSCORE_EMPHASIS_PATTERN)) {
+        const emphasisStart = (emphasisMatch.index ?? 0) + emphasisMatch[1].length;
+        markdownRanges.push([emphasisStart, (emphasisMatch.index ?? 0) + emphasisMatch[0].length]);
+    }
+    return markdownRanges;
+}
+
+/**
+ * Determines whether the text opens a fenced code block that it does not close.
+ * @param {string} text Paragraph or section text.
+ * @returns {boolean}
+ */
+function hasOpenFence(text) {
+    return (text.match(FENCE_MARKER_PATTERN) ?? []).length % 2 === 1;
+}
+
+/**
+ * Converts a post from Markdown to plain text. Code stays as written, emphasis marks and heading markers are removed,
+ * list markers become the bullet of the rules, and links follow the link template of the rules.
+ * @param {string} text Markdown text of one post.
+ * @param {import("../types.d.js").MarkdownRenderRules} rules Conversion rules of the platform.
+ * @returns {string} Plain text.
+ */
+function renderMarkdown(text, rules) {
+    /** @type {string[]} */
+    const protectedTexts = [];
+    /**
+     * @param {string} protectedText Text that later replacements must not change.
+     * @returns {string} Marker that holds the index of the text.
+     */
+    const protect = (protectedText) => {
+        protectedTexts.push(protectedText);
+        return `\uE000${protectedTexts.length - 1}\uE001`;
+    };
+    /**
+     * @param {string} markedText Text with markers.
+     * @returns {string} Text with the protected texts back in place.
+     */
+    const restore = (markedText) =>
+        markedText.replace(PROTECTED_TEXT_PATTERN, (_marker, index) => restore(protectedTexts[Number(index)]));
+
+    const renderedText = text
+        .replace(CODE_PATTERN, (codeText) => protect(codeText))
+        .replace(ESCAPE_PATTERN, (_escape, character) => protect(character))
+        .replace(LINK_PATTERN, (_link, linkText, url) => {
+            if (url.length === 0) {
+                return linkText;
+            }
+            return linkText.length === 0 || linkText === url
+                ? protect(url)
+                : templateHelpers.interpolate(rules.linkTemplate, { text: linkText, url: protect(url) });
+        })
+        .replace(AUTOLINK_PATTERN, (_autolink, url) => protect(url))
+        .replace(HEADING_MARKER_PATTERN, "")
+        .replace(BULLET_MARKER_PATTERN, (_bullet, indent) => `${indent}${protect(rules.bulletMarker)}`)
+        .replace(STRONG_PATTERN, "$2")
+        .replace(STRIKETHROUGH_PATTERN, "$1")
+        .replace(ASTERISK_EMPHASIS_PATTERN, "$1")
+        .replace(UNDERSCORE_EMPHASIS_PATTERN, "$1$2");
+    return restore(renderedText);
+}
+
+export const markdownSyntaxHelpers = Object.freeze({
+    findMarkdownRanges,
+    hasOpenFence,
+    renderMarkdown
+});
@@ -3,7 +3,7 @@
  * @fileoverview Helper utilities for translating placeholder-based rich text into renderable output.
  */
 
-import { PLACEHOLDER_TOKENS, TEXT_CONTENT } from "../constants.js";
+import { CHUNK_ATTRIBUTE_NAMES, DEFAULT_MAXIMUM_IMAGES_PER_POST, PLACEHOLDER_TOKENS, TEXT_CONTENT } from "../constants.js";
 import { templateHelpers } from "../utils/templates.js";
 
 /** @type {RegExp} */
@@ -109,72 +109,164 @@ function translatePlaceholderText(placeholderText, imageRecords) {
 }
 
 /**
- * Creates a text chunk representation from the provided segment string.
+ * Creates the image element markup for an image. An image without a description gets an empty alt attribute.
+ * @param {{ dataUrl: string, altText: string }} image Image with its data URL and description.
+ * @returns {string}
+ */
+function createImageMarkup(image) {
+    const sanitizedSource = templateHelpers.escapeHtml(image.dataUrl);
+    const sanitizedAlt = templateHelpers.escapeHtml(image.altText);
+    return `<img src="${sanitizedSource}" alt="${sanitizedAlt}" draggable="false">`;
+}
+
+/**
+ * Creates a text chunk representation from the provided segment string. Attached images render as a media grid
+ * after the text and go to the clipboard with it.
  * @param {string} textSegment Segment of text without inline image placeholders.
+ * @param {import("../types.d.js").ChunkImage[]} [attachedImages] Images attached to the text.
  * @returns {import("../types.d.js").ChunkContent}
  */
-function createTextChunk(textSegment) {
+function createTextChunk(textSegment, attachedImages = []) {
     const htmlContent = convertTextSegmentToHtml(textSegment);
+    if (attachedImages.length === 0) {
+        return {
+            variant: "text",
+            plainText: textSegment,
+            htmlContent,
+            clipboardHtml: htmlContent,
+            statisticsText: textSegment
+        };
+    }
+    const imageMarkup = attachedImages.map(createImageMarkup).join("");
     return {
         variant: "text",
         plainText: textSegment,
-        htmlContent,
-        clipboardHtml: htmlContent,
-        statisticsText: textSegment
+        htmlContent: `${htmlContent}<div class="chunkMediaGrid" ${CHUNK_ATTRIBUTE_NAMES.IMAGE_COUNT}="${attachedImages.length}">${imageMarkup}</div>`,
+        clipboardHtml: `${htmlContent}${imageMarkup}`,
+        statisticsText: textSegment,
+        images: attachedImages
     };
 }
 
 /**
  * Creates an image chunk representation for the supplied image record.
- * @param {import("../types.d.js").RichTextImage} imageRecord Image metadata captured from the editor.
+ * @param {{ dataUrl: string, altText: string }} imageRecord Image metadata captured from the editor.
  * @returns {import("../types.d.js").ChunkContent}
  */
 function createImageChunk(imageRecord) {
-    const altText = imageRecord.altText || TEXT_CONTENT.PASTED_IMAGE_ALT;
-    const sanitizedAlt = templateHelpers.escapeHtml(altText);
-    const htmlMarkup = `<img src="${imageRecord.dataUrl}" alt="${sanitizedAlt}" draggable="false">`;
+    const htmlMarkup = createImageMarkup(imageRecord);
     return {
         variant: "image",
         plainText: "",
         htmlContent: htmlMarkup,
         clipboardHtml: htmlMarkup,
-        imageDataUrl: imageRecord.dataUrl
+        imageDataUrl: imageRecord.dataUrl,
+        altText: imageRecord.altText
     };
 }
 
 /**
- * Generates rich chunk content from placeholder-based text.
+ * Creates an image chunk for each image attached to a text chunk, with the source span of the image and the post
+ * index of the text chunk. Exports use them, so attached images appear the same way as separate image chunks.
+ * @param {import("../types.d.js").ChunkContent} textChunk Text chunk.
+ * @returns {import("../types.d.js").ChunkContent[]}
+ */
+function createAttachedImageChunks(textChunk) {
+    return (textChunk.images ?? []).map((image) => ({
+        ...createImageChunk(image),
+        sourceStart: image.sourceStart,
+        sourceEnd: image.sourceEnd,
+        postIndex: textChunk.postIndex
+    }));
+}
+
+/**
+ * Generates rich chunk content from placeholder-based text. Images attach to the text, up to the maximum; the
+ * remaining images, and the images of text without words, become separate image chunks.
  * @param {string} placeholderText Text containing placeholder tokens representing images.
  * @param {import("../types.d.js").RichTextImage[]} imageRecords Image metadata ordered as encountered in the editor.
+ * @param {number} [maximumImages] Most images attached to the text.
  * @returns {import("../types.d.js").ChunkContent[]} Renderable chunk representations.
  */
-function buildChunkContent(placeholderText, imageRecords) {
+function buildChunkContent(placeholderText, imageRecords, maximumImages = DEFAULT_MAXIMUM_IMAGES_PER_POST) {
     const translation = translatePlaceholderText(placeholderText, imageRecords);
-
-    /** @type {import("../types.d.js").ChunkContent[]} */
-    const chunkSegments = [];
-
-    if (translation.textWithoutImages.length > 0) {
-        chunkSegments.push(createTextChunk(translation.textWithoutImages));
+    if (translation.textWithoutImages.length === 0) {
+        return translation.matchedImages.map(createImageChunk);
     }
+    const attachedImages = translation.matchedImages
+        .slice(0, maximumImages)
+        .map((imageRecord) => ({ dataUrl: imageRecord.dataUrl, altText: imageRecord.altText }));
+    return [createTextChunk(translation.textWithoutImages, attachedImages)].concat(
+        translation.matchedImages.slice(maximumImages).map(createImageChunk)
+    );
+}
 
-    translation.matchedImages.forEach((imageRecord) => {
-        chunkSegments.push(createImageChunk(imageRecord));
-    });
-    return chunkSegments;
+/**
+ * Lists the words of a post text where the post can split. The first word and image placeholders are not split points.
+ * @param {string} postText Post text without labels.
+ * @returns {import("../types.d.js").ChunkSplitPoint[]} Split points in text order.
+ */
+function findSplitPoints(postText) {
+    return Array.from(postText.matchAll(/\S+/g))
+        .slice(1)
+        .map((wordMatch) => ({
+            label: wordMatch[0].replace(createPlaceholderPattern(), ""),
+            textOffset: wordMatch.index ?? 0
+        }))
+        .filter((splitPoint) => splitPoint.label.length > 0);
 }
 
 /**
- * Builds chunk content objects for the provided placeholder chunks.
- * @param {string[]} placeholderChunks Ordered chunk strings containing placeholder tokens.
+ * Builds chunk content objects for the provided chunk descriptors. Each content has the source span that it came
+ * from: text contents use the span of the chunk, and image contents use the span of their placeholder token. Text
+ * contents also have the source text without labels, so that they can be edited in place, and the words where their
+ * post can split. Every content has the index of its post. The images of a post attach to its text content, up to
+ * the maximum of the platform; the remaining images, and the images of a post without text, become separate image
+ * contents.
+ * @param {import("../types.d.js").ChunkDescriptor[]} chunkDescriptors Ordered chunk descriptors with placeholder tokens.
  * @param {import("../types.d.js").RichTextImage[]} imageRecords Image metadata ordered as encountered in the editor.
+ * @param {number} [maximumImages] Most images attached to the text of a post.
  * @returns {import("../types.d.js").ChunkContent[]} Chunk representations with text and HTML content.
  */
-function buildChunkContents(placeholderChunks, imageRecords) {
+function buildChunkContents(chunkDescriptors, imageRecords, maximumImages = DEFAULT_MAXIMUM_IMAGES_PER_POST) {
     /** @type {import("../types.d.js").ChunkContent[]} */
     const renderableChunks = [];
-    placeholderChunks.forEach((chunk) => {
-        renderableChunks.push(...buildChunkContent(chunk, imageRecords));
+    const imageLookup = createImageLookup(imageRecords);
+    chunkDescriptors.forEach((chunkDescriptor, postIndex) => {
+        const translation = translatePlaceholderText(chunkDescriptor.text, imageRecords);
+        /** @type {import("../types.d.js").ChunkImage[]} */
+        const postImages = [];
+        chunkDescriptor.imagePlaceholders.forEach((imagePlaceholder) => {
+            const imageRecord = imageLookup.get(imagePlaceholder.token);
+            if (imageRecord !== undefined) {
+                postImages.push({
+                    dataUrl: imageRecord.dataUrl,
+                    altText: imageRecord.altText,
+                    sourceStart: imagePlaceholder.sourceStart,
+                    sourceEnd: imagePlaceholder.sourceEnd
+                });
+            }
+        });
+        const hasText = translation.textWithoutImages.length > 0;
+        const attachedCount = hasText ? maximumImages : 0;
+        if (hasText) {
+            renderableChunks.push({
+                ...createTextChunk(translation.textWithoutImages, postImages.slice(0, attachedCount)),
+                sourceStart: chunkDescriptor.sourceStart,
+                sourceEnd: chunkDescriptor.sourceEnd,
+                editableText: translatePlaceholderText(chunkDescriptor.sourceText, imageRecords).textWithoutImages,
+                postIndex,
+                splitPoints: findSplitPoints(chunkDescriptor.baseText)
+            });
+        }
+        postImages.slice(attachedCount).forEach((postImage) => {
+            renderableChunks.push({
+                ...createImageChunk(postImage),
+                sourceStart: postImage.sourceStart,
+                sourceEnd: postImage.sourceEnd,
+                postIndex
+            });
+        });
     });
     return renderableChunks;
 }
@@ -201,6 +293,9 @@ function createPlaceholderToken(imageIndex) {
 export const richTextHelpers = Object.freeze({
     buildChunkContent,
     buildChunkContents,
+    createAttachedImageChunks,
+    convertTextSegmentToHtml,
     extractPlainText,
-    createPlaceholderToken
+    createPlaceholderToken,
+    createPlaceholderPattern
 });
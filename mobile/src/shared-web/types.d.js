@@ -11,18 +11,165 @@
  * @property {number} paragraphs Total number of paragraphs contained in the chunk.
  */
 
+/**
+ * @typedef {"characters" | "twitter" | "graphemes" | "mastodon"} LengthCounterIdentifier
+ */
+
+/**
+ * @typedef {"auto" | "en" | "de" | "es" | "fr" | "zh" | "ja" | "ar" | "hi"} SentenceLocaleIdentifier
+ */
+
+/**
+ * @typedef {"plainText" | "markdown"} InputModeIdentifier
+ */
+
+/**
+ * @typedef {"x" | "bluesky" | "mastodon" | "threads"} PreviewPlatformIdentifier
+ */
+
+/**
+ * @typedef {Exclude<SentenceLocaleIdentifier, "auto">} ResolvedSentenceLocaleIdentifier
+ */
+
+/**
+ * @typedef {Object} SentenceLocaleRules
+ * @property {ReadonlySet<string>} strictAbbreviations Lowercase abbreviations that never end a sentence.
+ * @property {ReadonlySet<string>} flexibleAbbreviations Lowercase abbreviations that end a sentence only before a capitalized word.
+ */
+
+/**
+ * @typedef {Object} ChunkingDictionary
+ * @property {ReadonlyArray<string>} abbreviations User abbreviations that never end a sentence.
+ * @property {ReadonlyArray<string>} protectedPhrases Phrases that are never split across posts.
+ */
+
+/**
+ * @typedef {"url" | "email" | "mention" | "hashtag" | "cashtag"} TextEntityKind
+ */
+
+/**
+ * @typedef {Object} TextEntity
+ * @property {TextEntityKind} kind Kind of entity.
+ * @property {string} text Entity text as it appears in the source.
+ * @property {number} start Offset of the first character.
+ * @property {number} end Offset after the last character.
+ */
+
+/**
+ * @typedef {"parentheses" | "fraction" | "openFraction" | "threadEmoji" | "brackets" | "custom"} EnumerationStyleIdentifier
+ */
+
+/**
+ * @typedef {"prefix" | "suffix"} EnumerationPositionIdentifier
+ */
+
+/**
+ * @typedef {Object} EnumerationFormat
+ * @property {EnumerationStyleIdentifier} style Label style added to each chunk.
+ * @property {EnumerationPositionIdentifier} position Whether the label goes before or after the chunk text.
+ * @property {boolean} skipFirst Leaves the first chunk without a label. Later chunks keep their absolute numbers.
+ * @property {string} customTemplate Label template of the custom style. It must contain {current} and can contain {total}.
+ */
+
+/**
+ * @typedef {Object} ThreadDecorations
+ * @property {string} openerPrefix Text added before the first post, such as 🧵. Empty when off.
+ * @property {string} continuationSuffix Text added after every post except the last, such as … or 👇. Empty when off.
+ * @property {string} footer Text added on its own lines after the last post, such as hashtags or a link. Empty when off.
+ */
+
+/**
+ * @typedef {Object} ChunkLabelOptions
+ * @property {boolean} enumerate Flag indicating whether chunks should be enumerated.
+ * @property {EnumerationFormat} [enumerationFormat] Label style and position used when enumerating.
+ * @property {ThreadDecorations} [threadDecorations] Opener, continuation, and footer text. Defaults to none.
+ */
+
+/**
+ * @typedef {Object} LabelOverheads
+ * @property {number} first Length that labels add to the first chunk.
+ * @property {number} middle Largest length that labels add to a chunk between the first and the last.
+ * @property {number} last Length that labels add to the last chunk.
+ */
+
+/**
+ * @typedef {Object} MarkdownRenderRules
+ * @property {string} linkTemplate Plain text of a Markdown link. It can contain {text} and {url}.
+ * @property {string} bulletMarker Marker, with its trailing space, that replaces the marker of each list item.
+ */
+
+/**
+ * @typedef {Object} MarkdownRenderOptions
+ * @property {InputModeIdentifier} [inputMode] Syntax of the draft. In Markdown mode, code, links, and emphasis are never split. Defaults to plain text.
+ * @property {boolean} [renderMarkdown] Converts each Markdown post to plain text. Limits apply to the Markdown text, so converted posts stay within them. Defaults to keeping the Markdown.
+ * @property {MarkdownRenderRules} [markdownRules] Conversion rules of the platform. Defaults to the rules of a custom length.
+ */
+
+/**
+ * @typedef {ChunkLabelOptions & MarkdownRenderOptions} PostTextOptions
+ */
+
+/**
+ * @typedef {Object} KeyValueStorage
+ * @property {(key: string) => string | null} getItem Reads a stored value or null when absent.
+ * @property {(key: string, value: string) => void} setItem Writes a value.
+ */
+
 /**
  * @typedef {Object} ThreadingOptions
  * @property {number} maximumLength Maximum number of characters allowed per chunk.
  * @property {boolean} breakOnSentences Flag indicating whether chunking respects sentence boundaries.
  * @property {boolean} enumerate Flag indicating whether chunks should be enumerated.
+ * @property {EnumerationFormat} [enumerationFormat] Label style and position used when enumerating. Defaults to "text (1/7)".
+ * @property {ThreadDecorations} [threadDecorations] Opener, continuation, and footer text counted in the limit. Defaults to none.
  * @property {boolean} breakOnParagraphs Flag indicating whether the algorithm should break on paragraph boundaries.
+ * @property {boolean} [balanceChunks] Spreads text across the same number of chunks so that chunk lengths are as even as possible. Defaults to filling each chunk to the limit.
+ * @property {boolean} [preserveLineBreaks] Keeps line breaks and list lines inside chunks, and only blank lines separate paragraphs. Defaults to joining lines with spaces.
+ * @property {LengthCounterIdentifier} [lengthCounter] Platform counting rules used to measure chunk length. Defaults to grapheme clusters.
+ * @property {SentenceLocaleIdentifier} [sentenceLocale] Language whose sentence rules apply. Defaults to detection from the text.
+ * @property {ChunkingDictionary} [dictionary] User abbreviations and protected phrases. Defaults to an empty dictionary.
+ * @property {InputModeIdentifier} [inputMode] Syntax of the draft. In Markdown mode, code, links, and emphasis are never split. Defaults to plain text.
+ * @property {boolean} [renderMarkdown] Converts each Markdown post to plain text. Limits apply to the Markdown text, so converted posts stay within them. Defaults to keeping the Markdown.
+ * @property {MarkdownRenderRules} [markdownRules] Conversion rules of the platform. Defaults to the rules of a custom length.
  */
 
 /**
  * @typedef {Object} PresetDefinition
  * @property {number} length Maximum character length represented by the preset.
  * @property {string} label Display label presented to the user.
+ * @property {LengthCounterIdentifier} lengthCounter Counting rules the platform applies to the length limit.
+ * @property {MarkdownRenderRules} markdownRules Rules that convert Markdown posts to the plain text of the platform.
+ * @property {PreviewPlatformIdentifier} previewPlatform Platform whose mockup the thread preview shows.
+ * @property {number} maximumImages Most images that the platform attaches to one post.
+ */
+
+/**
+ * @typedef {Object} PreviewPlatformDefinition
+ * @property {string} label Platform name shown in the preview.
+ * @property {string} handle Placeholder handle of the author.
+ * @property {LengthCounterIdentifier} lengthCounter Counting rules used to find where the text collapses.
+ * @property {number | null} truncationLength Length after which the platform collapses the text, or null when it shows all text.
+ * @property {string} showMoreLabel Label of the control that expands collapsed text.
+ * @property {boolean} hasReplyConnector Whether a line connects the avatars of the posts of a thread.
+ * @property {"grid" | "carousel"} mediaLayout How the images of a post are arranged.
+ * @property {"first" | "last"} linkCardPosition Which link of a post without images gets a link card.
+ * @property {ReadonlyArray<string>} actionLabels Labels of the action row under each post.
+ */
+
+/**
+ * @typedef {Object} PreviewImage
+ * @property {string} dataUrl Data URL of the image.
+ * @property {string} altText Description of the image.
+ */
+
+/**
+ * @typedef {Object} PreviewPost
+ * @property {number} postIndex Zero-based index of the post.
+ * @property {string} text Full text of the post.
+ * @property {string} visibleText Text shown before "Show more"; the full text when the post does not collapse.
+ * @property {boolean} isTruncated Whether the platform collapses the text.
+ * @property {PreviewImage[]} images Images attached to the post, in order.
+ * @property {{ url: string, domain: string } | null} linkCard Link that gets a card, or null.
  */
 
 /**
@@ -30,7 +177,18 @@
  * @property {number | null} activeLength Currently selected maximum chunk length when a preset or custom value is active.
  * @property {boolean} breakOnSentences Flag capturing the UI state for sentence preservation.
  * @property {boolean} enumerate Flag capturing the UI state for enumerating chunks.
+ * @property {EnumerationFormat} enumerationFormat Enumeration format loaded from storage.
+ * @property {ThreadDecorations} threadDecorations Thread decorations loaded from storage.
  * @property {boolean} breakOnParagraphs Flag capturing the UI state for paragraph preservation.
+ * @property {boolean} balanceChunks Flag capturing the UI state for balanced chunk lengths.
+ * @property {boolean} preserveLineBreaks Flag capturing the UI state for preserved line breaks.
+ * @property {InputModeIdentifier} inputMode Syntax of the draft selected in the UI.
+ * @property {boolean} renderMarkdown Flag capturing the UI state for converting Markdown posts to plain text.
+ * @property {MarkdownRenderRules} markdownRules Markdown conversion rules of the active preset or custom length.
+ * @property {number} maximumImages Most images attached to one post on the active preset or custom length.
+ * @property {LengthCounterIdentifier} lengthCounter Counting rules of the active preset or custom length.
+ * @property {SentenceLocaleIdentifier} sentenceLocale Language selected for sentence boundary detection.
+ * @property {ChunkingDictionary} dictionary User abbreviations and protected phrases loaded from storage.
  * @property {number} copySequenceNumber Incremental counter used to mark copied chunks.
  */
 
@@ -41,6 +199,14 @@
  * @property {string} altText Accessible description associated with the image.
  */
 
+/**
+ * @typedef {Object} ChunkImage
+ * @property {string} dataUrl Data URL of the image.
+ * @property {string} altText Description of the image.
+ * @property {number} [sourceStart] Start offset of the placeholder token of the image in the source text.
+ * @property {number} [sourceEnd] End offset, exclusive, of the placeholder token.
+ */
+
 /**
  * @typedef {Object} RichTextDocument
  * @property {string} placeholderText Text content with placeholder tokens substituted for inline images.
@@ -59,7 +225,160 @@
  * @property {string} htmlContent HTML markup used when rendering the chunk in the UI.
  * @property {string} [clipboardHtml] Optional HTML fragment used when copying the chunk to the clipboard.
  * @property {string} [imageDataUrl] Optional data URL used when copying image chunks to the clipboard.
+ * @property {string} [altText] Description of the image of an image chunk.
+ * @property {ChunkImage[]} [images] Images attached to a text chunk. They render as a media grid and copy with the text.
  * @property {string} [statisticsText] Optional text used when calculating statistics for the chunk.
+ * @property {number} [sourceStart] Start offset of the source text that the chunk came from. Image chunks use the placeholder token.
+ * @property {number} [sourceEnd] End offset, exclusive, of the source text that the chunk came from.
+ * @property {string} [editableText] Source text of a text chunk without labels or images, used for inline edits.
+ * @property {number} [postIndex] Zero-based index of the post that the chunk belongs to.
+ * @property {ChunkSplitPoint[]} [splitPoints] Words of a text chunk where its post can split.
+ */
+
+/**
+ * @typedef {Object} ChunkSplitPoint
+ * @property {string} label Word that starts the second post.
+ * @property {number} textOffset Offset of the word in the post text without labels.
+ */
+
+/**
+ * @typedef {Object} ChunkImagePlaceholder
+ * @property {string} token Image placeholder token found in the source text.
+ * @property {number} sourceStart Start offset of the token in the source text.
+ * @property {number} sourceEnd End offset, exclusive, of the token in the source text.
+ */
+
+/**
+ * @typedef {Object} ChunkDescriptor
+ * @property {string} text Final chunk text, with enumeration labels and thread decorations.
+ * @property {string} baseText Chunk text without enumeration labels and thread decorations.
+ * @property {string} sourceText Raw text of the source span, without labels.
+ * @property {number} sourceStart Start offset of the source text that the chunk came from.
+ * @property {number} sourceEnd End offset, exclusive, of the source text that the chunk came from. Labels are not part of the span.
+ * @property {ChunkImagePlaceholder[]} imagePlaceholders Image placeholders inside the source span.
+ */
+
+/**
+ * @typedef {Object} ChunkCache
+ * @property {Map<string, string[]>} previous Chunks of each text unit from the previous run.
+ * @property {Map<string, string[]>} current Chunks of each text unit that the current run used.
+ */
+
+/**
+ * @typedef {Object} ChunkingRequest
+ * @property {string} rawText Placeholder text to chunk.
+ * @property {ThreadingOptions} options Threading configuration flags.
+ * @property {PostLayoutEntry[]} pinnedPosts Pinned posts in source order.
+ */
+
+/**
+ * @typedef {Object} ChunkingWorkerRequest
+ * @property {number} requestId Sequence number of the request.
+ * @property {string} rawText Placeholder text to chunk.
+ * @property {ThreadingOptions} options Threading configuration flags.
+ * @property {PostLayoutEntry[]} pinnedPosts Pinned posts in source order.
+ */
+
+/**
+ * @typedef {Object} ChunkingWorkerResponse
+ * @property {number} requestId Sequence number of the request.
+ * @property {ChunkDescriptor[]} [chunkDescriptors] Chunk descriptors when chunking succeeds.
+ * @property {string} [errorMessage] Error message when chunking fails.
+ */
+
+/**
+ * @typedef {Object} PostBoundary
+ * @property {number} sourceStart Start offset of the post in the snapshot placeholder text.
+ * @property {number} sourceEnd End offset, exclusive, of the post in the snapshot placeholder text.
+ * @property {number} characters Length of the post, with labels, measured with the active counter.
+ * @property {number} maximumLength Character limit of the post.
+ */
+
+/**
+ * @typedef {Object} ChunkInteractionHandlers
+ * @property {(chunk: ChunkContent | null) => void} onHighlight Highlights the source of the chunk, or clears the highlight when the chunk is null.
+ * @property {(chunk: ChunkContent) => void} onReveal Scrolls the editor to the source of the chunk.
+ * @property {(chunk: ChunkContent, editedText: string) => void} onEdit Writes the edited text of the chunk to its source span.
+ * @property {(chunk: ChunkContent) => void} onMerge Merges the post of the chunk with the next post.
+ * @property {(chunk: ChunkContent, textOffset: number) => void} onSplit Splits the post of the chunk at the offset in its text.
+ * @property {(chunk: ChunkContent, targetPostIndex: number) => void} onMove Moves the post of the chunk to another position.
+ * @property {() => void} onResetLayout Removes the manual post layout.
+ * @property {(chunk: ChunkContent) => void} onTogglePin Pins the post of the chunk, or unpins it.
+ * @property {() => void} onCopyNext Copies the first chunk that is not copied yet.
+ * @property {(formatIdentifier: ExportFormatIdentifier, action: ExportAction) => void} onExport Copies or downloads the whole thread in an export format.
+ * @property {() => void} onDownloadBundle Downloads the thread as a ZIP file with post files, images, and a manifest.
+ */
+
+/**
+ * @typedef {"plainText" | "markdown" | "html" | "json" | "csv"} ExportFormatIdentifier
+ */
+
+/**
+ * @typedef {"copy" | "download"} ExportAction
+ */
+
+/**
+ * @typedef {"markdown" | "plainText" | "html"} DraftFormatIdentifier
+ */
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} fileName Path of the file inside the archive.
+ * @property {Uint8Array} data File content.
+ */
+
+/**
+ * @typedef {Object} ThreadBundleImage
+ * @property {string} file Path of the image file inside the bundle.
+ * @property {string} mimeType Image type from the data URL.
+ * @property {string} altText Image description.
+ */
+
+/**
+ * @typedef {Object} ThreadBundlePost
+ * @property {number} post Position of the post in the thread, starting at 1.
+ * @property {string} file Path of the text file of the post inside the bundle.
+ * @property {number} characters Length of the post as the platform counts it.
+ * @property {number} words Word count of the post.
+ * @property {number} sentences Sentence count of the post.
+ * @property {ThreadBundleImage[]} images Images of the post in order.
+ */
+
+/**
+ * @typedef {Object} ThreadBundleManifest
+ * @property {ThreadingOptions} options Options that produced the thread.
+ * @property {ThreadBundlePost[]} posts Posts in thread order.
+ */
+
+/**
+ * @typedef {Object} ChunkListItem
+ * @property {ChunkContent} chunk Chunk that the item shows.
+ * @property {number | null} copyOrder Copy order of the chunk when the thread rendered, or null when it is not copied.
+ * @property {ReadonlyArray<string | number | boolean | null>} signature Values that the chunk node depends on.
+ * @property {string} contentHash Hash of the signature. Keys the node for reuse in the next render.
+ * @property {number} height Measured or estimated height of the item in pixels, with its margin.
+ * @property {HTMLDivElement | null} containerElement Chunk node, or null until the item first becomes visible.
+ */
+
+/**
+ * @typedef {Object} PostLayoutEntry
+ * @property {string} text Post text without enumeration labels and thread decorations.
+ * @property {number} sourceStart Start offset of the post in the source text.
+ * @property {number} sourceEnd End offset, exclusive, of the post in the source text.
+ */
+
+/**
+ * @typedef {Object} PostLayout
+ * @property {string} sourceText Placeholder text that the layout belongs to.
+ * @property {PostLayoutEntry[]} posts Posts in thread order.
+ */
+
+/**
+ * @typedef {Object} ThreadLayout
+ * @property {PostBoundary[]} postBoundaries Length and limit of each post, in thread order.
+ * @property {boolean} isManual Whether the posts come from a manual layout.
+ * @property {boolean[]} mergeablePosts Whether each post can merge with the next post.
+ * @property {boolean[]} pinnedPosts Whether each post is pinned.
  */
 
 /**
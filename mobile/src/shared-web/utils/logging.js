@@ -0,0 +1,99 @@
+// @ts-check
+/**
+ * @fileoverview Provides a thin wrapper around console logging to centralize diagnostics.
+ */
+
+import { LOG_MESSAGES } from "../constants.js";
+
+/**
+ * Logging adapter that scopes console output and ensures consistent formatting.
+ */
+class LoggingAdapter {
+    /**
+     * @param {string} prefix Namespace label used to prepend log statements.
+     */
+    constructor(prefix) {
+        this.prefix = prefix;
+    }
+
+    /**
+     * Reports unexpected errors.
+     * @param {string} message Descriptive message sourced from constants.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportError(message, error) {
+        // eslint-disable-next-line no-console
+        console.error(`${this.prefix} ${message}`, error);
+    }
+}
+
+export const loggingAdapter = new LoggingAdapter("[SocialThreader]");
+
+/**
+ * Exposes pre-baked helpers for the different error situations the UI handles.
+ */
+export const loggingHelpers = Object.freeze({
+    /**
+     * Logs copy-to-clipboard failures.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportCopyFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.COPY_FAILURE, error);
+    },
+
+    /**
+     * Logs failures to copy the whole thread in an export format.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportThreadExportFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.THREAD_EXPORT_FAILURE, error);
+    },
+
+    /**
+     * Logs failures to build the thread bundle.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportThreadBundleFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.THREAD_BUNDLE_FAILURE, error);
+    },
+
+    /**
+     * Logs chunking worker start failures.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportChunkingWorkerFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.CHUNKING_WORKER_FAILURE, error);
+    },
+
+    /**
+     * Logs error responses of the chunking worker.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportChunkingWorkerRunFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.CHUNKING_WORKER_RUN_FAILURE, error);
+    },
+
+    /**
+     * Logs chunking failures on the main thread.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportChunkingFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.CHUNKING_FAILURE, error);
+    },
+
+    /**
+     * Logs stored settings that cannot be read.
+     * @param {unknown} error Underlying error instance or value.
+     * @returns {void}
+     */
+    reportStoredSettingFailure(error) {
+        loggingAdapter.reportError(LOG_MESSAGES.STORED_SETTING_READ_FAILURE, error);
+    }
+});
@@ -4,13 +4,20 @@
  */
 
 import { chunkingService } from "./shared-web/core/chunking.js";
+import { dictionaryHelpers } from "./shared-web/core/dictionary.js";
+import { enumerationHelpers } from "./shared-web/core/enumeration.js";
 import { richTextHelpers } from "./shared-web/core/richText.js";
+import { threadDecorationHelpers } from "./shared-web/core/threadDecorations.js";
 import {
   APPEND_TO_END_OFFSET,
   buildContentSegments
 } from "./imageAnchors.js";
 import {
+  DEFAULT_ENUMERATION_FORMAT,
+  DEFAULT_LENGTH_COUNTER,
   DEFAULT_LENGTHS,
+  EMPTY_CHUNKING_DICTIONARY,
+  EMPTY_THREAD_DECORATIONS,
   MOBILE_COPY,
   PRESET_CONFIG,
   PRESET_IDENTIFIERS
@@ -35,7 +42,7 @@ export { updateImageRecordOffsets } from "./imageAnchors.js";
  */
 
 /**
- * @typedef {{ id: string; variant: "text"; plainText: string; statisticsText: string } | { id: string; variant: "image"; imageUri: string; imageBase64: string; altText: string; plainText: string }} MobileRenderableChunk
+ * @typedef {{ id: string; variant: "text"; plainText: string; statisticsText: string; sourceStart: number; sourceEnd: number } | { id: string; variant: "image"; imageUri: string; imageBase64: string; altText: string; plainText: string; sourceStart: number; sourceEnd: number }} MobileRenderableChunk
  */
 
 /**
@@ -67,10 +74,11 @@ export function parsePositiveLength(rawValue) {
 /**
  * Computes input statistics using the shared Social Threader engine.
  * @param {string} sourceText Text currently entered by the user.
+ * @param {import("./shared-web/types.d.js").LengthCounterIdentifier} [lengthCounter] Counting rules of the active preset.
  * @returns {import("./shared-web/types.d.js").ChunkStatistics}
  */
-export function calculateInputStatistics(sourceText) {
-  return chunkingService.calculateStatistics(sourceText);
+export function calculateInputStatistics(sourceText, lengthCounter = DEFAULT_LENGTH_COUNTER) {
+  return chunkingService.calculateStatistics(sourceText, lengthCounter);
 }
 
 /**
@@ -124,7 +132,7 @@ function normalizeClipboardBase64(rawBase64) {
 }
 
 /**
- * Creates a mobile image record from an Expo image-picker asset.
+ * Creates a mobile image record from an Expo image-picker asset. The record has no alt text until the user adds it.
  * @param {{ uri?: string; fileName?: string | null; assetId?: string | null; base64?: string | null } | null | undefined} imageAsset Expo image asset.
  * @param {number} imageIndex Zero-based image index.
  * @param {number} [sourceOffset] Source-text offset where the image was attached.
@@ -137,66 +145,64 @@ export function createImageRecord(imageAsset, imageIndex, sourceOffset = APPEND_
     return null;
   }
 
-  const rawAltText =
-    typeof imageAsset?.fileName === "string" && imageAsset.fileName.trim().length > 0
-      ? imageAsset.fileName.trim()
-      : MOBILE_COPY.ATTACHED_IMAGE_ALT;
-
   return {
     placeholderToken: richTextHelpers.createPlaceholderToken(imageIndex),
     dataUrl: imageUri,
-    altText: rawAltText,
+    altText: EMPTY_STRING,
     clipboardBase64,
     sourceOffset
   };
 }
 
-function createImageChunk(imageRecord, imageIndex) {
+function createImageChunk(imageRecord, imageIndex, sourceOffset) {
   return {
     id: `image-${imageIndex}`,
     variant: "image",
     imageUri: imageRecord.dataUrl,
     imageBase64: imageRecord.clipboardBase64,
     altText: imageRecord.altText,
-    plainText: EMPTY_STRING
+    plainText: EMPTY_STRING,
+    sourceStart: sourceOffset,
+    sourceEnd: sourceOffset
   };
 }
 
-function createTextChunk(chunkText, chunkIndex) {
-  const statistics = chunkingService.calculateStatistics(chunkText);
+function createTextChunk(chunkText, chunkIndex, lengthCounter, sourceStart, sourceEnd) {
+  const statistics = chunkingService.calculateStatistics(chunkText, lengthCounter);
   return {
     id: `text-${chunkIndex}`,
     variant: "text",
     plainText: chunkText,
-    statisticsText: formatChunkStatistics(statistics)
+    statisticsText: formatChunkStatistics(statistics),
+    sourceStart,
+    sourceEnd
   };
 }
 
-function enumerateTextChunk(chunkText, chunkIndex, totalChunks) {
-  return interpolateMobileTemplate(MOBILE_COPY.ENUMERATION_TEMPLATE, {
-    text: chunkText,
-    current: chunkIndex + 1,
-    total: totalChunks
-  });
-}
-
-function applyTextEnumeration(chunks) {
+function applyTextLabels(chunks, lengthCounter, labelOptions) {
   const totalTextChunks = chunks.filter((chunk) => chunk.variant === "text").length;
   let textChunkIndex = 0;
   return chunks.map((chunk) => {
     if (chunk.variant === "image") {
       return chunk;
     }
-    const enumeratedText = enumerateTextChunk(chunk.plainText, textChunkIndex, totalTextChunks);
+    const labelledText = threadDecorationHelpers.labelChunk(
+      chunk.plainText,
+      textChunkIndex,
+      totalTextChunks,
+      labelOptions
+    );
     textChunkIndex += 1;
-    return createTextChunk(enumeratedText, Number.parseInt(chunk.id.replace("text-", ""), 10));
+    return createTextChunk(
+      labelledText,
+      Number.parseInt(chunk.id.replace("text-", ""), 10),
+      lengthCounter,
+      chunk.sourceStart,
+      chunk.sourceEnd
+    );
   });
 }
 
-function getEnumerationOverhead(totalChunks) {
-  return enumerateTextChunk(EMPTY_STRING, totalChunks - 1, totalChunks).length;
-}
-
 function countTextChunks(chunks) {
   return chunks.filter((chunk) => chunk.variant === "text").length;
 }
@@ -206,24 +212,42 @@ function buildMobileChunksForMaximumLength({
   imageRecords,
   maximumLength,
   breakOnSentences,
-  breakOnParagraphs
+  breakOnParagraphs,
+  balanceChunks,
+  preserveLineBreaks,
+  lengthCounter,
+  dictionary
 }) {
   const chunks = [];
   let textChunkIndex = 0;
 
+  let consumedSourceOffset = 0;
   buildContentSegments(sourceText, imageRecords).forEach((segment) => {
     if (segment.variant === "image") {
-      chunks.push(createImageChunk(segment.imageRecord, segment.imageIndex));
+      chunks.push(createImageChunk(segment.imageRecord, segment.imageIndex, consumedSourceOffset));
       return;
     }
-    const textChunks = chunkingService.getChunks(segment.sourceText, {
+    consumedSourceOffset = segment.sourceStart + segment.sourceText.length;
+    const chunkDescriptors = chunkingService.getChunkDescriptors(segment.sourceText, {
       maximumLength,
       breakOnSentences,
       enumerate: false,
-      breakOnParagraphs
+      breakOnParagraphs,
+      balanceChunks,
+      preserveLineBreaks,
+      lengthCounter,
+      dictionary
     });
-    textChunks.forEach((chunkText) => {
-      chunks.push(createTextChunk(chunkText, textChunkIndex));
+    chunkDescriptors.forEach((chunkDescriptor) => {
+      chunks.push(
+        createTextChunk(
+          chunkDescriptor.text,
+          textChunkIndex,
+          lengthCounter,
+          segment.sourceStart + chunkDescriptor.sourceStart,
+          segment.sourceStart + chunkDescriptor.sourceEnd
+        )
+      );
       textChunkIndex += 1;
     });
   });
@@ -239,7 +263,13 @@ function buildMobileChunksForMaximumLength({
  * @param {number} params.maximumLength Selected maximum text length.
  * @param {boolean} params.breakOnSentences Whether sentence boundaries are preferred.
  * @param {boolean} params.enumerate Whether chunks should be enumerated.
+ * @param {import("./shared-web/types.d.js").EnumerationFormat} [params.enumerationFormat] Label style and position of enumerated chunks.
+ * @param {import("./shared-web/types.d.js").ThreadDecorations} [params.threadDecorations] Opener, continuation, and footer text.
  * @param {boolean} params.breakOnParagraphs Whether paragraphs should be split first.
+ * @param {boolean} [params.balanceChunks] Whether chunk lengths should be spread evenly.
+ * @param {boolean} [params.preserveLineBreaks] Whether line breaks and list lines stay inside chunks.
+ * @param {import("./shared-web/types.d.js").LengthCounterIdentifier} [params.lengthCounter] Platform counting rules for the limit.
+ * @param {import("./shared-web/types.d.js").ChunkingDictionary} [params.dictionary] User abbreviations and protected phrases.
  * @returns {MobileRenderableChunk[]}
  */
 export function buildMobileChunks({
@@ -248,15 +278,26 @@ export function buildMobileChunks({
   maximumLength,
   breakOnSentences,
   enumerate,
-  breakOnParagraphs
+  enumerationFormat = DEFAULT_ENUMERATION_FORMAT,
+  threadDecorations = EMPTY_THREAD_DECORATIONS,
+  breakOnParagraphs,
+  balanceChunks = false,
+  preserveLineBreaks = false,
+  lengthCounter = DEFAULT_LENGTH_COUNTER,
+  dictionary = EMPTY_CHUNKING_DICTIONARY
 }) {
-  if (!enumerate) {
+  const labelOptions = { enumerate, enumerationFormat, threadDecorations };
+  if (!threadDecorationHelpers.hasChunkLabels(labelOptions)) {
     return buildMobileChunksForMaximumLength({
       sourceText,
       imageRecords,
       maximumLength,
       breakOnSentences,
-      breakOnParagraphs
+      breakOnParagraphs,
+      balanceChunks,
+      preserveLineBreaks,
+      lengthCounter,
+      dictionary
     });
   }
 
@@ -269,15 +310,21 @@ export function buildMobileChunks({
       imageRecords,
       maximumLength: effectiveMaximumLength,
       breakOnSentences,
-      breakOnParagraphs
+      breakOnParagraphs,
+      balanceChunks,
+      preserveLineBreaks,
+      lengthCounter,
+      dictionary
     });
     const totalTextChunks = countTextChunks(chunks);
     if (totalTextChunks === 0) {
       return chunks;
     }
+    // Images split the text into segments, so every text chunk keeps room for the largest label.
+    const labelOverheads = threadDecorationHelpers.getLabelOverheads(totalTextChunks, lengthCounter, labelOptions);
     const nextEffectiveMaximumLength = Math.max(
       MINIMUM_POSITIVE_LENGTH,
-      maximumLength - getEnumerationOverhead(totalTextChunks)
+      maximumLength - Math.max(labelOverheads.first, labelOverheads.middle, labelOverheads.last)
     );
     if (nextEffectiveMaximumLength === effectiveMaximumLength) {
       break;
@@ -285,7 +332,73 @@ export function buildMobileChunks({
     effectiveMaximumLength = nextEffectiveMaximumLength;
   }
 
-  return applyTextEnumeration(chunks);
+  return applyTextLabels(chunks, lengthCounter, labelOptions);
+}
+
+/**
+ * Creates the persistent store of the user dictionary.
+ * @param {import("./shared-web/types.d.js").KeyValueStorage} storage Key-value storage of the device.
+ * @returns {ReturnType<typeof dictionaryHelpers.createDictionaryStore>}
+ */
+export function createMobileDictionaryStore(storage) {
+  return dictionaryHelpers.createDictionaryStore(storage);
+}
+
+/**
+ * Creates the persistent store of the enumeration format.
+ * @param {import("./shared-web/types.d.js").KeyValueStorage} storage Key-value storage of the device.
+ * @returns {ReturnType<typeof enumerationHelpers.createEnumerationFormatStore>}
+ */
+export function createMobileEnumerationFormatStore(storage) {
+  return enumerationHelpers.createEnumerationFormatStore(storage);
+}
+
+/**
+ * Creates the persistent store of the thread decorations.
+ * @param {import("./shared-web/types.d.js").KeyValueStorage} storage Key-value storage of the device.
+ * @returns {ReturnType<typeof threadDecorationHelpers.createThreadDecorationStore>}
+ */
+export function createMobileThreadDecorationStore(storage) {
+  return threadDecorationHelpers.createThreadDecorationStore(storage);
+}
+
+/**
+ * Builds thread decorations from the text of the decoration inputs.
+ * @param {string} openerPrefix Prefix of the first post.
+ * @param {string} continuationSuffix Suffix of every post except the last.
+ * @param {string} footer Footer of the last post.
+ * @returns {import("./shared-web/types.d.js").ThreadDecorations}
+ */
+export function createMobileThreadDecorations(openerPrefix, continuationSuffix, footer) {
+  return threadDecorationHelpers.createThreadDecorations(openerPrefix, continuationSuffix, footer);
+}
+
+/**
+ * Determines whether a custom enumeration template can number chunks.
+ * @param {string} template Custom label template.
+ * @returns {boolean}
+ */
+export function isValidEnumerationTemplate(template) {
+  return enumerationHelpers.isValidCustomTemplate(template);
+}
+
+/**
+ * Builds the user dictionary from the text of the dictionary inputs.
+ * @param {string} abbreviationText Abbreviations, one per line.
+ * @param {string} protectedPhraseText Protected phrases, one per line.
+ * @returns {import("./shared-web/types.d.js").ChunkingDictionary}
+ */
+export function createMobileDictionary(abbreviationText, protectedPhraseText) {
+  return dictionaryHelpers.createChunkingDictionary(abbreviationText, protectedPhraseText);
+}
+
+/**
+ * Formats dictionary entries for a dictionary input.
+ * @param {ReadonlyArray<string>} entries Dictionary entries.
+ * @returns {string}
+ */
+export function formatDictionaryText(entries) {
+  return dictionaryHelpers.formatDictionaryEntries(entries);
 }
 
 /**
@@ -320,6 +433,16 @@ export function presetLengthForIdentifier(presetIdentifier) {
   return presetDefinition ? presetDefinition.length : null;
 }
 
+/**
+ * Resolves the platform counting rules for the active preset; custom lengths count grapheme clusters.
+ * @param {string | null} presetIdentifier Active preset identifier, or null for a custom length.
+ * @returns {import("./shared-web/types.d.js").LengthCounterIdentifier}
+ */
+export function lengthCounterForPreset(presetIdentifier) {
+  const presetDefinition = presetIdentifier === null ? null : PRESET_CONFIG[presetIdentifier];
+  return presetDefinition ? presetDefinition.lengthCounter : DEFAULT_LENGTH_COUNTER;
+}
+
 /**
  * Creates the default active mobile preset.
  * @returns {{ identifier: string; length: number }}
@@ -9,6 +9,19 @@ function createNativeComponent(componentName) {
   return NativeComponent;
 }
 
+function createFocusableComponent(componentName) {
+  const FocusableComponent = React.forwardRef(function FocusableComponent(props, ref) {
+    const { children, ...restProps } = props;
+    React.useImperativeHandle(ref, () => ({
+      focus: () => undefined,
+      scrollTo: () => undefined
+    }));
+    return React.createElement(componentName, restProps, children);
+  });
+  FocusableComponent.displayName = componentName;
+  return FocusableComponent;
+}
+
 function flattenStyle(style) {
   if (!Array.isArray(style)) {
     return style || {};
@@ -35,12 +48,12 @@ module.exports = {
     openURL: () => Promise.resolve(true)
   },
   Pressable: createNativeComponent("Pressable"),
-  ScrollView: createNativeComponent("ScrollView"),
+  ScrollView: createFocusableComponent("ScrollView"),
   Share: {
     share: () => Promise.resolve({ action: "sharedAction" })
   },
   StyleSheet,
   Text: createNativeComponent("Text"),
-  TextInput: createNativeComponent("TextInput"),
+  TextInput: createFocusableComponent("TextInput"),
   View: createNativeComponent("View")
 };
@@ -4,7 +4,18 @@
  */
 
 import { chunkingService } from "../js/core/chunking.js";
-import { assertDeepEqual, assertEqual } from "./assert.js";
+import { lengthCounterHelpers } from "../js/core/lengthCounters.js";
+import { enumerationHelpers } from "../js/core/enumeration.js";
+import {
+    ENUMERATION_POSITIONS,
+    ENUMERATION_STYLE_IDENTIFIERS,
+    INPUT_MODE_IDENTIFIERS,
+    LENGTH_COUNTER_IDENTIFIERS,
+    PRESET_CONFIG,
+    PRESET_IDENTIFIERS,
+    SENTENCE_LOCALE_IDENTIFIERS
+} from "../js/constants.js";
+import { assertDeepEqual, assertEqual, assertThrows } from "./assert.js";
 
 /**
  * Executes chunking unit tests.
@@ -132,6 +143,774 @@ export async function runChunkingTests(runTest) {
         });
     }
 
+    const weightedCases = [
+        {
+            name: "keeps weighted twitter chunks within the limit when URLs are longer than 23 characters",
+            input: "Start here https://example.com/a/really/long/path/that/would/overflow/by/raw/length then finish.",
+            options: {
+                maximumLength: 40,
+                breakOnSentences: false,
+                enumerate: true,
+                breakOnParagraphs: false,
+                lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER
+            },
+            expected: [
+                "Start here https://example.com/a/really/long/path/that/would/overflow/by/raw/length (1/2)",
+                "then finish. (2/2)"
+            ]
+        },
+        {
+            name: "splits double-weight CJK text at half the raw character count",
+            input: "一二三四五六七八九十",
+            options: {
+                maximumLength: 10,
+                breakOnSentences: false,
+                enumerate: false,
+                breakOnParagraphs: false,
+                lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER
+            },
+            expected: ["一二三四五", "六七八九十"]
+        },
+        {
+            name: "packs grapheme-counted emoji into a single Bluesky-style chunk",
+            input: "👍🏽👍🏽👍🏽 done",
+            options: {
+                maximumLength: 8,
+                breakOnSentences: false,
+                enumerate: false,
+                breakOnParagraphs: false,
+                lengthCounter: LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES
+            },
+            expected: ["👍🏽👍🏽👍🏽 done"]
+        }
+    ];
+
+    for (const weightedCase of weightedCases) {
+        await runTest(weightedCase.name, () => {
+            const actualChunks = chunkingService.getChunks(weightedCase.input, weightedCase.options);
+            assertDeepEqual(actualChunks, weightedCase.expected, "weighted chunk output should match expectations");
+            const withinLimit = actualChunks.every(
+                (chunk) => chunkingService.measureLength(chunk, weightedCase.options.lengthCounter) <= weightedCase.options.maximumLength
+            );
+            assertEqual(withinLimit, true, "weighted chunks should respect the maximum length");
+        });
+    }
+
+    const graphemeCases = [
+        {
+            name: "keeps skin-tone emoji intact when a counter measures UTF-16 code units",
+            input: "👍🏽👍🏽👍🏽",
+            maximumLength: 5,
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.CHARACTERS,
+            expected: ["👍🏽", "👍🏽", "👍🏽"]
+        },
+        {
+            name: "keeps zero-width-joiner family sequences intact",
+            input: "👨‍👩‍👧👨‍👩‍👧👨‍👩‍👧",
+            maximumLength: 2,
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES,
+            expected: ["👨‍👩‍👧👨‍👩‍👧", "👨‍👩‍👧"]
+        },
+        {
+            name: "keeps regional indicator flag pairs intact",
+            input: "🇺🇦🇯🇵🇫🇷",
+            maximumLength: 2,
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES,
+            expected: ["🇺🇦🇯🇵", "🇫🇷"]
+        },
+        {
+            name: "keeps Devanagari conjuncts and vowel signs with their base consonant",
+            input: "नमस्ते",
+            maximumLength: 2,
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES,
+            expected: ["नम", "स्ते"]
+        },
+        {
+            name: "keeps combining accents with their base letter",
+            input: "e\u0301e\u0301e\u0301",
+            maximumLength: 3,
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.CHARACTERS,
+            expected: ["e\u0301", "e\u0301", "e\u0301"]
+        },
+        {
+            name: "keeps emoji within a word intact when the twitter counter splits it",
+            input: "go🚀🚀🚀🚀",
+            maximumLength: 5,
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER,
+            expected: ["go🚀", "🚀🚀", "🚀"]
+        }
+    ];
+
+    for (const graphemeCase of graphemeCases) {
+        await runTest(graphemeCase.name, () => {
+            const actualChunks = chunkingService.chunkByLength(
+                graphemeCase.input,
+                graphemeCase.maximumLength,
+                graphemeCase.lengthCounter
+            );
+            assertDeepEqual(actualChunks, graphemeCase.expected, "hard splits should fall on grapheme boundaries");
+            const chunkGraphemes = actualChunks.flatMap((chunk) => lengthCounterHelpers.segmentGraphemes(chunk));
+            assertDeepEqual(
+                chunkGraphemes,
+                lengthCounterHelpers.segmentGraphemes(graphemeCase.input),
+                "chunks should reassemble into the original grapheme sequence"
+            );
+        });
+    }
+
+    await runTest("counts user-perceived characters when no length counter is selected", () => {
+        const actualChunks = chunkingService.getChunks("Wave 👋🏽👋🏽", {
+            maximumLength: 7,
+            breakOnSentences: false,
+            enumerate: false,
+            breakOnParagraphs: false
+        });
+        assertDeepEqual(actualChunks, ["Wave 👋🏽👋🏽"], "default limits should count grapheme clusters");
+    });
+
+    const sentenceLocaleCases = [
+        {
+            name: "splits Japanese sentences that have no separating spaces",
+            input: "今日は晴れです。明日は雨でしょう！本当ですか？",
+            sentenceLocale: SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+            expected: ["今日は晴れです。", "明日は雨でしょう！", "本当ですか？"]
+        },
+        {
+            name: "splits Chinese sentences and keeps closing quotes with their sentence",
+            input: "他说：「我们走吧。」大家都同意了。",
+            sentenceLocale: SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+            expected: ["他说：「我们走吧。」", "大家都同意了。"]
+        },
+        {
+            name: "ends Arabic sentences at the Arabic question mark",
+            input: "هل أنت بخير؟ نعم، أنا بخير.",
+            sentenceLocale: SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+            expected: ["هل أنت بخير؟", "نعم، أنا بخير."]
+        },
+        {
+            name: "ends Hindi sentences at the danda",
+            input: "मैं घर जा रहा हूँ। तुम कहाँ हो?",
+            sentenceLocale: SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+            expected: ["मैं घर जा रहा हूँ।", "तुम कहाँ हो?"]
+        },
+        {
+            name: "treats inverted Spanish punctuation as a sentence opener and keeps Spanish titles attached",
+            input: "Hablé con el Sr. García ayer, etc. ¿Vienes mañana? Sí.",
+            sentenceLocale: SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+            expected: ["Hablé con el Sr. García ayer, etc.", "¿Vienes mañana?", "Sí."]
+        },
+        {
+            name: "keeps German abbreviations before capitalized nouns inside the sentence",
+            input: "Wir brauchen z.B. Äpfel und Birnen. Das ist bzw. war gut.",
+            sentenceLocale: SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+            expected: ["Wir brauchen z.B. Äpfel und Birnen.", "Das ist bzw. war gut."]
+        },
+        {
+            name: "applies the explicitly selected locale instead of the detected one",
+            input: "Wir brauchen z.B. Äpfel und Birnen.",
+            sentenceLocale: SENTENCE_LOCALE_IDENTIFIERS.ENGLISH,
+            expected: ["Wir brauchen z.B.", "Äpfel und Birnen."]
+        }
+    ];
+
+    for (const sentenceLocaleCase of sentenceLocaleCases) {
+        await runTest(sentenceLocaleCase.name, () => {
+            const wordsArray = chunkingService.splitIntoWordsPreservingPunctuation(sentenceLocaleCase.input);
+            const actualSentences = chunkingService.buildSentences(wordsArray, true, sentenceLocaleCase.sentenceLocale);
+            assertDeepEqual(actualSentences, sentenceLocaleCase.expected, "sentences should follow the locale rules");
+        });
+    }
+
+    await runTest("packs unspaced sentences into chunks without inserting spaces", () => {
+        const actualChunks = chunkingService.getChunks("今日は晴れです。明日は雨でしょう！本当ですか？", {
+            maximumLength: 16,
+            breakOnSentences: true,
+            enumerate: false,
+            breakOnParagraphs: false
+        });
+        assertDeepEqual(actualChunks, ["今日は晴れです。", "明日は雨でしょう！本当ですか？"], "CJK sentences should join directly");
+    });
+
+    await runTest("starts paragraphs after caseless sentences but not after strict abbreviations", () => {
+        const cjkStatistics = chunkingService.calculateStatistics("第一段。\n第二段。");
+        assertEqual(cjkStatistics.paragraphs, 2, "a CJK line after a full stop should start a paragraph");
+        const germanStatistics = chunkingService.calculateStatistics("Wir treffen Dr.\nMüller und die Gruppe.");
+        assertEqual(germanStatistics.paragraphs, 1, "a line after a title abbreviation should continue the paragraph");
+    });
+
+    const entityCases = [
+        {
+            name: "keeps a link whole instead of splitting at its dots",
+            input: "See https://example.com/docs.html",
+            maximumLength: 30,
+            expected: ["See", "https://example.com/docs.html"]
+        },
+        {
+            name: "keeps a domain mention whole",
+            input: "cc @carol.bsky.social",
+            maximumLength: 18,
+            expected: ["cc", "@carol.bsky.social"]
+        },
+        {
+            name: "keeps a remote mention whole",
+            input: "ping @bob@mastodon.social",
+            maximumLength: 22,
+            expected: ["ping", "@bob@mastodon.social"]
+        },
+        {
+            name: "keeps an email whole",
+            input: "write jo.doe@example.com",
+            maximumLength: 20,
+            expected: ["write", "jo.doe@example.com"]
+        },
+        {
+            name: "keeps a cashtag with a share class whole",
+            input: "buy $brk.b",
+            maximumLength: 8,
+            expected: ["buy", "$brk.b"]
+        }
+    ];
+
+    for (const entityCase of entityCases) {
+        await runTest(entityCase.name, () => {
+            const actualChunks = chunkingService.chunkByLength(entityCase.input, entityCase.maximumLength);
+            assertDeepEqual(actualChunks, entityCase.expected, "chunks should not split inside entities");
+        });
+    }
+
+    const dictionaryCases = [
+        {
+            name: "custom abbreviations never end a sentence whether or not they carry a period",
+            input: "We work at Acme Inc. Product v2.1. Shipped today.",
+            maximumLength: 30,
+            breakOnParagraphs: false,
+            dictionary: { abbreviations: ["inc", "v2.1."], protectedPhrases: [] },
+            expected: ["We work at Acme Inc. Product", "v2.1. Shipped today."]
+        },
+        {
+            name: "custom abbreviations at a line end keep the next line in the paragraph",
+            input: "Our team at Acme Inc.\nBuilds tools.\n\nSecond paragraph.",
+            maximumLength: 100,
+            breakOnParagraphs: true,
+            dictionary: { abbreviations: ["Inc."], protectedPhrases: [] },
+            expected: ["Our team at Acme Inc. Builds tools.", "Second paragraph."]
+        },
+        {
+            name: "protected phrases move to the next chunk instead of splitting across posts",
+            input: "Launch coverage ran in the New York Times today",
+            maximumLength: 32,
+            breakOnParagraphs: false,
+            dictionary: { abbreviations: [], protectedPhrases: ["new york times"] },
+            expected: ["Launch coverage ran in the", "New York Times today"]
+        },
+        {
+            name: "protected phrases inside an oversized word are not split at their punctuation",
+            input: "Rewriting legacyNode.jsservices",
+            maximumLength: 20,
+            breakOnParagraphs: false,
+            dictionary: { abbreviations: [], protectedPhrases: ["Node.js"] },
+            expected: ["Rewriting", "legacyNode.jsservice", "s"]
+        },
+        {
+            name: "protected phrases longer than the limit split at their spaces to respect the limit",
+            input: "Visit the Museum of Modern Art",
+            maximumLength: 12,
+            breakOnParagraphs: false,
+            dictionary: { abbreviations: [], protectedPhrases: ["Museum of Modern Art"] },
+            expected: ["Visit the", "Museum of", "Modern Art"]
+        }
+    ];
+
+    for (const dictionaryCase of dictionaryCases) {
+        await runTest(dictionaryCase.name, () => {
+            const actualChunks = chunkingService.getChunks(dictionaryCase.input, {
+                maximumLength: dictionaryCase.maximumLength,
+                breakOnSentences: true,
+                enumerate: false,
+                breakOnParagraphs: dictionaryCase.breakOnParagraphs,
+                dictionary: dictionaryCase.dictionary
+            });
+            assertDeepEqual(actualChunks, dictionaryCase.expected, "chunks should honor the user dictionary");
+        });
+    }
+
+    const balancedSamples = [
+        {
+            name: "sentences",
+            input: "We rebuilt the editor. It loads faster now. Images paste inline. Drafts save as you type. Threads copy in order. And that's it.",
+            breakOnSentences: true
+        },
+        {
+            name: "words",
+            input: "Balanced mode spreads the words of a long post across the same number of chunks so that no chunk is left as a tiny orphan at the end of the thread.",
+            breakOnSentences: false
+        },
+        {
+            name: "oversized sentences",
+            input: "Short opener. This single sentence keeps going well past the limit so it has to be cut into pieces by length. Tail one. Tail two.",
+            breakOnSentences: true
+        },
+        {
+            name: "weighted emoji",
+            input: "Launch day 🚀🚀. Everyone pitched in 🙌🏽. Numbers look great 📈. Thank you all 💜. More soon 👀.",
+            breakOnSentences: true,
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER
+        }
+    ];
+
+    for (const balancedSample of balancedSamples) {
+        await runTest(`balanced mode keeps the greedy post count, the limit, and the text for ${balancedSample.name}`, () => {
+            for (const maximumLength of [24, 40, 60, 100]) {
+                for (const enumerate of [false, true]) {
+                    const chunkOptions = {
+                        maximumLength,
+                        breakOnSentences: balancedSample.breakOnSentences,
+                        enumerate,
+                        breakOnParagraphs: false,
+                        lengthCounter: balancedSample.lengthCounter
+                    };
+                    const greedyChunks = chunkingService.getChunks(balancedSample.input, chunkOptions);
+                    const balancedChunks = chunkingService.getChunks(
+                        balancedSample.input,
+                        Object.assign({}, chunkOptions, { balanceChunks: true })
+                    );
+                    const measureChunk = (/** @type {string} */ chunkText) => chunkingService.measureLength(
+                        chunkText,
+                        balancedSample.lengthCounter ?? LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES
+                    );
+                    const lengthSpread = (/** @type {string[]} */ chunks) => {
+                        const chunkLengths = chunks.map(measureChunk);
+                        return Math.max(...chunkLengths) - Math.min(...chunkLengths);
+                    };
+
+                    assertEqual(balancedChunks.length, greedyChunks.length, "balanced mode should keep the post count");
+                    assertEqual(
+                        balancedChunks.every((chunkText) => measureChunk(chunkText) <= maximumLength),
+                        true,
+                        "balanced chunks should respect the limit"
+                    );
+                    if (!enumerate) {
+                        assertEqual(balancedChunks.join(" "), greedyChunks.join(" "), "balanced mode should keep the text and its order");
+                    }
+                    assertEqual(
+                        lengthSpread(balancedChunks) <= lengthSpread(greedyChunks),
+                        true,
+                        "balanced chunks should be at least as even as greedy chunks"
+                    );
+                }
+            }
+        });
+    }
+
+    const checklistText = "Launch checklist:\n- Ship the editor\n- Write the docs\n- Tell the team\n\nThanks all.";
+    const lineBreakCases = [
+        {
+            name: "preserved line breaks keep list items on their own lines and count toward the limit",
+            input: checklistText,
+            maximumLength: 80,
+            breakOnSentences: false,
+            breakOnParagraphs: false,
+            expected: ["Launch checklist:\n- Ship the editor\n- Write the docs\n- Tell the team", "Thanks all."]
+        },
+        {
+            name: "preserved line breaks split oversized lists between items",
+            input: checklistText,
+            maximumLength: 40,
+            breakOnSentences: true,
+            breakOnParagraphs: false,
+            expected: ["Launch checklist:\n- Ship the editor", "- Write the docs\n- Tell the team", "Thanks all."]
+        },
+        {
+            name: "preserved line breaks keep list lines in one paragraph and separate paragraphs only at blank lines",
+            input: checklistText,
+            maximumLength: 280,
+            breakOnSentences: true,
+            breakOnParagraphs: true,
+            expected: ["Launch checklist:\n- Ship the editor\n- Write the docs\n- Tell the team", "Thanks all."]
+        },
+        {
+            name: "preserved line breaks keep line-broken verse intact",
+            input: "Roses are red.\r\nViolets are blue.\nSugar is sweet.\nAnd so are you.",
+            maximumLength: 40,
+            breakOnSentences: true,
+            breakOnParagraphs: false,
+            expected: ["Roses are red.\nViolets are blue.", "Sugar is sweet.\nAnd so are you."]
+        }
+    ];
+
+    for (const lineBreakCase of lineBreakCases) {
+        await runTest(lineBreakCase.name, () => {
+            const actualChunks = chunkingService.getChunks(lineBreakCase.input, {
+                maximumLength: lineBreakCase.maximumLength,
+                breakOnSentences: lineBreakCase.breakOnSentences,
+                enumerate: false,
+                breakOnParagraphs: lineBreakCase.breakOnParagraphs,
+                preserveLineBreaks: true
+            });
+            assertDeepEqual(actualChunks, lineBreakCase.expected, "chunks should keep the source line breaks");
+        });
+    }
+
+    await runTest("balanced mode with preserved line breaks keeps list markers with their items", () => {
+        for (const maximumLength of [24, 32, 40, 60]) {
+            const balancedChunks = chunkingService.getChunks(checklistText, {
+                maximumLength,
+                breakOnSentences: false,
+                enumerate: false,
+                breakOnParagraphs: false,
+                balanceChunks: true,
+                preserveLineBreaks: true
+            });
+            assertEqual(
+                balancedChunks.every((chunk) => chunk.length <= maximumLength && !/(^|\n)-$/.test(chunk)),
+                true,
+                "balanced chunks should respect the limit and never end with a bare list marker"
+            );
+            assertEqual(
+                balancedChunks.join(" ").replace(/\s+/g, " "),
+                checklistText.replace(/\s+/g, " "),
+                "balanced chunks should keep the text and its order"
+            );
+        }
+    });
+
+    await runTest("line breaks collapse to spaces unless preservation is selected", () => {
+        const actualChunks = chunkingService.getChunks("Roses are red.\nViolets are blue.", {
+            maximumLength: 280,
+            breakOnSentences: true,
+            enumerate: false,
+            breakOnParagraphs: false
+        });
+        assertDeepEqual(actualChunks, ["Roses are red. Violets are blue."], "line breaks should collapse by default");
+    });
+
+    const postBreakCases = [
+        {
+            name: "post break markers end a chunk even when the next text would fit",
+            input: "Big news today.\n---\nHere is the story. It is short.",
+            enumerate: false,
+            expected: ["Big news today.", "Here is the story. It is short."]
+        },
+        {
+            name: "post break markers accept padding and Windows line breaks, and repeated markers add no empty chunk",
+            input: "Big news today.\r\n  ---  \r\nHere is the story.\n---\n---\nEnd",
+            enumerate: true,
+            expected: ["Big news today. (1/3)", "Here is the story. (2/3)", "End (3/3)"]
+        },
+        {
+            name: "dashes inside a line or longer rules are ordinary text",
+            input: "A --- B\n----\nC",
+            enumerate: false,
+            expected: ["A --- B ---- C"]
+        }
+    ];
+
+    for (const postBreakCase of postBreakCases) {
+        await runTest(postBreakCase.name, () => {
+            const actualChunks = chunkingService.getChunks(postBreakCase.input, {
+                maximumLength: 280,
+                breakOnSentences: true,
+                enumerate: postBreakCase.enumerate,
+                breakOnParagraphs: false
+            });
+            assertDeepEqual(actualChunks, postBreakCase.expected, "chunks should honor post break markers");
+        });
+    }
+
+    const enumerationFormatInput = Array.from({ length: 40 }, (_, index) => `word${index}`).join(" ");
+    for (const style of Object.values(ENUMERATION_STYLE_IDENTIFIERS)) {
+        for (const position of Object.values(ENUMERATION_POSITIONS)) {
+            await runTest(`keeps ${style} ${position} labels within the weighted limit`, () => {
+                const enumerationFormat = {
+                    style,
+                    position,
+                    skipFirst: false,
+                    customTemplate: "🧵 Part {current} of {total}"
+                };
+                const actualChunks = chunkingService.getChunks(enumerationFormatInput, {
+                    maximumLength: 30,
+                    breakOnSentences: false,
+                    enumerate: true,
+                    breakOnParagraphs: false,
+                    lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER,
+                    enumerationFormat
+                });
+                const withinLimit = actualChunks.every(
+                    (chunk) => lengthCounterHelpers.measureLength(chunk, LENGTH_COUNTER_IDENTIFIERS.TWITTER) <= 30
+                );
+                assertEqual(withinLimit, true, "labelled chunks should respect the weighted limit");
+                const unlabelledText = actualChunks
+                    .map((chunk, index) => {
+                        const label = enumerationHelpers
+                            .enumerateChunk("", index, actualChunks.length, enumerationFormat)
+                            .trim();
+                        return chunk.replace(label, "").trim();
+                    })
+                    .join(" ");
+                assertEqual(unlabelledText, enumerationFormatInput, "labels should not change the text");
+            });
+        }
+    }
+
+    await runTest("keeps decorated chunks within the weighted limit", () => {
+        const threadDecorations = { openerPrefix: "🧵", continuationSuffix: "👇", footer: "Read more https://example.com/launch" };
+        for (const enumerate of [false, true]) {
+            const actualChunks = chunkingService.getChunks(enumerationFormatInput, {
+                maximumLength: 60,
+                breakOnSentences: false,
+                enumerate,
+                breakOnParagraphs: false,
+                lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER,
+                threadDecorations
+            });
+            const lastChunk = actualChunks[actualChunks.length - 1];
+            assertEqual(actualChunks[0].startsWith("🧵 word0"), true, "first chunk should start with the opener");
+            assertEqual(lastChunk.endsWith("\n\nRead more https://example.com/launch"), true, "last chunk should end with the footer");
+            assertEqual(
+                actualChunks.every(
+                    (chunk) => lengthCounterHelpers.measureLength(chunk, LENGTH_COUNTER_IDENTIFIERS.TWITTER) <= 60
+                ),
+                true,
+                "decorated chunks should respect the weighted limit"
+            );
+        }
+    });
+
+    await runTest("charges the opener to the first post and the footer to the last post only", () => {
+        const threadDecorations = { openerPrefix: "🧵", continuationSuffix: "", footer: "Follow for more" };
+        const actualChunks = chunkingService.getChunks(
+            "Alpha bravo charlie delta echo foxtrot golf hotel india juliet kilo lima mike november oscar papa.",
+            {
+                maximumLength: 30,
+                breakOnSentences: false,
+                enumerate: false,
+                breakOnParagraphs: false,
+                threadDecorations
+            }
+        );
+        assertDeepEqual(
+            actualChunks,
+            [
+                "🧵 Alpha bravo charlie delta",
+                "echo foxtrot golf hotel india",
+                "juliet kilo lima mike november",
+                "oscar papa.\n\nFollow for more"
+            ],
+            "middle posts should use the full limit"
+        );
+        assertEqual(
+            chunkingService.getChunks("Short draft with a few words.", {
+                maximumLength: 30,
+                breakOnSentences: false,
+                enumerate: false,
+                breakOnParagraphs: false,
+                threadDecorations: { openerPrefix: "", continuationSuffix: "", footer: "x".repeat(27) }
+            }).length,
+            2,
+            "a long footer should shorten only the last post"
+        );
+    });
+
+    await runTest("leaves a single chunk without a label when the first label is skipped", () => {
+        const actualChunks = chunkingService.getChunks("Exactly twenty chars", {
+            maximumLength: 20,
+            breakOnSentences: false,
+            enumerate: true,
+            breakOnParagraphs: false,
+            enumerationFormat: {
+                style: ENUMERATION_STYLE_IDENTIFIERS.FRACTION,
+                position: ENUMERATION_POSITIONS.PREFIX,
+                skipFirst: true,
+                customTemplate: "{current}/{total}"
+            }
+        });
+        assertDeepEqual(actualChunks, ["Exactly twenty chars"], "a lone chunk should use the full limit");
+    });
+
+    await runTest("chunk descriptors point at the source text of each chunk", () => {
+        const sourceText = "Alpha  bravo.\n  ---  \n\tCharlie delta echo.\r\nFoxtrot [[IMAGE:0]] golf.";
+        const chunkDescriptors = chunkingService.getChunkDescriptors(sourceText, {
+            maximumLength: 20,
+            breakOnSentences: true,
+            enumerate: true,
+            breakOnParagraphs: false
+        });
+        assertDeepEqual(
+            chunkDescriptors.map((chunkDescriptor) => chunkDescriptor.text),
+            chunkingService.getChunks(sourceText, {
+                maximumLength: 20,
+                breakOnSentences: true,
+                enumerate: true,
+                breakOnParagraphs: false
+            }),
+            "descriptor text should match the chunk strings"
+        );
+        assertDeepEqual(
+            chunkDescriptors.map((chunkDescriptor) =>
+                sourceText.slice(chunkDescriptor.sourceStart, chunkDescriptor.sourceEnd)
+            ),
+            ["Alpha  bravo.", "Charlie delta", "echo.", "Foxtrot", "[[IMAGE:0]]", "golf."],
+            "source spans should skip post break markers and keep the original whitespace"
+        );
+        assertDeepEqual(
+            chunkDescriptors[4].imagePlaceholders,
+            [{ token: "[[IMAGE:0]]", sourceStart: 52, sourceEnd: 63 }],
+            "image placeholders should carry their source offsets"
+        );
+        assertDeepEqual(
+            chunkDescriptors[0].imagePlaceholders,
+            [],
+            "chunks without images should have no placeholders"
+        );
+    });
+
+    await runTest("layout descriptors keep the post text and order and label each post", () => {
+        const sourceText = "One two. Three four.";
+        const chunkDescriptors = chunkingService.getLayoutDescriptors(
+            sourceText,
+            [
+                { text: "Three four.", sourceStart: 9, sourceEnd: 20 },
+                { text: "One two.", sourceStart: 0, sourceEnd: 8 }
+            ],
+            { enumerate: true }
+        );
+        assertDeepEqual(
+            chunkDescriptors.map((chunkDescriptor) => [
+                chunkDescriptor.text,
+                chunkDescriptor.baseText,
+                chunkDescriptor.sourceText
+            ]),
+            [
+                ["Three four. (1/2)", "Three four.", "Three four."],
+                ["One two. (2/2)", "One two.", "One two."]
+            ],
+            "labels should follow the layout order"
+        );
+    });
+
+    await runTest("pinned posts keep their boundaries and the text around them re-flows", () => {
+        const sourceText = "Alpha bravo. Charlie delta. Echo foxtrot.";
+        assertDeepEqual(
+            chunkingService.getChunks(sourceText, { maximumLength: 20, enumerate: false }),
+            ["Alpha bravo. Charlie", "delta. Echo foxtrot."],
+            "without pins the words should pack greedily"
+        );
+        const chunkDescriptors = chunkingService.getChunkDescriptors(sourceText, { maximumLength: 20, enumerate: true }, [
+            { text: "Alpha bravo.", sourceStart: 0, sourceEnd: 12 }
+        ]);
+        assertDeepEqual(
+            chunkDescriptors.map((chunkDescriptor) => [chunkDescriptor.text, chunkDescriptor.sourceStart]),
+            [
+                ["Alpha bravo. (1/3)", 0],
+                ["Charlie delta. (2/3)", 13],
+                ["Echo foxtrot. (3/3)", 28]
+            ],
+            "the pinned post should stay whole and the rest should fill the remaining posts"
+        );
+        assertThrows(
+            () =>
+                chunkingService.getChunkDescriptors(sourceText, { maximumLength: 20, enumerate: false }, [
+                    { text: "Charlie delta.", sourceStart: 13, sourceEnd: 27 },
+                    { text: "Alpha bravo.", sourceStart: 0, sourceEnd: 12 }
+                ]),
+            "pins out of source order should throw"
+        );
+    });
+
+    await runTest("Markdown mode never splits code, links, or emphasis", () => {
+        const sourceText = "Read this first. Then see [the long guide](https://example.com/guide) and _some emphasis here_ too.";
+        /** @type {import("../js/types.d.js").ThreadingOptions} */
+        const options = { maximumLength: 50, breakOnSentences: true, enumerate: false, breakOnParagraphs: false };
+        assertDeepEqual(
+            chunkingService.getChunks(sourceText, options),
+            ["Read this first.", "Then see [the long", "guide](https://example.com/guide) and _some", "emphasis here_ too."],
+            "plain text mode should split inside the Markdown syntax"
+        );
+        for (const balanceChunks of [false, true]) {
+            assertDeepEqual(
+                chunkingService.getChunks(sourceText, { ...options, balanceChunks, inputMode: INPUT_MODE_IDENTIFIERS.MARKDOWN }),
+                ["Read this first.", "Then see", "[the long guide](https://example.com/guide) and", "_some emphasis here_ too."],
+                "Markdown mode should move links and emphasis whole to the next post"
+            );
+        }
+        assertDeepEqual(
+            chunkingService.chunkByLength(
+                "Run `npm run build --watch`",
+                20,
+                LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES,
+                [],
+                false,
+                INPUT_MODE_IDENTIFIERS.MARKDOWN
+            ),
+            ["Run", "`npm run build", "--watch`"],
+            "code spans should move whole and split only when they alone exceed the limit"
+        );
+    });
+
+    await runTest("Markdown mode keeps fenced code blocks in one paragraph and can render posts as plain text", () => {
+        const sourceText = "Intro with **bold** and [docs](https://example.com).\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\n- item *one*";
+        /** @type {import("../js/types.d.js").ThreadingOptions} */
+        const options = {
+            maximumLength: 200,
+            breakOnSentences: false,
+            enumerate: true,
+            breakOnParagraphs: true,
+            preserveLineBreaks: true,
+            inputMode: INPUT_MODE_IDENTIFIERS.MARKDOWN,
+            renderMarkdown: true,
+            markdownRules: PRESET_CONFIG[PRESET_IDENTIFIERS.TWITTER].markdownRules
+        };
+        assertDeepEqual(
+            chunkingService.getChunkDescriptors(sourceText, options).map((chunkDescriptor) => [
+                chunkDescriptor.text,
+                chunkDescriptor.baseText
+            ]),
+            [
+                ["Intro with bold and docs https://example.com. (1/3)", "Intro with **bold** and [docs](https://example.com)."],
+                ["```js\nconst a = 1;\n\nconst b = 2;\n``` (2/3)", "```js\nconst a = 1;\n\nconst b = 2;\n```"],
+                ["- item one (3/3)", "- item *one*"]
+            ],
+            "post texts should be plain text while the base texts keep the Markdown"
+        );
+        assertEqual(
+            chunkingService.getChunks(sourceText, { ...options, renderMarkdown: false })[0],
+            "Intro with **bold** and [docs](https://example.com). (1/3)",
+            "posts should keep the Markdown when rendering is off"
+        );
+    });
+
+    await runTest("statistics ignore post break markers and count them as paragraph breaks", () => {
+        const statistics = chunkingService.calculateStatistics("Big news today.\n---\nHere is the story.");
+        assertDeepEqual(
+            statistics,
+            { characters: 37, words: 7, sentences: 2, paragraphs: 2 },
+            "post break markers should not count as words"
+        );
+    });
+
+    await runTest("statistics and chunks count graphemes when no counter is given", () => {
+        assertEqual(
+            chunkingService.calculateStatistics("Hi 👨‍👩‍👧").characters,
+            4,
+            "an emoji sequence should count as one character"
+        );
+        assertDeepEqual(
+            chunkingService.getChunks("👨‍👩‍👧👨‍👩‍👧 ok", {
+                maximumLength: 5,
+                breakOnSentences: false,
+                enumerate: false,
+                breakOnParagraphs: false
+            }),
+            ["👨‍👩‍👧👨‍👩‍👧 ok"],
+            "the limit should count emoji sequences as one character"
+        );
+    });
+
+    await runTest("reports weighted character counts in statistics", () => {
+        const statistics = chunkingService.calculateStatistics("See https://example.com/long/path/here 你", LENGTH_COUNTER_IDENTIFIERS.TWITTER);
+        assertEqual(statistics.characters, 30, "statistics should use the platform character weighting");
+    });
+
     const statisticsCases = [
         {
             name: "calculates statistics for provided text",
@@ -0,0 +1,67 @@
+// @ts-check
+/**
+ * @fileoverview Performance benchmark for incremental re-chunking of a book-length draft. The benchmark chunks the
+ * draft once, edits one paragraph, and times a full re-chunk and an incremental re-chunk. It reports the timings and
+ * does not compare them, because timings change from one machine and run to the next.
+ */
+
+import { chunkingService } from "../js/core/chunking.js";
+
+const BENCHMARK_PARAGRAPH_COUNT = 1000;
+const BENCHMARK_EDITED_PARAGRAPH_INDEX = 500;
+const BENCHMARK_PARAGRAPH_TEXT =
+    "The committee met on a wet Tuesday to review the harbor plans. Dr. Reyes asked why the budget grew again. " +
+    "Nobody had a clear answer, so the chair moved the vote to next month. Several members left before the end.";
+const BENCHMARK_EDIT_TEXT = " The minutes were approved later.";
+
+/** @type {import("../js/types.d.js").ThreadingOptions} */
+const BENCHMARK_OPTIONS = Object.freeze({
+    maximumLength: 280,
+    breakOnSentences: true,
+    enumerate: true,
+    breakOnParagraphs: true
+});
+
+/**
+ * Builds a long draft with numbered paragraphs.
+ * @param {string} editedParagraphSuffix Text added to the edited paragraph.
+ * @returns {string}
+ */
+function createDraft(editedParagraphSuffix) {
+    return Array.from({ length: BENCHMARK_PARAGRAPH_COUNT }, (_, paragraphIndex) => {
+        const suffix = paragraphIndex === BENCHMARK_EDITED_PARAGRAPH_INDEX ? editedParagraphSuffix : "";
+        return `${paragraphIndex + 1}. ${BENCHMARK_PARAGRAPH_TEXT}${suffix}`;
+    }).join("\n\n");
+}
+
+/**
+ * Measures the duration of a call in milliseconds.
+ * @template T
+ * @param {() => T} measuredCall Call to measure.
+ * @returns {{ result: T, durationMs: number }}
+ */
+function measure(measuredCall) {
+    const startTime = performance.now();
+    const result = measuredCall();
+    return { result, durationMs: performance.now() - startTime };
+}
+
+/**
+ * Runs the benchmark. The caller reports the timings.
+ * @returns {{ characterCount: number, postCount: number, fullDurationMs: number, incrementalDurationMs: number, resultsMatch: boolean }}
+ */
+export function runChunkingBenchmark() {
+    const editedDraft = createDraft(BENCHMARK_EDIT_TEXT);
+    const incrementalChunker = chunkingService.createIncrementalChunker();
+    incrementalChunker.getChunkDescriptors(createDraft(""), BENCHMARK_OPTIONS);
+
+    const fullRun = measure(() => chunkingService.getChunkDescriptors(editedDraft, BENCHMARK_OPTIONS));
+    const incrementalRun = measure(() => incrementalChunker.getChunkDescriptors(editedDraft, BENCHMARK_OPTIONS));
+    return {
+        characterCount: editedDraft.length,
+        postCount: fullRun.result.length,
+        fullDurationMs: fullRun.durationMs,
+        incrementalDurationMs: incrementalRun.durationMs,
+        resultsMatch: JSON.stringify(incrementalRun.result) === JSON.stringify(fullRun.result)
+    };
+}
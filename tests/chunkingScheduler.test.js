@@ -0,0 +1,204 @@
+// @ts-check
+/**
+ * @fileoverview Tests for the chunking scheduler, the worker message handler, and the incremental chunker.
+ */
+
+import { chunkingService } from "../js/core/chunking.js";
+import { chunkingSchedulerHelpers } from "../js/core/chunkingScheduler.js";
+import { assertDeepEqual, assertEqual } from "./assert.js";
+
+/** @type {import("../js/types.d.js").ThreadingOptions} */
+const CHUNK_OPTIONS = Object.freeze({
+    maximumLength: 20,
+    breakOnSentences: true,
+    enumerate: false,
+    breakOnParagraphs: false
+});
+
+/**
+ * Creates a worker stand-in that answers requests only when the test tells it to.
+ * @returns {{ worker: Worker, requests: import("../js/types.d.js").ChunkingWorkerRequest[], respond: (requestIndex: number) => void, respondWithError: (requestIndex: number) => void, fail: () => void }}
+ */
+function createFakeWorker() {
+    const handleRequest = chunkingSchedulerHelpers.createWorkerMessageHandler();
+    /** @type {import("../js/types.d.js").ChunkingWorkerRequest[]} */
+    const requests = [];
+    /** @type {Map<string, ((event: any) => void)[]>} */
+    const listeners = new Map();
+    const worker = {
+        /**
+         * @param {string} eventName Event name.
+         * @param {(event: any) => void} listener Event listener.
+         * @returns {void}
+         */
+        addEventListener(eventName, listener) {
+            listeners.set(eventName, (listeners.get(eventName) ?? []).concat(listener));
+        },
+        /**
+         * @param {import("../js/types.d.js").ChunkingWorkerRequest} request Request from the scheduler.
+         * @returns {void}
+         */
+        postMessage(request) {
+            requests.push(request);
+        }
+    };
+    return {
+        worker: /** @type {Worker} */ (/** @type {unknown} */ (worker)),
+        requests,
+        respond(requestIndex) {
+            const response = handleRequest(requests[requestIndex]);
+            (listeners.get("message") ?? []).forEach((listener) => listener({ data: response }));
+        },
+        respondWithError(requestIndex) {
+            const response = { requestId: requests[requestIndex].requestId, errorMessage: "Worker crashed" };
+            (listeners.get("message") ?? []).forEach((listener) => listener({ data: response }));
+        },
+        fail() {
+            (listeners.get("error") ?? []).forEach((listener) => listener({}));
+        }
+    };
+}
+
+/**
+ * Creates a chunking request without pinned posts.
+ * @param {string} rawText Source text.
+ * @returns {import("../js/types.d.js").ChunkingRequest}
+ */
+function createRequest(rawText) {
+    return { rawText, options: CHUNK_OPTIONS, pinnedPosts: [] };
+}
+
+/**
+ * Lists the texts of chunk descriptors.
+ * @param {import("../js/types.d.js").ChunkDescriptor[]} chunkDescriptors Chunk descriptors.
+ * @returns {string[]}
+ */
+function listTexts(chunkDescriptors) {
+    return chunkDescriptors.map((chunkDescriptor) => chunkDescriptor.text);
+}
+
+/**
+ * Executes tests covering worker scheduling, stale runs, and incremental re-chunking.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runChunkingSchedulerTests(runTest) {
+    await runTest("incremental chunker matches a full run after paragraph edits", () => {
+        const incrementalChunker = chunkingService.createIncrementalChunker();
+        const paragraphOptions = { ...CHUNK_OPTIONS, breakOnParagraphs: true, enumerate: true };
+        const firstText = "Alpha bravo charlie.\n\nDelta echo foxtrot golf.\n\nHotel india.";
+        const secondText = "Alpha bravo charlie.\n\nDelta echo.\n\nHotel india.";
+        assertDeepEqual(
+            incrementalChunker.getChunkDescriptors(firstText, paragraphOptions),
+            chunkingService.getChunkDescriptors(firstText, paragraphOptions),
+            "the first run should match a full run"
+        );
+        assertDeepEqual(
+            incrementalChunker.getChunkDescriptors(secondText, paragraphOptions),
+            chunkingService.getChunkDescriptors(secondText, paragraphOptions),
+            "a run after an edit should match a full run"
+        );
+    });
+
+    await runTest("scheduler without a worker returns results at once", () => {
+        const scheduler = chunkingSchedulerHelpers.createChunkingScheduler({ worker: null });
+        /** @type {string[]} */
+        let receivedTexts = [];
+        scheduler.schedule(createRequest("Alpha bravo charlie. Delta echo."), (chunkDescriptors) => {
+            receivedTexts = listTexts(chunkDescriptors);
+        });
+        assertDeepEqual(receivedTexts, ["Alpha bravo charlie.", "Delta echo."], "the result should arrive synchronously");
+    });
+
+    await runTest("scheduler keeps one worker run in flight and drops stale results", () => {
+        const fakeWorker = createFakeWorker();
+        const scheduler = chunkingSchedulerHelpers.createChunkingScheduler({ worker: fakeWorker.worker });
+        /** @type {string[][]} */
+        const receivedTexts = [];
+        scheduler.schedule(createRequest("First text."), (chunkDescriptors) => receivedTexts.push(listTexts(chunkDescriptors)));
+        scheduler.schedule(createRequest("Second text."), (chunkDescriptors) => receivedTexts.push(listTexts(chunkDescriptors)));
+        scheduler.schedule(createRequest("Third text."), (chunkDescriptors) => receivedTexts.push(listTexts(chunkDescriptors)));
+        assertEqual(fakeWorker.requests.length, 1, "only one request should be in flight");
+        fakeWorker.respond(0);
+        assertDeepEqual(receivedTexts, [], "the stale result should be dropped");
+        assertDeepEqual(
+            fakeWorker.requests.map((request) => request.rawText),
+            ["First text.", "Third text."],
+            "only the latest waiting request should be sent"
+        );
+        fakeWorker.respond(1);
+        assertDeepEqual(receivedTexts, [["Third text."]], "the latest result should arrive");
+    });
+
+    await runTest("cancelled worker runs do not reach their callback", () => {
+        const fakeWorker = createFakeWorker();
+        const scheduler = chunkingSchedulerHelpers.createChunkingScheduler({ worker: fakeWorker.worker });
+        let resultCount = 0;
+        scheduler.schedule(createRequest("First text."), () => {
+            resultCount += 1;
+        });
+        scheduler.cancel();
+        fakeWorker.respond(0);
+        assertEqual(resultCount, 0, "a cancelled run should not call back");
+    });
+
+    await runTest("worker error responses run again on the main thread and failed drafts do not block later requests", () => {
+        const crashingWorker = createFakeWorker();
+        const crashingScheduler = chunkingSchedulerHelpers.createChunkingScheduler({ worker: crashingWorker.worker });
+        /** @type {string[][]} */
+        const rerunTexts = [];
+        crashingScheduler.schedule(createRequest("First text."), (chunkDescriptors) =>
+            rerunTexts.push(listTexts(chunkDescriptors))
+        );
+        crashingWorker.respondWithError(0);
+        assertDeepEqual(rerunTexts, [["First text."]], "an error response should run the request on the main thread");
+
+        const failingWorker = createFakeWorker();
+        const failingScheduler = chunkingSchedulerHelpers.createChunkingScheduler({ worker: failingWorker.worker });
+        let failedResultCount = 0;
+        failingScheduler.schedule(
+            {
+                rawText: "Alpha bravo.",
+                options: CHUNK_OPTIONS,
+                pinnedPosts: [{ text: "Missing.", sourceStart: 40, sourceEnd: 48 }]
+            },
+            () => {
+                failedResultCount += 1;
+            }
+        );
+        failingWorker.respond(0);
+        assertEqual(failedResultCount, 0, "a draft that fails everywhere should have no result");
+        /** @type {string[][]} */
+        const recoveredTexts = [];
+        failingScheduler.schedule(createRequest("Next text."), (chunkDescriptors) =>
+            recoveredTexts.push(listTexts(chunkDescriptors))
+        );
+        assertEqual(failingWorker.requests.length, 2, "the next request should reach the worker");
+        failingWorker.respond(1);
+        assertDeepEqual(recoveredTexts, [["Next text."]], "the scheduler should keep working after a failed draft");
+
+        const inlineScheduler = chunkingSchedulerHelpers.createChunkingScheduler({ worker: null });
+        inlineScheduler.schedule(
+            { rawText: "Alpha.", options: CHUNK_OPTIONS, pinnedPosts: [{ text: "Missing.", sourceStart: 9, sourceEnd: 17 }] },
+            () => {
+                failedResultCount += 1;
+            }
+        );
+        assertEqual(failedResultCount, 0, "a failed main thread run should not call back");
+
+        const brokenWorker = createFakeWorker();
+        const fallbackScheduler = chunkingSchedulerHelpers.createChunkingScheduler({ worker: brokenWorker.worker });
+        /** @type {string[][]} */
+        const receivedTexts = [];
+        fallbackScheduler.schedule(createRequest("First text."), (chunkDescriptors) =>
+            receivedTexts.push(listTexts(chunkDescriptors))
+        );
+        brokenWorker.fail();
+        assertDeepEqual(receivedTexts, [["First text."]], "the pending request should run on the main thread");
+        fallbackScheduler.schedule(createRequest("Second text."), (chunkDescriptors) =>
+            receivedTexts.push(listTexts(chunkDescriptors))
+        );
+        assertEqual(brokenWorker.requests.length, 1, "no more requests should reach the broken worker");
+        assertDeepEqual(receivedTexts[1], ["Second text."], "later requests should run on the main thread");
+    });
+}
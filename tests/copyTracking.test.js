@@ -0,0 +1,59 @@
+// @ts-check
+/**
+ * @fileoverview Tests for the copy orders that survive a re-chunk.
+ */
+
+import { copyTrackingHelpers } from "../js/core/copyTracking.js";
+import { assertDeepEqual } from "./assert.js";
+import { createTextChunk } from "./fixtures.js";
+
+/**
+ * Executes tests covering the span mapper and the copy order carry-over.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runCopyTrackingTests(runTest) {
+    await runTest("span mapper keeps spans before the change and shifts spans after it", () => {
+        const mapSpan = copyTrackingHelpers.createSpanMapper("One. Two. Three.", "One. Second. Three.");
+        assertDeepEqual(mapSpan(0, 4), { sourceStart: 0, sourceEnd: 4 }, "spans before the change should not move");
+        assertDeepEqual(mapSpan(10, 16), { sourceStart: 13, sourceEnd: 19 }, "spans after the change should shift");
+        assertDeepEqual(mapSpan(5, 9), null, "changed spans should have no position");
+    });
+
+    await runTest("copy orders survive for chunks with the same text at the mapped span", () => {
+        const previousChunks = [
+            createTextChunk("One.", { sourceStart: 0, sourceEnd: 4 }),
+            createTextChunk("Two.", { sourceStart: 5, sourceEnd: 9 }),
+            createTextChunk("Three.", { sourceStart: 10, sourceEnd: 16 })
+        ];
+        const nextChunks = [
+            createTextChunk("One.", { sourceStart: 0, sourceEnd: 4 }),
+            createTextChunk("Second.", { sourceStart: 5, sourceEnd: 12 }),
+            createTextChunk("Three.", { sourceStart: 13, sourceEnd: 19 })
+        ];
+        const copyOrders = copyTrackingHelpers.carryCopyOrders({
+            previousText: "One. Two. Three.",
+            previousChunks,
+            previousCopyOrders: new Map([
+                [previousChunks[0], 1],
+                [previousChunks[1], 2],
+                [previousChunks[2], 3]
+            ]),
+            nextText: "One. Second. Three.",
+            nextChunks
+        });
+        assertDeepEqual(copyOrders, [1, null, 3], "only the edited chunk should lose its copy order");
+    });
+
+    await runTest("copy orders are dropped when a chunk changes its text", () => {
+        const previousChunks = [createTextChunk("One. (1/2)", { sourceStart: 0, sourceEnd: 10 })];
+        const copyOrders = copyTrackingHelpers.carryCopyOrders({
+            previousText: "One. Two.",
+            previousChunks,
+            previousCopyOrders: new Map([[previousChunks[0], 1]]),
+            nextText: "One. Two. Three.",
+            nextChunks: [createTextChunk("One. (1/3)", { sourceStart: 0, sourceEnd: 10 })]
+        });
+        assertDeepEqual(copyOrders, [null], "a new label should count as a change");
+    });
+}
@@ -0,0 +1,54 @@
+// @ts-check
+/**
+ * @fileoverview Tests for the user dictionary helpers and their persistent store.
+ */
+
+import { dictionaryHelpers } from "../js/core/dictionary.js";
+import { EMPTY_CHUNKING_DICTIONARY, STORAGE_KEYS } from "../js/constants.js";
+import { assertDeepEqual, assertEqual } from "./assert.js";
+import { createMemoryStorage } from "./fixtures.js";
+
+/**
+ * Executes dictionary tests.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runDictionaryTests(runTest) {
+    await runTest("parses one trimmed, unique entry per line with inner whitespace collapsed", () => {
+        const entries = dictionaryHelpers.parseDictionaryEntries("  Inc.\n\nNew   York Times\nInc.\n  ");
+        assertDeepEqual(entries, ["Inc.", "New York Times"], "entries should be normalized");
+        assertEqual(dictionaryHelpers.formatDictionaryEntries(entries), "Inc.\nNew York Times", "entries should format one per line");
+    });
+
+    await runTest("dictionary store returns the empty dictionary when nothing is stored", () => {
+        const { storage } = createMemoryStorage({});
+        const dictionary = dictionaryHelpers.createDictionaryStore(storage).load();
+        assertEqual(dictionary, EMPTY_CHUNKING_DICTIONARY, "missing storage should load the empty dictionary");
+    });
+
+    await runTest("dictionary store round-trips a saved dictionary", () => {
+        const { entries, storage } = createMemoryStorage({});
+        const dictionaryStore = dictionaryHelpers.createDictionaryStore(storage);
+        const dictionary = dictionaryHelpers.createChunkingDictionary("Inc.\nv2.1", "Node.js");
+        dictionaryStore.save(dictionary);
+        assertEqual(entries.has(STORAGE_KEYS.CHUNKING_DICTIONARY), true, "store should write under its storage key");
+        assertDeepEqual(dictionaryStore.load(), dictionary, "loaded dictionary should equal the saved one");
+    });
+
+    await runTest("dictionary store loads the empty dictionary when the stored value is invalid", () => {
+        const { storage: invalidShapeStorage } = createMemoryStorage({
+            [STORAGE_KEYS.CHUNKING_DICTIONARY]: JSON.stringify({ abbreviations: "Inc." })
+        });
+        assertEqual(
+            dictionaryHelpers.createDictionaryStore(invalidShapeStorage).load(),
+            EMPTY_CHUNKING_DICTIONARY,
+            "a stored value with an invalid shape should load the empty dictionary"
+        );
+        const { storage: invalidJsonStorage } = createMemoryStorage({ [STORAGE_KEYS.CHUNKING_DICTIONARY]: "{broken" });
+        assertEqual(
+            dictionaryHelpers.createDictionaryStore(invalidJsonStorage).load(),
+            EMPTY_CHUNKING_DICTIONARY,
+            "stored text that is not JSON should load the empty dictionary"
+        );
+    });
+}
@@ -0,0 +1,142 @@
+// @ts-check
+/**
+ * @fileoverview Tests for converting Markdown, plain text, and HTML drafts into editor documents.
+ */
+
+import { draftImportHelpers } from "../js/core/draftImport.js";
+import { assertDeepEqual, assertEqual, assertThrows } from "./assert.js";
+
+const IMAGE_DATA_URL = "data:image/png;base64,ZmFrZQ==";
+
+/**
+ * Executes tests covering draft format detection and conversion.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runDraftImportTests(runTest) {
+    await runTest("draft formats come from the extension or the file type", () => {
+        assertEqual(draftImportHelpers.detectDraftFormat("Notes.MD", ""), "markdown", "extensions ignore case");
+        assertEqual(draftImportHelpers.detectDraftFormat("notes.htm", "text/plain"), "html", "the extension wins");
+        assertEqual(
+            draftImportHelpers.detectDraftFormat("clipboard", "text/html; charset=utf-8"),
+            "html",
+            "the type is used without a known extension"
+        );
+        assertEqual(draftImportHelpers.detectDraftFormat("photo.png", "image/png"), null, "images are not drafts");
+    });
+
+    await runTest("Markdown headings and lists become paragraphs and inline marks are removed", () => {
+        const markdownText = [
+            "# Launch **notes** #",
+            "We ship _today_ with [docs](https://example.com/a_b) and `npm *run*`.",
+            "See <https://example.com>.",
+            "",
+            "Setext heading",
+            "===",
+            "- First",
+            "* Second",
+            "  continued",
+            "3) Third",
+            "",
+            "> Quoted \\*stars\\*",
+            "",
+            "***",
+            "",
+            "```",
+            "keep **marks**",
+            "```"
+        ].join("\n");
+        assertEqual(
+            draftImportHelpers.convertMarkdown(markdownText).placeholderText,
+            [
+                "Launch notes",
+                "We ship today with docs (https://example.com/a_b) and npm *run*.\nSee https://example.com.",
+                "Setext heading",
+                "• First\n• Second continued\n3. Third",
+                "Quoted *stars*",
+                "---",
+                "keep **marks**"
+            ].join("\n\n"),
+            "blocks should be separated by blank lines and thematic breaks should become post breaks"
+        );
+    });
+
+    await runTest("Markdown data URL images become placeholders and other images keep their alt text", () => {
+        const markdownDocument = draftImportHelpers.convertMarkdown(
+            [
+                `Chart ![Sales \\[Q1\\]](${IMAGE_DATA_URL}) and ![Logo](https://example.com/logo.png).`,
+                "",
+                "![Team][photo]",
+                "",
+                `[photo]: ${IMAGE_DATA_URL}`
+            ].join("\n")
+        );
+        assertEqual(
+            markdownDocument.placeholderText,
+            "Chart [[IMAGE:0]] and Logo.\n\n[[IMAGE:1]]",
+            "only data URL images should become placeholders"
+        );
+        assertDeepEqual(
+            markdownDocument.images.map((imageRecord) => [imageRecord.placeholderToken, imageRecord.altText]),
+            [
+                ["[[IMAGE:0]]", "Sales [Q1]"],
+                ["[[IMAGE:1]]", "Team"]
+            ],
+            "images should keep their order and unescaped alt text"
+        );
+        assertEqual(markdownDocument.plainText.includes("[[IMAGE:"), false, "plain text should drop the image placeholders");
+    });
+
+    await runTest("HTML drafts keep blocks, lists, links, and embedded images without scripts", () => {
+        const htmlDocument = draftImportHelpers.convertHtml(
+            [
+                "<html><head><style>p { color: red; }</style></head><body>",
+                "<h2>Title</h2><p>Hello   <strong>bold</strong><br>next <a href=\"https://example.com\">site</a></p>",
+                "<ol start=\"2\"><li>Two</li><li>Three <em>more</em></li></ol>",
+                `<hr><p><img src="${IMAGE_DATA_URL}" alt="Chart">after</p><script>alert(1)</script>`,
+                "</body></html>"
+            ].join("")
+        );
+        assertEqual(
+            htmlDocument.placeholderText,
+            "Title\n\nHello bold\nnext site (https://example.com)\n\n2. Two\n3. Three more\n\n---\n\n[[IMAGE:0]] after",
+            "HTML blocks should become paragraphs"
+        );
+        assertEqual(htmlDocument.images[0].altText, "Chart", "embedded images should keep their alt text");
+    });
+
+    await runTest("images with hostile or non-image data URLs keep only their alt text", () => {
+        const hostileSource = 'data:image/png;base64,AAAA"onerror="alert(document.domain)';
+        const markdownDocument = draftImportHelpers.convertMarkdown(
+            `A ![pic](${hostileSource}) and ![page](data:text/html;base64,PGI+).`
+        );
+        assertEqual(
+            markdownDocument.placeholderText,
+            "A pic) and page.",
+            "Markdown images should keep only their alt text; the text after the URL stays text"
+        );
+        assertEqual(markdownDocument.images.length, 0, "no Markdown image should come into the editor");
+
+        const htmlDocument = draftImportHelpers.convertHtml(
+            `<p>A <img src='${hostileSource}' alt="pic"> and <img src="data:image/png,AAAA" alt="raw"></p>`
+        );
+        assertEqual(htmlDocument.placeholderText, "A pic and raw", "HTML images should keep only their alt text");
+        assertEqual(htmlDocument.images.length, 0, "no HTML image should come into the editor");
+    });
+
+    await runTest("plain text drafts normalize line endings and blank lines", () => {
+        assertDeepEqual(
+            draftImportHelpers.convertDraft("plainText", "  First\r\n\r\n\r\n\r\nSecond  \r\n"),
+            { placeholderText: "First\n\nSecond", plainText: "First\n\nSecond", images: [] },
+            "plain text should keep its paragraphs"
+        );
+        assertThrows(
+            () =>
+                draftImportHelpers.convertDraft(
+                    /** @type {import("../js/types.d.js").DraftFormatIdentifier} */ ("docx"),
+                    "Text"
+                ),
+            "unknown draft formats should throw"
+        );
+    });
+}
@@ -0,0 +1,97 @@
+// @ts-check
+/**
+ * @fileoverview Tests for enumeration label styles, positions, and the persistent format store.
+ */
+
+import { enumerationHelpers } from "../js/core/enumeration.js";
+import {
+    DEFAULT_ENUMERATION_FORMAT,
+    ENUMERATION_POSITIONS,
+    ENUMERATION_STYLE_IDENTIFIERS,
+    STORAGE_KEYS
+} from "../js/constants.js";
+import { assertDeepEqual, assertEqual, assertThrows } from "./assert.js";
+import { createMemoryStorage } from "./fixtures.js";
+
+/**
+ * Builds a format from the default with the given overrides.
+ * @param {Partial<import("../js/types.d.js").EnumerationFormat>} overrides Fields that differ from the default.
+ * @returns {import("../js/types.d.js").EnumerationFormat}
+ */
+function createFormat(overrides) {
+    return Object.assign({}, DEFAULT_ENUMERATION_FORMAT, overrides);
+}
+
+/**
+ * Executes enumeration tests.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runEnumerationTests(runTest) {
+    const labelCases = [
+        { style: ENUMERATION_STYLE_IDENTIFIERS.PARENTHESES, position: ENUMERATION_POSITIONS.SUFFIX, expected: "Post (2/7)" },
+        { style: ENUMERATION_STYLE_IDENTIFIERS.FRACTION, position: ENUMERATION_POSITIONS.PREFIX, expected: "2/7 Post" },
+        { style: ENUMERATION_STYLE_IDENTIFIERS.OPEN_FRACTION, position: ENUMERATION_POSITIONS.PREFIX, expected: "2/ Post" },
+        { style: ENUMERATION_STYLE_IDENTIFIERS.THREAD_EMOJI, position: ENUMERATION_POSITIONS.PREFIX, expected: "🧵 2/7 Post" },
+        { style: ENUMERATION_STYLE_IDENTIFIERS.BRACKETS, position: ENUMERATION_POSITIONS.SUFFIX, expected: "Post [2]" }
+    ];
+    for (const labelCase of labelCases) {
+        await runTest(`labels chunks in the ${labelCase.style} style as a ${labelCase.position}`, () => {
+            const format = createFormat({ style: labelCase.style, position: labelCase.position });
+            assertEqual(enumerationHelpers.enumerateChunk("Post", 1, 7, format), labelCase.expected, "label should match the style");
+        });
+    }
+
+    await runTest("defaults to the parenthesized suffix", () => {
+        assertEqual(enumerationHelpers.enumerateChunk("Post", 0, 3), "Post (1/3)", "default label should be a suffix");
+    });
+
+    await runTest("skips the first label and keeps absolute numbers", () => {
+        const format = createFormat({ skipFirst: true, position: ENUMERATION_POSITIONS.PREFIX });
+        assertEqual(enumerationHelpers.enumerateChunk("Hook", 0, 3, format), "Hook", "first chunk should have no label");
+        assertEqual(enumerationHelpers.enumerateChunk("Body", 1, 3, format), "(2/3) Body", "second chunk should be number 2");
+    });
+
+    await runTest("fills a custom template with the current and total numbers", () => {
+        const format = createFormat({ style: ENUMERATION_STYLE_IDENTIFIERS.CUSTOM, customTemplate: " — part {current} of {total} " });
+        assertEqual(enumerationHelpers.enumerateChunk("Post", 2, 4, format), "Post — part 3 of 4", "custom label should be trimmed");
+    });
+
+    await runTest("rejects a custom template without the current number", () => {
+        assertEqual(enumerationHelpers.isValidCustomTemplate("{total} posts"), false, "template needs {current}");
+        const format = createFormat({ style: ENUMERATION_STYLE_IDENTIFIERS.CUSTOM, customTemplate: "{total} posts" });
+        assertThrows(() => enumerationHelpers.enumerateChunk("Post", 0, 2, format), "invalid template should fail fast");
+    });
+
+    await runTest("enumeration format store returns the default when nothing is stored", () => {
+        const { storage } = createMemoryStorage({});
+        const format = enumerationHelpers.createEnumerationFormatStore(storage).load();
+        assertEqual(format, DEFAULT_ENUMERATION_FORMAT, "missing storage should load the default format");
+    });
+
+    await runTest("enumeration format store round-trips a saved format", () => {
+        const { entries, storage } = createMemoryStorage({});
+        const formatStore = enumerationHelpers.createEnumerationFormatStore(storage);
+        const format = createFormat({ style: ENUMERATION_STYLE_IDENTIFIERS.THREAD_EMOJI, skipFirst: true });
+        formatStore.save(format);
+        assertEqual(entries.has(STORAGE_KEYS.ENUMERATION_FORMAT), true, "store should write under its storage key");
+        assertDeepEqual(formatStore.load(), format, "loaded format should equal the saved one");
+    });
+
+    await runTest("enumeration format store loads the default format when the stored value is invalid", () => {
+        const { storage: invalidShapeStorage } = createMemoryStorage({
+            [STORAGE_KEYS.ENUMERATION_FORMAT]: JSON.stringify({ style: "roman", position: "prefix" })
+        });
+        assertEqual(
+            enumerationHelpers.createEnumerationFormatStore(invalidShapeStorage).load(),
+            DEFAULT_ENUMERATION_FORMAT,
+            "a stored value with an invalid shape should load the default format"
+        );
+        const { storage: invalidJsonStorage } = createMemoryStorage({ [STORAGE_KEYS.ENUMERATION_FORMAT]: "{broken" });
+        assertEqual(
+            enumerationHelpers.createEnumerationFormatStore(invalidJsonStorage).load(),
+            DEFAULT_ENUMERATION_FORMAT,
+            "stored text that is not JSON should load the default format"
+        );
+    });
+}
@@ -0,0 +1,32 @@
+// @ts-check
+/**
+ * @fileoverview Shared test doubles and builders for the browser-based tests.
+ */
+
+/**
+ * Creates an in-memory key-value storage.
+ * @param {Record<string, string>} initialEntries Entries present before the test.
+ * @returns {{ entries: Map<string, string>, storage: import("../js/types.d.js").KeyValueStorage }}
+ */
+export function createMemoryStorage(initialEntries) {
+    const entries = new Map(Object.entries(initialEntries));
+    return {
+        entries,
+        storage: {
+            getItem: (key) => entries.get(key) ?? null,
+            setItem: (key, value) => {
+                entries.set(key, value);
+            }
+        }
+    };
+}
+
+/**
+ * Builds a text chunk content with the same plain text and HTML.
+ * @param {string} plainText Chunk text.
+ * @param {Partial<import("../js/types.d.js").ChunkContent>} [fields] Source span, post index, or other fields of the chunk.
+ * @returns {import("../js/types.d.js").ChunkContent}
+ */
+export function createTextChunk(plainText, fields = {}) {
+    return { variant: "text", plainText, htmlContent: plainText, ...fields };
+}
@@ -156,6 +156,18 @@ async function main() {
     if (failureCount > 0) {
         process.exitCode = 1;
     }
+
+    const { runChunkingBenchmark } = await import("./chunkingBenchmark.js");
+    const benchmarkReport = runChunkingBenchmark();
+    console.log(
+        `⏱ Chunking benchmark (${benchmarkReport.characterCount} characters, ${benchmarkReport.postCount} posts): ` +
+            `full re-chunk ${benchmarkReport.fullDurationMs.toFixed(1)} ms, ` +
+            `incremental re-chunk ${benchmarkReport.incrementalDurationMs.toFixed(1)} ms`
+    );
+    if (!benchmarkReport.resultsMatch) {
+        console.error("❌ Incremental re-chunking returned other posts than a full re-chunk");
+        process.exitCode = 1;
+    }
 }
 
 main().catch((error) => {
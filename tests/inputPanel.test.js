@@ -67,7 +67,7 @@ function appendEmptyParagraph(targetEditorElement) {
 
 /**
  * Creates a consistent DOM fixture for InputPanel tests.
- * @returns {{ inputPanel: InputPanel, editorElement: HTMLDivElement, cleanup: () => void }}
+ * @returns {{ inputPanel: InputPanel, editorElement: HTMLDivElement, errorElement: HTMLDivElement, postBreakButton: HTMLButtonElement, boundaryOverlayElement: HTMLDivElement, openDraftButton: HTMLButtonElement, draftFileInput: HTMLInputElement, imageAltTextList: HTMLUListElement, cleanup: () => void }}
  */
 function createInputPanelFixture() {
     const fixtureContainer = document.createElement("div");
@@ -75,19 +75,48 @@ function createInputPanelFixture() {
     editorElement.setAttribute("contenteditable", "true");
     const statsElement = document.createElement("div");
     const errorElement = document.createElement("div");
+    const postBreakButton = document.createElement("button");
+    const boundaryOverlayElement = document.createElement("div");
+    const openDraftButton = document.createElement("button");
+    const draftFileInput = document.createElement("input");
+    const imageAltTextList = document.createElement("ul");
 
     fixtureContainer.appendChild(editorElement);
+    fixtureContainer.appendChild(boundaryOverlayElement);
+    fixtureContainer.appendChild(postBreakButton);
+    fixtureContainer.appendChild(openDraftButton);
+    fixtureContainer.appendChild(draftFileInput);
+    fixtureContainer.appendChild(imageAltTextList);
     fixtureContainer.appendChild(statsElement);
     fixtureContainer.appendChild(errorElement);
     document.body.appendChild(fixtureContainer);
 
-    const inputPanel = new InputPanel(editorElement, statsElement, errorElement);
+    const inputPanel = new InputPanel(
+        editorElement,
+        statsElement,
+        errorElement,
+        postBreakButton,
+        boundaryOverlayElement,
+        openDraftButton,
+        draftFileInput,
+        imageAltTextList
+    );
 
     const cleanup = () => {
         fixtureContainer.remove();
     };
 
-    return { inputPanel, editorElement, cleanup };
+    return {
+        inputPanel,
+        editorElement,
+        errorElement,
+        postBreakButton,
+        boundaryOverlayElement,
+        openDraftButton,
+        draftFileInput,
+        imageAltTextList,
+        cleanup
+    };
 }
 
 const DOCUMENT_CASES = [
@@ -233,4 +262,256 @@ export async function runInputPanelTests(runTest) {
             }
         });
     }
+
+    await runTest("post break button inserts the marker at the caret and the snapshot round-trips it", () => {
+        const { inputPanel, editorElement, postBreakButton, cleanup } = createInputPanelFixture();
+        try {
+            inputPanel.initializeCopy();
+            assertEqual(postBreakButton.textContent, "Insert post break", "post break button should be labelled");
+            editorElement.textContent = "Hook. Body.";
+            const caretRange = document.createRange();
+            caretRange.setStart(/** @type {Text} */ (editorElement.firstChild), "Hook.".length);
+            caretRange.collapse(true);
+            window.getSelection()?.removeAllRanges();
+            window.getSelection()?.addRange(caretRange);
+
+            let inputEventCount = 0;
+            editorElement.addEventListener("input", () => {
+                inputEventCount += 1;
+            });
+            postBreakButton.click();
+            const snapshot = inputPanel.getDocumentSnapshot();
+            assertEqual(snapshot.placeholderText, "Hook.\n---\nBody.", "the marker should sit on its own line at the caret");
+            assertEqual(inputEventCount, 1, "inserting a post break should emit one input event");
+
+            inputPanel.replacePlainText(snapshot.placeholderText);
+            assertEqual(
+                inputPanel.getDocumentSnapshot().placeholderText,
+                snapshot.placeholderText,
+                "the marker should survive a snapshot round trip"
+            );
+        } finally {
+            cleanup();
+        }
+    });
+
+    await runTest("post boundary markers show budgets without changing the snapshot or the caret", async () => {
+        const { inputPanel, editorElement, boundaryOverlayElement, cleanup } = createInputPanelFixture();
+        try {
+            editorElement.innerHTML = "<div>Alpha bravo.</div><div>Charlie delta.</div>";
+            const snapshotBefore = inputPanel.getDocumentSnapshot();
+            const caretRange = document.createRange();
+            caretRange.setStart(/** @type {Text} */ (editorElement.lastChild?.firstChild), 3);
+            caretRange.collapse(true);
+            window.getSelection()?.removeAllRanges();
+            window.getSelection()?.addRange(caretRange);
+
+            inputPanel.renderPostBoundaries([
+                { sourceStart: 0, sourceEnd: 12, characters: 12, maximumLength: 14 },
+                { sourceStart: 13, sourceEnd: 27, characters: 15, maximumLength: 14 }
+            ], snapshotBefore.placeholderText);
+            const markerElements = Array.from(boundaryOverlayElement.children);
+            assertEqual(
+                markerElements.map((markerElement) => markerElement.textContent).join(" | "),
+                "Post 1 · 12/14 | Post 2 · 15/14",
+                "markers should show the post number and the character budget"
+            );
+            assertEqual(
+                markerElements.map((markerElement) => markerElement.classList.contains("overBudget")).join(","),
+                "false,true",
+                "only posts above the limit should be flagged"
+            );
+            assertEqual(boundaryOverlayElement.getAttribute("aria-hidden"), "true", "markers should be hidden from screen readers");
+            assertEqual(
+                JSON.stringify(inputPanel.getDocumentSnapshot()),
+                JSON.stringify(snapshotBefore),
+                "markers should not change the snapshot"
+            );
+            const selection = window.getSelection();
+            assertEqual(selection?.anchorNode, editorElement.lastChild?.firstChild, "markers should keep the caret node");
+            assertEqual(selection?.anchorOffset, 3, "markers should keep the caret offset");
+
+            editorElement.dispatchEvent(new Event("scroll"));
+            editorElement.dispatchEvent(new Event("scroll"));
+            await new Promise((resolve) => window.requestAnimationFrame(() => resolve(undefined)));
+            assertEqual(
+                Array.from(boundaryOverlayElement.children).every(
+                    (markerElement, markerIndex) => markerElement === markerElements[markerIndex]
+                ),
+                true,
+                "scrolling should move the existing markers instead of building new ones"
+            );
+
+            inputPanel.clearPostBoundaries();
+            assertEqual(boundaryOverlayElement.children.length, 0, "clearing should remove every marker");
+        } finally {
+            cleanup();
+        }
+    });
+
+    await runTest("source ranges of many spans match the text of each span", () => {
+        const { inputPanel, editorElement, cleanup } = createInputPanelFixture();
+        try {
+            editorElement.innerHTML = '<div>Alpha bravo <img src="data:image/png;base64,ZmFrZQ==" alt="Chart"> charlie.</div><div>Delta.</div>';
+            const placeholderText = inputPanel.getDocumentSnapshot().placeholderText;
+            const sourceRanges = inputPanel.createSourceRanges(
+                [
+                    { sourceStart: 33, sourceEnd: 39 },
+                    { sourceStart: 0, sourceEnd: 5 },
+                    { sourceStart: 12, sourceEnd: 32 },
+                    { sourceStart: 6, sourceEnd: 6 }
+                ],
+                placeholderText
+            );
+            assertEqual(
+                sourceRanges.map((sourceRange) => sourceRange.toString()).join("|"),
+                "Delta.|Alpha| charlie.|",
+                "each range should cover the text of its span in any order"
+            );
+            assertEqual(
+                sourceRanges[2].cloneContents().querySelectorAll("img").length,
+                1,
+                "a span that starts at an image placeholder should start before the image"
+            );
+            assertEqual(
+                inputPanel.createSourceRange(0, 11).toString(),
+                "Alpha bravo",
+                "a single range should match the batch result"
+            );
+        } finally {
+            cleanup();
+        }
+    });
+
+    await runTest("replacing a source span keeps images and emits an input event", () => {
+        const { inputPanel, editorElement, cleanup } = createInputPanelFixture();
+        try {
+            editorElement.innerHTML = '<div>Alpha bravo <img src="data:image/png;base64,ZmFrZQ==" alt="Chart"> charlie.</div><div>Delta.</div>';
+            let inputEventCount = 0;
+            editorElement.addEventListener("input", () => {
+                inputEventCount += 1;
+            });
+            const placeholderText = inputPanel.getDocumentSnapshot().placeholderText;
+            assertEqual(placeholderText, "Alpha bravo [[IMAGE:0]] charlie.\nDelta.", "fixture snapshot should list the image");
+
+            inputPanel.replaceSourceSpan(6, placeholderText.indexOf("\n"), "echo foxtrot.");
+            assertEqual(
+                inputPanel.getDocumentSnapshot().placeholderText,
+                "Alpha echo foxtrot.[[IMAGE:0]]\nDelta.",
+                "the span should hold the new text followed by its image"
+            );
+            assertEqual(editorElement.querySelectorAll("img").length, 1, "the image should stay in the editor");
+            assertEqual(inputEventCount, 1, "replacing a span should emit one input event");
+        } finally {
+            cleanup();
+        }
+    });
+
+    await runTest("imported Markdown drafts load into the editor with their headings and images", async () => {
+        const { inputPanel, editorElement, errorElement, cleanup } = createInputPanelFixture();
+        try {
+            let inputEventCount = 0;
+            editorElement.addEventListener("input", () => {
+                inputEventCount += 1;
+            });
+            const markdownFile = new window.File(
+                ["# Launch notes\nWe *ship* today.\n\n- Fast\n- Small\n\n![Team photo](data:image/png;base64,ZmFrZQ==)"],
+                "notes.md",
+                { type: "" }
+            );
+            await inputPanel.importDraftFile(markdownFile);
+            const snapshot = inputPanel.getDocumentSnapshot();
+            assertEqual(
+                snapshot.placeholderText,
+                "Launch notes\n\nWe ship today.\n\n• Fast\n• Small\n\n[[IMAGE:0]]",
+                "the heading and the list should become their own paragraphs"
+            );
+            assertEqual(snapshot.images[0].altText, "Team photo", "the image should keep its alt text");
+            assertEqual(editorElement.querySelectorAll("img").length, 1, "the image should be in the editor");
+            assertEqual(inputEventCount, 1, "importing a draft should emit one input event");
+
+            await inputPanel.importDraftFile(new window.File(["%PDF"], "notes.pdf", { type: "application/pdf" }));
+            assertEqual(
+                errorElement.textContent,
+                "Cannot open notes.pdf. Choose a .md, .txt, or .html file.",
+                "unsupported files should show an error"
+            );
+            assertEqual(inputPanel.getDocumentSnapshot().placeholderText, snapshot.placeholderText, "the draft should stay");
+        } finally {
+            cleanup();
+        }
+    });
+
+    await runTest("imported drafts replace a non-empty editor only after confirmation", async () => {
+        const { inputPanel, editorElement, cleanup } = createInputPanelFixture();
+        const originalConfirm = window.confirm;
+        /** @type {string[]} */
+        const confirmMessages = [];
+        let confirmAnswer = false;
+        window.confirm = (message) => {
+            confirmMessages.push(String(message));
+            return confirmAnswer;
+        };
+        try {
+            editorElement.innerHTML = "<div>Keep this draft.</div>";
+            const draftFile = new window.File(["Imported text."], "notes.txt", { type: "text/plain" });
+            await inputPanel.importDraftFile(draftFile);
+            assertEqual(
+                confirmMessages[0],
+                "Replace the current draft with notes.txt? The current draft will be lost.",
+                "importing over a draft should ask first"
+            );
+            assertEqual(inputPanel.getDocumentSnapshot().placeholderText, "Keep this draft.", "a declined import should keep the draft");
+
+            confirmAnswer = true;
+            await inputPanel.importDraftFile(draftFile);
+            assertEqual(inputPanel.getDocumentSnapshot().placeholderText, "Imported text.", "a confirmed import should replace the draft");
+
+            confirmMessages.length = 0;
+            editorElement.replaceChildren();
+            await inputPanel.importDraftFile(draftFile);
+            assertEqual(confirmMessages.length, 0, "importing into an empty editor should not ask");
+        } finally {
+            window.confirm = originalConfirm;
+            cleanup();
+        }
+    });
+
+    await runTest("open file button and dropped files import drafts", async () => {
+        const { inputPanel, editorElement, openDraftButton, draftFileInput, cleanup } = createInputPanelFixture();
+        try {
+            inputPanel.initializeCopy();
+            assertEqual(openDraftButton.textContent, "Open file", "the open button should be labelled");
+            assertEqual(draftFileInput.type, "file", "the draft input should be a file input");
+            let fileDialogCount = 0;
+            draftFileInput.addEventListener("click", () => {
+                fileDialogCount += 1;
+            });
+            openDraftButton.click();
+            assertEqual(fileDialogCount, 1, "the open button should open the file dialog");
+
+            /** @type {Promise<void>[]} */
+            const imports = [];
+            const originalImportDraftFile = inputPanel.importDraftFile.bind(inputPanel);
+            inputPanel.importDraftFile = (file) => {
+                const importPromise = originalImportDraftFile(file);
+                imports.push(importPromise);
+                return importPromise;
+            };
+            const dropEvent = new Event("drop", { bubbles: true, cancelable: true });
+            Object.defineProperty(dropEvent, "dataTransfer", {
+                value: { files: [new window.File(["<h1>Title</h1><p>Body <b>text</b>.</p>"], "draft.html", { type: "text/html" })] }
+            });
+            editorElement.dispatchEvent(dropEvent);
+            await Promise.all(imports);
+            assertEqual(dropEvent.defaultPrevented, true, "the drop should not insert the file as text");
+            assertEqual(
+                inputPanel.getDocumentSnapshot().placeholderText,
+                "Title\n\nBody text.",
+                "a dropped HTML draft should replace the editor"
+            );
+        } finally {
+            cleanup();
+        }
+    });
 }
@@ -6,6 +6,10 @@
 import { InputPanel } from "../js/ui/inputPanel.js";
 import { ChunkListView } from "../js/ui/chunkListView.js";
 import { FormControls } from "../js/ui/formControls.js";
+import { DictionaryPanel } from "../js/ui/dictionaryPanel.js";
+import { dictionaryHelpers } from "../js/core/dictionary.js";
+import { enumerationHelpers } from "../js/core/enumeration.js";
+import { threadDecorationHelpers } from "../js/core/threadDecorations.js";
 import { ThreaderController } from "../js/ui/controller.js";
 import { chunkingService } from "../js/core/chunking.js";
 import { loggingHelpers } from "../js/utils/logging.js";
@@ -19,11 +23,17 @@ import {
     CHUNK_CONTAINER_STATE_CLASSES,
     COPY_BUTTON_STATE_CLASSES,
     CHUNK_ATTRIBUTE_NAMES,
+    EDITOR_HIGHLIGHT_NAMES,
     CLIPBOARD_PRESENTATION_STYLES,
     USER_AGENT_TOKENS,
-    NAVIGATOR_VENDOR_VALUES
+    NAVIGATOR_VENDOR_VALUES,
+    SENTENCE_LOCALE_IDENTIFIERS,
+    STORAGE_KEYS,
+    ENUMERATION_STYLE_IDENTIFIERS,
+    ENUMERATION_POSITIONS
 } from "../js/constants.js";
 import { assertEqual } from "./assert.js";
+import { createMemoryStorage } from "./fixtures.js";
 
 if (!("ResizeObserver" in window)) {
     class ResizeObserverStub {
@@ -324,15 +334,21 @@ function createParagraphStatisticsFixture(
 
 /**
  * Sets up a minimal DOM fixture and controller instance for integration testing.
- * @returns {{ elements: Record<string, HTMLElement>, cleanup: () => void }}
+ * @param {Record<string, string>} [storedEntries] Initial entries of the in-memory dictionary storage.
+ * @returns {{ elements: Record<string, HTMLElement>, storedEntries: Map<string, string>, cleanup: () => void }}
  */
-function setupControllerFixture() {
+function setupControllerFixture(storedEntries = {}) {
     const fixture = document.createElement("div");
     fixture.id = "test-fixture";
     fixture.innerHTML = `
         <div id="sourceText" class="richTextInput" contenteditable="true"></div>
+        <div id="postBoundaryOverlay"></div>
         <div id="inputStats"></div>
         <div id="inputError"></div>
+        <button id="insertPostBreakButton"></button>
+        <button id="openDraftButton"></button>
+        <input id="draftFileInput" type="file" />
+        <ul id="imageAltTextList"></ul>
         <div id="results"></div>
         <button id="presetThreads"></button>
         <button id="presetBluesky"></button>
@@ -345,6 +361,31 @@ function setupControllerFixture() {
         <label id="sentenceToggleLabel"></label>
         <input id="enumerationToggle" type="checkbox" />
         <label id="enumerationToggleLabel"></label>
+        <input id="balancedToggle" type="checkbox" />
+        <label id="balancedToggleLabel"></label>
+        <input id="lineBreaksToggle" type="checkbox" />
+        <label id="lineBreaksToggleLabel"></label>
+        <input id="markdownToggle" type="checkbox" />
+        <label id="markdownToggleLabel"></label>
+        <input id="markdownRenderToggle" type="checkbox" />
+        <label id="markdownRenderToggleLabel"></label>
+        <label id="sentenceLocaleLabel"></label>
+        <select id="sentenceLocale"></select>
+        <label id="enumerationStyleLabel"></label>
+        <select id="enumerationStyle"></select>
+        <label id="enumerationPositionLabel"></label>
+        <select id="enumerationPosition"></select>
+        <input id="enumerationSkipFirst" type="checkbox" />
+        <label id="enumerationSkipFirstLabel"></label>
+        <label id="enumerationTemplateLabel"></label>
+        <input id="enumerationTemplate" type="text" />
+        <label id="openerPrefixLabel"></label>
+        <input id="openerPrefix" type="text" />
+        <label id="continuationSuffixLabel"></label>
+        <input id="continuationSuffix" type="text" />
+        <label id="threadFooterLabel"></label>
+        <textarea id="threadFooter"></textarea>
+        <details id="dictionaryPanel"></details>
     `;
     document.body.appendChild(fixture);
 
@@ -352,6 +393,11 @@ function setupControllerFixture() {
         editorElement: /** @type {HTMLDivElement} */ (fixture.querySelector("#sourceText")),
         statsElement: /** @type {HTMLElement} */ (fixture.querySelector("#inputStats")),
         errorElement: /** @type {HTMLElement} */ (fixture.querySelector("#inputError")),
+        postBreakButton: /** @type {HTMLButtonElement} */ (fixture.querySelector("#insertPostBreakButton")),
+        boundaryOverlayElement: /** @type {HTMLElement} */ (fixture.querySelector("#postBoundaryOverlay")),
+        openDraftButton: /** @type {HTMLButtonElement} */ (fixture.querySelector("#openDraftButton")),
+        draftFileInput: /** @type {HTMLInputElement} */ (fixture.querySelector("#draftFileInput")),
+        imageAltTextList: /** @type {HTMLUListElement} */ (fixture.querySelector("#imageAltTextList")),
         resultsElement: /** @type {HTMLElement} */ (fixture.querySelector("#results")),
         presetThreads: /** @type {HTMLButtonElement} */ (fixture.querySelector("#presetThreads")),
         presetBluesky: /** @type {HTMLButtonElement} */ (fixture.querySelector("#presetBluesky")),
@@ -361,12 +407,46 @@ function setupControllerFixture() {
         paragraphToggle: /** @type {HTMLInputElement} */ (fixture.querySelector("#paragraphToggle")),
         sentenceToggle: /** @type {HTMLInputElement} */ (fixture.querySelector("#sentenceToggle")),
         enumerationToggle: /** @type {HTMLInputElement} */ (fixture.querySelector("#enumerationToggle")),
+        balancedToggle: /** @type {HTMLInputElement} */ (fixture.querySelector("#balancedToggle")),
+        lineBreaksToggle: /** @type {HTMLInputElement} */ (fixture.querySelector("#lineBreaksToggle")),
+        markdownToggle: /** @type {HTMLInputElement} */ (fixture.querySelector("#markdownToggle")),
+        markdownRenderToggle: /** @type {HTMLInputElement} */ (fixture.querySelector("#markdownRenderToggle")),
         paragraphLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#paragraphToggleLabel")),
         sentenceLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#sentenceToggleLabel")),
-        enumerationLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#enumerationToggleLabel"))
+        enumerationLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#enumerationToggleLabel")),
+        balancedLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#balancedToggleLabel")),
+        lineBreaksLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#lineBreaksToggleLabel")),
+        markdownLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#markdownToggleLabel")),
+        markdownRenderLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#markdownRenderToggleLabel")),
+        sentenceLocaleSelect: /** @type {HTMLSelectElement} */ (fixture.querySelector("#sentenceLocale")),
+        sentenceLocaleLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#sentenceLocaleLabel")),
+        enumerationStyleSelect: /** @type {HTMLSelectElement} */ (fixture.querySelector("#enumerationStyle")),
+        enumerationStyleLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#enumerationStyleLabel")),
+        enumerationPositionSelect: /** @type {HTMLSelectElement} */ (fixture.querySelector("#enumerationPosition")),
+        enumerationPositionLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#enumerationPositionLabel")),
+        enumerationSkipFirst: /** @type {HTMLInputElement} */ (fixture.querySelector("#enumerationSkipFirst")),
+        enumerationSkipFirstLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#enumerationSkipFirstLabel")),
+        enumerationTemplate: /** @type {HTMLInputElement} */ (fixture.querySelector("#enumerationTemplate")),
+        enumerationTemplateLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#enumerationTemplateLabel")),
+        openerPrefix: /** @type {HTMLInputElement} */ (fixture.querySelector("#openerPrefix")),
+        openerPrefixLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#openerPrefixLabel")),
+        continuationSuffix: /** @type {HTMLInputElement} */ (fixture.querySelector("#continuationSuffix")),
+        continuationSuffixLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#continuationSuffixLabel")),
+        threadFooter: /** @type {HTMLTextAreaElement} */ (fixture.querySelector("#threadFooter")),
+        threadFooterLabel: /** @type {HTMLLabelElement} */ (fixture.querySelector("#threadFooterLabel")),
+        dictionaryPanel: /** @type {HTMLDetailsElement} */ (fixture.querySelector("#dictionaryPanel"))
     };
 
-    const inputPanel = new InputPanel(elements.editorElement, elements.statsElement, elements.errorElement);
+    const inputPanel = new InputPanel(
+        elements.editorElement,
+        elements.statsElement,
+        elements.errorElement,
+        elements.postBreakButton,
+        elements.boundaryOverlayElement,
+        elements.openDraftButton,
+        elements.draftFileInput,
+        elements.imageAltTextList
+    );
     const chunkListView = new ChunkListView(elements.resultsElement, chunkingService);
     const formControls = new FormControls(
         {
@@ -379,19 +459,54 @@ function setupControllerFixture() {
         {
             [TOGGLE_IDENTIFIERS.PARAGRAPH]: elements.paragraphToggle,
             [TOGGLE_IDENTIFIERS.SENTENCE]: elements.sentenceToggle,
-            [TOGGLE_IDENTIFIERS.ENUMERATION]: elements.enumerationToggle
+            [TOGGLE_IDENTIFIERS.ENUMERATION]: elements.enumerationToggle,
+            [TOGGLE_IDENTIFIERS.BALANCED]: elements.balancedToggle,
+            [TOGGLE_IDENTIFIERS.LINE_BREAKS]: elements.lineBreaksToggle,
+            [TOGGLE_IDENTIFIERS.MARKDOWN]: elements.markdownToggle,
+            [TOGGLE_IDENTIFIERS.MARKDOWN_RENDER]: elements.markdownRenderToggle
         },
         {
             [TOGGLE_IDENTIFIERS.PARAGRAPH]: elements.paragraphLabel,
             [TOGGLE_IDENTIFIERS.SENTENCE]: elements.sentenceLabel,
-            [TOGGLE_IDENTIFIERS.ENUMERATION]: elements.enumerationLabel
+            [TOGGLE_IDENTIFIERS.ENUMERATION]: elements.enumerationLabel,
+            [TOGGLE_IDENTIFIERS.BALANCED]: elements.balancedLabel,
+            [TOGGLE_IDENTIFIERS.LINE_BREAKS]: elements.lineBreaksLabel,
+            [TOGGLE_IDENTIFIERS.MARKDOWN]: elements.markdownLabel,
+            [TOGGLE_IDENTIFIERS.MARKDOWN_RENDER]: elements.markdownRenderLabel
+        },
+        elements.sentenceLocaleSelect,
+        elements.sentenceLocaleLabel,
+        {
+            styleSelect: elements.enumerationStyleSelect,
+            styleLabel: elements.enumerationStyleLabel,
+            positionSelect: elements.enumerationPositionSelect,
+            positionLabel: elements.enumerationPositionLabel,
+            skipFirstInput: elements.enumerationSkipFirst,
+            skipFirstLabel: elements.enumerationSkipFirstLabel,
+            customTemplateInput: elements.enumerationTemplate,
+            customTemplateLabel: elements.enumerationTemplateLabel
+        },
+        {
+            openerPrefixInput: elements.openerPrefix,
+            openerPrefixLabel: elements.openerPrefixLabel,
+            continuationSuffixInput: elements.continuationSuffix,
+            continuationSuffixLabel: elements.continuationSuffixLabel,
+            footerInput: elements.threadFooter,
+            footerLabel: elements.threadFooterLabel
         }
     );
 
+    const { entries: storage, storage: keyValueStorage } = createMemoryStorage(storedEntries);
+    const dictionaryStore = dictionaryHelpers.createDictionaryStore(keyValueStorage);
+
     const controller = new ThreaderController({
         inputPanel,
         chunkListView,
         formControls,
+        dictionaryPanel: new DictionaryPanel(elements.dictionaryPanel),
+        dictionaryStore,
+        enumerationFormatStore: enumerationHelpers.createEnumerationFormatStore(keyValueStorage),
+        threadDecorationStore: threadDecorationHelpers.createThreadDecorationStore(keyValueStorage),
         chunkingService,
         loggingHelpers
     });
@@ -400,6 +515,7 @@ function setupControllerFixture() {
 
     return {
         elements,
+        storedEntries: storage,
         cleanup() {
             fixture.remove();
         }
@@ -506,6 +622,40 @@ export async function runIntegrationTests(runTest) {
                 }
             }
         },
+        {
+            name: "draft statistics count with the length counter of the active preset",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    elements.editorElement.textContent = "See https://example.com/a/very/long/path/to/read today.";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        parseStatisticsText(elements.statsElement.textContent || "").characters,
+                        55,
+                        "without a preset the draft should count graphemes"
+                    );
+
+                    elements.presetTwitter.click();
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        parseStatisticsText(elements.statsElement.textContent || "").characters,
+                        34,
+                        "the Twitter/X preset should count the URL as 23 characters"
+                    );
+
+                    elements.presetTwitter.click();
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        parseStatisticsText(elements.statsElement.textContent || "").characters,
+                        55,
+                        "turning the preset off should count graphemes again"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
         {
             name: "contenteditable paragraphs update statistics and toggle availability",
             async execute() {
@@ -662,164 +812,1295 @@ export async function runIntegrationTests(runTest) {
             }
         },
         {
-            name: "custom length input updates the button label and chunk output",
+            name: "enumeration format controls load the stored format, re-chunk, and persist changes",
             async execute() {
-                const { elements, cleanup } = setupControllerFixture();
+                const { elements, storedEntries, cleanup } = setupControllerFixture({
+                    [STORAGE_KEYS.ENUMERATION_FORMAT]: JSON.stringify({
+                        style: ENUMERATION_STYLE_IDENTIFIERS.BRACKETS,
+                        position: ENUMERATION_POSITIONS.PREFIX,
+                        skipFirst: true,
+                        customTemplate: "{current}/{total}"
+                    })
+                });
                 try {
-                    const sampleText = "One two three four five six seven eight nine ten eleven twelve.";
+                    assertEqual(
+                        elements.enumerationStyleSelect.value,
+                        ENUMERATION_STYLE_IDENTIFIERS.BRACKETS,
+                        "stored style should be selected"
+                    );
+                    assertEqual(elements.enumerationSkipFirst.checked, true, "stored skip first flag should be checked");
+                    assertEqual(elements.enumerationTemplate.hidden, true, "custom template should stay hidden");
+
+                    const sampleText = "Alpha bravo charlie delta. Echo foxtrot golf hotel. India juliet kilo lima.";
                     elements.editorElement.textContent = sampleText;
                     elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.enumerationToggle.checked = true;
+                    elements.enumerationToggle.dispatchEvent(new Event("change"));
+                    elements.customLength.value = "32";
                     elements.customButton.click();
                     await waitForAnimationFrame();
-                    elements.customLength.value = "60";
-                    elements.customLength.dispatchEvent(new Event("input"));
-                    await new Promise((resolve) => setTimeout(resolve, 1100));
+
+                    const readRenderedChunks = () => Array.from(
+                        elements.resultsElement.querySelectorAll(".chunkContainer .chunkContent"),
+                        (contentElement) => contentElement.textContent ?? ""
+                    );
+                    const bracketChunks = readRenderedChunks();
+                    assertEqual(bracketChunks[0].startsWith("["), false, "first chunk should have no label");
+                    assertEqual(bracketChunks[1].startsWith("[2] "), true, "second chunk should start with its number");
+                    assertEqual(
+                        bracketChunks.every((chunkText) => chunkText.length <= 32),
+                        true,
+                        "labelled chunks should respect the limit"
+                    );
+
+                    elements.enumerationStyleSelect.value = ENUMERATION_STYLE_IDENTIFIERS.CUSTOM;
+                    elements.enumerationStyleSelect.dispatchEvent(new Event("change"));
+                    elements.enumerationTemplate.value = "#{current}";
+                    elements.enumerationTemplate.dispatchEvent(new Event("input"));
                     await waitForAnimationFrame();
-                    const expectedLabel = TEXT_CONTENT.CUSTOM_BUTTON_TEMPLATE.replace("{VALUE}", "60");
-                    assertEqual(elements.customButton.textContent, expectedLabel, "custom button label should reflect the new value");
-                    const expectedChunks = chunkingService.getChunks(sampleText, {
-                        maximumLength: 60,
-                        breakOnSentences: false,
-                        enumerate: false,
-                        breakOnParagraphs: false
-                    });
-                    const renderedChunks = elements.resultsElement.querySelectorAll(".chunkContainer");
-                    assertEqual(renderedChunks.length, expectedChunks.length, "custom chunk count should match service output");
+                    assertEqual(elements.enumerationTemplate.hidden, false, "custom template should be visible");
+                    assertEqual(readRenderedChunks()[1].startsWith("#2 "), true, "custom template should label chunks");
+                    assertEqual(
+                        JSON.parse(storedEntries.get(STORAGE_KEYS.ENUMERATION_FORMAT) ?? "null").customTemplate,
+                        "#{current}",
+                        "custom template should be persisted"
+                    );
+
+                    elements.enumerationTemplate.value = "#";
+                    elements.enumerationTemplate.dispatchEvent(new Event("input"));
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        elements.enumerationTemplate.getAttribute("aria-invalid"),
+                        "true",
+                        "a template without {current} should be marked invalid"
+                    );
+                    assertEqual(readRenderedChunks()[1].startsWith("#2 "), true, "invalid template should keep the last labels");
+                    assertEqual(
+                        JSON.parse(storedEntries.get(STORAGE_KEYS.ENUMERATION_FORMAT) ?? "null").customTemplate,
+                        "#{current}",
+                        "invalid template should not be persisted"
+                    );
                 } finally {
                     cleanup();
                 }
             }
         },
         {
-            name: "pasted image is rendered with chunks and copied alongside text",
+            name: "chunk hover highlights its source in the editor and the show button reveals it",
             async execute() {
                 const { elements, cleanup } = setupControllerFixture();
-                const originalClipboardWrite = navigator.clipboard.write;
-                /** @type {unknown[][]} */
-                const clipboardWriteCalls = [];
-                navigator.clipboard.write = (items) => {
-                    clipboardWriteCalls.push(items);
-                    return Promise.resolve();
+                const originalCss = window.CSS;
+                const originalHighlight = /** @type {any} */ (window).Highlight;
+                /** @type {Map<string, { range: Range }>} */
+                const highlightRegistry = new Map();
+                Object.defineProperty(window, "CSS", { configurable: true, writable: true, value: { highlights: highlightRegistry } });
+                /** @type {any} */ (window).Highlight = class {
+                    /** @param {Range} range Highlighted range. */
+                    constructor(range) {
+                        this.range = range;
+                    }
                 };
+                try {
+                    const editorMarkup = "<div>Alpha  bravo charlie.</div><div><br></div><div>Delta echo foxtrot.</div>";
+                    elements.editorElement.innerHTML = editorMarkup;
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.customLength.value = "20";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
 
-                let restoreFileReader = () => {};
+                    const chunkContainers = Array.from(elements.resultsElement.querySelectorAll(".chunkContainer"));
+                    assertEqual(chunkContainers.length, 2, "each sentence should fill one chunk");
+                    assertEqual(
+                        Array.from(elements.boundaryOverlayElement.children, (markerElement) => markerElement.textContent).join(" | "),
+                        "Post 1 · 20/20 | Post 2 · 19/20",
+                        "the editor overlay should mark every post with its budget"
+                    );
+                    assertEqual(
+                        chunkContainers[1].getAttribute(CHUNK_ATTRIBUTE_NAMES.SOURCE_START),
+                        "23",
+                        "chunk containers should expose the source start offset"
+                    );
 
+                    chunkContainers[1].dispatchEvent(new Event("mouseenter"));
+                    assertEqual(
+                        highlightRegistry.get(EDITOR_HIGHLIGHT_NAMES.CHUNK_SOURCE)?.range.toString(),
+                        "Delta echo foxtrot.",
+                        "hovering a chunk should highlight its source text"
+                    );
+                    chunkContainers[1].dispatchEvent(new Event("mouseleave"));
+                    assertEqual(
+                        highlightRegistry.has(EDITOR_HIGHLIGHT_NAMES.CHUNK_SOURCE),
+                        false,
+                        "leaving a chunk should clear the highlight"
+                    );
+
+                    const showSourceButton = /** @type {HTMLButtonElement} */ (
+                        chunkContainers[0].querySelector(".showSourceButton")
+                    );
+                    assertEqual(showSourceButton.textContent, TEXT_CONTENT.SHOW_SOURCE_BUTTON_LABEL, "show button should be labelled");
+                    showSourceButton.click();
+                    assertEqual(
+                        highlightRegistry.get(EDITOR_HIGHLIGHT_NAMES.CHUNK_SOURCE)?.range.toString(),
+                        "Alpha  bravo charlie.",
+                        "the show button should highlight the source text"
+                    );
+                    assertEqual(elements.editorElement.innerHTML, editorMarkup, "highlighting should not change the editor");
+                } finally {
+                    Object.defineProperty(window, "CSS", { configurable: true, writable: true, value: originalCss });
+                    /** @type {any} */ (window).Highlight = originalHighlight;
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "posts merge, split, and move by button or drag, and the layout lasts until the draft changes",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
                 try {
-                    const sampleText = "Sample text for clipboard.";
-                    elements.editorElement.textContent = sampleText;
+                    elements.editorElement.innerHTML = "<div>One two.</div><div>Three four.</div><div>Five six.</div>";
                     elements.editorElement.dispatchEvent(new Event("input"));
-                    elements.presetTwitter.click();
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    elements.customLength.value = "12";
+                    elements.customButton.click();
                     await waitForAnimationFrame();
 
-                    const pasteResult = await simulateImagePaste(elements.editorElement);
-                    restoreFileReader = pasteResult.restore;
+                    /**
+                     * @returns {HTMLElement[]}
+                     */
+                    const getContainers = () => Array.from(elements.resultsElement.querySelectorAll(".chunkContainer"));
+                    /**
+                     * @returns {string}
+                     */
+                    const describeThread = () =>
+                        getContainers()
+                            .map((containerElement) => containerElement.querySelector(".chunkContent")?.textContent)
+                            .join(" | ");
+                    /**
+                     * @param {number} containerIndex Index of the chunk container.
+                     * @param {string} buttonClassName Class of the layout button.
+                     * @returns {HTMLButtonElement}
+                     */
+                    const getLayoutButton = (containerIndex, buttonClassName) =>
+                        /** @type {HTMLButtonElement} */ (getContainers()[containerIndex].querySelector(`.${buttonClassName}`));
+
+                    assertEqual(describeThread(), "One two. | Three four. | Five six.", "the thread should start in source order");
+                    assertEqual(getLayoutButton(0, "moveChunkUpButton").disabled, true, "the first post should not move up");
+                    assertEqual(getLayoutButton(2, "moveChunkDownButton").disabled, true, "the last post should not move down");
+
+                    getLayoutButton(0, "mergeChunkButton").click();
                     await waitForAnimationFrame();
+                    assertEqual(elements.errorElement.textContent, TEXT_CONTENT.ERROR_MERGE_OVERFLOW, "an overflowing merge should warn");
+                    assertEqual(describeThread(), "One two. | Three four. | Five six.", "an overflowing merge should not apply");
 
-                    const renderedImage = elements.resultsElement.querySelector(".chunkContent img");
+                    getLayoutButton(0, "moveChunkDownButton").click();
+                    await waitForAnimationFrame();
+                    assertEqual(describeThread(), "Three four. | One two. | Five six.", "move down should swap the posts");
                     assertEqual(
-                        renderedImage instanceof HTMLImageElement,
+                        document.activeElement,
+                        getLayoutButton(1, "moveChunkDownButton"),
+                        "the focus should follow the moved post"
+                    );
+                    assertEqual(
+                        elements.resultsElement.querySelector(".manualLayoutNotice span")?.textContent,
+                        TEXT_CONTENT.MANUAL_LAYOUT_NOTICE,
+                        "a manual layout should show its notice"
+                    );
+
+                    getContainers()[2].dispatchEvent(new Event("dragstart"));
+                    getContainers()[0].dispatchEvent(new Event("drop"));
+                    await waitForAnimationFrame();
+                    assertEqual(describeThread(), "Five six. | Three four. | One two.", "dropping should move the dragged post");
+
+                    elements.customLength.value = "30";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+                    assertEqual(describeThread(), "Five six. | Three four. | One two.", "a new limit should keep the layout");
+                    assertEqual(
+                        getContainers()
+                            .map((containerElement) => String(containerElement.querySelector(".mergeChunkButton")?.disabled))
+                            .join(","),
+                        "true,true,true",
+                        "posts out of source order should not merge"
+                    );
+                    getLayoutButton(2, "moveChunkUpButton").click();
+                    await waitForAnimationFrame();
+                    getLayoutButton(1, "mergeChunkButton").click();
+                    await waitForAnimationFrame();
+                    assertEqual(describeThread(), "Five six. | One two. Three four.", "posts in source order should merge");
+
+                    getLayoutButton(1, "splitChunkButton").click();
+                    const splitPointButtons = Array.from(getContainers()[1].querySelectorAll(".splitPointButton"));
+                    assertEqual(
+                        splitPointButtons.map((buttonElement) => buttonElement.textContent).join(","),
+                        "two.,Three,four.",
+                        "the split picker should list the words after the first"
+                    );
+                    assertEqual(
+                        splitPointButtons[1].getAttribute("aria-label"),
+                        "Split before Three",
+                        "split points should have an accessible label"
+                    );
+                    /** @type {HTMLButtonElement} */ (splitPointButtons[0]).click();
+                    await waitForAnimationFrame();
+                    assertEqual(describeThread(), "Five six. | One | two. Three four.", "the post should split before the word");
+
+                    elements.customLength.value = "12";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+                    const overflowContainer = getContainers()[2];
+                    assertEqual(
+                        overflowContainer.classList.contains(CHUNK_CONTAINER_STATE_CLASSES.OVERFLOW),
                         true,
-                        "chunk should include the pasted image preview"
+                        "posts over the limit should be marked"
+                    );
+                    assertEqual(
+                        overflowContainer.querySelector(".chunkOverflowWarning")?.textContent,
+                        "Over the limit: 16/12 characters",
+                        "posts over the limit should show their length"
                     );
 
-                    const chunkContainers = Array.from(
-                        elements.resultsElement.querySelectorAll(".chunkContainer")
+                    /** @type {HTMLButtonElement} */ (elements.resultsElement.querySelector(".resetLayoutButton")).click();
+                    await waitForAnimationFrame();
+                    assertEqual(describeThread(), "One two. | Three four. | Five six.", "reset should restore the chunked posts");
+
+                    getLayoutButton(0, "moveChunkDownButton").click();
+                    await waitForAnimationFrame();
+                    elements.editorElement.innerHTML = "<div>One two.</div><div>Three four.</div><div>Five six!</div>";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    await waitForAnimationFrame();
+                    assertEqual(describeThread(), "One two. | Three four. | Five six!", "a draft change should drop the layout");
+                    assertEqual(
+                        elements.resultsElement.querySelector(".manualLayoutNotice"),
+                        null,
+                        "the notice should go away with the layout"
                     );
-                    const textContainer = chunkContainers.find((container) =>
-                        !container.classList.contains("imageChunk")
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "pinned posts keep their boundaries while draft edits re-flow the other posts",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    elements.editorElement.innerHTML = "<div>One two.</div><div>Three four.</div><div>Five six.</div>";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    elements.customLength.value = "20";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+
+                    /**
+                     * @returns {HTMLElement[]}
+                     */
+                    const getContainers = () => Array.from(elements.resultsElement.querySelectorAll(".chunkContainer"));
+                    /**
+                     * @returns {string}
+                     */
+                    const describeThread = () =>
+                        getContainers()
+                            .map((containerElement) => containerElement.querySelector(".chunkContent")?.textContent)
+                            .join(" | ");
+                    assertEqual(describeThread(), "One two. Three four. | Five six.", "the thread should pack the words");
+
+                    /** @type {HTMLButtonElement} */ (getContainers()[1].querySelector(".pinChunkButton")).click();
+                    await waitForAnimationFrame();
+                    const pinButton = /** @type {HTMLButtonElement} */ (getContainers()[1].querySelector(".pinChunkButton"));
+                    assertEqual(pinButton.textContent, TEXT_CONTENT.UNPIN_CHUNK_BUTTON_LABEL, "a pinned post should offer unpin");
+                    assertEqual(pinButton.getAttribute("aria-pressed"), "true", "the pin button should report its state");
+                    assertEqual(
+                        getContainers()[1].classList.contains(CHUNK_CONTAINER_STATE_CLASSES.PINNED),
+                        true,
+                        "a pinned post should be marked"
                     );
-                    const imageContainer = chunkContainers.find((container) =>
-                        container.classList.contains("imageChunk")
+
+                    elements.editorElement.innerHTML = "<div>One two three.</div><div>Three four.</div><div>Five six.</div>";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        describeThread(),
+                        "One two three. Three | four. | Five six.",
+                        "the pinned post should keep its text while the posts before it re-flow"
                     );
 
-                    if (!textContainer || !imageContainer) {
-                        throw new Error("Expected both text and image chunks to be rendered");
-                    }
+                    /** @type {HTMLButtonElement} */ (getContainers()[2].querySelector(".pinChunkButton")).click();
+                    await waitForAnimationFrame();
+                    assertEqual(describeThread(), "One two three. Three | four. Five six.", "unpinning should re-flow the post");
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "long threads render only the posts near the viewport and reuse unchanged post nodes",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    const paragraphs = Array.from({ length: 200 }, (_, paragraphIndex) => `Post ${paragraphIndex + 1}.`);
+                    elements.editorElement.innerHTML = paragraphs.map((paragraph) => `<div>${paragraph}</div>`).join("");
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    elements.customLength.value = "10";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
 
-                    const textCopyButton = /** @type {HTMLButtonElement} */ (
-                        textContainer.querySelector(".copyButton")
+                    /**
+                     * @returns {HTMLElement[]}
+                     */
+                    const getContainers = () => Array.from(elements.resultsElement.querySelectorAll(".chunkContainer"));
+                    /**
+                     * @returns {string[]}
+                     */
+                    const getPostTexts = () =>
+                        getContainers().map((containerElement) => String(containerElement.querySelector(".chunkContent")?.textContent));
+                    const spacers = /** @type {HTMLElement[]} */ (
+                        Array.from(elements.resultsElement.querySelectorAll(".chunkListSpacer"))
                     );
-                    textCopyButton.click();
+                    assertEqual(spacers.length, 2, "a long thread should render spacers around the visible posts");
+                    assertEqual(getContainers().length < 20, true, "only the posts near the viewport should have nodes");
+                    assertEqual(getPostTexts()[0], "Post 1.", "the list should start with the first post");
+                    assertEqual(spacers[1].style.height !== "0px", true, "the bottom spacer should stand in for the other posts");
+
+                    const firstContainer = getContainers()[0];
+                    /** @type {HTMLButtonElement} */ (firstContainer.querySelector(".copyButton")).click();
+                    await Promise.resolve();
                     await Promise.resolve();
 
-                    assertEqual(clipboardWriteCalls.length, 1, "clipboard write should be invoked once");
-                    let clipboardItems = clipboardWriteCalls[0];
-                    assertEqual(Array.isArray(clipboardItems), true, "clipboard payload should be an array");
-                    assertEqual(clipboardItems.length, 1, "clipboard payload should contain a single item");
-                    let clipboardItem = /** @type {{ items: Record<string, Blob> }} */ (clipboardItems[0]);
+                    const originalSpacerRect = spacers[0].getBoundingClientRect.bind(spacers[0]);
+                    spacers[0].getBoundingClientRect = () =>
+                        /** @type {DOMRect} */ ({ ...originalSpacerRect().toJSON(), top: -16000 });
+                    elements.resultsElement.dispatchEvent(new Event("scroll"));
+                    await waitForAnimationFrame();
+                    assertEqual(getPostTexts().includes("Post 101."), true, "scrolling should render the posts in view");
+                    assertEqual(getPostTexts().includes("Post 1."), false, "scrolling should remove posts out of view");
+
+                    /** @type {HTMLButtonElement} */ (elements.resultsElement.querySelector(".copyNextButton")).click();
+                    await Promise.resolve();
+                    await Promise.resolve();
+                    const revealedContainer = /** @type {HTMLElement} */ (document.activeElement);
                     assertEqual(
-                        Object.prototype.hasOwnProperty.call(clipboardItem.items, "text/plain"),
-                        true,
-                        "text clipboard item should contain plain text"
+                        revealedContainer.querySelector(".chunkContent")?.textContent,
+                        "Post 2.",
+                        "copy next should render and focus the next post out of view"
                     );
                     assertEqual(
-                        Object.prototype.hasOwnProperty.call(clipboardItem.items, "text/html"),
-                        true,
-                        "text clipboard item should contain HTML"
+                        revealedContainer.getAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER),
+                        "2",
+                        "copy next should copy the post out of view"
                     );
-                    let plainTextBlob = clipboardItem.items["text/plain"];
-                    let plainTextContent = await plainTextBlob.text();
+
+                    spacers[0].getBoundingClientRect = originalSpacerRect;
+                    elements.resultsElement.dispatchEvent(new Event("scroll"));
+                    await waitForAnimationFrame();
+                    assertEqual(getContainers()[0], firstContainer, "scrolling back should show the same post node");
                     assertEqual(
-                        plainTextContent.includes(TEXT_CONTENT.IMAGE_PLAIN_TEXT_PLACEHOLDER),
-                        false,
-                        "text chunk plain text should not inject an image placeholder"
+                        firstContainer.getAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER),
+                        "1",
+                        "a post should keep its copy state while it is out of view"
                     );
-                    let htmlBlob = clipboardItem.items["text/html"];
-                    let htmlContent = await htmlBlob.text();
-                    assertEqual(/<img/i.test(htmlContent), false, "text chunk HTML should not inline the image");
 
-                    clipboardWriteCalls.length = 0;
+                    elements.editorElement.innerHTML = paragraphs
+                        .map((paragraph, paragraphIndex) => `<div>${paragraphIndex === 199 ? "Last." : paragraph}</div>`)
+                        .join("");
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    await waitForAnimationFrame();
+                    assertEqual(getContainers()[0], firstContainer, "a re-render should reuse the node of an unchanged post");
+                    assertEqual(
+                        firstContainer.classList.contains(CHUNK_CONTAINER_STATE_CLASSES.COPIED),
+                        true,
+                        "a reused post node should stay marked as copied"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "copy next copies posts in order from the button or the keyboard and shows the progress",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    elements.editorElement.innerHTML = "<div>One two.</div><div>Three four.</div><div>Five six.</div>";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    elements.customLength.value = "12";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
 
-                    const imageCopyButton = /** @type {HTMLButtonElement} */ (
-                        imageContainer.querySelector(".copyButton")
+                    /**
+                     * @returns {HTMLElement[]}
+                     */
+                    const getContainers = () => Array.from(elements.resultsElement.querySelectorAll(".chunkContainer"));
+                    const copyNextButton = /** @type {HTMLButtonElement} */ (
+                        elements.resultsElement.querySelector(".copyNextButton")
                     );
-                    const originalUserAgent = navigator.userAgent;
-                    const originalVendor = navigator.vendor;
-                    const imageCopyScenarios = [
-                        {
-                            label: "default browser retains HTML clipboard fragment",
-                            userAgent: originalUserAgent,
-                            vendor: originalVendor,
-                            expectHtml: true,
-                            expectedPresentationStyle: null
-                        },
-                        {
-                            label: "Safari attachment clipboard branch",
-                            userAgent: SIMULATED_SAFARI_USER_AGENT,
-                            vendor: NAVIGATOR_VENDOR_VALUES.APPLE,
-                            expectHtml: false,
-                            expectedPresentationStyle: CLIPBOARD_PRESENTATION_STYLES.ATTACHMENT
-                        }
-                    ];
+                    const progressText = /** @type {HTMLElement} */ (elements.resultsElement.querySelector(".copyProgressText"));
+                    assertEqual(copyNextButton.textContent, TEXT_CONTENT.COPY_NEXT_BUTTON_LABEL, "copy next should be labelled");
+                    assertEqual(progressText.textContent, "Copied 0 of 3", "the progress should start at zero");
 
-                    for (const scenario of imageCopyScenarios) {
-                        const restoreIdentity = overrideNavigatorIdentity({
-                            userAgent: scenario.userAgent,
-                            vendor: scenario.vendor
-                        });
-                        try {
-                            const scenarioLabel = `${scenario.label}: `;
-                            imageCopyButton.disabled = false;
-                            imageCopyButton.textContent = TEXT_CONTENT.COPY_BUTTON_LABEL;
-                            imageCopyButton.classList.remove(COPY_BUTTON_STATE_CLASSES.SUCCESS);
-                            imageContainer.classList.remove(CHUNK_CONTAINER_STATE_CLASSES.COPIED);
-                            if (imageContainer.hasAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER)) {
-                                imageContainer.removeAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER);
-                            }
-                            assertEqual(
-                                typeof navigator.clipboard.write,
-                                "function",
-                                `${scenarioLabel}clipboard write API should remain available`
-                            );
-                            assertEqual(
-                                typeof window.ClipboardItem,
-                                "function",
-                                `${scenarioLabel}ClipboardItem should remain available`
-                            );
-                            assertEqual(
-                                imageCopyButton.disabled,
-                                false,
-                                `${scenarioLabel}copy button should be enabled before triggering copy`
+                    /** @type {HTMLButtonElement} */ (getContainers()[1].querySelector(".copyButton")).click();
+                    await Promise.resolve();
+                    await Promise.resolve();
+                    assertEqual(progressText.textContent, "Copied 1 of 3", "a copy button should advance the progress");
+
+                    copyNextButton.click();
+                    await Promise.resolve();
+                    await Promise.resolve();
+                    assertEqual(
+                        getContainers()[0].getAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER),
+                        "2",
+                        "copy next should copy the first post that is not copied"
+                    );
+                    assertEqual(document.activeElement, getContainers()[0], "copy next should focus the copied post");
+
+                    document.dispatchEvent(
+                        new window.KeyboardEvent("keydown", { key: "Enter", ctrlKey: true, shiftKey: true, bubbles: true })
+                    );
+                    await Promise.resolve();
+                    await Promise.resolve();
+                    assertEqual(
+                        getContainers().map((containerElement) => containerElement.getAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER)).join(","),
+                        "2,1,3",
+                        "the keyboard shortcut should copy the remaining post"
+                    );
+                    assertEqual(progressText.textContent, "Copied 3 of 3", "the progress should count every copy");
+                    assertEqual(copyNextButton.disabled, true, "copy next should be disabled when every post is copied");
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "export menu copies the whole thread and downloads it as a file or a bundle",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                const originalWriteText = navigator.clipboard.writeText;
+                const originalConsoleError = console.error;
+                const originalCreateObjectUrl = URL.createObjectURL;
+                const originalRevokeObjectUrl = URL.revokeObjectURL;
+                const originalAnchorClick = window.HTMLAnchorElement.prototype.click;
+                /** @type {string[]} */
+                const copiedTexts = [];
+                /** @type {Blob[]} */
+                const downloadedBlobs = [];
+                /** @type {string[]} */
+                const downloadedFileNames = [];
+                navigator.clipboard.writeText = (text) => {
+                    copiedTexts.push(text);
+                    return Promise.resolve();
+                };
+                URL.createObjectURL = (blob) => {
+                    downloadedBlobs.push(/** @type {Blob} */ (blob));
+                    return "blob:thread";
+                };
+                URL.revokeObjectURL = () => {};
+                window.HTMLAnchorElement.prototype.click = function () {
+                    downloadedFileNames.push(this.download);
+                };
+                try {
+                    elements.editorElement.innerHTML = "<div>One two.</div><div>Three four.</div><div>Five six.</div>";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    elements.customLength.value = "12";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+
+                    /**
+                     * @param {string} formatIdentifier Export format.
+                     * @param {string} buttonClassName Class of the action button.
+                     * @returns {HTMLButtonElement}
+                     */
+                    const getExportButton = (formatIdentifier, buttonClassName) =>
+                        /** @type {HTMLButtonElement} */ (
+                            elements.resultsElement.querySelector(
+                                `[${CHUNK_ATTRIBUTE_NAMES.EXPORT_FORMAT}="${formatIdentifier}"] .${buttonClassName}`
+                            )
+                        );
+                    getExportButton("plainText", "exportCopyButton").click();
+                    await Promise.resolve();
+                    await Promise.resolve();
+                    assertEqual(
+                        copiedTexts[0],
+                        "One two.\n\n---\n\nThree four.\n\n---\n\nFive six.",
+                        "plain text export should copy every post with separators"
+                    );
+                    assertEqual(
+                        /** @type {HTMLElement} */ (elements.resultsElement.querySelector(".exportStatus")).textContent,
+                        "Copied the thread as Plain text.",
+                        "the export menu should confirm the copy"
+                    );
+
+                    /** @type {unknown[][]} */
+                    const loggedErrors = [];
+                    console.error = (...errorArguments) => {
+                        loggedErrors.push(errorArguments);
+                    };
+                    navigator.clipboard.writeText = () => Promise.reject(new Error("Denied"));
+                    getExportButton("markdown", "exportCopyButton").click();
+                    await Promise.resolve();
+                    await Promise.resolve();
+                    assertEqual(
+                        /** @type {HTMLElement} */ (elements.resultsElement.querySelector(".exportStatus")).textContent,
+                        "Could not copy the thread as Markdown. Try a download instead.",
+                        "the export menu should report the failed copy"
+                    );
+                    assertEqual(
+                        String(loggedErrors[0]?.[0]),
+                        "[SocialThreader] Failed to copy the thread export to clipboard",
+                        "the failure should use the export log message"
+                    );
+                    console.error = originalConsoleError;
+
+                    getExportButton("csv", "exportDownloadButton").click();
+                    assertEqual(downloadedFileNames.join(","), "thread.csv", "the download should use the format extension");
+                    assertEqual(downloadedBlobs[0].type, "text/csv", "the download should use the format type");
+                    const csvText = await downloadedBlobs[0].text();
+                    assertEqual(csvText.split("\r\n").length, 4, "the CSV should have a header and one row per post");
+
+                    /** @type {HTMLButtonElement} */ (elements.resultsElement.querySelector(".exportBundleButton")).click();
+                    assertEqual(downloadedFileNames.join(","), "thread.csv,thread.zip", "the bundle should download as a ZIP file");
+                    assertEqual(downloadedBlobs[1].type, "application/zip", "the bundle should use the ZIP type");
+                } finally {
+                    navigator.clipboard.writeText = originalWriteText;
+                    console.error = originalConsoleError;
+                    URL.createObjectURL = originalCreateObjectUrl;
+                    URL.revokeObjectURL = originalRevokeObjectUrl;
+                    window.HTMLAnchorElement.prototype.click = originalAnchorClick;
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "bundle download reports linked images instead of throwing",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                const originalConsoleError = console.error;
+                const originalCreateObjectUrl = URL.createObjectURL;
+                /** @type {unknown[][]} */
+                const loggedErrors = [];
+                /** @type {Blob[]} */
+                const downloadedBlobs = [];
+                console.error = (...errorArguments) => {
+                    loggedErrors.push(errorArguments);
+                };
+                URL.createObjectURL = (blob) => {
+                    downloadedBlobs.push(/** @type {Blob} */ (blob));
+                    return "blob:thread";
+                };
+                try {
+                    elements.editorElement.innerHTML =
+                        '<div>One two.</div><div><img src="https://example.com/harbor.png" alt="Harbor"></div><div>Three four.</div>';
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    elements.customLength.value = "12";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+
+                    /** @type {HTMLButtonElement} */ (elements.resultsElement.querySelector(".exportBundleButton")).click();
+                    assertEqual(downloadedBlobs.length, 0, "a bundle with a linked image should not download");
+                    assertEqual(
+                        /** @type {HTMLElement} */ (elements.resultsElement.querySelector(".exportStatus")).textContent,
+                        TEXT_CONTENT.EXPORT_BUNDLE_FAILURE,
+                        "the export menu should report the failed bundle"
+                    );
+                    assertEqual(
+                        String(loggedErrors[0]?.[0]),
+                        "[SocialThreader] Failed to build the thread bundle",
+                        "the failure should use the bundle log message"
+                    );
+                } finally {
+                    console.error = originalConsoleError;
+                    URL.createObjectURL = originalCreateObjectUrl;
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "inline chunk edits re-flow the thread and keep copy orders of unchanged chunks",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    elements.editorElement.innerHTML = "<div>One two.</div><div>Three four.</div><div>Five six.</div>";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    elements.customLength.value = "12";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+
+                    /**
+                     * @returns {HTMLElement[]}
+                     */
+                    const getContainers = () => Array.from(elements.resultsElement.querySelectorAll(".chunkContainer"));
+                    for (const containerIndex of [0, 2]) {
+                        /** @type {HTMLButtonElement} */ (getContainers()[containerIndex].querySelector(".copyButton")).click();
+                        await Promise.resolve();
+                        await Promise.resolve();
+                    }
+
+                    const editButton = /** @type {HTMLButtonElement} */ (getContainers()[1].querySelector(".editChunkButton"));
+                    assertEqual(editButton.textContent, TEXT_CONTENT.EDIT_CHUNK_BUTTON_LABEL, "edit button should be labelled");
+                    editButton.click();
+                    const chunkEditor = /** @type {HTMLTextAreaElement} */ (getContainers()[1].querySelector(".chunkEditor"));
+                    assertEqual(chunkEditor.value, "Three four.", "the editor should hold the source text of the chunk");
+                    chunkEditor.value = "Seven eight nine ten.";
+                    chunkEditor.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Enter" }));
+                    await waitForAnimationFrame();
+
+                    assertEqual(
+                        elements.editorElement.innerText.replace(/\n+/g, " "),
+                        "One two. Seven eight nine ten. Five six.",
+                        "the edit should replace the source span in the editor"
+                    );
+                    const containers = getContainers();
+                    assertEqual(
+                        containers.map((containerElement) => containerElement.querySelector(".chunkContent")?.textContent).join(" | "),
+                        "One two. | Seven eight | nine ten. | Five six.",
+                        "the edited chunk should re-flow into the following chunks"
+                    );
+                    assertEqual(
+                        containers.map((containerElement) => containerElement.getAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER)).join(","),
+                        "1,,,2",
+                        "unchanged chunks should keep their copy order"
+                    );
+                    assertEqual(
+                        containers[3].classList.contains(CHUNK_CONTAINER_STATE_CLASSES.COPIED),
+                        true,
+                        "unchanged chunks should stay marked as copied"
+                    );
+
+                    /** @type {HTMLButtonElement} */ (containers[1].querySelector(".copyButton")).click();
+                    await Promise.resolve();
+                    await Promise.resolve();
+                    assertEqual(
+                        containers[1].getAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER),
+                        "3",
+                        "new copies should continue after the kept copy orders"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "decoration inputs load stored decorations, re-chunk within the limit, and persist edits",
+            async execute() {
+                const { elements, storedEntries, cleanup } = setupControllerFixture({
+                    [STORAGE_KEYS.THREAD_DECORATIONS]: JSON.stringify({
+                        openerPrefix: "🧵",
+                        continuationSuffix: "",
+                        footer: ""
+                    })
+                });
+                try {
+                    assertEqual(elements.openerPrefix.value, "🧵", "stored opener should fill its input");
+
+                    elements.editorElement.textContent = "Alpha bravo charlie delta echo foxtrot golf hotel india juliet.";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.customLength.value = "30";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+
+                    elements.continuationSuffix.value = "👇";
+                    elements.continuationSuffix.dispatchEvent(new Event("input"));
+                    elements.threadFooter.value = "  #threads  ";
+                    elements.threadFooter.dispatchEvent(new Event("input"));
+                    await waitForAnimationFrame();
+
+                    const renderedChunks = Array.from(
+                        elements.resultsElement.querySelectorAll(".chunkContainer .chunkContent"),
+                        (contentElement) => contentElement.innerHTML
+                    );
+                    assertEqual(renderedChunks.length > 1, true, "the thread should have several posts");
+                    assertEqual(renderedChunks[0].startsWith("🧵 Alpha"), true, "first post should start with the opener");
+                    assertEqual(
+                        renderedChunks.slice(0, -1).every((chunkHtml) => chunkHtml.endsWith(" 👇")),
+                        true,
+                        "every post except the last should end with the continuation marker"
+                    );
+                    assertEqual(
+                        renderedChunks[renderedChunks.length - 1].endsWith("juliet.<br><br>#threads"),
+                        true,
+                        "last post should end with the footer on its own line"
+                    );
+                    assertEqual(
+                        JSON.parse(storedEntries.get(STORAGE_KEYS.THREAD_DECORATIONS) ?? "null").footer,
+                        "#threads",
+                        "trimmed footer should be persisted"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "custom length input updates the button label and chunk output",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    const sampleText = "One two three four five six seven eight nine ten eleven twelve.";
+                    elements.editorElement.textContent = sampleText;
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+                    elements.customLength.value = "60";
+                    elements.customLength.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 1100));
+                    await waitForAnimationFrame();
+                    const expectedLabel = TEXT_CONTENT.CUSTOM_BUTTON_TEMPLATE.replace("{VALUE}", "60");
+                    assertEqual(elements.customButton.textContent, expectedLabel, "custom button label should reflect the new value");
+                    const expectedChunks = chunkingService.getChunks(sampleText, {
+                        maximumLength: 60,
+                        breakOnSentences: false,
+                        enumerate: false,
+                        breakOnParagraphs: false
+                    });
+                    const renderedChunks = elements.resultsElement.querySelectorAll(".chunkContainer");
+                    assertEqual(renderedChunks.length, expectedChunks.length, "custom chunk count should match service output");
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "sentence language select lists every locale and re-chunks with its abbreviation rules",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    const localeOptions = Array.from(elements.sentenceLocaleSelect.options).map((optionElement) => optionElement.value);
+                    assertEqual(
+                        localeOptions.join(","),
+                        Object.values(SENTENCE_LOCALE_IDENTIFIERS).join(","),
+                        "locale select should offer every sentence locale"
+                    );
+                    assertEqual(
+                        elements.sentenceLocaleSelect.value,
+                        SENTENCE_LOCALE_IDENTIFIERS.AUTO,
+                        "locale select should default to detection"
+                    );
+
+                    const sampleText = "Wir kaufen z.B. Äpfel und Birnen für den Kuchen. Das ist gut.";
+                    elements.editorElement.textContent = sampleText;
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.sentenceToggle.checked = true;
+                    elements.sentenceToggle.dispatchEvent(new Event("change"));
+                    elements.customLength.value = "30";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+
+                    const readRenderedChunks = () => Array.from(
+                        elements.resultsElement.querySelectorAll(".chunkContainer .chunkContent"),
+                        (contentElement) => contentElement.textContent
+                    );
+                    assertEqual(
+                        readRenderedChunks()[0],
+                        "Wir kaufen z.B. Äpfel und",
+                        "detected German rules should keep z.B. inside the sentence"
+                    );
+
+                    elements.sentenceLocaleSelect.value = SENTENCE_LOCALE_IDENTIFIERS.ENGLISH;
+                    elements.sentenceLocaleSelect.dispatchEvent(new Event("change"));
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        readRenderedChunks()[0],
+                        "Wir kaufen z.B.",
+                        "English rules should end the sentence after z.B. before a capitalized word"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "balanced toggle spreads sentences evenly across the same number of posts",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    assertEqual(elements.balancedLabel.textContent, "Balanced", "balanced toggle should be labelled");
+                    elements.editorElement.textContent =
+                        "We rebuilt the editor. It loads faster now. Images paste inline. Drafts save as you type. Threads copy in order. And that's it.";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.sentenceToggle.checked = true;
+                    elements.sentenceToggle.dispatchEvent(new Event("change"));
+                    elements.customLength.value = "100";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+
+                    const readRenderedChunks = () => Array.from(
+                        elements.resultsElement.querySelectorAll(".chunkContainer .chunkContent"),
+                        (contentElement) => contentElement.textContent
+                    );
+                    assertEqual(
+                        readRenderedChunks()[1],
+                        "Threads copy in order. And that's it.",
+                        "greedy packing should leave a short final post"
+                    );
+
+                    elements.balancedToggle.checked = true;
+                    elements.balancedToggle.dispatchEvent(new Event("change"));
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        readRenderedChunks().join("|"),
+                        "We rebuilt the editor. It loads faster now. Images paste inline.|Drafts save as you type. Threads copy in order. And that's it.",
+                        "balanced mode should even out post lengths"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "line breaks toggle keeps list lines inside rendered chunks",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    assertEqual(elements.lineBreaksLabel.textContent, "Line breaks", "line breaks toggle should be labelled");
+                    elements.editorElement.textContent = "Launch checklist:\n- Ship the editor\n- Write the docs";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.presetThreads.click();
+                    await waitForAnimationFrame();
+
+                    const readRenderedMarkup = () => Array.from(
+                        elements.resultsElement.querySelectorAll(".chunkContainer .chunkContent"),
+                        (contentElement) => contentElement.innerHTML
+                    );
+                    assertEqual(
+                        readRenderedMarkup().join("|"),
+                        "Launch checklist: - Ship the editor - Write the docs",
+                        "lines should join with spaces by default"
+                    );
+
+                    elements.lineBreaksToggle.checked = true;
+                    elements.lineBreaksToggle.dispatchEvent(new Event("change"));
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        readRenderedMarkup().join("|"),
+                        "Launch checklist:<br>- Ship the editor<br>- Write the docs",
+                        "preserved line breaks should render as line breaks"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "Markdown toggles keep links whole and render posts with the preset rules",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    assertEqual(elements.markdownRenderToggle.disabled, true, "rendering should wait for Markdown mode");
+                    elements.editorElement.textContent =
+                        "Big **news** today, read [the full launch story](https://example.com/story) now.";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    elements.customLength.value = "60";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+
+                    const readRenderedText = () => Array.from(
+                        elements.resultsElement.querySelectorAll(".chunkContainer .chunkContent"),
+                        (contentElement) => contentElement.textContent
+                    );
+                    assertEqual(
+                        readRenderedText().join("|"),
+                        "Big **news** today, read [the full launch|story](https://example.com/story) now.",
+                        "plain text mode should split the link"
+                    );
+
+                    elements.markdownToggle.checked = true;
+                    elements.markdownToggle.dispatchEvent(new Event("change"));
+                    await waitForAnimationFrame();
+                    assertEqual(elements.markdownRenderToggle.disabled, false, "Markdown mode should enable rendering");
+                    assertEqual(
+                        readRenderedText().join("|"),
+                        "Big **news** today, read|[the full launch story](https://example.com/story) now.",
+                        "Markdown mode should keep the link whole"
+                    );
+
+                    elements.markdownRenderToggle.checked = true;
+                    elements.markdownRenderToggle.dispatchEvent(new Event("change"));
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        readRenderedText().join("|"),
+                        "Big news today, read|the full launch story https://example.com/story now.",
+                        "rendering should remove the marks and show the link URL"
+                    );
+
+                    elements.markdownToggle.checked = false;
+                    elements.markdownToggle.dispatchEvent(new Event("change"));
+                    await waitForAnimationFrame();
+                    assertEqual(elements.markdownRenderToggle.checked, false, "leaving Markdown mode should clear rendering");
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "preview mode shows the thread as the platform of the active preset",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    elements.editorElement.textContent = `${"Long story ".repeat(30)}\n\nRead https://example.com/story`;
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    elements.presetTwitter.click();
+                    await waitForAnimationFrame();
+
+                    const toggleButton = /** @type {HTMLButtonElement} */ (
+                        elements.resultsElement.querySelector(".previewToggleButton")
+                    );
+                    const platformSelect = /** @type {HTMLSelectElement} */ (
+                        elements.resultsElement.querySelector(".previewPlatformSelect")
+                    );
+                    const threadWrapper = /** @type {HTMLDivElement} */ (elements.resultsElement.querySelector(".threadWrapper"));
+                    const previewElement = /** @type {HTMLElement} */ (elements.resultsElement.querySelector(".threadPreview"));
+                    assertEqual(toggleButton.getAttribute("aria-pressed"), "false", "preview mode should start off");
+                    assertEqual(platformSelect.value, "x", "the Twitter/X preset should select the X preview");
+
+                    toggleButton.click();
+                    assertEqual(threadWrapper.hidden, true, "preview mode should hide the post list");
+                    assertEqual(previewElement.hidden, false, "preview mode should show the preview");
+                    const previewPosts = previewElement.querySelectorAll(".previewPost");
+                    assertEqual(
+                        previewPosts.length,
+                        threadWrapper.querySelectorAll(".chunkContainer").length,
+                        "the preview should show every post"
+                    );
+                    assertEqual(
+                        previewElement.querySelector(".threadPreviewPosts")?.classList.contains("hasReplyConnector"),
+                        true,
+                        "X should connect the posts of the thread"
+                    );
+                    assertEqual(
+                        previewPosts[previewPosts.length - 1].querySelector(".previewLinkCardDomain")?.textContent,
+                        "example.com",
+                        "links should get a link card"
+                    );
+
+                    platformSelect.value = "mastodon";
+                    platformSelect.dispatchEvent(new Event("change"));
+                    assertEqual(previewElement.getAttribute("data-preview-platform"), "mastodon", "the select should switch the platform");
+                    assertEqual(
+                        previewElement.querySelector(".previewHandle")?.textContent,
+                        "@you@mastodon.social",
+                        "the preview should show the handle of the platform"
+                    );
+
+                    elements.presetThreads.click();
+                    await waitForAnimationFrame();
+                    const threadsPreview = /** @type {HTMLElement} */ (elements.resultsElement.querySelector(".threadPreview"));
+                    assertEqual(threadsPreview.hidden, false, "preview mode should survive a new render");
+                    assertEqual(threadsPreview.getAttribute("data-preview-platform"), "threads", "a preset should select its platform");
+
+                    /** @type {HTMLButtonElement} */ (elements.resultsElement.querySelector(".previewToggleButton")).click();
+                    assertEqual(threadsPreview.hidden, true, "leaving preview mode should hide the preview");
+                    assertEqual(
+                        /** @type {HTMLDivElement} */ (elements.resultsElement.querySelector(".threadWrapper")).hidden,
+                        false,
+                        "leaving preview mode should show the post list"
+                    );
+
+                    /** @type {HTMLButtonElement} */ (elements.resultsElement.querySelector(".previewToggleButton")).click();
+                    elements.customLength.value = "200";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        /** @type {HTMLElement} */ (elements.resultsElement.querySelector(".threadPreview")).hidden,
+                        true,
+                        "a custom length should leave preview mode"
+                    );
+                    assertEqual(
+                        /** @type {HTMLButtonElement} */ (elements.resultsElement.querySelector(".previewToggleButton"))
+                            .getAttribute("aria-pressed"),
+                        "false",
+                        "the preview button should show that preview mode is off"
+                    );
+                    assertEqual(
+                        /** @type {HTMLSelectElement} */ (elements.resultsElement.querySelector(".previewPlatformSelect")).value,
+                        "x",
+                        "a custom length should select the default preview platform"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "insert post break button forces a chunk boundary at the caret",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                try {
+                    elements.editorElement.textContent = "Big news today. Here is the story.";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.presetThreads.click();
+                    await waitForAnimationFrame();
+
+                    const caretRange = document.createRange();
+                    caretRange.setStart(/** @type {Text} */ (elements.editorElement.firstChild), "Big news today.".length);
+                    caretRange.collapse(true);
+                    window.getSelection()?.removeAllRanges();
+                    window.getSelection()?.addRange(caretRange);
+                    elements.postBreakButton.click();
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+                    await waitForAnimationFrame();
+
+                    const renderedChunks = Array.from(
+                        elements.resultsElement.querySelectorAll(".chunkContainer .chunkContent"),
+                        (contentElement) => contentElement.textContent
+                    );
+                    assertEqual(
+                        renderedChunks.join("|"),
+                        "Big news today.|Here is the story.",
+                        "the post break should split the thread and stay out of the chunks"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "dictionary panel loads stored entries, re-chunks on edit, and persists the dictionary",
+            async execute() {
+                const { elements, storedEntries, cleanup } = setupControllerFixture({
+                    [STORAGE_KEYS.CHUNKING_DICTIONARY]: JSON.stringify({ abbreviations: ["Inc"], protectedPhrases: [] })
+                });
+                try {
+                    const [abbreviationsInput, protectedPhrasesInput] = Array.from(
+                        elements.dictionaryPanel.querySelectorAll("textarea")
+                    );
+                    assertEqual(abbreviationsInput.value, "Inc", "stored abbreviations should fill the editor");
+
+                    elements.editorElement.textContent = "We work at Acme Inc. Product launch at the New York Times.";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.sentenceToggle.checked = true;
+                    elements.sentenceToggle.dispatchEvent(new Event("change"));
+                    elements.customLength.value = "52";
+                    elements.customButton.click();
+                    await waitForAnimationFrame();
+
+                    const readRenderedChunks = () => Array.from(
+                        elements.resultsElement.querySelectorAll(".chunkContainer .chunkContent"),
+                        (contentElement) => contentElement.textContent
+                    );
+                    assertEqual(
+                        readRenderedChunks().join("|"),
+                        "We work at Acme Inc. Product launch at the New York|Times.",
+                        "custom abbreviation should keep the sentence together"
+                    );
+
+                    protectedPhrasesInput.value = "new york times";
+                    protectedPhrasesInput.dispatchEvent(new Event("input"));
+                    await waitForAnimationFrame();
+                    assertEqual(
+                        readRenderedChunks().join("|"),
+                        "We work at Acme Inc. Product launch at the|New York Times.",
+                        "protected phrase should move to the next post whole"
+                    );
+                    assertEqual(
+                        storedEntries.get(STORAGE_KEYS.CHUNKING_DICTIONARY),
+                        JSON.stringify({ abbreviations: ["Inc"], protectedPhrases: ["new york times"] }),
+                        "edited dictionary should be persisted"
+                    );
+                } finally {
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "pasted images attach to their text post up to the preset limit and copy with the text",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                const originalClipboardWrite = navigator.clipboard.write;
+                /** @type {unknown[][]} */
+                const clipboardWriteCalls = [];
+                navigator.clipboard.write = (items) => {
+                    clipboardWriteCalls.push(items);
+                    return Promise.resolve();
+                };
+                /** @type {(() => void)[]} */
+                const restoreFileReaders = [];
+
+                try {
+                    elements.editorElement.textContent = "Sample text for clipboard.";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.presetTwitter.click();
+                    await waitForAnimationFrame();
+                    for (let pasteIndex = 0; pasteIndex < 5; pasteIndex += 1) {
+                        restoreFileReaders.push((await simulateImagePaste(elements.editorElement)).restore);
+                    }
+                    await waitForAnimationFrame();
+
+                    const chunkContainers = Array.from(elements.resultsElement.querySelectorAll(".chunkContainer"));
+                    assertEqual(chunkContainers.length, 2, "images over the limit should become a separate chunk");
+                    const mediaGrid = chunkContainers[0].querySelector(".chunkMediaGrid");
+                    assertEqual(
+                        mediaGrid?.getAttribute(CHUNK_ATTRIBUTE_NAMES.IMAGE_COUNT),
+                        "4",
+                        "the text chunk should show four images in a media grid"
+                    );
+                    assertEqual(chunkContainers[1].classList.contains("imageChunk"), true, "the fifth image should be an image chunk");
+
+                    /** @type {HTMLButtonElement} */ (chunkContainers[0].querySelector(".copyButton")).click();
+                    await Promise.resolve();
+                    assertEqual(clipboardWriteCalls.length, 1, "clipboard write should be invoked once");
+                    const clipboardItem = /** @type {{ items: Record<string, Blob> }} */ (clipboardWriteCalls[0][0]);
+                    assertEqual(
+                        (await clipboardItem.items["text/plain"].text()).trimEnd(),
+                        "Sample text for clipboard.",
+                        "plain text should hold only the text"
+                    );
+                    const htmlContent = await clipboardItem.items["text/html"].text();
+                    assertEqual((htmlContent.match(/<img/gi) ?? []).length, 4, "copied HTML should hold the attached images");
+                } finally {
+                    restoreFileReaders.reverse().forEach((restoreFileReader) => {
+                        restoreFileReader();
+                    });
+                    navigator.clipboard.write = originalClipboardWrite;
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "pasted images warn until they get alt text, which goes into the chunk HTML and the copy",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                const originalClipboardWrite = navigator.clipboard.write;
+                /** @type {unknown[][]} */
+                const clipboardWriteCalls = [];
+                navigator.clipboard.write = (items) => {
+                    clipboardWriteCalls.push(items);
+                    return Promise.resolve();
+                };
+                let restoreFileReader = () => {};
+
+                try {
+                    elements.editorElement.textContent = "Launch day.";
+                    elements.editorElement.dispatchEvent(new Event("input"));
+                    elements.presetTwitter.click();
+                    restoreFileReader = (await simulateImagePaste(elements.editorElement)).restore;
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+
+                    const altTextItems = elements.imageAltTextList.querySelectorAll(".imageAltTextItem");
+                    assertEqual(altTextItems.length, 1, "the pasted image should get an alt text field");
+                    assertEqual(elements.imageAltTextList.hidden, false, "the image list should show");
+                    const altTextInput = /** @type {HTMLInputElement} */ (altTextItems[0].querySelector("input"));
+                    const warningElement = /** @type {HTMLElement} */ (altTextItems[0].querySelector(".imageAltTextWarning"));
+                    assertEqual(altTextInput.value, "", "pasted images should have no generic alt text");
+                    assertEqual(warningElement.hidden, false, "images without alt text should show a warning");
+                    assertEqual(
+                        elements.resultsElement.querySelector(".chunkMediaGrid img")?.getAttribute("alt"),
+                        "",
+                        "the chunk image should have an empty alt"
+                    );
+
+                    altTextInput.focus();
+                    altTextInput.value = "Team on stage";
+                    altTextInput.dispatchEvent(new Event("input"));
+                    await new Promise((resolve) => setTimeout(resolve, 150));
+
+                    assertEqual(warningElement.hidden, true, "the warning should hide when the image has alt text");
+                    assertEqual(document.activeElement, altTextInput, "the field should keep its focus while typing");
+                    assertEqual(
+                        elements.editorElement.querySelector("img")?.getAttribute("alt"),
+                        "Team on stage",
+                        "the editor image should get the alt text"
+                    );
+                    assertEqual(
+                        elements.resultsElement.querySelector(".chunkMediaGrid img")?.getAttribute("alt"),
+                        "Team on stage",
+                        "the chunk HTML should carry the alt text"
+                    );
+
+                    /** @type {HTMLButtonElement} */ (elements.resultsElement.querySelector(".copyButton")).click();
+                    await Promise.resolve();
+                    const clipboardItem = /** @type {{ items: Record<string, Blob> }} */ (clipboardWriteCalls[0][0]);
+                    const htmlContent = await clipboardItem.items["text/html"].text();
+                    assertEqual(htmlContent.includes('alt="Team on stage"'), true, "the copied HTML should carry the alt text");
+                } finally {
+                    restoreFileReader();
+                    navigator.clipboard.write = originalClipboardWrite;
+                    cleanup();
+                }
+            }
+        },
+        {
+            name: "pasted image without text is rendered as an image chunk and copied as an image",
+            async execute() {
+                const { elements, cleanup } = setupControllerFixture();
+                const originalClipboardWrite = navigator.clipboard.write;
+                /** @type {unknown[][]} */
+                const clipboardWriteCalls = [];
+                navigator.clipboard.write = (items) => {
+                    clipboardWriteCalls.push(items);
+                    return Promise.resolve();
+                };
+
+                let restoreFileReader = () => {};
+
+                try {
+                    const pasteResult = await simulateImagePaste(elements.editorElement);
+                    restoreFileReader = pasteResult.restore;
+                    elements.presetTwitter.click();
+                    await waitForAnimationFrame();
+
+                    const imageContainer = elements.resultsElement.querySelector(".chunkContainer.imageChunk");
+                    if (!imageContainer) {
+                        throw new Error("Expected an image chunk to be rendered");
+                    }
+
+                    const imageCopyButton = /** @type {HTMLButtonElement} */ (
+                        imageContainer.querySelector(".copyButton")
+                    );
+                    const originalUserAgent = navigator.userAgent;
+                    const originalVendor = navigator.vendor;
+                    const imageCopyScenarios = [
+                        {
+                            label: "default browser retains HTML clipboard fragment",
+                            userAgent: originalUserAgent,
+                            vendor: originalVendor,
+                            expectHtml: true,
+                            expectedPresentationStyle: null
+                        },
+                        {
+                            label: "Safari attachment clipboard branch",
+                            userAgent: SIMULATED_SAFARI_USER_AGENT,
+                            vendor: NAVIGATOR_VENDOR_VALUES.APPLE,
+                            expectHtml: false,
+                            expectedPresentationStyle: CLIPBOARD_PRESENTATION_STYLES.ATTACHMENT
+                        }
+                    ];
+
+                    for (const scenario of imageCopyScenarios) {
+                        const restoreIdentity = overrideNavigatorIdentity({
+                            userAgent: scenario.userAgent,
+                            vendor: scenario.vendor
+                        });
+                        try {
+                            const scenarioLabel = `${scenario.label}: `;
+                            imageCopyButton.disabled = false;
+                            imageCopyButton.textContent = TEXT_CONTENT.COPY_BUTTON_LABEL;
+                            imageCopyButton.classList.remove(COPY_BUTTON_STATE_CLASSES.SUCCESS);
+                            imageContainer.classList.remove(CHUNK_CONTAINER_STATE_CLASSES.COPIED);
+                            if (imageContainer.hasAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER)) {
+                                imageContainer.removeAttribute(CHUNK_ATTRIBUTE_NAMES.COPY_ORDER);
+                            }
+                            assertEqual(
+                                typeof navigator.clipboard.write,
+                                "function",
+                                `${scenarioLabel}clipboard write API should remain available`
+                            );
+                            assertEqual(
+                                typeof window.ClipboardItem,
+                                "function",
+                                `${scenarioLabel}ClipboardItem should remain available`
+                            );
+                            assertEqual(
+                                imageCopyButton.disabled,
+                                false,
+                                `${scenarioLabel}copy button should be enabled before triggering copy`
                             );
                             clipboardWriteCalls.length = 0;
                             imageCopyButton.click();
@@ -930,14 +2211,9 @@ export async function runIntegrationTests(runTest) {
                 let restoreFileReader = () => {};
 
                 try {
-                    const sampleText = "Sample text for clipboard.";
-                    elements.editorElement.textContent = sampleText;
-                    elements.editorElement.dispatchEvent(new Event("input"));
-                    elements.presetTwitter.click();
-                    await waitForAnimationFrame();
-
                     const pasteResult = await simulateImagePaste(elements.editorElement);
                     restoreFileReader = pasteResult.restore;
+                    elements.presetTwitter.click();
                     await waitForAnimationFrame();
 
                     const chunkContainers = Array.from(
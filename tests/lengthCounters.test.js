@@ -0,0 +1,71 @@
+// @ts-check
+/**
+ * @fileoverview Tests for platform-specific length counters.
+ */
+
+import { lengthCounterHelpers } from "../js/core/lengthCounters.js";
+import { DEFAULT_LENGTH_COUNTER, LENGTH_COUNTER_IDENTIFIERS } from "../js/constants.js";
+import { assertEqual, assertThrows } from "./assert.js";
+
+/**
+ * Executes length counter tests.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runLengthCounterTests(runTest) {
+    const measurementCases = [
+        {
+            name: "character counter matches String.length",
+            input: "Hi 👋",
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.CHARACTERS,
+            expected: 5
+        },
+        {
+            name: "grapheme counter treats emoji sequences and combining marks as one character",
+            input: "👨‍👩‍👧 é 🇺🇦",
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES,
+            expected: 5
+        },
+        {
+            name: "twitter counter weighs URLs as 23 regardless of their length",
+            input: "Read https://example.com/a/very/long/path/that/keeps/going.",
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER,
+            expected: 29
+        },
+        {
+            name: "twitter counter weighs emoji and CJK characters as two",
+            input: "Hi 👋🏽 你好",
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.TWITTER,
+            expected: 10
+        },
+        {
+            name: "mastodon counter weighs URLs as 23 and counts only the local part of remote mentions",
+            input: "@alice@mastodon.social see www.example.org/post",
+            lengthCounter: LENGTH_COUNTER_IDENTIFIERS.MASTODON,
+            expected: 34
+        }
+    ];
+
+    for (const measurementCase of measurementCases) {
+        await runTest(measurementCase.name, () => {
+            const measuredLength = lengthCounterHelpers.measureLength(measurementCase.input, measurementCase.lengthCounter);
+            assertEqual(measuredLength, measurementCase.expected, "measured length should follow platform rules");
+        });
+    }
+
+    await runTest("measures graphemes when no counter is given", () => {
+        assertEqual(DEFAULT_LENGTH_COUNTER, LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES, "the default counter should be graphemes");
+        assertEqual(lengthCounterHelpers.measureLength("👨‍👩‍👧 é 🇺🇦"), 5, "the default should count user-perceived characters");
+    });
+
+    await runTest("rejects unknown length counters", () => {
+        assertThrows(
+            () =>
+                lengthCounterHelpers.measureLength(
+                    "text",
+                    /** @type {import("../js/types.d.js").LengthCounterIdentifier} */ (/** @type {unknown} */ ("unknown"))
+                ),
+            "unknown counters should fail fast"
+        );
+    });
+}
@@ -0,0 +1,59 @@
+// @ts-check
+/**
+ * @fileoverview Tests for Markdown syntax ranges and the conversion of Markdown posts to plain text.
+ */
+
+import { markdownSyntaxHelpers } from "../js/core/markdownSyntax.js";
+import { DEFAULT_MARKDOWN_RENDER_RULES, PRESET_CONFIG, PRESET_IDENTIFIERS } from "../js/constants.js";
+import { assertDeepEqual, assertEqual } from "./assert.js";
+
+/**
+ * Executes Markdown syntax tests.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runMarkdownSyntaxTests(runTest) {
+    await runTest("finds code, links, and emphasis but not emphasis inside code", () => {
+        const markdownText = "Use `a * b * c` and [the docs](https://example.com/a_b) with **bold text** or _soft words_.";
+        assertDeepEqual(
+            markdownSyntaxHelpers
+                .findMarkdownRanges(markdownText)
+                .map(([rangeStart, rangeEnd]) => markdownText.slice(rangeStart, rangeEnd)),
+            ["`a * b * c`", "[the docs](https://example.com/a_b)", "**bold text**", "_soft words_"],
+            "every range should cover one whole construct"
+        );
+    });
+
+    await runTest("detects fenced code blocks that a paragraph leaves open", () => {
+        assertEqual(markdownSyntaxHelpers.hasOpenFence("```js\nconst a = 1;"), true, "an unclosed fence is open");
+        assertEqual(markdownSyntaxHelpers.hasOpenFence("```\ncode\n```"), false, "a closed fence is not open");
+        assertEqual(markdownSyntaxHelpers.hasOpenFence("Plain `code` text"), false, "code spans are not fences");
+    });
+
+    await runTest("renders posts with the link and list rules of each platform", () => {
+        const markdownText = [
+            "## **Launch** notes",
+            "- See [the docs](https://example.com/a_b) and <https://example.org>",
+            "* Run `npm **run**` with ~~old~~ *new* flags \\*",
+            "- [https://example.net](https://example.net)"
+        ].join("\n");
+        assertEqual(
+            markdownSyntaxHelpers.renderMarkdown(markdownText, DEFAULT_MARKDOWN_RENDER_RULES),
+            [
+                "Launch notes",
+                "• See the docs https://example.com/a_b and https://example.org",
+                "• Run `npm **run**` with old new flags *",
+                "• https://example.net"
+            ].join("\n"),
+            "marks should be removed, code should stay, and links should show their URL"
+        );
+        assertEqual(
+            markdownSyntaxHelpers.renderMarkdown(
+                "- One\n- Two",
+                PRESET_CONFIG[PRESET_IDENTIFIERS.TWITTER].markdownRules
+            ),
+            "- One\n- Two",
+            "Twitter/X should keep hyphens, because it counts the bullet as two characters"
+        );
+    });
+}
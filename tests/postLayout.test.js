@@ -0,0 +1,149 @@
+// @ts-check
+/**
+ * @fileoverview Tests for manual post layouts.
+ */
+
+import { chunkingService } from "../js/core/chunking.js";
+import { postLayoutHelpers } from "../js/core/postLayout.js";
+import { assertDeepEqual, assertEqual, assertThrows } from "./assert.js";
+
+/** @type {string} */
+const SOURCE_TEXT = "One two.\n---\nThree four. Five six.";
+
+/**
+ * Creates the layout of the sample text with one post per sentence.
+ * @returns {import("../js/types.d.js").PostLayout}
+ */
+function createSentenceLayout() {
+    return postLayoutHelpers.createPostLayout(
+        SOURCE_TEXT,
+        chunkingService.getChunkDescriptors(SOURCE_TEXT, { maximumLength: 12, breakOnSentences: true, enumerate: false })
+    );
+}
+
+/**
+ * Lists the text and source text of each post.
+ * @param {import("../js/types.d.js").PostLayout} layout Post layout.
+ * @returns {string[][]}
+ */
+function describePosts(layout) {
+    return layout.posts.map((post) => [post.text, layout.sourceText.slice(post.sourceStart, post.sourceEnd)]);
+}
+
+/**
+ * Executes tests covering the merge, split, and move operations of post layouts.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runPostLayoutTests(runTest) {
+    await runTest("post layouts start from the chunk text without labels", () => {
+        assertDeepEqual(
+            describePosts(createSentenceLayout()),
+            [
+                ["One two.", "One two."],
+                ["Three four.", "Three four."],
+                ["Five six.", "Five six."]
+            ],
+            "each post should have its base text and source span"
+        );
+    });
+
+    await runTest("merging joins a post with the next post and its source span", () => {
+        const mergedLayout = postLayoutHelpers.mergePosts(createSentenceLayout(), 0);
+        assertDeepEqual(
+            describePosts(mergedLayout),
+            [
+                ["One two. Three four.", "One two.\n---\nThree four."],
+                ["Five six.", "Five six."]
+            ],
+            "merged posts should span both sources, including the post break marker"
+        );
+    });
+
+    await runTest("posts merge only when their sources are next to each other", () => {
+        const movedLayout = postLayoutHelpers.movePost(createSentenceLayout(), 2, 0);
+        assertDeepEqual(
+            movedLayout.posts.map((post, postIndex) => postLayoutHelpers.canMergePosts(movedLayout, postIndex)),
+            [false, true, false],
+            "only posts in source order with nothing between them should merge"
+        );
+        assertThrows(() => postLayoutHelpers.mergePosts(movedLayout, 0), "merging posts out of source order should throw");
+    });
+
+    await runTest("splitting a post creates two posts with their own source spans", () => {
+        const mergedLayout = postLayoutHelpers.mergePosts(createSentenceLayout(), 1);
+        const splitLayout = postLayoutHelpers.splitPost(mergedLayout, 1, "Three four. ".length);
+        assertDeepEqual(
+            describePosts(splitLayout),
+            [
+                ["One two.", "One two."],
+                ["Three four.", "Three four."],
+                ["Five six.", "Five six."]
+            ],
+            "splitting should undo the merge"
+        );
+        assertThrows(() => postLayoutHelpers.splitPost(splitLayout, 0, 0), "a split must leave text in both posts");
+    });
+
+    await runTest("moving a post keeps the other posts in order", () => {
+        const movedLayout = postLayoutHelpers.movePost(createSentenceLayout(), 0, 2);
+        assertDeepEqual(
+            movedLayout.posts.map((post) => post.text),
+            ["Three four.", "Five six.", "One two."],
+            "the moved post should take the target position"
+        );
+        assertEqual(movedLayout.sourceText, SOURCE_TEXT, "layouts should keep their source text");
+        assertThrows(() => postLayoutHelpers.movePost(movedLayout, 0, 3), "moving past the last post should throw");
+    });
+
+    await runTest("pins toggle by span and replace overlapping pins", () => {
+        const layout = createSentenceLayout();
+        const emptyPins = { sourceText: SOURCE_TEXT, posts: [] };
+        const pinnedLayout = postLayoutHelpers.togglePinnedPost(
+            postLayoutHelpers.togglePinnedPost(emptyPins, layout.posts[2]),
+            layout.posts[0]
+        );
+        assertDeepEqual(
+            pinnedLayout.posts.map((post) => post.text),
+            ["One two.", "Five six."],
+            "pins should stay in source order"
+        );
+        const mergedPost = postLayoutHelpers.mergePosts(layout, 1).posts[1];
+        assertDeepEqual(
+            postLayoutHelpers.togglePinnedPost(pinnedLayout, mergedPost).posts.map((post) => post.text),
+            ["One two.", "Three four. Five six."],
+            "a new pin should replace the pins it overlaps"
+        );
+        assertDeepEqual(
+            postLayoutHelpers.togglePinnedPost(pinnedLayout, layout.posts[0]).posts.map((post) => post.text),
+            ["Five six."],
+            "toggling a pinned post should unpin it"
+        );
+    });
+
+    await runTest("pins follow edits outside their span and drop when their text changes", () => {
+        const layout = createSentenceLayout();
+        const pinnedLayout = postLayoutHelpers.togglePinnedPost(
+            postLayoutHelpers.togglePinnedPost({ sourceText: SOURCE_TEXT, posts: [] }, layout.posts[0]),
+            layout.posts[2]
+        );
+        const nextText = "One two.\n---\nThree four and more. Five six.";
+        const carriedLayout = postLayoutHelpers.carryPinnedPosts(pinnedLayout, nextText);
+        assertEqual(carriedLayout.sourceText, nextText, "carried pins should belong to the next text");
+        assertDeepEqual(
+            carriedLayout.posts.map((post) => [post.text, nextText.slice(post.sourceStart, post.sourceEnd)]),
+            [
+                ["One two.", "One two."],
+                ["Five six.", "Five six."]
+            ],
+            "pins outside the edit should move with their text"
+        );
+        assertDeepEqual(
+            postLayoutHelpers.carryPinnedPosts(pinnedLayout, "One too.\n---\nThree four. Five six.").posts.map(
+                (post) => post.text
+            ),
+            ["Five six."],
+            "a pin whose text changed should be removed"
+        );
+    });
+}
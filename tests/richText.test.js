@@ -5,7 +5,7 @@
 
 import { richTextHelpers } from "../js/core/richText.js";
 import { TEXT_CONTENT } from "../js/constants.js";
-import { assertEqual } from "./assert.js";
+import { assertDeepEqual, assertEqual } from "./assert.js";
 
 /**
  * Executes tests covering placeholder to HTML conversion.
@@ -13,32 +13,62 @@ import { assertEqual } from "./assert.js";
  * @returns {Promise<void>}
  */
 export async function runRichTextTests(runTest) {
-    await runTest("buildChunkContent separates text and image segments", () => {
+    await runTest("buildChunkContent attaches images to the text they follow", () => {
         const token = richTextHelpers.createPlaceholderToken(0);
         const imageRecord = {
             placeholderToken: token,
             dataUrl: "data:image/png;base64,ZmFrZQ==",
-            altText: TEXT_CONTENT.PASTED_IMAGE_ALT
+            altText: "A red <kite>"
         };
         const segments = richTextHelpers.buildChunkContent(`Alpha ${token} omega`, [imageRecord]);
-        const textSegment = segments.find((segment) => segment.variant === "text");
-        const imageSegment = segments.find((segment) => segment.variant === "image");
-
-        if (!textSegment || !imageSegment) {
-            throw new Error("Both text and image segments should be produced");
-        }
+        assertEqual(segments.length, 1, "the image should attach to the text segment");
+        const [textSegment] = segments;
 
         assertEqual(
             textSegment.plainText.includes(TEXT_CONTENT.IMAGE_PLAIN_TEXT_PLACEHOLDER),
             false,
             "plain text should exclude the configured image placeholder"
         );
-        assertEqual(/<img/.test(textSegment.htmlContent), false, "Text HTML should not inline the image element");
-        assertEqual(/<img/.test(imageSegment.htmlContent), true, "Image HTML should render the image element");
         assertEqual(
-            imageSegment.htmlContent.includes(imageRecord.dataUrl),
+            /<div class="chunkMediaGrid" data-image-count="1"><img/.test(textSegment.htmlContent),
+            true,
+            "Text HTML should render the image in a media grid"
+        );
+        assertEqual(
+            textSegment.htmlContent.includes('alt="A red &lt;kite&gt;"'),
+            true,
+            "Text HTML should carry the escaped alt text"
+        );
+        assertEqual(
+            String(textSegment.clipboardHtml).includes(imageRecord.dataUrl),
             true,
-            "Image segment should embed the image data URL"
+            "Copied HTML should embed the image data URL"
+        );
+        assertDeepEqual(
+            textSegment.images,
+            [{ dataUrl: imageRecord.dataUrl, altText: imageRecord.altText }],
+            "the text segment should list its images"
+        );
+    });
+
+    await runTest("buildChunkContent makes separate image segments for images over the limit", () => {
+        const imageRecords = [0, 1, 2].map((imageIndex) => ({
+            placeholderToken: richTextHelpers.createPlaceholderToken(imageIndex),
+            dataUrl: `data:image/png;base64,${imageIndex}`,
+            altText: `Image ${imageIndex}`
+        }));
+        const segments = richTextHelpers.buildChunkContent(
+            `Alpha ${imageRecords.map((imageRecord) => imageRecord.placeholderToken).join(" ")}`,
+            imageRecords,
+            2
+        );
+        assertDeepEqual(
+            segments.map((segment) => [segment.variant, (segment.images ?? []).length, segment.altText ?? null]),
+            [
+                ["text", 2, null],
+                ["image", 0, "Image 2"]
+            ],
+            "the first two images should attach and the third should be separate"
         );
     });
 
@@ -47,22 +77,88 @@ export async function runRichTextTests(runTest) {
         const imageRecord = {
             placeholderToken: token,
             dataUrl: "data:image/png;base64,ZmFrZQ==",
-            altText: TEXT_CONTENT.PASTED_IMAGE_ALT
+            altText: ""
         };
         const segments = richTextHelpers.buildChunkContent(token, [imageRecord]);
         assertEqual(segments.length, 1, "image-only chunks should produce a single segment");
         assertEqual(segments[0].variant, "image", "image-only chunks should render an image segment");
+        assertEqual(segments[0].altText, "", "images without alt text should not get a generic description");
+        assertEqual(segments[0].htmlContent.includes('alt=""'), true, "the image markup should have an empty alt");
+        const [hostileSegment] = richTextHelpers.buildChunkContent(token, [
+            { ...imageRecord, dataUrl: 'data:image/png;base64,AAAA"onerror="alert(1)' }
+        ]);
+        assertEqual(
+            hostileSegment.htmlContent.includes('src="data:image/png;base64,AAAA&quot;onerror=&quot;alert(1)"'),
+            true,
+            "the image source should be escaped"
+        );
     });
 
     await runTest("extractPlainText removes placeholder tokens", () => {
         const firstToken = richTextHelpers.createPlaceholderToken(0);
         const secondToken = richTextHelpers.createPlaceholderToken(1);
         const imageRecords = [
-            { placeholderToken: firstToken, dataUrl: "data:image/png;base64,ZmFrZQ==", altText: TEXT_CONTENT.PASTED_IMAGE_ALT },
-            { placeholderToken: secondToken, dataUrl: "data:image/png;base64,ZmFrZQ==", altText: TEXT_CONTENT.PASTED_IMAGE_ALT }
+            { placeholderToken: firstToken, dataUrl: "data:image/png;base64,ZmFrZQ==", altText: "" },
+            { placeholderToken: secondToken, dataUrl: "data:image/png;base64,ZmFrZQ==", altText: "" }
         ];
         const placeholderText = `${firstToken}\n${secondToken}`;
         const plainText = richTextHelpers.extractPlainText(placeholderText, imageRecords);
         assertEqual(plainText, "\n", "plain text should omit placeholder tokens while preserving separators");
     });
+
+    await runTest("buildChunkContents carries the source spans of text and images", () => {
+        const token = richTextHelpers.createPlaceholderToken(0);
+        const imageRecord = {
+            placeholderToken: token,
+            dataUrl: "data:image/png;base64,ZmFrZQ==",
+            altText: "A red kite"
+        };
+        const chunkContents = richTextHelpers.buildChunkContents(
+            [
+                { text: "Intro", baseText: "Intro", sourceText: "Intro", sourceStart: 0, sourceEnd: 5, imagePlaceholders: [] },
+                {
+                    text: `Alpha ${token} omega (2/2)`,
+                    baseText: `Alpha ${token} omega`,
+                    sourceText: `Alpha\n${token}\nomega`,
+                    sourceStart: 7,
+                    sourceEnd: 30,
+                    imagePlaceholders: [{ token, sourceStart: 13, sourceEnd: 24 }]
+                }
+            ],
+            [imageRecord]
+        );
+        assertDeepEqual(
+            chunkContents.map((chunkContent) => [chunkContent.variant, chunkContent.sourceStart, chunkContent.sourceEnd]),
+            [
+                ["text", 0, 5],
+                ["text", 7, 30]
+            ],
+            "text contents should use the chunk span"
+        );
+        assertDeepEqual(
+            chunkContents[1].images,
+            [{ dataUrl: imageRecord.dataUrl, altText: imageRecord.altText, sourceStart: 13, sourceEnd: 24 }],
+            "attached images should use the placeholder span"
+        );
+        assertDeepEqual(
+            chunkContents.map((chunkContent) => chunkContent.editableText),
+            ["Intro", "Alpha\n\nomega"],
+            "text contents should carry their source text without image placeholders"
+        );
+        assertDeepEqual(
+            chunkContents.map((chunkContent) => [chunkContent.postIndex, chunkContent.splitPoints]),
+            [
+                [0, []],
+                [1, [{ label: "omega", textOffset: 18 }]]
+            ],
+            "contents should carry their post index, and text contents the words where the post can split"
+        );
+        assertDeepEqual(
+            richTextHelpers
+                .createAttachedImageChunks(chunkContents[1])
+                .map((chunkContent) => [chunkContent.variant, chunkContent.sourceStart, chunkContent.sourceEnd, chunkContent.postIndex]),
+            [["image", 13, 24, 1]],
+            "attached images should expand to image contents with their span and post"
+        );
+    });
 }
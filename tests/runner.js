@@ -5,7 +5,21 @@
 
 const TEST_SUITE_REGISTRY = Object.freeze([
     { modulePath: "./chunking.test.js", exportName: "runChunkingTests" },
+    { modulePath: "./lengthCounters.test.js", exportName: "runLengthCounterTests" },
+    { modulePath: "./dictionary.test.js", exportName: "runDictionaryTests" },
+    { modulePath: "./enumeration.test.js", exportName: "runEnumerationTests" },
+    { modulePath: "./threadDecorations.test.js", exportName: "runThreadDecorationTests" },
+    { modulePath: "./textEntities.test.js", exportName: "runTextEntityTests" },
+    { modulePath: "./markdownSyntax.test.js", exportName: "runMarkdownSyntaxTests" },
+    { modulePath: "./threadPreview.test.js", exportName: "runThreadPreviewTests" },
     { modulePath: "./richText.test.js", exportName: "runRichTextTests" },
+    { modulePath: "./copyTracking.test.js", exportName: "runCopyTrackingTests" },
+    { modulePath: "./postLayout.test.js", exportName: "runPostLayoutTests" },
+    { modulePath: "./chunkingScheduler.test.js", exportName: "runChunkingSchedulerTests" },
+    { modulePath: "./virtualList.test.js", exportName: "runVirtualListTests" },
+    { modulePath: "./threadExport.test.js", exportName: "runThreadExportTests" },
+    { modulePath: "./threadBundle.test.js", exportName: "runThreadBundleTests" },
+    { modulePath: "./draftImport.test.js", exportName: "runDraftImportTests" },
     { modulePath: "./inputPanel.test.js", exportName: "runInputPanelTests" },
     { modulePath: "./integration.test.js", exportName: "runIntegrationTests" },
     { modulePath: "./transformationGateway.test.js", exportName: "runTransformationGatewayTests" },
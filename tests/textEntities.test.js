@@ -0,0 +1,73 @@
+// @ts-check
+/**
+ * @fileoverview Tests for link, email, mention, hashtag, and cashtag detection.
+ */
+
+import { textEntityHelpers } from "../js/core/textEntities.js";
+import { TEXT_ENTITY_KINDS } from "../js/constants.js";
+import { assertDeepEqual } from "./assert.js";
+
+/**
+ * Executes text entity tests.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runTextEntityTests(runTest) {
+    const entityCases = [
+        {
+            name: "detects links with and without a scheme and drops trailing punctuation",
+            input: "See https://example.com/a?b=1. Or www.example.org, or example.net/docs.",
+            expected: [
+                [TEXT_ENTITY_KINDS.URL, "https://example.com/a?b=1"],
+                [TEXT_ENTITY_KINDS.URL, "www.example.org"],
+                [TEXT_ENTITY_KINDS.URL, "example.net/docs"]
+            ]
+        },
+        {
+            name: "detects emails before the mention that their domain would otherwise form",
+            input: "Write to jo.doe+news@example.co.uk today.",
+            expected: [[TEXT_ENTITY_KINDS.EMAIL, "jo.doe+news@example.co.uk"]]
+        },
+        {
+            name: "detects local, remote, and domain mentions",
+            input: "Thanks @alice, @bob@mastodon.social, and @carol.bsky.social.",
+            expected: [
+                [TEXT_ENTITY_KINDS.MENTION, "@alice"],
+                [TEXT_ENTITY_KINDS.MENTION, "@bob@mastodon.social"],
+                [TEXT_ENTITY_KINDS.MENTION, "@carol.bsky.social"]
+            ]
+        },
+        {
+            name: "detects hashtags with letters and cashtags with share class suffixes",
+            input: "#AI #déjà_vu #2024 $TSLA $brk.b cost $5.",
+            expected: [
+                [TEXT_ENTITY_KINDS.HASHTAG, "#AI"],
+                [TEXT_ENTITY_KINDS.HASHTAG, "#déjà_vu"],
+                [TEXT_ENTITY_KINDS.CASHTAG, "$TSLA"],
+                [TEXT_ENTITY_KINDS.CASHTAG, "$brk.b"]
+            ]
+        },
+        {
+            name: "ignores abbreviations and ordinary punctuation",
+            input: "Use e.g. a comma, z.B. here. Done!",
+            expected: []
+        }
+    ];
+
+    for (const entityCase of entityCases) {
+        await runTest(entityCase.name, () => {
+            const actualEntities = textEntityHelpers
+                .findTextEntities(entityCase.input)
+                .map((entity) => [entity.kind, entity.text]);
+            assertDeepEqual(actualEntities, entityCase.expected, "entities should match");
+        });
+    }
+
+    await runTest("reports entity offsets in the source text", () => {
+        assertDeepEqual(
+            textEntityHelpers.findTextEntityRanges("cc @carol.bsky.social now"),
+            [[3, 21]],
+            "range should cover the whole mention"
+        );
+    });
+}
@@ -0,0 +1,133 @@
+// @ts-check
+/**
+ * @fileoverview Tests for the thread bundle and the ZIP archive writer.
+ */
+
+import { richTextHelpers } from "../js/core/richText.js";
+import { threadBundleHelpers } from "../js/core/threadBundle.js";
+import { zipArchiveHelpers } from "../js/utils/zipArchive.js";
+import { assertDeepEqual, assertEqual, assertThrows } from "./assert.js";
+
+/** @type {import("../js/types.d.js").ThreadingOptions} */
+const BUNDLE_OPTIONS = Object.freeze({
+    maximumLength: 280,
+    breakOnSentences: true,
+    enumerate: false,
+    breakOnParagraphs: true
+});
+
+/**
+ * Builds a two-post thread whose second post has a PNG image.
+ * @returns {import("../js/types.d.js").ChunkContent[]}
+ */
+function createThreadContents() {
+    const token = richTextHelpers.createPlaceholderToken(0);
+    return richTextHelpers.buildChunkContents(
+        [
+            { text: "First post.", baseText: "First post.", sourceText: "First post.", sourceStart: 0, sourceEnd: 11, imagePlaceholders: [] },
+            {
+                text: `Second ${token} post.`,
+                baseText: `Second ${token} post.`,
+                sourceText: `Second\n${token}\npost.`,
+                sourceStart: 13,
+                sourceEnd: 37,
+                imagePlaceholders: [{ token, sourceStart: 20, sourceEnd: 31 }]
+            }
+        ],
+        [{ placeholderToken: token, dataUrl: "data:image/png;base64,ZmFrZQ==", altText: "A kite" }]
+    );
+}
+
+/**
+ * Reads the file names and contents of a stored ZIP archive from its central directory.
+ * @param {Uint8Array} archive Archive bytes.
+ * @returns {{ fileName: string, text: string }[]}
+ */
+function readZipArchive(archive) {
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    const textDecoder = new TextDecoder();
+    const endPosition = archive.length - 22;
+    assertEqual(view.getUint32(endPosition, true), 0x06054b50, "the archive should end with the end record");
+    const entryCount = view.getUint16(endPosition + 10, true);
+    let position = view.getUint32(endPosition + 16, true);
+    /** @type {{ fileName: string, text: string }[]} */
+    const files = [];
+    for (let entryIndex = 0; entryIndex < entryCount; entryIndex += 1) {
+        assertEqual(view.getUint32(position, true), 0x02014b50, "every entry should have a central directory header");
+        const size = view.getUint32(position + 24, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const fileName = textDecoder.decode(archive.subarray(position + 46, position + 46 + nameLength));
+        assertEqual(view.getUint32(localOffset, true), 0x04034b50, "every entry should have a local header");
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+        const data = archive.subarray(dataStart, dataStart + size);
+        assertEqual(view.getUint32(position + 16, true), zipArchiveHelpers.calculateCrc32(data), "checksums should match");
+        files.push({ fileName, text: textDecoder.decode(data) });
+        position += 46 + nameLength;
+    }
+    return files;
+}
+
+/**
+ * Executes tests covering data URL decoding, bundle files, and ZIP archives.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runThreadBundleTests(runTest) {
+    await runTest("CRC-32 checksums match the standard check value", () => {
+        assertEqual(
+            zipArchiveHelpers.calculateCrc32(new TextEncoder().encode("123456789")),
+            0xcbf43926,
+            "the checksum of 123456789 should be the CRC-32 check value"
+        );
+    });
+
+    await runTest("data URLs decode to bytes and a lowercase type", () => {
+        const base64Image = threadBundleHelpers.decodeDataUrl("data:Image/PNG;base64,ZmFrZQ==");
+        assertEqual(base64Image.mimeType, "image/png", "the type should be lowercase");
+        assertEqual(new TextDecoder().decode(base64Image.data), "fake", "base64 payloads should be decoded");
+        const textImage = threadBundleHelpers.decodeDataUrl("data:image/svg+xml;charset=utf-8,%3Csvg%2F%3E");
+        assertEqual(new TextDecoder().decode(textImage.data), "<svg/>", "percent-encoded payloads should be decoded");
+        assertThrows(() => threadBundleHelpers.decodeDataUrl("https://example.com/a.png"), "other URLs should throw");
+    });
+
+    await runTest("bundle entries have post files, image files, and a manifest", () => {
+        const entries = threadBundleHelpers.createBundleEntries(createThreadContents(), BUNDLE_OPTIONS);
+        assertDeepEqual(
+            entries.map((entry) => entry.fileName),
+            ["posts/post-01.txt", "posts/post-02.txt", "images/post-02-image-1.png", "manifest.json"],
+            "files should sort in thread order with the manifest last"
+        );
+        assertEqual(new TextDecoder().decode(entries[1].data), "Second  post.", "post files should hold the post text");
+        const manifest = JSON.parse(new TextDecoder().decode(entries[3].data));
+        assertDeepEqual(manifest.options, BUNDLE_OPTIONS, "the manifest should have the options");
+        assertDeepEqual(
+            manifest.posts[1],
+            {
+                post: 2,
+                file: "posts/post-02.txt",
+                characters: 13,
+                words: 2,
+                sentences: 1,
+                images: [{ file: "images/post-02-image-1.png", mimeType: "image/png", altText: "A kite" }]
+            },
+            "the manifest should list the post order, files, and alt texts"
+        );
+    });
+
+    await runTest("bundles are ZIP archives that hold every bundle file", () => {
+        const archive = threadBundleHelpers.createBundle(createThreadContents(), BUNDLE_OPTIONS, new Date(2024, 4, 17, 9, 30));
+        const files = readZipArchive(archive);
+        assertDeepEqual(
+            files.map((file) => file.fileName),
+            ["posts/post-01.txt", "posts/post-02.txt", "images/post-02-image-1.png", "manifest.json"],
+            "the archive should list every file in order"
+        );
+        assertEqual(files[0].text, "First post.", "stored files should keep their content");
+        assertEqual(files[2].text, "fake", "image files should hold the decoded bytes");
+        assertThrows(
+            () => zipArchiveHelpers.createZipArchive([{ fileName: "", data: new Uint8Array(0) }], new Date()),
+            "entries without a file name should throw"
+        );
+    });
+}
@@ -0,0 +1,117 @@
+// @ts-check
+/**
+ * @fileoverview Tests for thread decorations, combined chunk labels, and the persistent decoration store.
+ */
+
+import { threadDecorationHelpers } from "../js/core/threadDecorations.js";
+import {
+    EMPTY_THREAD_DECORATIONS,
+    ENUMERATION_POSITIONS,
+    ENUMERATION_STYLE_IDENTIFIERS,
+    LENGTH_COUNTER_IDENTIFIERS,
+    STORAGE_KEYS
+} from "../js/constants.js";
+import { assertDeepEqual, assertEqual } from "./assert.js";
+import { createMemoryStorage } from "./fixtures.js";
+
+/**
+ * Executes thread decoration tests.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runThreadDecorationTests(runTest) {
+    const decorations = threadDecorationHelpers.createThreadDecorations(" 🧵 ", "…", "#launch\nhttps://example.com ");
+
+    await runTest("trims decoration text and reports whether any decoration is set", () => {
+        assertDeepEqual(
+            decorations,
+            { openerPrefix: "🧵", continuationSuffix: "…", footer: "#launch\nhttps://example.com" },
+            "decorations should be trimmed"
+        );
+        assertEqual(threadDecorationHelpers.hasDecorations(decorations), true, "set decorations should be reported");
+        assertEqual(
+            threadDecorationHelpers.hasDecorations(EMPTY_THREAD_DECORATIONS),
+            false,
+            "empty decorations should not be reported"
+        );
+    });
+
+    const decorationCases = [
+        { chunkIndex: 0, totalChunks: 3, expected: "🧵 Post …" },
+        { chunkIndex: 1, totalChunks: 3, expected: "Post …" },
+        { chunkIndex: 2, totalChunks: 3, expected: "Post\n\n#launch\nhttps://example.com" },
+        { chunkIndex: 0, totalChunks: 1, expected: "🧵 Post\n\n#launch\nhttps://example.com" }
+    ];
+    for (const decorationCase of decorationCases) {
+        await runTest(`decorates chunk ${decorationCase.chunkIndex + 1} of ${decorationCase.totalChunks}`, () => {
+            assertEqual(
+                threadDecorationHelpers.decorateChunk("Post", decorationCase.chunkIndex, decorationCase.totalChunks, decorations),
+                decorationCase.expected,
+                "decorations should depend on the chunk position"
+            );
+        });
+    }
+
+    await runTest("adds decorations around the enumeration label", () => {
+        const labelOptions = {
+            enumerate: true,
+            enumerationFormat: {
+                style: ENUMERATION_STYLE_IDENTIFIERS.FRACTION,
+                position: ENUMERATION_POSITIONS.PREFIX,
+                skipFirst: false,
+                customTemplate: "{current}/{total}"
+            },
+            threadDecorations: decorations
+        };
+        assertEqual(threadDecorationHelpers.labelChunk("Hook", 0, 2, labelOptions), "🧵 1/2 Hook …", "opener should come first");
+        assertEqual(threadDecorationHelpers.hasChunkLabels({ enumerate: false }), false, "no labels without settings");
+    });
+
+    await runTest("measures the labels of the first, middle, and last chunk separately", () => {
+        const labelOptions = {
+            enumerate: true,
+            threadDecorations: threadDecorationHelpers.createThreadDecorations("🧵", "👇", "Follow for more")
+        };
+        assertDeepEqual(
+            threadDecorationHelpers.getLabelOverheads(12, LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES, labelOptions),
+            { first: 11, middle: 10, last: 25 },
+            "the opener should count only in the first chunk and the footer only in the last chunk"
+        );
+        assertEqual(
+            threadDecorationHelpers.getLabelOverheads(1, LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES, labelOptions).first,
+            25,
+            "a lone chunk should have the opener and the footer"
+        );
+        assertDeepEqual(
+            threadDecorationHelpers.getLabelOverheads(0, LENGTH_COUNTER_IDENTIFIERS.GRAPHEMES, labelOptions),
+            { first: 0, middle: 0, last: 0 },
+            "an empty thread has no overhead"
+        );
+    });
+
+    await runTest("thread decoration store round-trips saved decorations", () => {
+        const { entries, storage } = createMemoryStorage({});
+        const decorationStore = threadDecorationHelpers.createThreadDecorationStore(storage);
+        assertEqual(decorationStore.load(), EMPTY_THREAD_DECORATIONS, "missing storage should load no decorations");
+        decorationStore.save(decorations);
+        assertEqual(entries.has(STORAGE_KEYS.THREAD_DECORATIONS), true, "store should write under its storage key");
+        assertDeepEqual(decorationStore.load(), decorations, "loaded decorations should equal the saved ones");
+    });
+
+    await runTest("thread decoration store loads no decorations when the stored value is invalid", () => {
+        const { storage: invalidShapeStorage } = createMemoryStorage({
+            [STORAGE_KEYS.THREAD_DECORATIONS]: JSON.stringify({ openerPrefix: "🧵" })
+        });
+        assertEqual(
+            threadDecorationHelpers.createThreadDecorationStore(invalidShapeStorage).load(),
+            EMPTY_THREAD_DECORATIONS,
+            "a stored value with an invalid shape should load no decorations"
+        );
+        const { storage: invalidJsonStorage } = createMemoryStorage({ [STORAGE_KEYS.THREAD_DECORATIONS]: "{broken" });
+        assertEqual(
+            threadDecorationHelpers.createThreadDecorationStore(invalidJsonStorage).load(),
+            EMPTY_THREAD_DECORATIONS,
+            "stored text that is not JSON should load no decorations"
+        );
+    });
+}
@@ -0,0 +1,131 @@
+// @ts-check
+/**
+ * @fileoverview Tests for the thread export formats.
+ */
+
+import { richTextHelpers } from "../js/core/richText.js";
+import { threadExportHelpers } from "../js/core/threadExport.js";
+import { assertDeepEqual, assertEqual, assertThrows } from "./assert.js";
+
+/** @type {import("../js/types.d.js").ThreadingOptions} */
+const EXPORT_OPTIONS = Object.freeze({
+    maximumLength: 280,
+    breakOnSentences: true,
+    enumerate: false,
+    breakOnParagraphs: true
+});
+
+const IMAGE_DATA_URL = "data:image/png;base64,ZmFrZQ==";
+
+/**
+ * Builds a two-post thread: a text post with quotes and a comma, and a post with text and one image.
+ * @returns {import("../js/types.d.js").ChunkContent[]}
+ */
+function createThreadContents() {
+    const token = richTextHelpers.createPlaceholderToken(0);
+    return richTextHelpers.buildChunkContents(
+        [
+            {
+                text: 'Say "hi", all',
+                baseText: 'Say "hi", all',
+                sourceText: 'Say "hi", all',
+                sourceStart: 0,
+                sourceEnd: 13,
+                imagePlaceholders: []
+            },
+            {
+                text: `Kite ${token} day`,
+                baseText: `Kite ${token} day`,
+                sourceText: `Kite\n${token}\nday`,
+                sourceStart: 15,
+                sourceEnd: 35,
+                imagePlaceholders: [{ token, sourceStart: 20, sourceEnd: 31 }]
+            }
+        ],
+        [{ placeholderToken: token, dataUrl: IMAGE_DATA_URL, altText: "A red [kite]" }]
+    );
+}
+
+/**
+ * Executes tests covering each export format.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runThreadExportTests(runTest) {
+    await runTest("plain text export separates posts with post breaks and marks images", () => {
+        assertEqual(
+            threadExportHelpers.formatThread("plainText", createThreadContents(), EXPORT_OPTIONS),
+            'Say "hi", all\n\n---\n\nKite  day\n[Image]',
+            "posts should be separated by post break markers"
+        );
+    });
+
+    await runTest("Markdown export numbers the posts and lists images as references", () => {
+        assertEqual(
+            threadExportHelpers.formatThread("markdown", createThreadContents(), EXPORT_OPTIONS),
+            [
+                "## Post 1",
+                'Say "hi", all',
+                "## Post 2",
+                "Kite  day",
+                "![A red \\[kite\\]][image-1]",
+                `[image-1]: ${IMAGE_DATA_URL}`
+            ].join("\n\n"),
+            "images should be reference-style with escaped alt text"
+        );
+    });
+
+    await runTest("HTML export wraps each post in a section with the rendered image", () => {
+        const html = threadExportHelpers.formatThread("html", createThreadContents(), EXPORT_OPTIONS);
+        assertEqual(html.startsWith("<article>\n<section>\n<h2>Post 1</h2>"), true, "the export should open with post 1");
+        assertEqual(html.includes("<p>Say &quot;hi&quot;, all</p>"), true, "text should be escaped HTML");
+        assertEqual(html.includes(`<img src="${IMAGE_DATA_URL}" alt="A red [kite]"`), true, "images should keep alt text");
+        assertEqual(html.split("<section>").length - 1, 2, "every post should have a section");
+    });
+
+    await runTest("JSON export has the options, thread statistics, and each post", () => {
+        const exported = JSON.parse(threadExportHelpers.formatThread("json", createThreadContents(), EXPORT_OPTIONS));
+        assertDeepEqual(exported.options, EXPORT_OPTIONS, "options should be exported");
+        assertDeepEqual(
+            exported.statistics,
+            { posts: 2, characters: 22, words: 5, sentences: 2, images: 1 },
+            "thread statistics should add up the posts"
+        );
+        assertDeepEqual(
+            exported.posts[1],
+            {
+                post: 2,
+                text: "Kite  day",
+                characters: 9,
+                words: 2,
+                sentences: 1,
+                images: [{ altText: "A red [kite]", dataUrl: IMAGE_DATA_URL }]
+            },
+            "posts should have their text, statistics, and images"
+        );
+    });
+
+    await runTest("CSV export has one quoted row per post", () => {
+        assertEqual(
+            threadExportHelpers.formatThread("csv", createThreadContents(), EXPORT_OPTIONS),
+            [
+                "post,text,characters,words,sentences,images,alt_text",
+                '1,"Say ""hi"", all",13,3,1,0,',
+                "2,Kite  day,9,2,1,1,A red [kite]"
+            ].join("\r\n"),
+            "values with quotes or commas should be quoted"
+        );
+    });
+
+    await runTest("unknown export formats throw", () => {
+        assertThrows(
+            () =>
+                threadExportHelpers.formatThread(
+                    /** @type {import("../js/types.d.js").ExportFormatIdentifier} */ ("pdf"),
+                    createThreadContents(),
+                    EXPORT_OPTIONS
+                ),
+            "an unknown format should throw"
+        );
+    });
+}
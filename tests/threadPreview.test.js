@@ -0,0 +1,75 @@
+// @ts-check
+/**
+ * @fileoverview Tests for the posts of the platform preview: collapsed text, images, and link cards.
+ */
+
+import { PREVIEW_PLATFORM_CONFIG, PREVIEW_PLATFORM_IDENTIFIERS } from "../js/constants.js";
+import { threadPreviewHelpers } from "../js/core/threadPreview.js";
+import { assertDeepEqual, assertEqual, assertThrows } from "./assert.js";
+import { createTextChunk } from "./fixtures.js";
+
+/**
+ * Executes tests covering the preview posts of each platform.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runThreadPreviewTests(runTest) {
+    await runTest("X collapses long text at a word boundary and other platforms show all text", () => {
+        const longText = `${"word ".repeat(60)}end`;
+        const xDefinition = PREVIEW_PLATFORM_CONFIG[PREVIEW_PLATFORM_IDENTIFIERS.X];
+        const collapsedText = threadPreviewHelpers.truncateText(longText, xDefinition);
+        assertEqual(collapsedText.isTruncated, true, "text over 280 weighted characters should collapse");
+        assertEqual(collapsedText.visibleText, "word ".repeat(56).trim(), "the cut should not split a word");
+        assertDeepEqual(
+            threadPreviewHelpers.truncateText(longText, PREVIEW_PLATFORM_CONFIG[PREVIEW_PLATFORM_IDENTIFIERS.MASTODON]),
+            { visibleText: longText, isTruncated: false },
+            "Mastodon should show all text"
+        );
+        assertEqual(
+            threadPreviewHelpers.truncateText("Short post.", xDefinition).isTruncated,
+            false,
+            "short text should not collapse"
+        );
+    });
+
+    await runTest("preview posts group images with their text and card the platform link", () => {
+        const chunkContents = [
+            createTextChunk("Read https://www.example.com/a?b=1 and https://example.org/c.", { postIndex: 0 }),
+            createTextChunk("Photos from example.net", { postIndex: 1 }),
+            {
+                variant: "image",
+                plainText: "",
+                htmlContent: "",
+                imageDataUrl: "data:image/png;base64,ZmFrZQ==",
+                altText: "A kite",
+                postIndex: 1
+            }
+        ];
+        const xPosts = threadPreviewHelpers.buildPreviewPosts(chunkContents, PREVIEW_PLATFORM_IDENTIFIERS.X);
+        assertEqual(xPosts.length, 2, "chunks of one post should make one preview post");
+        assertDeepEqual(
+            xPosts[0].linkCard,
+            { url: "https://example.org/c", domain: "example.org" },
+            "X should card the last link"
+        );
+        assertDeepEqual(
+            xPosts[1].images,
+            [{ dataUrl: "data:image/png;base64,ZmFrZQ==", altText: "A kite" }],
+            "images should attach to their post"
+        );
+        assertEqual(xPosts[1].linkCard, null, "posts with images should have no link card");
+        const blueskyPosts = threadPreviewHelpers.buildPreviewPosts(chunkContents, PREVIEW_PLATFORM_IDENTIFIERS.BLUESKY);
+        assertEqual(blueskyPosts[0].linkCard?.domain, "example.com", "Bluesky should card the first link");
+    });
+
+    await runTest("unknown preview platforms throw", () => {
+        assertThrows(
+            () =>
+                threadPreviewHelpers.buildPreviewPosts(
+                    [],
+                    /** @type {import("../js/types.d.js").PreviewPlatformIdentifier} */ ("myspace")
+                ),
+            "unknown platforms should throw"
+        );
+    });
+}
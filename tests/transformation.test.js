@@ -90,11 +90,33 @@ export function createCoordinatorFixture() {
     const editorElement = document.createElement("div");
     const statisticsElement = document.createElement("div");
     const errorElement = document.createElement("div");
+    const postBreakButton = document.createElement("button");
+    const boundaryOverlayElement = document.createElement("div");
+    const openDraftButton = document.createElement("button");
+    const draftFileInput = document.createElement("input");
+    const imageAltTextList = document.createElement("ul");
     const previewElement = document.createElement("section");
     editorElement.contentEditable = "true";
-    document.body.append(toolbarElement, editorElement, statisticsElement, errorElement, previewElement);
-
-    const inputPanel = new InputPanel(editorElement, statisticsElement, errorElement);
+    document.body.append(
+        toolbarElement,
+        editorElement,
+        boundaryOverlayElement,
+        postBreakButton,
+        statisticsElement,
+        errorElement,
+        previewElement
+    );
+
+    const inputPanel = new InputPanel(
+        editorElement,
+        statisticsElement,
+        errorElement,
+        postBreakButton,
+        boundaryOverlayElement,
+        openDraftButton,
+        draftFileInput,
+        imageAltTextList
+    );
     inputPanel.initializeCopy();
     const toolbar = new TransformationToolbar(toolbarElement);
     const preview = new TransformationPreview(previewElement);
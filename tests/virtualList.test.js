@@ -0,0 +1,55 @@
+// @ts-check
+/**
+ * @fileoverview Tests for the content hashes and visible ranges of the virtualized chunk list.
+ */
+
+import { virtualListHelpers } from "../js/core/virtualList.js";
+import { assertDeepEqual, assertEqual } from "./assert.js";
+
+/**
+ * Executes tests covering content hashes and visible ranges.
+ * @param {(name: string, fn: () => (void | Promise<void>)) => Promise<void>} runTest Test harness callback.
+ * @returns {Promise<void>}
+ */
+export async function runVirtualListTests(runTest) {
+    await runTest("content hashes are stable and separate values", () => {
+        const hash = virtualListHelpers.hashValues(["text", "One two.", 0, null]);
+        assertEqual(hash, virtualListHelpers.hashValues(["text", "One two.", 0, null]), "equal values should hash alike");
+        assertEqual(/^[0-9a-f]{8}$/.test(hash), true, "the hash should have eight hexadecimal digits");
+        assertEqual(
+            virtualListHelpers.hashValues(["ab", "c"]) === virtualListHelpers.hashValues(["a", "bc"]),
+            false,
+            "moving characters between values should change the hash"
+        );
+        const longValue = "x".repeat(10000);
+        assertEqual(
+            virtualListHelpers.hashValues([longValue]) === virtualListHelpers.hashValues([`${longValue}y`]),
+            false,
+            "long values should hash their length and ends"
+        );
+    });
+
+    await runTest("visible ranges cover the viewport and add overscan items", () => {
+        const itemHeights = [100, 100, 100, 100, 100, 100, 100, 100, 100, 100];
+        assertDeepEqual(
+            virtualListHelpers.findVisibleRange(itemHeights, 250, 450, 1),
+            { startIndex: 1, endIndex: 6, leadingHeight: 100, trailingHeight: 400 },
+            "items 2 to 4 overlap the viewport, plus one item on each side"
+        );
+        assertDeepEqual(
+            virtualListHelpers.findVisibleRange(itemHeights, -900, -100, 2),
+            { startIndex: 0, endIndex: 3, leadingHeight: 0, trailingHeight: 700 },
+            "a viewport above the list should show the first items"
+        );
+        assertDeepEqual(
+            virtualListHelpers.findVisibleRange(itemHeights, 2000, 2500, 2),
+            { startIndex: 7, endIndex: 10, leadingHeight: 700, trailingHeight: 0 },
+            "a viewport below the list should show the last items"
+        );
+        assertDeepEqual(
+            virtualListHelpers.findVisibleRange([], 0, 500, 2),
+            { startIndex: 0, endIndex: 0, leadingHeight: 0, trailingHeight: 0 },
+            "an empty list should have an empty range"
+        );
+    });
+}